@@ -14,6 +14,7 @@
  * - 按重要性和相关性排序
  * - 与深度记忆管理器深度整合
  * - 提供AI思考接口，让AI主动检索所需记忆
+ * - 关键词检索使用共享的BM25倒排索引（MemoryKeywordIndex 的 aiMemoryDatabase 作用域）
  * 
  * @class AIMemoryDatabase
  */
@@ -27,6 +28,11 @@ export class AIMemoryDatabase {
         this.eventSystem = dependencies.eventSystem || window.SillyTavernInfobar?.eventSource;
         this.deepMemoryManager = dependencies.deepMemoryManager || null;
         this.aiMemorySummarizer = dependencies.aiMemorySummarizer || null;
+
+        // 🔍 共享关键词索引（BM25）
+        this.keywordIndex = dependencies.keywordIndex || null;
+        this.KEYWORD_SCOPE = 'aiMemoryDatabase';
+        this.keywordIndex?.registerScope(this.KEYWORD_SCOPE, (id) => this.database.memories.get(id));
         
         // 数据库核心结构
         this.database = {
@@ -285,6 +291,9 @@ export class AIMemoryDatabase {
 
             console.log(`[AIMemoryDatabase] ✅ 加载完成，共索引${loadedCount}条记忆`);
 
+            // 🔍 关键词索引与重建后的记忆对齐
+            await this.syncKeywordIndex();
+
         } catch (error) {
             console.error('[AIMemoryDatabase] ❌ 加载现有记忆失败:', error);
         }
@@ -451,6 +460,9 @@ export class AIMemoryDatabase {
             // 更新统计（确保一致性）
             this.updateStats();
 
+            // 🔍 关键词索引与已加载的记忆对齐
+            await this.syncKeywordIndex(chatId);
+
             console.log(`[AIMemoryDatabase] ✅ 数据库索引加载完成 (键: ${storageKey})`);
             console.log('[AIMemoryDatabase] 📊 加载后统计:', {
                 记忆数: this.database.memories.size,
@@ -525,6 +537,7 @@ export class AIMemoryDatabase {
                 }
                 this.database.keywordIndex.get(keyword).add(memoryId);
             }
+            this.keywordIndex?.add(this.KEYWORD_SCOPE, memoryId, this.getIndexedText(indexedMemory), { layer });
 
             // 建立重要性索引
             this.addToImportanceIndex(memoryId, importance);
@@ -562,6 +575,32 @@ export class AIMemoryDatabase {
         }
     }
 
+    /**
+     * 🔍 记忆在BM25索引中的文本：内容 + 提取的关键词
+     */
+    getIndexedText(memory) {
+        return [memory.content, ...(memory.keywords || [])].filter(Boolean).join(' ');
+    }
+
+    /**
+     * 🔍 将共享关键词索引与当前记忆对齐
+     * @param {string} chatId - 记忆所属聊天ID
+     */
+    async syncKeywordIndex(chatId = null) {
+        try {
+            if (!this.keywordIndex) return;
+
+            const entries = Array.from(this.database.memories.entries()).map(([id, memory]) => [
+                id,
+                { text: this.getIndexedText(memory), meta: { layer: memory.layer } }
+            ]);
+            await this.keywordIndex.syncScope(this.KEYWORD_SCOPE, entries, chatId || this.unifiedDataCore?.getCurrentChatId?.());
+
+        } catch (error) {
+            console.error('[AIMemoryDatabase] ❌ 同步关键词索引失败:', error);
+        }
+    }
+
     /**
      * 🔧 新增：防抖保存（避免频繁保存）
      */
@@ -951,17 +990,25 @@ export class AIMemoryDatabase {
 
             // 收集所有匹配的记忆ID
             const matchedMemories = new Map(); // memoryId -> matchScore
+            let totalKeywords = normalizedKeywords.length;
 
-            for (const keyword of normalizedKeywords) {
-                if (this.database.keywordIndex.has(keyword)) {
-                    const memoryIds = this.database.keywordIndex.get(keyword);
-                    
-                    for (const memoryId of memoryIds) {
-                        if (!matchedMemories.has(memoryId)) {
-                            matchedMemories.set(memoryId, 0);
+            if (this.keywordIndex) {
+                // 🔍 BM25索引：匹配度为归一化的BM25分数（0-1）
+                this.keywordIndex.search(normalizedKeywords.join(' '), { scopes: [this.KEYWORD_SCOPE] })
+                    .forEach(hit => matchedMemories.set(hit.id, hit.normalizedScore));
+                totalKeywords = 1;
+            } else {
+                for (const keyword of normalizedKeywords) {
+                    if (this.database.keywordIndex.has(keyword)) {
+                        const memoryIds = this.database.keywordIndex.get(keyword);
+
+                        for (const memoryId of memoryIds) {
+                            if (!matchedMemories.has(memoryId)) {
+                                matchedMemories.set(memoryId, 0);
+                            }
+                            // 每个关键词匹配加1分
+                            matchedMemories.set(memoryId, matchedMemories.get(memoryId) + 1);
                         }
-                        // 每个关键词匹配加1分
-                        matchedMemories.set(memoryId, matchedMemories.get(memoryId) + 1);
                     }
                 }
             }
@@ -978,7 +1025,7 @@ export class AIMemoryDatabase {
                 if (!memory) continue;
 
                 // 计算综合评分
-                const score = this.calculateRelevanceScore(memory, keywordMatchCount, normalizedKeywords.length, options);
+                const score = this.calculateRelevanceScore(memory, keywordMatchCount, totalKeywords, options);
 
                 results.push({
                     ...memory,
@@ -1377,6 +1424,7 @@ export class AIMemoryDatabase {
         this.database.categoryIndex.clear();
         this.database.timelineIndex = [];
         this.searchCache.clear();
+        this.keywordIndex?.clearScope(this.KEYWORD_SCOPE);
 
         this.updateStats();
 
@@ -1494,6 +1542,7 @@ export class AIMemoryDatabase {
 
             // 1. 从memories中删除
             this.database.memories.delete(memoryId);
+            this.keywordIndex?.remove(this.KEYWORD_SCOPE, memoryId);
 
             // 2. 从关键词索引中删除
             if (memory.keywords) {
@@ -1539,6 +1588,59 @@ export class AIMemoryDatabase {
         }
     }
 
+    /**
+     * ✏️ 编辑记忆内容和重要性（同步更新关键词、重要性和BM25索引）
+     * @param {string} memoryId - 记忆ID
+     * @param {Object} changes - { content, importance }
+     * @returns {Object|null} 更新后的记忆
+     */
+    updateMemory(memoryId, changes = {}) {
+        try {
+            const memory = this.database.memories.get(memoryId);
+            if (!memory) return null;
+
+            if (typeof changes.content === 'string' && changes.content.trim() && changes.content !== memory.content) {
+                for (const keyword of memory.keywords || []) {
+                    const keywordSet = this.database.keywordIndex.get(keyword);
+                    keywordSet?.delete(memoryId);
+                    if (keywordSet?.size === 0) {
+                        this.database.keywordIndex.delete(keyword);
+                    }
+                }
+
+                memory.content = changes.content.trim();
+                memory.keywords = this.extractKeywords({
+                    content: memory.content,
+                    category: memory.category,
+                    tags: memory.metadata?.tags || []
+                });
+                for (const keyword of memory.keywords) {
+                    if (!this.database.keywordIndex.has(keyword)) {
+                        this.database.keywordIndex.set(keyword, new Set());
+                    }
+                    this.database.keywordIndex.get(keyword).add(memoryId);
+                }
+                this.keywordIndex?.add(this.KEYWORD_SCOPE, memoryId, this.getIndexedText(memory), { layer: memory.layer });
+            }
+
+            if (changes.importance !== undefined && !isNaN(parseFloat(changes.importance))) {
+                memory.importance = Math.max(0, Math.min(1, parseFloat(changes.importance)));
+                Object.values(this.database.importanceIndex).forEach(set => set.delete(memoryId));
+                this.addToImportanceIndex(memoryId, memory.importance);
+            }
+
+            this.searchCache.clear();
+            this.updateStats();
+            this.debouncedSave();
+
+            return memory;
+
+        } catch (error) {
+            console.error('[AIMemoryDatabase] ❌ 编辑记忆失败:', error);
+            return null;
+        }
+    }
+
     /**
      * 获取数据库状态
      */
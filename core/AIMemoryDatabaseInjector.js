@@ -1161,6 +1161,30 @@ export class AIMemoryDatabaseInjector {
                         memoryCount: memoryData.length,
                         timestamp: endTime
                     });
+
+                    // 🔍 检索追踪：记录注入的记忆来源、重要性和token开销
+                    this.eventSystem.emit('retrieval:trace', {
+                        trace: {
+                            path: 'ai_memory_database_injector',
+                            query: null,
+                            enhancedQuery: null,
+                            cached: false,
+                            weights: {
+                                injectionMethod: this.injectorConfig.injectionMethod,
+                                maxMemorySize: this.injectorConfig.maxMemorySize
+                            },
+                            items: memoryData.map(memory => ({
+                                id: memory.id || null,
+                                content: String(memory.content || '').substring(0, 200),
+                                sources: [memory.source || memory.type].filter(Boolean),
+                                scores: { importance: memory.importance },
+                                status: 'injected',
+                                note: memory.truncated ? '超出注入大小上限，内容已截断' : ''
+                            })),
+                            timestamp: endTime
+                        },
+                        injectionText: formattedMemory
+                    });
                 }
             }
             
@@ -1360,6 +1384,21 @@ export class AIMemoryDatabaseInjector {
         try {
             console.log('[AIMemoryDatabaseInjector] 📝 作为系统消息注入记忆...');
             
+            // 🧮 有提示词Token预算管理器时登记到预算中
+            const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            if (promptBudgetManager) {
+                await promptBudgetManager.register({
+                    source: 'aiMemoryDatabase',
+                    key: 'ai_memory_database_injector',
+                    content: memoryContent,
+                    position: 2,
+                    depth: false
+                });
+
+                console.log('[AIMemoryDatabaseInjector] ✅ 已通过提示词Token预算管理器注入记忆');
+                return { success: true };
+            }
+
             // 使用SillyTavern的扩展提示词机制
             if (this.context.setExtensionPrompt) {
                 this.context.setExtensionPrompt(
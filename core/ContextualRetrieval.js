@@ -5,6 +5,8 @@
  * - 混合检索引擎（向量检索 + 关键词检索 + 图检索）
  * - 查询增强和上下文注入
  * - 结果融合和智能重排序
+ *   融合策略可选：原始分数加权 / 倒数排名融合（RRF）/ 最小-最大归一化加权 / CombMNZ
+ *   可按隐式反馈（回复实际引用了哪些注入的记忆）为每个聊天自适应调整各路权重
  * - 语义缓存系统
  * - 上下文感知的相关性评分
  * 
@@ -33,6 +35,14 @@ export class ContextualRetrieval {
             vectorWeight: 0.5,                      // 向量检索权重
             keywordWeight: 0.3,                     // 关键词检索权重
             graphWeight: 0.2,                       // 图检索权重
+
+            // 结果融合
+            fusionStrategy: 'weighted',             // 融合策略：weighted / rrf / minmax / combmnz
+            rrfK: 60,                               // RRF平滑常数
+            adaptiveWeights: false,                 // 按隐式反馈自适应调整每个聊天的融合权重
+            feedbackLearningRate: 0.1,              // 权重学习率
+            feedbackMinWeight: 0.05,                // 单路最低权重
+            referenceThreshold: 0.3,                // 回复覆盖记忆词元的比例达到此值视为引用了该记忆
             
             // 查询增强
             enableQueryExpansion: true,             // 启用查询扩展
@@ -61,6 +71,26 @@ export class ContextualRetrieval {
         // 查询历史（用于上下文感知）
         this.queryHistory = [];                     // 最近的查询历史
         this.maxQueryHistory = 10;                  // 最大查询历史数
+
+        // 融合设置（保存在扩展设置中，可导出）
+        this.FUSION_SETTING_KEYS = [
+            'fusionStrategy', 'rrfK', 'vectorWeight', 'keywordWeight', 'graphWeight',
+            'adaptiveWeights', 'feedbackLearningRate', 'feedbackMinWeight', 'referenceThreshold'
+        ];
+        this.FUSION_SOURCES = ['vector', 'keyword', 'graph'];
+        // memory_ 前缀的键由 UnifiedDataCore 存到文件，不占用 localStorage 配额
+        this.LEARNED_WEIGHTS_PREFIX = 'memory_fusion_weights_';
+        this.LEGACY_LEARNED_WEIGHTS_PREFIX = 'contextual_retrieval_fusion_weights_';
+
+        // 当前聊天学习到的融合权重：{ chatId, weights, feedback: { source: { injected, referenced } }, updates, updatedAt }
+        this.learnedWeights = null;
+
+        // 最近一次注入、等待回复反馈的记忆：{ chatId, items: [{ id, content, sources }], timestamp }
+        this.pendingFeedback = null;
+
+        // 最近一次融合使用的策略和权重（用于检索追踪）
+        this.lastFusion = null;
+        this.listenersBound = false;
         
         // 统计信息
         this.stats = {
@@ -144,6 +174,12 @@ export class ContextualRetrieval {
                 }
             }
 
+            // 融合设置
+            const fusionSettings = window.SillyTavern?.getContext?.()?.extensionSettings?.['Information bar integration tool']?.contextualRetrievalFusion;
+            if (fusionSettings) {
+                this.applyFusionSettings(fusionSettings);
+            }
+
         } catch (error) {
             console.error('[ContextualRetrieval] ❌ 加载设置失败:', error);
         }
@@ -163,6 +199,11 @@ export class ContextualRetrieval {
                 console.log('[ContextualRetrieval] 🧹 已清理语义缓存');
             }
 
+            // 启用后补绑事件（初始化时已禁用的情况）
+            if (this.settings.enabled && this.initialized) {
+                this.bindEventListeners();
+            }
+
             // 保存设置
             if (this.unifiedDataCore) {
                 await this.unifiedDataCore.setData('contextual_retrieval_settings', this.settings);
@@ -184,11 +225,22 @@ export class ContextualRetrieval {
                 console.warn('[ContextualRetrieval] ⚠️ 事件系统未提供，跳过事件绑定');
                 return;
             }
+            if (this.listenersBound) return;
+            this.listenersBound = true;
             
             // 监听聊天切换事件（清理缓存）
             this.eventSystem.on('chat:changed', async (data) => {
                 await this.handleChatSwitch(data);
             });
+
+            // 监听AI回复（隐式反馈：回复引用了哪些注入的记忆）
+            const context = window.SillyTavern?.getContext?.();
+            const messageReceived = context?.event_types?.MESSAGE_RECEIVED;
+            if (context?.eventSource && messageReceived) {
+                context.eventSource.on(messageReceived, async (messageId) => {
+                    await this.handleReplyFeedback(messageId);
+                });
+            }
             
             console.log('[ContextualRetrieval] 🔗 事件监听器已绑定');
             
@@ -210,6 +262,10 @@ export class ContextualRetrieval {
             
             // 清理查询历史
             this.queryHistory = [];
+
+            // 反馈和学习到的权重属于上一个聊天
+            this.pendingFeedback = null;
+            this.learnedWeights = null;
             
             console.log('[ContextualRetrieval] ✅ 缓存已清理');
             
@@ -246,7 +302,13 @@ export class ContextualRetrieval {
             if (cachedResult) {
                 console.log('[ContextualRetrieval] ✅ 命中语义缓存');
                 this.stats.cacheHits++;
-                return cachedResult;
+                this.emitRetrieved(query, cachedResult);
+                return {
+                    results: cachedResult,
+                    query: query,
+                    method: 'semantic_cache',
+                    trace: this.buildTrace(query, null, cachedResult, [], { cached: true })
+                };
             }
             
             // 🔧 步骤2：查询增强（添加上下文）
@@ -276,9 +338,13 @@ export class ContextualRetrieval {
             }
             
             // 🔧 步骤6：应用多样性过滤
-            finalResults = await this.applyDiversityFilter(finalResults);
+            const diversityDecisions = [];
+            finalResults = await this.applyDiversityFilter(finalResults, diversityDecisions);
             
             // 限制结果数量
+            finalResults.slice(this.settings.maxResults).forEach(result => {
+                diversityDecisions.push({ result, status: 'truncated', note: `超出最大结果数 ${this.settings.maxResults}` });
+            });
             finalResults = finalResults.slice(0, this.settings.maxResults);
             
             const retrievalTime = Date.now() - startTime;
@@ -291,6 +357,8 @@ export class ContextualRetrieval {
             
             // 更新查询历史
             this.updateQueryHistory(query);
+
+            this.emitRetrieved(query, finalResults);
             
             return {
                 results: finalResults,
@@ -298,6 +366,7 @@ export class ContextualRetrieval {
                 enhancedQuery: enhancedQuery,
                 retrievalTime: retrievalTime,
                 method: 'hybrid_search',
+                trace: this.buildTrace(query, enhancedQuery, finalResults, diversityDecisions),
                 stats: {
                     vectorResults: vectorResults.length,
                     keywordResults: keywordResults.length,
@@ -322,6 +391,52 @@ export class ContextualRetrieval {
         }
     }
 
+    /**
+     * 🔍 通知检索日志本次返回的记忆
+     */
+    emitRetrieved(query, results) {
+        this.eventSystem?.emit('memory:retrieved', {
+            retriever: 'contextual_retrieval',
+            query: query,
+            results: (results || []).map(result => ({ id: result.id, score: result.fusedScore ?? result.score })),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * 🔍 构建检索追踪：每条结果的各路分数、融合权重以及被过滤的原因
+     * @param {Array} finalResults - 最终返回的结果
+     * @param {Array} decisions - [{ result, status, note }] 未进入最终结果的条目
+     */
+    buildTrace(query, enhancedQuery, finalResults, decisions, options = {}) {
+        const toItem = (result, status, note = '') => ({
+            id: result.id,
+            content: String(result.content || '').substring(0, 200),
+            sources: result.sources || [result.source].filter(Boolean),
+            scores: {
+                ...(result.sourceScores || {}),
+                fused: result.fusedScore,
+                rerank: result.rerankScore
+            },
+            status: status,
+            note: note
+        });
+
+        return {
+            path: 'contextual_retrieval',
+            query: query,
+            enhancedQuery: enhancedQuery,
+            cached: !!options.cached,
+            fusionStrategy: this.lastFusion?.strategy || this.settings.fusionStrategy,
+            weights: { ...(this.lastFusion?.weights || this.getBaseWeights()) },
+            items: [
+                ...(finalResults || []).map(result => toItem(result, 'injected', options.cached ? '语义缓存命中' : '')),
+                ...decisions.map(decision => toItem(decision.result, decision.status, decision.note))
+            ],
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * 🔧 查询增强：添加上下文信息
      */
@@ -455,55 +570,39 @@ export class ContextualRetrieval {
     }
 
     /**
-     * 🔧 关键词检索
+     * 🔧 关键词检索（共享的BM25倒排索引，支持中文）
      */
     async keywordSearch(query, options = {}) {
         try {
-            if (!this.deepMemoryManager) return [];
+            const keywordIndex = this.deepMemoryManager?.keywordIndex;
+            if (!keywordIndex) return [];
 
             this.stats.keywordSearchCount++;
 
-            const results = [];
-            const queryWords = query.toLowerCase().split(/\s+/).filter(w => w.length > 1);
-
-            // 搜索所有记忆层
-            for (const [layerName, layer] of Object.entries(this.deepMemoryManager.memoryLayers)) {
-                for (const [id, memory] of layer) {
-                    const content = (memory.content || '').toLowerCase();
-
-                    // 计算关键词匹配分数
-                    let matchScore = 0;
-                    let matchedWords = 0;
-
-                    for (const word of queryWords) {
-                        if (content.includes(word)) {
-                            matchedWords++;
-                            // 精确匹配加分
-                            const regex = new RegExp(`\\b${word}\\b`, 'gi');
-                            const matches = content.match(regex);
-                            matchScore += matches ? matches.length : 0.5;
-                        }
-                    }
+            const hits = keywordIndex.search(query, {
+                scopes: [this.deepMemoryManager.KEYWORD_SCOPE],
+                limit: this.settings.maxResults * 2
+            });
 
-                    if (matchedWords > 0) {
-                        // 归一化分数
-                        const normalizedScore = (matchScore / queryWords.length) / 10;
-
-                        results.push({
-                            id: id,
-                            content: memory.content,
-                            score: Math.min(normalizedScore, 1.0),
-                            source: 'keyword',
-                            metadata: memory.metadata,
-                            timestamp: memory.timestamp,
-                            layer: layerName
-                        });
-                    }
-                }
+            // 💾 命中尚未加载的归档记忆时按需从存储读取
+            const unloadedIds = hits.filter(hit => !hit.document).map(hit => hit.id);
+            if (unloadedIds.length > 0 && await this.deepMemoryManager.ensureMemoriesLoaded?.(unloadedIds)) {
+                hits.forEach(hit => {
+                    hit.document = hit.document || this.deepMemoryManager.memoryIndex.get(hit.id);
+                });
             }
 
-            // 按分数排序
-            return results.sort((a, b) => b.score - a.score).slice(0, this.settings.maxResults * 2);
+            return hits
+                .filter(hit => hit.document)
+                .map(hit => ({
+                    id: hit.id,
+                    content: hit.document.content,
+                    score: hit.normalizedScore,
+                    source: 'keyword',
+                    metadata: hit.document.metadata,
+                    timestamp: hit.document.timestamp,
+                    layer: hit.meta?.layer || hit.document.layer
+                }));
 
         } catch (error) {
             console.error('[ContextualRetrieval] ❌ 关键词检索失败:', error);
@@ -569,54 +668,43 @@ export class ContextualRetrieval {
      */
     async fuseResults(vectorResults, keywordResults, graphResults) {
         try {
-            console.log('[ContextualRetrieval] 🔀 开始融合检索结果...');
+            const strategy = this.settings.fusionStrategy || 'weighted';
+            const weights = await this.getFusionWeights();
+            console.log('[ContextualRetrieval] 🔀 开始融合检索结果...', strategy, weights);
 
+            const resultLists = { vector: vectorResults, keyword: keywordResults, graph: graphResults };
             const fusedMap = new Map();
 
-            // 融合向量检索结果
-            for (const result of vectorResults) {
-                const score = result.score * this.settings.vectorWeight;
-                fusedMap.set(result.id, {
-                    ...result,
-                    fusedScore: score,
-                    sources: ['vector']
-                });
-            }
-
-            // 融合关键词检索结果
-            for (const result of keywordResults) {
-                const score = result.score * this.settings.keywordWeight;
+            for (const source of this.FUSION_SOURCES) {
+                const results = resultLists[source] || [];
+                const contributions = this.computeFusionContributions(strategy, results, weights[source]);
 
-                if (fusedMap.has(result.id)) {
+                results.forEach((result, index) => {
                     const existing = fusedMap.get(result.id);
-                    existing.fusedScore += score;
-                    existing.sources.push('keyword');
-                } else {
-                    fusedMap.set(result.id, {
-                        ...result,
-                        fusedScore: score,
-                        sources: ['keyword']
-                    });
-                }
+                    if (existing) {
+                        existing.fusedScore += contributions[index];
+                        existing.sources.push(source);
+                        existing.sourceScores[source] = result.score;
+                    } else {
+                        fusedMap.set(result.id, {
+                            ...result,
+                            fusedScore: contributions[index],
+                            sources: [source],
+                            sourceScores: { [source]: result.score }
+                        });
+                    }
+                });
             }
 
-            // 融合图检索结果
-            for (const result of graphResults) {
-                const score = result.score * this.settings.graphWeight;
-
-                if (fusedMap.has(result.id)) {
-                    const existing = fusedMap.get(result.id);
-                    existing.fusedScore += score;
-                    existing.sources.push('graph');
-                } else {
-                    fusedMap.set(result.id, {
-                        ...result,
-                        fusedScore: score,
-                        sources: ['graph']
-                    });
-                }
+            // CombMNZ：按命中的检索路数放大
+            if (strategy === 'combmnz') {
+                fusedMap.forEach(result => {
+                    result.fusedScore *= result.sources.length;
+                });
             }
 
+            this.lastFusion = { strategy, weights };
+
             // 转换为数组并按融合分数排序
             const fusedResults = Array.from(fusedMap.values())
                 .sort((a, b) => b.fusedScore - a.fusedScore);
@@ -631,6 +719,312 @@ export class ContextualRetrieval {
         }
     }
 
+    /**
+     * 🔀 计算一路检索结果对融合分数的贡献
+     * - weighted：原始分数 × 权重（各路分数尺度不同，仅为兼容保留）
+     * - rrf：权重 / (rrfK + 排名)，只看排名不看分数
+     * - minmax / combmnz：本路分数归一化到0~1后 × 权重
+     * @param {Array} results - 按本路分数降序排列的结果
+     * @returns {Array<number>} 与results一一对应的贡献
+     */
+    computeFusionContributions(strategy, results, weight) {
+        if (results.length === 0) return [];
+
+        if (strategy === 'rrf') {
+            const k = Math.max(1, Number(this.settings.rrfK) || 60);
+            return results.map((result, index) => weight / (k + index + 1));
+        }
+
+        if (strategy === 'minmax' || strategy === 'combmnz') {
+            const scores = results.map(result => Number(result.score) || 0);
+            const min = Math.min(...scores);
+            const max = Math.max(...scores);
+            return scores.map(score => weight * (max > min ? (score - min) / (max - min) : 1));
+        }
+
+        return results.map(result => (Number(result.score) || 0) * weight);
+    }
+
+    /**
+     * 设置中的基础融合权重
+     */
+    getBaseWeights() {
+        return {
+            vector: this.settings.vectorWeight,
+            keyword: this.settings.keywordWeight,
+            graph: this.settings.graphWeight
+        };
+    }
+
+    /**
+     * 本次融合使用的权重：启用自适应时使用当前聊天学习到的权重
+     */
+    async getFusionWeights() {
+        if (!this.settings.adaptiveWeights) {
+            return this.getBaseWeights();
+        }
+
+        const learned = await this.loadLearnedWeights();
+        return learned?.weights ? { ...learned.weights } : this.getBaseWeights();
+    }
+
+    /**
+     * 加载当前聊天学习到的融合权重
+     */
+    async loadLearnedWeights(chatId = this.unifiedDataCore?.getCurrentChatId?.()) {
+        try {
+            if (!chatId) return null;
+            if (this.learnedWeights?.chatId === chatId) return this.learnedWeights;
+
+            let saved = await this.unifiedDataCore?.getData?.(`${this.LEARNED_WEIGHTS_PREFIX}${chatId}`);
+            if (!saved) {
+                saved = await this.migrateLegacyLearnedWeights(chatId);
+            }
+            this.learnedWeights = saved?.weights ? { ...saved, chatId } : {
+                chatId,
+                weights: this.getBaseWeights(),
+                feedback: {},
+                updates: 0,
+                updatedAt: null
+            };
+            return this.learnedWeights;
+
+        } catch (error) {
+            console.error('[ContextualRetrieval] ❌ 加载融合权重失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 把旧键名下的融合权重迁移到文件存储的键名
+     */
+    async migrateLegacyLearnedWeights(chatId) {
+        const legacyKey = `${this.LEGACY_LEARNED_WEIGHTS_PREFIX}${chatId}`;
+        const legacy = await this.unifiedDataCore?.getData?.(legacyKey);
+        if (!legacy) return null;
+
+        await this.unifiedDataCore?.setData?.(`${this.LEARNED_WEIGHTS_PREFIX}${chatId}`, legacy);
+        await this.unifiedDataCore?.deleteData?.(legacyKey);
+        console.log('[ContextualRetrieval] 📦 已迁移旧版融合权重:', chatId);
+        return legacy;
+    }
+
+    /**
+     * 重置当前聊天学习到的融合权重
+     */
+    async resetLearnedWeights() {
+        const chatId = this.unifiedDataCore?.getCurrentChatId?.();
+        if (!chatId) return;
+
+        this.learnedWeights = {
+            chatId,
+            weights: this.getBaseWeights(),
+            feedback: {},
+            updates: 0,
+            updatedAt: null
+        };
+        await this.unifiedDataCore?.deleteData?.(`${this.LEARNED_WEIGHTS_PREFIX}${chatId}`);
+    }
+
+    /**
+     * 记录本次注入到提示词的记忆，收到下一条AI回复时据此计算反馈
+     * @param {Array} results - hybridSearch 返回并实际注入的结果
+     */
+    recordInjection(results) {
+        if (!this.settings.adaptiveWeights || !Array.isArray(results) || results.length === 0) return;
+
+        this.pendingFeedback = {
+            chatId: this.unifiedDataCore?.getCurrentChatId?.() || null,
+            items: results
+                .filter(result => result?.id && result.content)
+                .map(result => ({
+                    id: result.id,
+                    content: String(result.content),
+                    sources: result.sources || [result.source].filter(Boolean)
+                })),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * 处理AI回复：判断回复引用了哪些注入的记忆，并更新融合权重
+     */
+    async handleReplyFeedback(messageId) {
+        try {
+            const pending = this.pendingFeedback;
+            if (!this.settings.adaptiveWeights || !pending || pending.items.length === 0) return;
+
+            const context = window.SillyTavern?.getContext?.();
+            const message = context?.chat?.[messageId];
+            if (!message || message.is_user || message.is_system || !message.mes) return;
+
+            // 一次注入只对应一次回复
+            this.pendingFeedback = null;
+
+            const chatId = this.unifiedDataCore?.getCurrentChatId?.();
+            if (!chatId || chatId !== pending.chatId) return;
+
+            const referencedIds = pending.items
+                .filter(item => this.isReferenced(item.content, message.mes))
+                .map(item => item.id);
+
+            await this.applyFeedback(chatId, pending.items, referencedIds);
+
+        } catch (error) {
+            console.error('[ContextualRetrieval] ❌ 处理回复反馈失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 回复是否引用了记忆：回复覆盖的记忆词元比例达到阈值
+     */
+    isReferenced(memoryContent, replyText) {
+        const tokenize = (text) => this.deepMemoryManager?.keywordIndex?.tokenize
+            ? this.deepMemoryManager.keywordIndex.tokenize(text)
+            : String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        const memoryTokens = new Set(tokenize(memoryContent));
+        if (memoryTokens.size === 0) return false;
+
+        const replyTokens = new Set(tokenize(replyText));
+        const covered = [...memoryTokens].filter(token => replyTokens.has(token)).length;
+        return covered / memoryTokens.size >= this.settings.referenceThreshold;
+    }
+
+    /**
+     * 按反馈更新当前聊天的融合权重
+     * 每路的命中率（被引用数 / 注入数）高于平均值时权重上调，低于时下调；
+     * 调整后每路不低于最低权重，总和保持与基础权重一致
+     * @param {Array} items - 注入的记忆 [{ id, sources }]
+     * @param {Array<string>} referencedIds - 回复引用了的记忆ID
+     */
+    async applyFeedback(chatId, items, referencedIds) {
+        const learned = await this.loadLearnedWeights(chatId);
+        if (!learned) return null;
+
+        const referenced = new Set(referencedIds);
+        const round = {};
+        for (const item of items) {
+            for (const source of item.sources) {
+                if (!this.FUSION_SOURCES.includes(source)) continue;
+                round[source] = round[source] || { injected: 0, referenced: 0 };
+                round[source].injected++;
+                if (referenced.has(item.id)) round[source].referenced++;
+
+                learned.feedback[source] = learned.feedback[source] || { injected: 0, referenced: 0 };
+                learned.feedback[source].injected++;
+                if (referenced.has(item.id)) learned.feedback[source].referenced++;
+            }
+        }
+
+        // 没有任何记忆被引用时无法区分各路的好坏，只记录统计
+        const participating = Object.keys(round);
+        if (referenced.size > 0 && participating.length > 1) {
+            const hitRates = Object.fromEntries(participating.map(source => [source, round[source].referenced / round[source].injected]));
+            const meanHitRate = participating.reduce((sum, source) => sum + hitRates[source], 0) / participating.length;
+            const totalWeight = Object.values(this.getBaseWeights()).reduce((sum, weight) => sum + weight, 0);
+            const minWeight = this.settings.feedbackMinWeight;
+
+            const weights = { ...learned.weights };
+            participating.forEach(source => {
+                weights[source] = Math.max(minWeight, weights[source] + this.settings.feedbackLearningRate * (hitRates[source] - meanHitRate));
+            });
+
+            const sum = this.FUSION_SOURCES.reduce((total, source) => total + weights[source], 0);
+            this.FUSION_SOURCES.forEach(source => {
+                weights[source] = Math.max(minWeight, weights[source] * totalWeight / sum);
+            });
+
+            learned.weights = weights;
+            learned.updates++;
+        }
+
+        learned.updatedAt = Date.now();
+        await this.unifiedDataCore?.setData?.(`${this.LEARNED_WEIGHTS_PREFIX}${chatId}`, {
+            weights: learned.weights,
+            feedback: learned.feedback,
+            updates: learned.updates,
+            updatedAt: learned.updatedAt
+        });
+
+        this.eventSystem?.emit('contextual-retrieval:weights-updated', {
+            chatId,
+            weights: { ...learned.weights },
+            referenced: referenced.size,
+            injected: items.length,
+            timestamp: Date.now()
+        });
+
+        return learned;
+    }
+
+    /**
+     * 应用融合设置（忽略无效值）
+     */
+    applyFusionSettings(fusionSettings = {}) {
+        const strategies = ['weighted', 'rrf', 'minmax', 'combmnz'];
+        this.FUSION_SETTING_KEYS.forEach(key => {
+            if (fusionSettings[key] === undefined) return;
+            if (key === 'fusionStrategy') {
+                if (strategies.includes(fusionSettings[key])) this.settings[key] = fusionSettings[key];
+            } else if (key === 'adaptiveWeights') {
+                this.settings[key] = !!fusionSettings[key];
+            } else if (Number.isFinite(Number(fusionSettings[key]))) {
+                this.settings[key] = Number(fusionSettings[key]);
+            }
+        });
+    }
+
+    /**
+     * 更新融合设置并保存到扩展设置
+     */
+    updateFusionSettings(fusionSettings) {
+        const previousWeights = this.getBaseWeights();
+        this.applyFusionSettings(fusionSettings);
+
+        // 基础权重变化后，尚未学习过的聊天直接使用新的基础权重
+        const baseChanged = this.FUSION_SOURCES.some(source => previousWeights[source] !== this.getBaseWeights()[source]);
+        if (baseChanged && this.learnedWeights?.updates === 0) {
+            this.learnedWeights.weights = this.getBaseWeights();
+        }
+        this.semanticCache.clear();
+
+        const context = window.SillyTavern?.getContext?.();
+        const extCfg = context?.extensionSettings?.['Information bar integration tool'];
+        if (extCfg) {
+            extCfg.contextualRetrievalFusion = this.getFusionSettings();
+            context.saveSettingsDebounced?.();
+        }
+    }
+
+    /**
+     * 当前融合设置
+     */
+    getFusionSettings() {
+        return Object.fromEntries(this.FUSION_SETTING_KEYS.map(key => [key, this.settings[key]]));
+    }
+
+    /**
+     * 导出融合设置和当前聊天学习到的权重
+     */
+    async exportFusionConfig() {
+        const learned = this.settings.adaptiveWeights ? await this.loadLearnedWeights() : this.learnedWeights;
+        return {
+            type: 'contextual_retrieval_fusion',
+            version: 1,
+            timestamp: Date.now(),
+            settings: this.getFusionSettings(),
+            learnedWeights: learned?.chatId ? {
+                chatId: learned.chatId,
+                weights: learned.weights,
+                feedback: learned.feedback,
+                updates: learned.updates,
+                updatedAt: learned.updatedAt
+            } : null
+        };
+    }
+
     /**
      * 🔧 重排序：基于上下文相关性重新排序
      */
@@ -727,8 +1121,9 @@ export class ContextualRetrieval {
     /**
      * 🔧 应用多样性过滤
      * 避免返回过于相似的结果
+     * @param {Array} decisions - 可选，收集被过滤的结果及原因（用于检索追踪）
      */
-    async applyDiversityFilter(results) {
+    async applyDiversityFilter(results, decisions = null) {
         try {
             if (results.length <= 1 || this.settings.diversityFactor === 0) {
                 return results;
@@ -737,25 +1132,28 @@ export class ContextualRetrieval {
             console.log('[ContextualRetrieval] 🎨 应用多样性过滤...');
 
             const diverseResults = [];
-            const selectedContents = [];
 
             for (const result of results) {
                 // 检查与已选结果的相似度
                 let tooSimilar = false;
 
-                for (const selectedContent of selectedContents) {
-                    const similarity = this.calculateTextSimilarity(result.content, selectedContent);
+                for (const selected of diverseResults) {
+                    const similarity = this.calculateTextSimilarity(result.content, selected.content);
 
                     // 如果相似度超过阈值，跳过此结果
                     if (similarity > (1 - this.settings.diversityFactor)) {
                         tooSimilar = true;
+                        decisions?.push({
+                            result,
+                            status: 'diversity_filtered',
+                            note: `与 ${selected.id} 相似度 ${similarity.toFixed(2)} > ${(1 - this.settings.diversityFactor).toFixed(2)}`
+                        });
                         break;
                     }
                 }
 
                 if (!tooSimilar) {
                     diverseResults.push(result);
-                    selectedContents.push(result.content);
                 }
             }
 
@@ -25,6 +25,7 @@ export class CorpusRetrieval {
             threshold: 0.7,
             injectionPosition: 'system'
         };
+        this.lastTrace = null;    // 🔍 最近一次检索的追踪
 
         console.log('[CorpusRetrieval] 🔍 语料库检索模块初始化');
         this.init();
@@ -228,6 +229,7 @@ export class CorpusRetrieval {
             // 按相似度排序并取前topK个
             allResults.sort((a, b) => (b.score || 0) - (a.score || 0));
             const topResults = allResults.slice(0, this.config.topK);
+            this.lastTrace = this.buildTrace(query, intent, topResults, allResults.slice(this.config.topK));
 
             console.log('[CorpusRetrieval] ✅ 检索到', topResults.length, '个相关内容');
             return topResults;
@@ -238,6 +240,36 @@ export class CorpusRetrieval {
         }
     }
 
+    /**
+     * 🔍 构建检索追踪：识别的意图、每条语料的相似度以及topK截断
+     */
+    buildTrace(query, intent, topResults, truncatedResults) {
+        const toItem = (result, status, note = '') => ({
+            id: result.hash || result.id || null,
+            content: String(result.text || '').substring(0, 200),
+            sources: [result.source].filter(Boolean),
+            scores: { corpus: result.score },
+            status: status,
+            note: note
+        });
+
+        return {
+            path: 'corpus_retrieval',
+            query: query,
+            enhancedQuery: intent.type !== 'general' ? `意图: ${intent.type}` : null,
+            cached: false,
+            weights: {
+                topK: this.config.topK,
+                threshold: this.config.threshold
+            },
+            items: [
+                ...topResults.map(result => toItem(result, 'injected')),
+                ...truncatedResults.map(result => toItem(result, 'truncated', `超出topK ${this.config.topK}`))
+            ],
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * � 新增：注入到SillyTavern
      */
@@ -292,14 +324,34 @@ export class CorpusRetrieval {
                         position = 0;
                 }
 
-                context.setExtensionPrompt(
-                    'Information bar integration tool - Corpus Retrieval',
-                    injectionText,
-                    position,
-                    depth
-                );
+                // 🧮 有提示词Token预算管理器时登记到预算中
+                const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+                if (promptBudgetManager) {
+                    await promptBudgetManager.register({
+                        source: 'corpusRetrieval',
+                        key: 'Information bar integration tool - Corpus Retrieval',
+                        content: injectionText,
+                        position: position,
+                        depth: depth
+                    });
+                } else {
+                    context.setExtensionPrompt(
+                        'Information bar integration tool - Corpus Retrieval',
+                        injectionText,
+                        position,
+                        depth
+                    );
+                }
 
                 console.log(`[CorpusRetrieval] ✅ 内容已注入到SillyTavern (depth: ${depth}, position: ${position})`);
+
+                // 🔍 检索追踪：记录本次注入的来源和token开销
+                if (this.lastTrace) {
+                    this.eventSource?.emit('retrieval:trace', {
+                        trace: this.lastTrace,
+                        injectionText: injectionText
+                    });
+                }
             } else {
                 console.warn('[CorpusRetrieval] ⚠️ SillyTavern扩展提示词API不可用');
             }
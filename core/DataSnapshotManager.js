@@ -6,6 +6,8 @@
  * - 消息删除/重新生成时的数据回溯
  * - 快照存储和管理（每个聊天50个限制）
  * - 快照数据的完整性验证
+ * - 按 (楼层, swipe_id) 保存滑动回复快照，切换swipe时自动恢复
+ * - 字段演变时间线与任意两个快照的差异对比
  *
  * @class DataSnapshotManager
  */
@@ -27,6 +29,10 @@ export class DataSnapshotManager {
         // 当前楼层跟踪
         this.currentFloors = new Map(); // chatId -> currentFloor
 
+        // 🔀 滑动回复(swipe)快照：chatId -> Map<"floor:swipeId", SwipeSnapshot>
+        this.swipeSnapshots = new Map();
+        this.maxSwipeSnapshotsPerChat = 100;
+
         // 初始化状态
         this.initialized = false;
         this.errorCount = 0;
@@ -102,6 +108,11 @@ export class DataSnapshotManager {
                 await this.handleChatChanged(data);
             });
 
+            // 🔀 监听滑动回复切换事件
+            this.eventSystem.on('message:swiped', async (data) => {
+                await this.handleMessageSwiped(data);
+            });
+
             console.log('[DataSnapshotManager] 🔗 事件监听已绑定');
 
         } catch (error) {
@@ -170,6 +181,9 @@ export class DataSnapshotManager {
                 chatId: chatId,
                 messageFloor: messageFloor,
                 timestamp: Date.now(),
+                // 📖 快照时刻的故事内时间
+                storyTime: window.SillyTavernInfobar?.modules?.timeAwareMemoryManager
+                    ?.resolveStoryTime?.(currentData.panels?.world, chatId) || null,
                 data: this.deepClone(currentData),
                 metadata: {
                     panelCount: Object.keys(currentData.panels || {}).length,
@@ -182,6 +196,11 @@ export class DataSnapshotManager {
             // 存储快照
             await this.storeSnapshot(snapshot);
 
+            // 🔀 AI数据写入时，同时记录当前可见swipe的快照
+            if (options.source === 'data_stored' || options.source === 'data_changed') {
+                await this.storeSwipeSnapshot(chatId, messageFloor, snapshot.data);
+            }
+
             // 更新当前楼层跟踪
             this.currentFloors.set(chatId, messageFloor);
 
@@ -803,6 +822,7 @@ export class DataSnapshotManager {
             const currentChatId = this.dataCore.getCurrentChatId();
             if (currentChatId) {
                 await this.loadSnapshotsForChatCompat(currentChatId);
+                this.loadSwipeSnapshotsForChat(currentChatId);
             }
 
             console.log('[DataSnapshotManager] ✅ 现有快照加载完成');
@@ -1050,6 +1070,9 @@ export class DataSnapshotManager {
             // 执行回溯
             const success = await this.rollbackToSnapshot(chatId, targetFloor);
 
+            // 🔀 已删除楼层的swipe快照不再有意义
+            await this.removeSwipeSnapshotsAfterFloor(chatId, targetFloor);
+
             if (success) {
                 console.log('[DataSnapshotManager] ✅ AI消息删除回溯成功');
             } else {
@@ -1108,6 +1131,7 @@ export class DataSnapshotManager {
             if (chatId) {
                 // 加载新聊天的快照
                 await this.loadSnapshotsForChatCompat(chatId);
+                this.loadSwipeSnapshotsForChat(chatId);
             }
 
         } catch (error) {
@@ -1115,6 +1139,224 @@ export class DataSnapshotManager {
         }
     }
 
+    /**
+     * 🔀 获取指定楼层消息当前可见的swipe_id
+     * @param {number} floor - 消息楼层
+     * @returns {number|null} swipe_id，非AI消息或无法获取时返回null
+     */
+    getActiveSwipeId(floor) {
+        try {
+            const context = SillyTavern.getContext();
+            const message = context?.chat?.[floor];
+            if (!message || message.is_user) {
+                return null;
+            }
+            return Number.isInteger(message.swipe_id) ? message.swipe_id : 0;
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 获取swipe_id失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 🔀 生成swipe快照键
+     */
+    getSwipeKey(floor, swipeId) {
+        return `${floor}:${swipeId}`;
+    }
+
+    /**
+     * 🔀 保存指定楼层当前swipe的快照
+     * @param {string} chatId - 聊天ID
+     * @param {number} floor - 消息楼层
+     * @param {Object} data - 快照数据（captureCurrentState的结果）
+     */
+    async storeSwipeSnapshot(chatId, floor, data) {
+        try {
+            const swipeId = this.getActiveSwipeId(floor);
+            if (swipeId === null) {
+                return;
+            }
+
+            if (!this.swipeSnapshots.has(chatId)) {
+                this.swipeSnapshots.set(chatId, new Map());
+            }
+            const chatSwipes = this.swipeSnapshots.get(chatId);
+
+            // 重新插入以保持Map的写入顺序（最旧的在前，便于淘汰）
+            const key = this.getSwipeKey(floor, swipeId);
+            chatSwipes.delete(key);
+            chatSwipes.set(key, {
+                floor,
+                swipeId,
+                timestamp: Date.now(),
+                data: this.deepClone(data)
+            });
+
+            while (chatSwipes.size > this.maxSwipeSnapshotsPerChat) {
+                chatSwipes.delete(chatSwipes.keys().next().value);
+            }
+
+            await this.persistSwipeSnapshots(chatId);
+            console.log('[DataSnapshotManager] 🔀 swipe快照已保存: 楼层', floor, 'swipe', swipeId);
+
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 保存swipe快照失败:', error);
+        }
+    }
+
+    /**
+     * 🔀 查找指定 (楼层, swipe_id) 的快照
+     * @returns {Object|null} swipe快照
+     */
+    findSwipeSnapshot(chatId, floor, swipeId) {
+        return this.swipeSnapshots.get(chatId)?.get(this.getSwipeKey(floor, swipeId)) || null;
+    }
+
+    /**
+     * 🔀 获取指定楼层的所有swipe快照
+     * @returns {Array} 按swipe_id排序的快照列表
+     */
+    getSwipeSnapshotsForFloor(chatId, floor) {
+        const chatSwipes = this.swipeSnapshots.get(chatId);
+        if (!chatSwipes) return [];
+        return Array.from(chatSwipes.values())
+            .filter(snapshot => snapshot.floor === floor)
+            .sort((a, b) => a.swipeId - b.swipeId);
+    }
+
+    /**
+     * 🔀 移除指定楼层之后的swipe快照
+     */
+    async removeSwipeSnapshotsAfterFloor(chatId, floor) {
+        try {
+            const chatSwipes = this.swipeSnapshots.get(chatId);
+            if (!chatSwipes) return;
+
+            let changed = false;
+            for (const [key, snapshot] of chatSwipes) {
+                if (snapshot.floor > floor) {
+                    chatSwipes.delete(key);
+                    changed = true;
+                }
+            }
+            if (changed) {
+                await this.persistSwipeSnapshots(chatId);
+            }
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 移除swipe快照失败:', error);
+        }
+    }
+
+    /**
+     * 🔀 持久化swipe快照到chatMetadata
+     */
+    async persistSwipeSnapshots(chatId) {
+        try {
+            const chatSwipes = this.swipeSnapshots.get(chatId);
+            if (!chatSwipes) return;
+            await this.dataCore.chatMetadata.set(`swipe_snapshots_${chatId}`, Array.from(chatSwipes.values()));
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 持久化swipe快照失败:', error);
+        }
+    }
+
+    /**
+     * 🔀 从chatMetadata加载swipe快照
+     */
+    loadSwipeSnapshotsForChat(chatId) {
+        try {
+            const persisted = this.dataCore.chatMetadata.get(`swipe_snapshots_${chatId}`);
+            const chatSwipes = new Map();
+            if (Array.isArray(persisted)) {
+                persisted
+                    .filter(snapshot => snapshot && Number.isInteger(snapshot.floor) && Number.isInteger(snapshot.swipeId) && snapshot.data)
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .forEach(snapshot => chatSwipes.set(this.getSwipeKey(snapshot.floor, snapshot.swipeId), snapshot));
+            }
+            this.swipeSnapshots.set(chatId, chatSwipes);
+            console.log('[DataSnapshotManager] 📥 已加载', chatSwipes.size, '个swipe快照:', chatId);
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 加载swipe快照失败:', error);
+        }
+    }
+
+    /**
+     * 🔀 处理滑动回复切换事件
+     * 有该swipe的快照时直接恢复；没有时（新生成的swipe）回到上一楼层的状态，
+     * 避免被丢弃的swipe数据残留在面板中
+     * @param {Object} data - { chatId, messageIndex, swipeId }
+     */
+    async handleMessageSwiped(data) {
+        try {
+            const chatId = data?.chatId || this.dataCore.getCurrentChatId();
+            const floor = Number(data?.messageIndex);
+            if (!chatId || !Number.isInteger(floor)) {
+                return;
+            }
+
+            const swipeId = Number.isInteger(data?.swipeId) ? data.swipeId : this.getActiveSwipeId(floor);
+            if (swipeId === null) {
+                return;
+            }
+
+            console.log('[DataSnapshotManager] 🔀 检测到swipe切换: 楼层', floor, 'swipe', swipeId);
+
+            const swipeSnapshot = this.findSwipeSnapshot(chatId, floor, swipeId);
+            let restored = false;
+
+            if (swipeSnapshot) {
+                restored = await this.restoreDataCore(chatId, swipeSnapshot.data);
+
+                // 同步楼层快照，保证后续删除/重新生成的回溯基于当前可见swipe
+                if (restored) {
+                    await this.storeSnapshot({
+                        id: this.generateSnapshotId(chatId, floor),
+                        chatId,
+                        messageFloor: floor,
+                        timestamp: Date.now(),
+                        data: this.deepClone(swipeSnapshot.data),
+                        metadata: {
+                            panelCount: Object.keys(swipeSnapshot.data.panels || {}).length,
+                            dataSize: this.calculateDataSize(swipeSnapshot.data),
+                            version: '1.0.0',
+                            source: 'swipe_restore',
+                            swipeId
+                        }
+                    });
+                }
+            } else {
+                // 新swipe尚无数据：回到上一楼层快照
+                const fallback = await this.findFallbackSnapshot(chatId, floor - 1);
+                if (fallback && fallback.floor < floor) {
+                    restored = await this.restoreDataCore(chatId, fallback.snapshot.data);
+                    await this.removeSnapshotsForFloor(chatId, floor);
+                } else {
+                    console.log('[DataSnapshotManager] ℹ️ 该swipe没有快照且无更早楼层快照，保持当前数据');
+                }
+            }
+
+            if (restored && this.eventSystem) {
+                this.eventSystem.emit('snapshot:swipe:restored', {
+                    chatId,
+                    floor,
+                    swipeId,
+                    hasSwipeSnapshot: !!swipeSnapshot,
+                    timestamp: Date.now()
+                });
+
+                // 通知渲染器用当前swipe的数据重绘信息栏
+                this.eventSystem.emit('infobar:render:request', {
+                    messageId: String(floor),
+                    source: 'swipe'
+                });
+            }
+
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 处理swipe切换失败:', error);
+        }
+    }
+
     /**
      * 获取当前消息楼层
      * @param {string} chatId - 聊天ID
@@ -1362,6 +1604,194 @@ export class DataSnapshotManager {
         }
     }
 
+    /**
+     * 🕰️ 获取聊天的快照列表（不含快照数据，按楼层升序）
+     * @param {string} chatId - 聊天ID
+     * @returns {Array} 快照摘要
+     */
+    getSnapshotList(chatId) {
+        return (this.snapshots.get(chatId) || []).map(snapshot => ({
+            id: snapshot.id,
+            messageFloor: snapshot.messageFloor,
+            timestamp: snapshot.timestamp,
+            source: snapshot.metadata?.source || 'normal',
+            panelCount: snapshot.metadata?.panelCount || Object.keys(snapshot.data?.panels || {}).length
+        }));
+    }
+
+    /**
+     * 🕰️ 按ID查找快照
+     */
+    findSnapshotById(chatId, snapshotId) {
+        return (this.snapshots.get(chatId) || []).find(snapshot => snapshot.id === snapshotId) || null;
+    }
+
+    /**
+     * 🕰️ 读取面板数据中某个字段的值
+     * @param {Object} panels - 快照面板数据
+     * @param {string} panelId - 面板ID
+     * @param {Array<string>} fieldKeys - 候选键名（存储键、中文名、英文名）
+     * @param {number} rowIndex - 多行面板的行索引
+     * @returns {*} 字段值，不存在时返回undefined
+     */
+    getSnapshotFieldValue(panels, panelId, fieldKeys, rowIndex) {
+        const panelData = panels?.[panelId];
+        if (!panelData || typeof panelData !== 'object') return undefined;
+
+        let row = panelData;
+        if (Array.isArray(panelData)) {
+            row = panelData[rowIndex || 0];
+        } else if (rowIndex > 0) {
+            return undefined;
+        }
+        if (!row || typeof row !== 'object') return undefined;
+
+        const key = fieldKeys.find(fieldKey => Object.prototype.hasOwnProperty.call(row, fieldKey));
+        return key === undefined ? undefined : row[key];
+    }
+
+    /**
+     * 🕰️ 获取单个字段在快照中的演变时间线（只保留值发生变化的快照）
+     * @param {string} chatId - 聊天ID
+     * @param {string} panelId - 面板ID
+     * @param {string|Array<string>} fieldKeys - 字段键名或候选键名
+     * @param {Object} options - { rowIndex }
+     * @returns {Array} [{ snapshotId, floor, timestamp, value, source, message }]，按楼层升序
+     */
+    getFieldTimeline(chatId, panelId, fieldKeys, options = {}) {
+        try {
+            const keys = (Array.isArray(fieldKeys) ? fieldKeys : [fieldKeys])
+                .filter(key => key !== undefined && key !== null && key !== '')
+                .map(String);
+            if (keys.length === 0) return [];
+
+            const chat = SillyTavern.getContext()?.chat || [];
+            const timeline = [];
+            let previous = null;
+
+            for (const snapshot of this.snapshots.get(chatId) || []) {
+                const value = this.getSnapshotFieldValue(snapshot.data?.panels, panelId, keys, options.rowIndex);
+                const serialized = JSON.stringify(value ?? null);
+
+                // 跳过字段出现之前的快照和未变化的快照
+                if (timeline.length === 0 && (value === undefined || value === null)) continue;
+                if (serialized === previous) continue;
+                previous = serialized;
+
+                timeline.push({
+                    snapshotId: snapshot.id,
+                    floor: snapshot.messageFloor,
+                    timestamp: snapshot.timestamp,
+                    value,
+                    source: snapshot.metadata?.source || 'normal',
+                    message: this.getMessagePreview(chat, snapshot.messageFloor)
+                });
+            }
+
+            return timeline;
+
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 获取字段时间线失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 🕰️ 获取楼层消息摘要
+     */
+    getMessagePreview(chat, floor) {
+        const message = chat[floor];
+        if (!message) return null;
+
+        const text = String(message.mes || '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return {
+            name: message.name || (message.is_user ? 'User' : 'AI'),
+            isUser: !!message.is_user,
+            text: text.length > 80 ? `${text.slice(0, 80)}…` : text
+        };
+    }
+
+    /**
+     * 🕰️ 对比两个快照中所有面板的差异
+     * @param {string} chatId - 聊天ID
+     * @param {string} fromSnapshotId - 旧快照ID
+     * @param {string} toSnapshotId - 新快照ID，传入 'current' 时与当前数据对比
+     * @returns {Promise<Object|null>} { from, to, changes: [{ panelId, rowIndex, field, type, before, after }] }
+     */
+    async diffSnapshots(chatId, fromSnapshotId, toSnapshotId = 'current') {
+        try {
+            const fromSnapshot = this.findSnapshotById(chatId, fromSnapshotId);
+            if (!fromSnapshot) {
+                throw new Error(`快照不存在: ${fromSnapshotId}`);
+            }
+
+            let toPanels;
+            let toInfo;
+            if (toSnapshotId === 'current') {
+                const currentState = await this.captureCurrentState(chatId);
+                toPanels = currentState?.panels || {};
+                toInfo = { id: 'current', messageFloor: null, timestamp: Date.now() };
+            } else {
+                const toSnapshot = this.findSnapshotById(chatId, toSnapshotId);
+                if (!toSnapshot) {
+                    throw new Error(`快照不存在: ${toSnapshotId}`);
+                }
+                toPanels = toSnapshot.data?.panels || {};
+                toInfo = { id: toSnapshot.id, messageFloor: toSnapshot.messageFloor, timestamp: toSnapshot.timestamp };
+            }
+
+            const fromPanels = fromSnapshot.data?.panels || {};
+            const toRows = (panelData) => Array.isArray(panelData) ? panelData : (panelData && typeof panelData === 'object' ? [panelData] : []);
+            const changes = [];
+
+            const panelIds = new Set([...Object.keys(fromPanels), ...Object.keys(toPanels)]);
+            for (const panelId of panelIds) {
+                const beforeRows = toRows(fromPanels[panelId]);
+                const afterRows = toRows(toPanels[panelId]);
+                const rowCount = Math.max(beforeRows.length, afterRows.length);
+
+                for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+                    const beforeRow = beforeRows[rowIndex] || {};
+                    const afterRow = afterRows[rowIndex] || {};
+                    const fields = new Set([...Object.keys(beforeRow), ...Object.keys(afterRow)]);
+
+                    for (const field of fields) {
+                        if (field.startsWith('_') || field === 'lastUpdated') continue;
+
+                        const before = beforeRow[field];
+                        const after = afterRow[field];
+                        if (JSON.stringify(before ?? null) === JSON.stringify(after ?? null)) continue;
+
+                        changes.push({
+                            panelId,
+                            rowIndex,
+                            multiRow: Array.isArray(fromPanels[panelId]) || Array.isArray(toPanels[panelId]),
+                            field,
+                            type: before === undefined ? 'added' : (after === undefined ? 'removed' : 'changed'),
+                            before,
+                            after
+                        });
+                    }
+                }
+            }
+
+            return {
+                from: { id: fromSnapshot.id, messageFloor: fromSnapshot.messageFloor, timestamp: fromSnapshot.timestamp },
+                to: toInfo,
+                changes
+            };
+
+        } catch (error) {
+            console.error('[DataSnapshotManager] ❌ 对比快照失败:', error);
+            this.handleError(error);
+            return null;
+        }
+    }
+
     /**
      * 错误处理
      * @param {Error} error - 错误对象
@@ -1390,6 +1820,7 @@ export class DataSnapshotManager {
             this.snapshots.clear();
             this.snapshotMetadata.clear();
             this.currentFloors.clear();
+            this.swipeSnapshots.clear();
 
             // 移除事件监听
             if (this.eventSystem) {
@@ -1398,6 +1829,7 @@ export class DataSnapshotManager {
                 this.eventSystem.off('message:deleted');
                 this.eventSystem.off('message:regenerated');
                 this.eventSystem.off('chat:changed');
+                this.eventSystem.off('message:swiped');
             }
 
             this.initialized = false;
@@ -13,18 +13,34 @@
  * - 记忆生命周期管理和自动迁移
  * - 记忆冲突检测和解决
  * - 记忆压缩和优化
+ * - 维护共享关键词索引（MemoryKeywordIndex）中的 deepMemory 作用域
+ * - 按聊天持久化到IndexedDB（DeepMemoryStore），活跃层立即加载，深度归档按需分页加载
  * 
  * @class DeepMemoryManager
  */
 
 export class DeepMemoryManager {
-    constructor(unifiedDataCore, eventSystem, aiMemorySummarizer, vectorizedMemoryRetrieval) {
+    constructor(unifiedDataCore, eventSystem, aiMemorySummarizer, vectorizedMemoryRetrieval, keywordIndex = null, memoryStore = null) {
         console.log('[DeepMemoryManager] 🧠 深度记忆管理器初始化开始');
         
         this.unifiedDataCore = unifiedDataCore;
         this.eventSystem = eventSystem;
         this.aiMemorySummarizer = aiMemorySummarizer;
         this.vectorizedMemoryRetrieval = vectorizedMemoryRetrieval;
+
+        // 🔍 共享关键词索引（BM25）
+        this.keywordIndex = keywordIndex;
+        this.KEYWORD_SCOPE = 'deepMemory';
+        this.keywordIndex?.registerScope(this.KEYWORD_SCOPE, (id) => this.memoryIndex.get(id));
+
+        // 💾 IndexedDB记忆存储（不可用时回退到UnifiedDataCore）
+        this.memoryStore = memoryStore;
+        this.ACTIVE_LAYERS = ['sensory', 'shortTerm', 'longTerm'];
+        this.loadedChatId = null;                 // 当前内存中记忆所属的聊天
+        this.archiveState = {
+            unloaded: 0,                           // 存储中尚未加载的归档记忆数量
+            loading: null                          // 正在进行的分页加载
+        };
         
         // 深度记忆管理设置
         this.settings = {
@@ -34,6 +50,7 @@ export class DeepMemoryManager {
             shortTermMemoryCapacity: 500,          // 短期记忆容量
             longTermMemoryCapacity: 5000,          // 长期记忆容量
             deepArchiveCapacity: 50000,            // 深度归档容量
+            archivePageSize: 200,                  // 深度归档每页加载数量
             
             // 记忆迁移阈值
             sensoryToShortTermThreshold: 0.3,      // 感知->短期阈值
@@ -318,6 +335,9 @@ export class DeepMemoryManager {
                 timestamp: Date.now(),
                 layer: 'sensory',
 
+                // 📖 故事内时间（由时间感知记忆管理器的故事时钟提供）
+                storyTime: window.SillyTavernInfobar?.modules?.timeAwareMemoryManager?.getCurrentStoryTime?.() || null,
+
                 // 初始评分
                 importance: 0,
                 recency: 1.0,
@@ -347,6 +367,7 @@ export class DeepMemoryManager {
             // 添加到感知记忆层
             this.memoryLayers.sensory.set(memory.id, memory);
             this.memoryIndex.set(memory.id, memory);
+            this.keywordIndex?.add(this.KEYWORD_SCOPE, memory.id, memory.content, { layer: 'sensory' });
             
             // 更新统计
             this.stats.totalMemories++;
@@ -504,7 +525,8 @@ export class DeepMemoryManager {
         try {
             console.log('[DeepMemoryManager] 🗑️ 从感知记忆层驱逐记忆...');
             
-            const sensoryMemories = Array.from(this.memoryLayers.sensory.values());
+            const sensoryMemories = Array.from(this.memoryLayers.sensory.values())
+                .filter(memory => !this.isMemoryPinned(memory));
             
             // 按重要性和时间排序，驱逐最不重要的记忆
             sensoryMemories.sort((a, b) => {
@@ -518,6 +540,7 @@ export class DeepMemoryManager {
             if (memoryToEvict) {
                 this.memoryLayers.sensory.delete(memoryToEvict.id);
                 this.memoryIndex.delete(memoryToEvict.id);
+                this.keywordIndex?.remove(this.KEYWORD_SCOPE, memoryToEvict.id);
                 
                 console.log(`[DeepMemoryManager] 🗑️ 已驱逐感知记忆: ${memoryToEvict.id}`);
             }
@@ -529,8 +552,9 @@ export class DeepMemoryManager {
 
     /**
      * 记忆迁移
+     * @param {string} reason - 迁移原因（记录到迁移历史）
      */
-    async migrateMemory(memoryId, fromLayer, toLayer) {
+    async migrateMemory(memoryId, fromLayer, toLayer, reason = 'automatic_migration') {
         try {
             console.log(`[DeepMemoryManager] 🔄 迁移记忆: ${memoryId} (${fromLayer} -> ${toLayer})`);
             
@@ -547,7 +571,7 @@ export class DeepMemoryManager {
                 deepArchive: this.settings.deepArchiveCapacity
             };
             
-            if (this.memoryLayers[toLayer].size >= capacitySettings[toLayer]) {
+            if (this.getLayerSize(toLayer) >= capacitySettings[toLayer]) {
                 await this.evictFromLayer(toLayer);
             }
             
@@ -558,7 +582,7 @@ export class DeepMemoryManager {
                 from: fromLayer,
                 to: toLayer,
                 timestamp: Date.now(),
-                reason: 'automatic_migration'
+                reason: reason
             });
             
             // 如果迁移到长期记忆或归档，进行深度处理
@@ -569,6 +593,7 @@ export class DeepMemoryManager {
             // 移动记忆
             this.memoryLayers[fromLayer].delete(memoryId);
             this.memoryLayers[toLayer].set(memoryId, memory);
+            this.keywordIndex?.updateMeta(this.KEYWORD_SCOPE, memoryId, { layer: toLayer });
             
             // 更新统计
             this.stats.memoryMigrations++;
@@ -599,6 +624,166 @@ export class DeepMemoryManager {
         }
     }
 
+    /**
+     * 🔍 查找记忆所在的层
+     * @returns {string|null}
+     */
+    findMemoryLayer(memoryId) {
+        for (const [layerName, layer] of Object.entries(this.memoryLayers)) {
+            if (layer.has(memoryId)) return layerName;
+        }
+        return null;
+    }
+
+    /**
+     * 🔒 记忆是否被固定（固定的记忆不会被驱逐、衰减移除、过期清理或合并删除）
+     */
+    isMemoryPinned(memory) {
+        return memory?.metadata?.pinned === true;
+    }
+
+    /**
+     * ✏️ 编辑记忆内容和重要性（记忆检查器调用）
+     * @param {string} memoryId - 记忆ID
+     * @param {Object} changes - { content, importance }
+     * @returns {Object|null} 更新后的记忆
+     */
+    async updateMemory(memoryId, changes = {}) {
+        try {
+            await this.ensureMemoriesLoaded([memoryId]);
+            const memory = this.memoryIndex.get(memoryId);
+            if (!memory) {
+                console.warn(`[DeepMemoryManager] ⚠️ 记忆不存在: ${memoryId}`);
+                return null;
+            }
+
+            memory.metadata = memory.metadata || {};
+
+            if (typeof changes.content === 'string' && changes.content.trim() && changes.content !== memory.content) {
+                memory.content = changes.content.trim();
+                memory.metadata.editedAt = Date.now();
+                this.keywordIndex?.add(this.KEYWORD_SCOPE, memory.id, memory.content, { layer: this.findMemoryLayer(memoryId) });
+
+                // 内容变化后旧向量失效
+                if (memory.vector) {
+                    memory.vector = await this.vectorizedMemoryRetrieval?.vectorizeText(memory.content) || null;
+                }
+
+                // 向量检索索引中的条目保存了旧内容，需移除后按新内容重新索引
+                await this.reindexVectorMemory(memory, this.findMemoryLayer(memoryId));
+            }
+
+            if (changes.importance !== undefined && !isNaN(parseFloat(changes.importance))) {
+                // 手动设置的重要性不会在深度处理时被重新评估覆盖
+                memory.importance = Math.max(0, Math.min(1, parseFloat(changes.importance)));
+                memory.metadata.manualImportance = true;
+            }
+
+            await this.saveMemoryData();
+
+            this.eventSystem?.emit('deep-memory-manager:memory-edited', {
+                memoryId: memoryId,
+                memory: memory,
+                timestamp: Date.now()
+            });
+
+            return memory;
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 编辑记忆失败:', error);
+            this.handleError(error);
+            return null;
+        }
+    }
+
+    /**
+     * 🔍 移除向量检索索引中的旧条目并按当前内容重新索引
+     */
+    async reindexVectorMemory(memory, layer) {
+        const vmr = this.vectorizedMemoryRetrieval;
+        if (!vmr) return;
+
+        try {
+            await vmr.removeFromIndex?.([memory.id]);
+            await vmr.handleMemoryUpdated?.({ action: 'add', memory, layer, timestamp: Date.now() });
+        } catch (error) {
+            console.warn('[DeepMemoryManager] ⚠️ 重新索引记忆失败:', memory.id, error);
+        }
+    }
+
+    /**
+     * 🔒 固定/取消固定记忆
+     */
+    async setMemoryPinned(memoryId, pinned) {
+        try {
+            await this.ensureMemoriesLoaded([memoryId]);
+            const memory = this.memoryIndex.get(memoryId);
+            if (!memory) return false;
+
+            memory.metadata = memory.metadata || {};
+            memory.metadata.pinned = !!pinned;
+            await this.saveMemoryData();
+
+            this.eventSystem?.emit('deep-memory-manager:memory-edited', {
+                memoryId: memoryId,
+                memory: memory,
+                timestamp: Date.now()
+            });
+
+            return true;
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 固定记忆失败:', error);
+            this.handleError(error);
+            return false;
+        }
+    }
+
+    /**
+     * 🗑️ 遗忘记忆：从所在层、索引和持久化存储中删除
+     */
+    async forgetMemory(memoryId) {
+        try {
+            await this.ensureMemoriesLoaded([memoryId]);
+            const layerName = this.findMemoryLayer(memoryId);
+            if (!layerName) return false;
+
+            this.memoryLayers[layerName].delete(memoryId);
+            this.memoryIndex.delete(memoryId);
+            this.keywordIndex?.remove(this.KEYWORD_SCOPE, memoryId);
+            await this.vectorizedMemoryRetrieval?.removeFromIndex?.([memoryId]);
+            this.stats.totalMemories = Math.max(0, this.stats.totalMemories - 1);
+
+            await this.saveMemoryData();
+
+            console.log(`[DeepMemoryManager] 🗑️ 已遗忘记忆: ${memoryId} (${layerName})`);
+
+            this.eventSystem?.emit('deep-memory-manager:memory-forgotten', {
+                memoryId: memoryId,
+                layer: layerName,
+                timestamp: Date.now()
+            });
+
+            return true;
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 遗忘记忆失败:', error);
+            this.handleError(error);
+            return false;
+        }
+    }
+
+    /**
+     * 🔄 手动将记忆迁移到指定层
+     */
+    async forceMigrateMemory(memoryId, toLayer) {
+        await this.ensureMemoriesLoaded([memoryId]);
+        const fromLayer = this.findMemoryLayer(memoryId);
+        if (!fromLayer || !this.memoryLayers[toLayer] || fromLayer === toLayer) return false;
+
+        return await this.migrateMemory(memoryId, fromLayer, toLayer, 'manual_migration');
+    }
+
     /**
      * 错误处理
      */
@@ -623,8 +808,10 @@ export class DeepMemoryManager {
         try {
             console.log(`[DeepMemoryManager] 🔬 深度处理记忆: ${memory.id}`);
 
-            // 详细重要性评估
-            memory.importance = await this.evaluateMemoryImportance(memory);
+            // 详细重要性评估（保留手动设置的重要性）
+            if (!memory.metadata?.manualImportance) {
+                memory.importance = await this.evaluateMemoryImportance(memory);
+            }
 
             // 记忆分类
             memory.category = await this.classifyMemoryCategory(memory);
@@ -1070,9 +1257,10 @@ export class DeepMemoryManager {
                 memory.recency *= Math.pow(this.settings.sensoryMemoryDecayRate, age);
 
                 // 如果衰减过低，移除记忆
-                if (memory.recency < 0.1) {
+                if (memory.recency < 0.1 && !this.isMemoryPinned(memory)) {
                     this.memoryLayers.sensory.delete(id);
                     this.memoryIndex.delete(id);
+                    this.keywordIndex?.remove(this.KEYWORD_SCOPE, id);
                 }
             }
 
@@ -1399,7 +1587,13 @@ export class DeepMemoryManager {
             console.log(`[DeepMemoryManager] 🗑️ 从${layerName}层驱逐记忆...`);
 
             const layer = this.memoryLayers[layerName];
-            const memories = Array.from(layer.values());
+
+            // 💾 深度归档尚未加载时先加载一页作为驱逐候选
+            if (layerName === 'deepArchive' && layer.size === 0 && this.archiveState.unloaded > 0) {
+                await this.loadArchivePage();
+            }
+
+            const memories = Array.from(layer.values()).filter(memory => !this.isMemoryPinned(memory));
 
             if (memories.length === 0) return;
 
@@ -1418,6 +1612,7 @@ export class DeepMemoryManager {
             const memoryToEvict = memories[0];
             layer.delete(memoryToEvict.id);
             this.memoryIndex.delete(memoryToEvict.id);
+            this.keywordIndex?.remove(this.KEYWORD_SCOPE, memoryToEvict.id);
 
             console.log(`[DeepMemoryManager] 🗑️ 已从${layerName}层驱逐记忆: ${memoryToEvict.id}`);
 
@@ -1492,6 +1687,12 @@ export class DeepMemoryManager {
                 console.log('[DeepMemoryManager] 🎯 使用指定的聊天ID:', targetChatId);
             }
 
+            // 💾 IndexedDB存储：活跃层立即加载，深度归档按需分页
+            if (this.memoryStore?.available) {
+                await this.loadFromMemoryStore(currentChatId);
+                return;
+            }
+
             const layerNames = ['sensory', 'shortTerm', 'longTerm', 'deepArchive'];
             let loadedCount = 0;
 
@@ -1527,12 +1728,237 @@ export class DeepMemoryManager {
             }
 
             console.log(`[DeepMemoryManager] ✅ 加载完成: ${loadedCount} 个记忆 (聊天: ${currentChatId})`);
+            this.loadedChatId = currentChatId;
+
+            // 🔍 关键词索引切换到该聊天并与已加载的记忆对齐
+            await this.syncKeywordIndex(currentChatId);
 
         } catch (error) {
             console.error('[DeepMemoryManager] ❌ 加载现有记忆数据失败:', error);
         }
     }
 
+    /**
+     * 💾 从IndexedDB加载聊天记忆：活跃层全部加载，深度归档只统计数量
+     * @param {string} chatId - 聊天ID
+     */
+    async loadFromMemoryStore(chatId) {
+        const importedArchive = await this.importLegacyMemories(chatId);
+
+        const layers = await this.memoryStore.loadLayers(chatId, this.ACTIVE_LAYERS);
+        let loadedCount = 0;
+        for (const [layerName, memories] of Object.entries(layers)) {
+            for (const memory of memories) {
+                this.memoryLayers[layerName].set(memory.id, memory);
+                this.memoryIndex.set(memory.id, memory);
+                loadedCount++;
+            }
+        }
+
+        this.stats.totalMemories += loadedCount;
+        this.loadedChatId = chatId;
+        this.archiveState.unloaded = await this.memoryStore.countLayer(chatId, 'deepArchive');
+
+        console.log(`[DeepMemoryManager] ✅ 加载完成: ${loadedCount} 个活跃记忆，${this.archiveState.unloaded} 个归档记忆待按需加载 (聊天: ${chatId})`);
+
+        // 🔍 未加载的归档记忆保留在关键词索引中，迁移过来的归档记忆在此补充索引
+        await this.syncKeywordIndex(chatId, importedArchive);
+    }
+
+    /**
+     * 💾 将旧版存储（deep_memory_<layer>_<chatId>）中的记忆一次性迁移到IndexedDB并删除旧数据
+     * @param {string} chatId - 聊天ID
+     * @returns {Promise<Array>} 迁移的深度归档记忆（用于补充关键词索引）
+     */
+    async importLegacyMemories(chatId) {
+        try {
+            if (!this.unifiedDataCore || await this.memoryStore.getChatInfo(chatId)) return [];
+
+            const memories = [];
+            const legacyKeys = [];
+            for (const layerName of Object.keys(this.memoryLayers)) {
+                const layerKey = `deep_memory_${layerName}_${chatId}`;
+                const layerData = await this.unifiedDataCore.getData(layerKey);
+                if (!layerData || Object.keys(layerData).length === 0) continue;
+
+                legacyKeys.push(layerKey);
+                for (const [id, memory] of Object.entries(layerData)) {
+                    const memoryChatId = memory.metadata?.chatId ||
+                                       memory.metadata?.originalData?.chatId ||
+                                       'unknown';
+                    if (memoryChatId === chatId || memoryChatId === 'unknown') {
+                        memories.push({ ...memory, id, layer: layerName });
+                    }
+                }
+            }
+
+            if (legacyKeys.length === 0) return [];
+
+            await this.memoryStore.importMemories(chatId, memories);
+            for (const layerKey of legacyKeys) {
+                await this.unifiedDataCore.deleteData(layerKey);
+            }
+
+            console.log(`[DeepMemoryManager] 📦 已将 ${memories.length} 个旧版记忆迁移到IndexedDB (聊天: ${chatId})`);
+            return memories.filter(memory => memory.layer === 'deepArchive');
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 迁移旧版记忆数据失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 💾 分页加载深度归档（按时间从新到旧）
+     * @param {number} limit - 本页数量，默认使用 archivePageSize
+     * @returns {Promise<Array>} 本次加载的记忆
+     */
+    async loadArchivePage(limit = null) {
+        if (!this.memoryStore?.available || !this.loadedChatId || this.archiveState.unloaded <= 0) return [];
+        if (this.archiveState.loading) return this.archiveState.loading;
+
+        const chatId = this.loadedChatId;
+        this.archiveState.loading = (async () => {
+            try {
+                const memories = await this.memoryStore.loadPage(chatId, 'deepArchive', {
+                    limit: limit || this.settings.archivePageSize,
+                    exclude: new Set(this.memoryLayers.deepArchive.keys())
+                });
+
+                // 加载期间切换了聊天：丢弃结果
+                if (chatId !== this.loadedChatId) return [];
+
+                this.attachStoredMemories(memories);
+                console.log(`[DeepMemoryManager] 📄 已加载 ${memories.length} 个归档记忆，剩余 ${this.archiveState.unloaded} 个`);
+                return memories;
+
+            } catch (error) {
+                console.error('[DeepMemoryManager] ❌ 加载归档记忆失败:', error);
+                return [];
+            } finally {
+                this.archiveState.loading = null;
+            }
+        })();
+
+        return this.archiveState.loading;
+    }
+
+    /**
+     * 💾 确保指定记忆已加载（检索命中尚未加载的归档记忆时按ID读取）
+     * @param {Array<string>} ids - 记忆ID
+     * @returns {Promise<number>} 新加载的数量
+     */
+    async ensureMemoriesLoaded(ids) {
+        try {
+            if (!this.memoryStore?.available || !this.loadedChatId || this.archiveState.unloaded <= 0) return 0;
+
+            const missing = (ids || []).filter(id => !this.memoryIndex.has(id));
+            if (missing.length === 0) return 0;
+
+            const chatId = this.loadedChatId;
+            const memories = await this.memoryStore.getMemories(chatId, missing);
+            if (chatId !== this.loadedChatId) return 0;
+
+            this.attachStoredMemories(memories);
+            return memories.length;
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 按需加载记忆失败:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 将从存储读取的记忆挂载到记忆层
+     */
+    attachStoredMemories(memories) {
+        for (const memory of memories) {
+            if (this.memoryIndex.has(memory.id)) continue;
+
+            const layerName = this.memoryLayers[memory.layer] ? memory.layer : 'deepArchive';
+            this.memoryLayers[layerName].set(memory.id, memory);
+            this.memoryIndex.set(memory.id, memory);
+            this.stats.totalMemories++;
+
+            if (layerName === 'deepArchive') {
+                this.archiveState.unloaded = Math.max(0, this.archiveState.unloaded - 1);
+            }
+        }
+    }
+
+    /**
+     * 获取层的记忆总数（深度归档包含尚未加载的部分）
+     */
+    getLayerSize(layerName) {
+        const loaded = this.memoryLayers[layerName]?.size || 0;
+        return layerName === 'deepArchive' ? loaded + this.archiveState.unloaded : loaded;
+    }
+
+    /**
+     * 💾 删除聊天的持久化记忆（清空深度记忆数据时调用）
+     * @param {string} chatId - 聊天ID，默认当前加载的聊天
+     */
+    async deleteChatMemories(chatId = null) {
+        try {
+            const targetChatId = chatId || this.loadedChatId || this.unifiedDataCore?.getCurrentChatId?.();
+            if (!targetChatId) return;
+
+            if (this.memoryStore?.available) {
+                await this.memoryStore.deleteChat(targetChatId);
+            } else if (this.unifiedDataCore) {
+                for (const layerName of Object.keys(this.memoryLayers)) {
+                    await this.unifiedDataCore.deleteData(`deep_memory_${layerName}_${targetChatId}`);
+                }
+            }
+
+            if (targetChatId === this.loadedChatId) {
+                Object.values(this.memoryLayers).forEach(layer => layer.clear());
+                this.memoryIndex.clear();
+                this.stats.totalMemories = 0;
+                this.archiveState.unloaded = 0;
+                this.keywordIndex?.clearScope(this.KEYWORD_SCOPE);
+            }
+
+            console.log('[DeepMemoryManager] 🗑️ 已删除聊天记忆:', targetChatId);
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 删除聊天记忆失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 🔍 将关键词索引与当前记忆层对齐（切换聊天、重新加载、索引优化后调用）
+     * @param {string} chatId - 记忆所属聊天ID
+     * @param {Array} extraMemories - 不在记忆层中但需要索引的记忆（如迁移来的归档记忆）
+     */
+    async syncKeywordIndex(chatId = null, extraMemories = []) {
+        try {
+            if (!this.keywordIndex) return;
+
+            const targetChatId = chatId || this.loadedChatId || this.unifiedDataCore?.getCurrentChatId?.() || 'default';
+            const entries = [];
+            for (const [layerName, layer] of Object.entries(this.memoryLayers)) {
+                for (const [id, memory] of layer) {
+                    entries.push([id, { text: memory.content, meta: { layer: layerName } }]);
+                }
+            }
+            extraMemories.forEach(memory => {
+                entries.push([memory.id, { text: memory.content, meta: { layer: memory.layer } }]);
+            });
+
+            // 💾 尚未加载的归档记忆仍然存在，保留其索引
+            const retainIds = this.memoryStore?.available && this.archiveState.unloaded > 0
+                ? await this.memoryStore.getLayerIds(targetChatId, 'deepArchive')
+                : [];
+
+            await this.keywordIndex.syncScope(this.KEYWORD_SCOPE, entries, targetChatId, { retainIds });
+
+        } catch (error) {
+            console.error('[DeepMemoryManager] ❌ 同步关键词索引失败:', error);
+        }
+    }
+
     /**
      * 保存记忆数据
      */
@@ -1544,6 +1970,15 @@ export class DeepMemoryManager {
 
             // 🔧 修复：获取当前聊天ID，按聊天分别保存记忆数据
             const currentChatId = this.unifiedDataCore.getCurrentChatId?.() || 'default';
+
+            // 💾 IndexedDB存储：保存到记忆所属的聊天，只写入变化的记忆
+            if (this.memoryStore?.available) {
+                const chatId = this.loadedChatId || currentChatId;
+                const { written, deleted } = await this.memoryStore.saveChanges(chatId, this.collectLoadedMemories());
+                console.log(`[DeepMemoryManager] ✅ 记忆数据保存完成 (聊天: ${chatId}, 写入 ${written}, 删除 ${deleted})`);
+                return;
+            }
+
             console.log('[DeepMemoryManager] 📍 保存到聊天:', currentChatId);
 
             // 保存各层记忆数据，使用聊天ID作为前缀
@@ -1560,6 +1995,23 @@ export class DeepMemoryManager {
         }
     }
 
+    /**
+     * 收集内存中的全部记忆（以所在层为准修正记忆的layer字段）
+     * @returns {Map<string, Object>}
+     */
+    collectLoadedMemories() {
+        const memories = new Map();
+        for (const [layerName, layer] of Object.entries(this.memoryLayers)) {
+            for (const [id, memory] of layer) {
+                if (memory.layer !== layerName) {
+                    memory.layer = layerName;
+                }
+                memories.set(id, memory);
+            }
+        }
+        return memories;
+    }
+
     /**
      * 处理聊天切换事件
      */
@@ -1573,8 +2025,8 @@ export class DeepMemoryManager {
                 return;
             }
 
-            // 🔧 P0修复：保存当前聊天的记忆数据（如果有）
-            if (this.stats.totalMemories > 0) {
+            // 🔧 P0修复：保存当前聊天的记忆数据（如果有；IndexedDB存储还需要保存删除）
+            if (this.stats.totalMemories > 0 || this.memoryStore?.available) {
                 console.log('[DeepMemoryManager] 💾 保存当前聊天的记忆数据...');
                 console.log(`[DeepMemoryManager] 📊 保存前统计: ${this.stats.totalMemories} 个记忆`);
                 await this.saveMemoryData();
@@ -1595,6 +2047,13 @@ export class DeepMemoryManager {
             this.memoryRelations.clear();
             this.memoryConflicts.clear();
 
+            // 💾 释放旧聊天的存储跟踪状态
+            if (this.loadedChatId && this.loadedChatId !== newChatId) {
+                this.memoryStore?.releaseChat(this.loadedChatId);
+            }
+            this.loadedChatId = null;
+            this.archiveState.unloaded = 0;
+
             // 🔧 P0修复：重置统计信息
             this.stats.totalMemories = 0;
             this.stats.memoryMigrations = 0;
@@ -1796,6 +2255,10 @@ export class DeepMemoryManager {
 
             // 1. 清理感知记忆层（最新的记忆）
             const sensoryMemoryCount = this.memoryLayers.sensory.size;
+            for (const id of this.memoryLayers.sensory.keys()) {
+                this.memoryIndex.delete(id);
+                this.keywordIndex?.remove(this.KEYWORD_SCOPE, id);
+            }
             this.memoryLayers.sensory.clear();
             totalCleared += sensoryMemoryCount;
 
@@ -1808,6 +2271,7 @@ export class DeepMemoryManager {
                 if (now - memory.timestamp < recentThreshold) {
                     this.memoryLayers.shortTerm.delete(id);
                     this.memoryIndex.delete(id);
+                    this.keywordIndex?.remove(this.KEYWORD_SCOPE, id);
                     shortTermCleared.push(id);
                 }
             }
@@ -1907,6 +2371,7 @@ export class DeepMemoryManager {
     async resolveMemoryConflict(conflict) {
         try {
             const { memory1, memory2, similarity } = conflict;
+            if (this.isMemoryPinned(memory1) || this.isMemoryPinned(memory2)) return;
 
             // 选择重要性更高的记忆作为主记忆
             const primaryMemory = memory1.importance >= memory2.importance ? memory1 : memory2;
@@ -1930,6 +2395,7 @@ export class DeepMemoryManager {
             }
 
             this.memoryIndex.delete(secondaryMemory.id);
+            this.keywordIndex?.remove(this.KEYWORD_SCOPE, secondaryMemory.id);
 
             console.log(`[DeepMemoryManager] 🔗 合并冲突记忆: ${secondaryMemory.id} -> ${primaryMemory.id}`);
 
@@ -1990,6 +2456,7 @@ export class DeepMemoryManager {
      */
     async compressMemoryGroup(memories) {
         try {
+            memories = memories.filter(memory => !this.isMemoryPinned(memory));
             if (memories.length < 2) return;
 
             // 选择最重要的记忆作为主记忆
@@ -2006,12 +2473,14 @@ export class DeepMemoryManager {
             primaryMemory.metadata.compressed = true;
             primaryMemory.metadata.originalCount = memories.length;
             primaryMemory.metadata.compressedAt = Date.now();
+            this.keywordIndex?.add(this.KEYWORD_SCOPE, primaryMemory.id, primaryMemory.content, { layer: primaryMemory.layer });
 
             // 删除其他记忆
             for (const memory of memories) {
                 if (memory.id !== primaryMemory.id) {
                     this.memoryLayers.longTerm.delete(memory.id);
                     this.memoryIndex.delete(memory.id);
+                    this.keywordIndex?.remove(this.KEYWORD_SCOPE, memory.id);
                 }
             }
 
@@ -2112,6 +2581,9 @@ export class DeepMemoryManager {
                 }
             }
 
+            // 关键词索引同样按记忆层重新对齐
+            await this.syncKeywordIndex();
+
         } catch (error) {
             console.error('[DeepMemoryManager] ❌ 优化记忆索引失败:', error);
         }
@@ -2127,9 +2599,10 @@ export class DeepMemoryManager {
 
             // 清理过期的感知记忆
             for (const [id, memory] of this.memoryLayers.sensory) {
-                if (memory.timestamp < oneMonthAgo && memory.importance < 0.3) {
+                if (memory.timestamp < oneMonthAgo && memory.importance < 0.3 && !this.isMemoryPinned(memory)) {
                     this.memoryLayers.sensory.delete(id);
                     this.memoryIndex.delete(id);
+                    this.keywordIndex?.remove(this.KEYWORD_SCOPE, id);
                 }
             }
 
@@ -2149,7 +2622,13 @@ export class DeepMemoryManager {
                 sensory: this.memoryLayers.sensory.size,
                 shortTerm: this.memoryLayers.shortTerm.size,
                 longTerm: this.memoryLayers.longTerm.size,
-                deepArchive: this.memoryLayers.deepArchive.size
+                deepArchive: this.getLayerSize('deepArchive')
+            },
+            persistence: {
+                backend: this.memoryStore?.available ? 'indexedDB' : 'settings',
+                chatId: this.loadedChatId,
+                archiveLoaded: this.memoryLayers.deepArchive.size,
+                archiveUnloaded: this.archiveState.unloaded
             },
             stats: this.stats,
             isProcessing: this.isProcessing,
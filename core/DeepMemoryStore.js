@@ -0,0 +1,397 @@
+/**
+ * 深度记忆存储
+ *
+ * 基于IndexedDB的按聊天记忆存储，替代通过extensionSettings保存的四层记忆数据：
+ * - 记忆按 [chatId, id] 存储，每条记录带层级和时间戳索引
+ * - 活跃层（感知/短期/长期）切换聊天时整体加载，深度归档按时间倒序分页加载
+ * - 增量保存：只写入内容签名发生变化的记忆，只删除已加载且不再存在的记忆
+ * - 当前环境不支持IndexedDB时 available 为 false，由调用方回退到旧的存储方式
+ *
+ * @class DeepMemoryStore
+ */
+
+export class DeepMemoryStore {
+    constructor({ eventSystem } = {}) {
+        console.log('[DeepMemoryStore] 🔧 深度记忆存储初始化开始');
+
+        this.eventSystem = eventSystem;
+
+        // 数据库配置
+        this.DB_NAME = 'InfobarDeepMemory';
+        this.DB_VERSION = 1;
+        this.MEMORY_STORE = 'memories';
+        this.CHAT_STORE = 'chats';
+
+        this.db = null;
+        this.available = false;
+
+        // 已加载聊天的持久化记忆签名：chatId -> Map<id, signature>（用于增量保存和删除判定）
+        this.tracked = new Map();
+
+        // 统计
+        this.stats = {
+            writes: 0,
+            deletes: 0,
+            pagesLoaded: 0,
+            lastSaveTime: 0
+        };
+
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[DeepMemoryStore] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 打开数据库
+     */
+    async init() {
+        try {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('[DeepMemoryStore] ⚠️ 当前环境不支持IndexedDB，深度记忆将使用旧的存储方式');
+                this.initialized = true;
+                return;
+            }
+
+            this.db = await this.openDatabase();
+            this.available = true;
+            this.initialized = true;
+            console.log('[DeepMemoryStore] ✅ 深度记忆存储初始化完成');
+
+        } catch (error) {
+            console.error('[DeepMemoryStore] ❌ 打开IndexedDB失败，深度记忆将使用旧的存储方式:', error);
+            this.available = false;
+            this.initialized = true;
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 打开（必要时创建/升级）数据库
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.MEMORY_STORE)) {
+                    const memories = db.createObjectStore(this.MEMORY_STORE, { keyPath: ['chatId', 'id'] });
+                    memories.createIndex('chatId', 'chatId', { unique: false });
+                    memories.createIndex('chatLayer', ['chatId', 'layer'], { unique: false });
+                    memories.createIndex('chatLayerTime', ['chatId', 'layer', 'timestamp'], { unique: false });
+                }
+                if (!db.objectStoreNames.contains(this.CHAT_STORE)) {
+                    db.createObjectStore(this.CHAT_STORE, { keyPath: 'chatId' });
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // 其他标签页升级数据库时主动关闭连接
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                    this.available = false;
+                    console.warn('[DeepMemoryStore] ⚠️ 数据库版本已在其他页面更新，当前连接已关闭');
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('[DeepMemoryStore] ⚠️ 数据库打开被其他页面阻塞');
+        });
+    }
+
+    /**
+     * 包装IDBRequest为Promise
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 等待事务完成
+     */
+    transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+        });
+    }
+
+    /**
+     * 计算记忆签名（djb2），用于判断记忆是否需要重新写入
+     */
+    computeSignature(memory) {
+        let text;
+        try {
+            text = JSON.stringify(memory);
+        } catch (error) {
+            return `${Date.now()}`;
+        }
+
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `${text.length}:${hash >>> 0}`;
+    }
+
+    /**
+     * 获取聊天的跟踪状态
+     */
+    getTracked(chatId) {
+        if (!this.tracked.has(chatId)) {
+            this.tracked.set(chatId, new Map());
+        }
+        return this.tracked.get(chatId);
+    }
+
+    /**
+     * 释放聊天的跟踪状态（聊天从内存中卸载后调用）
+     */
+    releaseChat(chatId) {
+        this.tracked.delete(chatId);
+    }
+
+    /**
+     * 记录已加载的记忆
+     */
+    track(chatId, records) {
+        const tracked = this.getTracked(chatId);
+        for (const record of records) {
+            tracked.set(record.id, this.computeSignature(record.memory));
+        }
+        return records.map(record => record.memory);
+    }
+
+    /**
+     * 获取聊天记录（存储摘要）
+     */
+    async getChatInfo(chatId) {
+        if (!this.available) return null;
+        const transaction = this.db.transaction(this.CHAT_STORE, 'readonly');
+        return (await this.promisify(transaction.objectStore(this.CHAT_STORE).get(chatId))) || null;
+    }
+
+    /**
+     * 统计指定层的记忆数量
+     */
+    async countLayer(chatId, layer) {
+        if (!this.available) return 0;
+        const transaction = this.db.transaction(this.MEMORY_STORE, 'readonly');
+        const index = transaction.objectStore(this.MEMORY_STORE).index('chatLayer');
+        return this.promisify(index.count(IDBKeyRange.only([chatId, layer])));
+    }
+
+    /**
+     * 整体加载指定层
+     * @param {string} chatId - 聊天ID
+     * @param {Array<string>} layers - 层名列表
+     * @returns {Object} layer -> Array<memory>
+     */
+    async loadLayers(chatId, layers) {
+        const result = {};
+        if (!this.available) return result;
+
+        const transaction = this.db.transaction(this.MEMORY_STORE, 'readonly');
+        const index = transaction.objectStore(this.MEMORY_STORE).index('chatLayer');
+
+        for (const layer of layers) {
+            const records = await this.promisify(index.getAll(IDBKeyRange.only([chatId, layer])));
+            result[layer] = this.track(chatId, records);
+        }
+
+        return result;
+    }
+
+    /**
+     * 按时间倒序分页加载指定层
+     * @param {string} chatId - 聊天ID
+     * @param {string} layer - 层名
+     * @param {Object} options - { limit: 每页数量, exclude: 已加载的ID集合 }
+     * @returns {Array<memory>}
+     */
+    async loadPage(chatId, layer, options = {}) {
+        if (!this.available) return [];
+
+        const limit = options.limit || 200;
+        const exclude = options.exclude || new Set();
+        const transaction = this.db.transaction(this.MEMORY_STORE, 'readonly');
+        const index = transaction.objectStore(this.MEMORY_STORE).index('chatLayerTime');
+        const range = IDBKeyRange.bound([chatId, layer, -Infinity], [chatId, layer, Infinity]);
+
+        const records = await new Promise((resolve, reject) => {
+            const page = [];
+            const request = index.openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || page.length >= limit) {
+                    resolve(page);
+                    return;
+                }
+                if (!exclude.has(cursor.value.id)) {
+                    page.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        this.stats.pagesLoaded++;
+        return this.track(chatId, records);
+    }
+
+    /**
+     * 按ID加载记忆（检索命中未加载的归档记忆时使用）
+     */
+    async getMemories(chatId, ids) {
+        if (!this.available || !ids?.length) return [];
+
+        const transaction = this.db.transaction(this.MEMORY_STORE, 'readonly');
+        const store = transaction.objectStore(this.MEMORY_STORE);
+        const records = await Promise.all(ids.map(id => this.promisify(store.get([chatId, id]))));
+
+        return this.track(chatId, records.filter(Boolean));
+    }
+
+    /**
+     * 获取指定层的全部记忆ID（不读取记忆内容）
+     */
+    async getLayerIds(chatId, layer) {
+        if (!this.available) return [];
+        const transaction = this.db.transaction(this.MEMORY_STORE, 'readonly');
+        const index = transaction.objectStore(this.MEMORY_STORE).index('chatLayer');
+        const keys = await this.promisify(index.getAllKeys(IDBKeyRange.only([chatId, layer])));
+        return keys.map(key => key[1]);
+    }
+
+    /**
+     * 增量保存当前已加载的记忆
+     * @param {string} chatId - 聊天ID
+     * @param {Map<string, Object>} memories - 当前内存中的全部记忆（id -> memory）
+     * @returns {Object} { written, deleted }
+     */
+    async saveChanges(chatId, memories) {
+        if (!this.available) return { written: 0, deleted: 0 };
+
+        const tracked = this.getTracked(chatId);
+        const toWrite = [];
+        for (const [id, memory] of memories) {
+            const signature = this.computeSignature(memory);
+            if (tracked.get(id) !== signature) {
+                toWrite.push({ id, memory, signature });
+            }
+        }
+
+        const toDelete = Array.from(tracked.keys()).filter(id => !memories.has(id));
+
+        if (toWrite.length === 0 && toDelete.length === 0) {
+            return { written: 0, deleted: 0 };
+        }
+
+        const transaction = this.db.transaction([this.MEMORY_STORE, this.CHAT_STORE], 'readwrite');
+        const store = transaction.objectStore(this.MEMORY_STORE);
+
+        for (const { id, memory } of toWrite) {
+            store.put({
+                chatId,
+                id,
+                layer: memory.layer || 'sensory',
+                timestamp: memory.timestamp || 0,
+                memory
+            });
+        }
+        for (const id of toDelete) {
+            store.delete([chatId, id]);
+        }
+        transaction.objectStore(this.CHAT_STORE).put({ chatId, updatedAt: Date.now() });
+
+        await this.transactionDone(transaction);
+
+        for (const { id, signature } of toWrite) {
+            tracked.set(id, signature);
+        }
+        for (const id of toDelete) {
+            tracked.delete(id);
+        }
+
+        this.stats.writes += toWrite.length;
+        this.stats.deletes += toDelete.length;
+        this.stats.lastSaveTime = Date.now();
+
+        return { written: toWrite.length, deleted: toDelete.length };
+    }
+
+    /**
+     * 导入旧存储中的整层数据（迁移用，写入后视为已持久化）
+     * @param {string} chatId - 聊天ID
+     * @param {Array<Object>} memories - 记忆列表（需带 layer 字段）
+     */
+    async importMemories(chatId, memories) {
+        if (!this.available) return 0;
+
+        const transaction = this.db.transaction([this.MEMORY_STORE, this.CHAT_STORE], 'readwrite');
+        const store = transaction.objectStore(this.MEMORY_STORE);
+
+        for (const memory of memories) {
+            store.put({
+                chatId,
+                id: memory.id,
+                layer: memory.layer || 'sensory',
+                timestamp: memory.timestamp || 0,
+                memory
+            });
+        }
+        transaction.objectStore(this.CHAT_STORE).put({ chatId, updatedAt: Date.now(), importedAt: Date.now() });
+
+        await this.transactionDone(transaction);
+
+        this.stats.writes += memories.length;
+        return memories.length;
+    }
+
+    /**
+     * 删除聊天的全部记忆
+     */
+    async deleteChat(chatId) {
+        if (!this.available) return;
+
+        const transaction = this.db.transaction([this.MEMORY_STORE, this.CHAT_STORE], 'readwrite');
+        const store = transaction.objectStore(this.MEMORY_STORE);
+        const keys = await this.promisify(store.index('chatId').getAllKeys(IDBKeyRange.only(chatId)));
+        keys.forEach(key => store.delete(key));
+        transaction.objectStore(this.CHAT_STORE).delete(chatId);
+
+        await this.transactionDone(transaction);
+
+        this.releaseChat(chatId);
+
+        console.log(`[DeepMemoryStore] 🗑️ 已删除聊天 ${chatId} 的 ${keys.length} 条记忆`);
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[DeepMemoryStore] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            available: this.available,
+            trackedChats: this.tracked.size,
+            stats: this.stats,
+            errorCount: this.errorCount
+        };
+    }
+}
@@ -79,6 +79,7 @@ export class EventSystem {
             MESSAGE_SENT: 'message:sent',
             MESSAGE_DELETED: 'message:deleted',
             MESSAGE_REGENERATED: 'message:regenerated',
+            MESSAGE_SWIPED: 'message:swiped',
             
             // 配置事件
             CONFIG_CHANGED: 'config:changed',
@@ -580,6 +581,13 @@ export class EventSystem {
                 });
             }
 
+            // 🔀 监听滑动回复(swipe)切换事件
+            if (this.sillyTavernEventTypes.MESSAGE_SWIPED) {
+                this.sillyTavernEventSource.on(this.sillyTavernEventTypes.MESSAGE_SWIPED, (data) => {
+                    this.handleMessageSwiped(data);
+                });
+            }
+
             // 添加轮询机制作为备用方案
             this.startMessagePolling();
 
@@ -1061,6 +1069,41 @@ export class EventSystem {
         }
     }
 
+    /**
+     * 🔀 处理滑动回复(swipe)切换事件
+     * @param {number|Object} data - SillyTavern传入的消息索引
+     */
+    async handleMessageSwiped(data) {
+        try {
+            const context = SillyTavern.getContext();
+            const chatId = context?.chatId || this.dataCore?.getCurrentChatId();
+
+            const messageIndex = typeof data === 'object' && data !== null
+                ? Number(data.messageIndex ?? data.mesId ?? data.index)
+                : Number(data);
+            if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+                console.warn('[EventSystem] ⚠️ swipe事件缺少有效的消息索引:', data);
+                return;
+            }
+
+            const message = context?.chat?.[messageIndex];
+            const swipeId = Number.isInteger(message?.swipe_id) ? message.swipe_id : 0;
+
+            console.log('[EventSystem] 🔀 消息', messageIndex, '切换到swipe', swipeId);
+
+            this.emit(this.EVENT_TYPES.MESSAGE_SWIPED, {
+                chatId: chatId,
+                messageIndex: messageIndex,
+                swipeId: swipeId,
+                timestamp: Date.now()
+            });
+
+        } catch (error) {
+            console.error('[EventSystem] ❌ 处理swipe切换事件失败:', error);
+            this.handleError(error);
+        }
+    }
+
     /**
      * 提取并解析infobar_data
      * @param {Object} messageData - 消息数据
@@ -1321,7 +1364,11 @@ export class EventSystem {
 
                 // 使用数据核心的启用字段过滤合并
                 if (this.dataCore && this.dataCore.mergeWithEnabledFields) {
-                    chatData.infobar_data.panels[panelName] = await this.dataCore.mergeWithEnabledFields(panelName, existingPanel, panelData);
+                    // 🛡️ 合并前先执行字段规则校验（范围/变化幅度/单位）
+                    const checkedPanelData = this.dataCore.applyFieldRules
+                        ? await this.dataCore.applyFieldRules(panelName, existingPanel, panelData, type)
+                        : panelData;
+                    chatData.infobar_data.panels[panelName] = await this.dataCore.mergeWithEnabledFields(panelName, existingPanel, checkedPanelData);
                 } else {
                     // 降级处理：只保留新数据，避免历史污染
                     chatData.infobar_data.panels[panelName] = { ...panelData };
@@ -6,6 +6,7 @@
  * - 字段规则定义
  * - 动态调节规则
  * - 规则模板系统
+ * - 数值范围/变化幅度/单位校验（含每个聊天的修正审计记录）
  * 
  * @class FieldRuleManager
  */
@@ -20,6 +21,20 @@ export class FieldRuleManager {
         // 规则存储
         this.fieldRules = new Map(); // panelName.fieldName -> rule
         this.ruleTemplates = new Map(); // templateName -> template
+
+        // 🛡️ 规则校验审计配置
+        this.AUDIT_KEY = 'field_rule_audit';
+        this.maxAuditEntries = 500;
+
+        // 🛡️ 内置单位换算表：{ 单位: 换算到基准单位的倍率 }，规则未配置 units 时使用
+        this.DEFAULT_UNIT_TABLES = [
+            // 长度（基准：厘米）
+            { mm: 0.1, cm: 1, m: 100, km: 100000, in: 2.54, ft: 30.48, 毫米: 0.1, 厘米: 1, 米: 100, 公里: 100000, 千米: 100000, 英寸: 2.54, 英尺: 30.48 },
+            // 重量（基准：克）
+            { mg: 0.001, g: 1, kg: 1000, t: 1000000, lb: 453.592, 毫克: 0.001, 克: 1, 千克: 1000, 公斤: 1000, 斤: 500, 吨: 1000000, 磅: 453.592 },
+            // 时间（基准：秒）
+            { s: 1, min: 60, h: 3600, d: 86400, 秒: 1, 分钟: 60, 小时: 3600, 天: 86400 }
+        ];
         
         // 初始化状态
         this.initialized = false;
@@ -351,6 +366,13 @@ export class FieldRuleManager {
             return {
                 content: rule.content,
                 type: rule.type,
+                // 🛡️ 简化格式也保留数值约束，供规则校验使用
+                range: rule.range,
+                changeRate: rule.changeRate,
+                validation: rule.validation,
+                unit: rule.unit,
+                units: rule.units,
+                preferredUnit: rule.preferredUnit,
                 examples: [],
                 rules: {},
                 dynamicRules: []
@@ -392,6 +414,371 @@ export class FieldRuleManager {
         return validatedRule;
     }
 
+    /**
+     * 🛡️ 解析数值范围规则
+     * 支持 { min, max }、[min, max]、"0-100"、"0~100"、"-50 ~ 50" 等格式
+     * @param {any} range - 范围规则
+     * @returns {Object|null} { min, max }
+     */
+    parseRangeSpec(range) {
+        if (range === undefined || range === null || range === '') return null;
+
+        let min = null;
+        let max = null;
+
+        if (Array.isArray(range)) {
+            [min, max] = range;
+        } else if (typeof range === 'object') {
+            min = range.min;
+            max = range.max;
+        } else if (typeof range === 'string') {
+            const match = range.match(/(-?\d+(?:\.\d+)?)\s*(?:-|~|～|至|到|,|，)\s*(-?\d+(?:\.\d+)?)/);
+            if (!match) return null;
+            min = match[1];
+            max = match[2];
+        } else {
+            return null;
+        }
+
+        min = min === null || min === undefined || min === '' ? null : Number(min);
+        max = max === null || max === undefined || max === '' ? null : Number(max);
+        if (Number.isNaN(min)) min = null;
+        if (Number.isNaN(max)) max = null;
+        if (min === null && max === null) return null;
+        if (min !== null && max !== null && min > max) [min, max] = [max, min];
+
+        return { min, max };
+    }
+
+    /**
+     * 🛡️ 解析单次变化幅度规则
+     * 支持数字、"±5"、"+5"、"5" 以及 { max }、{ increase, decrease } 格式
+     * @param {any} changeRate - 变化幅度规则
+     * @returns {Object|null} { increase, decrease }
+     */
+    parseChangeRate(changeRate) {
+        if (changeRate === undefined || changeRate === null || changeRate === '') return null;
+
+        if (typeof changeRate === 'number') {
+            const limit = Math.abs(changeRate);
+            return { increase: limit, decrease: limit };
+        }
+
+        if (typeof changeRate === 'object') {
+            const limit = changeRate.max !== undefined ? Math.abs(Number(changeRate.max)) : null;
+            const increase = changeRate.increase !== undefined ? Math.abs(Number(changeRate.increase)) : limit;
+            const decrease = changeRate.decrease !== undefined ? Math.abs(Number(changeRate.decrease)) : limit;
+            if ((increase === null || Number.isNaN(increase)) && (decrease === null || Number.isNaN(decrease))) return null;
+            return {
+                increase: Number.isNaN(increase) ? null : increase,
+                decrease: Number.isNaN(decrease) ? null : decrease
+            };
+        }
+
+        if (typeof changeRate === 'string') {
+            const match = changeRate.match(/([+\-±])?\s*(\d+(?:\.\d+)?)/);
+            if (!match) return null;
+            const limit = Number(match[2]);
+            if (match[1] === '+') return { increase: limit, decrease: null };
+            if (match[1] === '-') return { increase: null, decrease: limit };
+            return { increase: limit, decrease: limit };
+        }
+
+        return null;
+    }
+
+    /**
+     * 🛡️ 将值拆分为数值和单位
+     * @param {any} value - 字段值
+     * @returns {Object|null} { number, unit }
+     */
+    parseNumericValue(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? { number: value, unit: '' } : null;
+        }
+        if (typeof value !== 'string') return null;
+
+        const match = value.trim().match(/^([+-]?\d+(?:\.\d+)?)\s*([^\d\s][^\s]*)?$/);
+        if (!match) return null;
+
+        return { number: Number(match[1]), unit: match[2] || '' };
+    }
+
+    /**
+     * 🛡️ 将数值从一个单位换算到目标单位
+     * rule.units 为 { 单位: 换算到基准单位的倍率 }，例如 { 'cm': 1, 'm': 100, 'ft': 30.48 }
+     * 规则的换算表不包含这两个单位时，使用内置的长度/重量/时间换算表
+     * @returns {number|null} 换算后的数值，无法换算时返回null
+     */
+    convertUnit(number, fromUnit, toUnit, units) {
+        if (!fromUnit || !toUnit || fromUnit === toUnit) return number;
+
+        const customTable = units && typeof units === 'object' && !Array.isArray(units) ? units : null;
+        const tables = customTable ? [customTable, ...this.DEFAULT_UNIT_TABLES] : this.DEFAULT_UNIT_TABLES;
+
+        for (const table of tables) {
+            const fromFactor = Number(table[fromUnit]);
+            const toFactor = Number(table[toUnit]);
+            if (fromFactor && toFactor) {
+                return number * fromFactor / toFactor;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 🛡️ 解析单位换算表文本
+     * 支持 "cm=1, m=100, ft=30.48"（逗号、分号或换行分隔，= 或 : 连接）
+     * @param {string} text - 换算表文本
+     * @returns {Object|null} { 单位: 倍率 }，没有有效条目时返回null
+     */
+    parseUnitTable(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        const units = {};
+        text.split(/[,，;；\n]/).forEach(entry => {
+            const match = entry.trim().match(/^([^\s=:：]+)\s*[=:：]\s*(\d+(?:\.\d+)?(?:e[+-]?\d+)?)$/i);
+            if (match && Number(match[2]) > 0) {
+                units[match[1]] = Number(match[2]);
+            }
+        });
+
+        return Object.keys(units).length > 0 ? units : null;
+    }
+
+    /**
+     * 🛡️ 将单位换算表格式化为输入框文本
+     */
+    formatUnitTable(units) {
+        if (!units || typeof units !== 'object' || Array.isArray(units)) return '';
+        return Object.entries(units).map(([unit, factor]) => `${unit}=${factor}`).join(', ');
+    }
+
+    /**
+     * 🛡️ 获取规则校验的违规处理方式
+     * @returns {string} 'clamp' 截断到范围内 | 'reject' 拒绝新值
+     */
+    getViolationMode(rule) {
+        const mode = rule?.validation?.onViolation || rule?.validation?.mode;
+        return mode === 'reject' ? 'reject' : 'clamp';
+    }
+
+    /**
+     * 🛡️ 按字段规则校验单个新值
+     * @param {Object} rule - 字段规则
+     * @param {any} newValue - AI输出的新值
+     * @param {any} previousValue - 当前表格中的值
+     * @returns {Object} { value, rejected, corrections: [{ type, from, to, reason }] }
+     */
+    enforceFieldRule(rule, newValue, previousValue) {
+        const result = { value: newValue, rejected: false, corrections: [] };
+        if (!rule || newValue === undefined || newValue === null) return result;
+
+        const mode = this.getViolationMode(rule);
+        const targetUnit = rule.preferredUnit || rule.unit || '';
+
+        // 正则格式校验（非数值字段也适用）
+        const pattern = typeof rule.validation === 'string' ? rule.validation : rule.validation?.pattern;
+        if (pattern && typeof newValue === 'string') {
+            try {
+                if (!new RegExp(pattern).test(newValue)) {
+                    result.rejected = true;
+                    result.value = previousValue;
+                    result.corrections.push({ type: 'pattern', from: newValue, to: previousValue, reason: `不符合格式 ${pattern}` });
+                    return result;
+                }
+            } catch (error) {
+                console.warn('[FieldRuleManager] ⚠️ 无效的校验正则:', pattern, error.message);
+            }
+        }
+
+        const parsed = this.parseNumericValue(newValue);
+        if (!parsed) return result;
+
+        let number = parsed.number;
+        let unit = parsed.unit;
+
+        // 1. 单位换算
+        if (unit && targetUnit && unit !== targetUnit) {
+            const converted = this.convertUnit(number, unit, targetUnit, rule.units);
+            if (converted !== null) {
+                const rounded = Math.round(converted * 100) / 100;
+                result.corrections.push({ type: 'unit', from: `${number}${unit}`, to: `${rounded}${targetUnit}`, reason: `单位换算 ${unit} → ${targetUnit}` });
+                number = rounded;
+                unit = targetUnit;
+            }
+        }
+
+        // 2. 数值范围
+        const range = this.parseRangeSpec(rule.range);
+        if (range) {
+            const outOfRange = (range.min !== null && number < range.min) || (range.max !== null && number > range.max);
+            if (outOfRange) {
+                if (mode === 'reject') {
+                    result.rejected = true;
+                    result.value = previousValue;
+                    result.corrections.push({ type: 'range', from: newValue, to: previousValue, reason: `超出范围 ${rule.range}，已拒绝` });
+                    return result;
+                }
+                const clamped = Math.min(range.max ?? number, Math.max(range.min ?? number, number));
+                result.corrections.push({ type: 'range', from: number, to: clamped, reason: `超出范围 ${rule.range}，已截断` });
+                number = clamped;
+            }
+        }
+
+        // 3. 单次变化幅度（需要旧值可解析为数值）
+        const changeRate = this.parseChangeRate(rule.changeRate);
+        const previous = this.parseNumericValue(previousValue);
+        if (changeRate && previous) {
+            let previousNumber = previous.number;
+            if (previous.unit && unit && previous.unit !== unit) {
+                previousNumber = this.convertUnit(previousNumber, previous.unit, unit, rule.units);
+            }
+
+            if (previousNumber !== null) {
+                const delta = number - previousNumber;
+                const limit = delta > 0 ? changeRate.increase : changeRate.decrease;
+                if (limit !== null && limit !== undefined && Math.abs(delta) > limit) {
+                    if (mode === 'reject') {
+                        result.rejected = true;
+                        result.value = previousValue;
+                        result.corrections.push({ type: 'changeRate', from: newValue, to: previousValue, reason: `单次变化 ${delta > 0 ? '+' : ''}${delta} 超过限制，已拒绝` });
+                        return result;
+                    }
+                    const limited = previousNumber + Math.sign(delta) * limit;
+                    result.corrections.push({ type: 'changeRate', from: number, to: limited, reason: `单次变化 ${delta > 0 ? '+' : ''}${delta} 超过限制 ±${limit}` });
+                    number = limited;
+                }
+            }
+        }
+
+        if (result.corrections.length > 0) {
+            result.value = typeof newValue === 'number' && !unit ? number : `${number}${unit}`;
+        }
+
+        return result;
+    }
+
+    /**
+     * 🛡️ 对一个面板（或一行）的新数据执行字段规则校验
+     * 数据键可以是字段名、col_N 或操作指令使用的纯数字列号
+     * @param {string} panelId - 面板ID
+     * @param {Object} existingData - 当前数据（用于变化幅度和拒绝时回退）
+     * @param {Object} newData - AI输出的新数据
+     * @param {Object} options - { source, row }
+     * @returns {Promise<Object>} 校验后的新数据（被拒绝的字段会被移除）
+     */
+    async enforcePanelRules(panelId, existingData = {}, newData = {}, options = {}) {
+        try {
+            if (!newData || typeof newData !== 'object' || Array.isArray(newData) || this.fieldRules.size === 0) {
+                return newData;
+            }
+
+            // 该面板没有任何字段规则时直接跳过，避免逐字段查找
+            const hasPanelRules = Array.from(this.fieldRules.keys()).some(key => key.startsWith(`${panelId}.`));
+            if (!hasPanelRules) return newData;
+
+            const previousData = existingData && typeof existingData === 'object' ? existingData : {};
+            const corrected = { ...newData };
+            const auditEntries = [];
+
+            for (const [fieldKey, value] of Object.entries(newData)) {
+                const ruleFieldKey = /^\d+$/.test(fieldKey) ? `col_${fieldKey}` : fieldKey;
+                const rule = this.getFieldRule(panelId, ruleFieldKey);
+                if (!rule) continue;
+
+                const previousValue = previousData[fieldKey] ?? previousData[ruleFieldKey];
+                const { value: newValue, rejected, corrections } = this.enforceFieldRule(rule, value, previousValue);
+                if (corrections.length === 0) continue;
+
+                if (rejected) {
+                    delete corrected[fieldKey];
+                } else {
+                    corrected[fieldKey] = newValue;
+                }
+
+                auditEntries.push({
+                    panelId,
+                    fieldKey,
+                    fieldName: rule.fieldName || fieldKey,
+                    row: options.row ?? null,
+                    source: options.source || 'unknown',
+                    originalValue: value,
+                    finalValue: rejected ? previousValue : newValue,
+                    rejected,
+                    corrections,
+                    timestamp: Date.now()
+                });
+            }
+
+            if (auditEntries.length > 0) {
+                console.log(`[FieldRuleManager] 🛡️ 面板 ${panelId} 修正了 ${auditEntries.length} 个字段`);
+                await this.appendAuditEntries(auditEntries);
+            }
+
+            return corrected;
+
+        } catch (error) {
+            console.error('[FieldRuleManager] ❌ 字段规则校验失败:', error);
+            return newData;
+        }
+    }
+
+    /**
+     * 🛡️ 追加审计记录到当前聊天
+     */
+    async appendAuditEntries(entries) {
+        try {
+            const chatMetadata = this.unifiedDataCore?.chatMetadata;
+            if (!chatMetadata) return;
+
+            const trail = chatMetadata.get(this.AUDIT_KEY) || [];
+            trail.push(...entries);
+            if (trail.length > this.maxAuditEntries) {
+                trail.splice(0, trail.length - this.maxAuditEntries);
+            }
+            await chatMetadata.set(this.AUDIT_KEY, trail);
+
+            if (this.eventSystem) {
+                this.eventSystem.emit('fieldRule:corrected', {
+                    entries,
+                    timestamp: Date.now()
+                });
+            }
+
+        } catch (error) {
+            console.error('[FieldRuleManager] ❌ 保存审计记录失败:', error);
+        }
+    }
+
+    /**
+     * 🛡️ 获取当前聊天的规则修正审计记录
+     * @param {Object} filter - { panelId, fieldKey, limit }
+     * @returns {Array} 审计记录（新的在前）
+     */
+    getAuditTrail(filter = {}) {
+        const trail = this.unifiedDataCore?.chatMetadata?.get(this.AUDIT_KEY) || [];
+        let entries = trail.filter(entry =>
+            (!filter.panelId || entry.panelId === filter.panelId) &&
+            (!filter.fieldKey || entry.fieldKey === filter.fieldKey || entry.fieldName === filter.fieldKey)
+        );
+        entries = entries.reverse();
+        return filter.limit ? entries.slice(0, filter.limit) : entries;
+    }
+
+    /**
+     * 🛡️ 清空当前聊天的审计记录
+     */
+    async clearAuditTrail() {
+        try {
+            await this.unifiedDataCore?.chatMetadata?.delete(this.AUDIT_KEY);
+            console.log('[FieldRuleManager] 🧹 审计记录已清空');
+        } catch (error) {
+            console.error('[FieldRuleManager] ❌ 清空审计记录失败:', error);
+        }
+    }
+
     /**
      * 获取规则模板
      */
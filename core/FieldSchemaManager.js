@@ -0,0 +1,474 @@
+/**
+ * 字段类型定义管理器
+ *
+ * 为面板子项提供类型定义（schema），统一供解析、编辑和提示词生成使用：
+ * - text / date  普通文本
+ * - enum         枚举，options 为允许的取值
+ * - number       数字，可选 min / max / step
+ * - boolean      布尔值
+ * - list         标签列表，可选 options 限定允许的标签
+ * - object       嵌套对象，fields 为子字段（字符串或带类型的子定义）
+ *
+ * 类型定义（type/options/min/max/step/fields）直接保存在面板配置的 subItems[n] 上：
+ * 基础面板为 configs[panelId]，自定义面板为 configs.customPanels[panelId]。
+ * 操作指令中的列号按启用子项的顺序对应（与 SmartPromptSystem.generatePanelDataTemplate 一致）。
+ *
+ * @class FieldSchemaManager
+ */
+
+export class FieldSchemaManager {
+    constructor() {
+        console.log('[FieldSchemaManager] 🔧 字段类型定义管理器初始化');
+
+        // 初始化状态
+        this.initialized = false;
+        this.errorCount = 0;
+    }
+
+    /**
+     * 获取支持的字段类型
+     * @returns {Object} 类型 -> 显示名
+     */
+    static getTypes() {
+        return {
+            text: '文本',
+            number: '数字',
+            date: '日期',
+            enum: '枚举',
+            boolean: '布尔',
+            list: '标签列表',
+            object: '对象'
+        };
+    }
+
+    /**
+     * 从子项配置中提取规范化的类型定义
+     * @param {Object} subItem - 面板子项配置
+     * @returns {Object} { type, options, min, max, step, fields }
+     */
+    static getSchema(subItem) {
+        if (!subItem || typeof subItem !== 'object') {
+            return { type: 'text' };
+        }
+
+        const type = FieldSchemaManager.getTypes()[subItem.type] ? subItem.type : 'text';
+        const schema = { type };
+
+        if (type === 'enum' || type === 'list') {
+            const options = FieldSchemaManager.splitItems(subItem.options ?? subItem.enum ?? []);
+            if (options.length > 0 || type === 'enum') {
+                schema.options = options;
+            }
+        }
+
+        if (type === 'number') {
+            ['min', 'max', 'step'].forEach(name => {
+                const value = parseFloat(subItem[name]);
+                if (Number.isFinite(value)) {
+                    schema[name] = value;
+                }
+            });
+            if (schema.step !== undefined && schema.step <= 0) {
+                delete schema.step;
+            }
+        }
+
+        if (type === 'object') {
+            schema.fields = (Array.isArray(subItem.fields) ? subItem.fields : FieldSchemaManager.splitItems(subItem.fields || []))
+                .map(field => typeof field === 'string'
+                    ? { key: field, type: 'text' }
+                    : { key: field?.key || field?.name, ...FieldSchemaManager.getSchema(field) })
+                .filter(field => field.key);
+        }
+
+        return schema;
+    }
+
+    /**
+     * 获取面板的启用子项（顺序即操作指令列号）
+     * @param {string} panelId - 面板ID
+     * @returns {Array} 启用的子项
+     */
+    static getEnabledSubItems(panelId) {
+        const context = window.SillyTavern?.getContext?.();
+        const configs = context?.extensionSettings?.['Information bar integration tool'] || {};
+        // 基础面板保存在 configs[panelId]，自定义面板保存在 configs.customPanels[panelId]
+        const panelConfig = configs[panelId] || configs.customPanels?.[panelId];
+
+        return (panelConfig?.subItems || []).filter(subItem => subItem && typeof subItem === 'object' && subItem.enabled !== false);
+    }
+
+    /**
+     * 按列号、键名或显示名查找子项（npcX./orgX. 前缀按基础字段名处理）
+     * @param {string} panelId - 面板ID
+     * @param {string} fieldKey - 字段键（"3"、"col_3"、键名或显示名）
+     * @returns {Object|null} 子项配置
+     */
+    static findSubItem(panelId, fieldKey) {
+        if (!panelId || fieldKey === undefined || fieldKey === null) return null;
+
+        const subItems = FieldSchemaManager.getEnabledSubItems(panelId);
+        if (subItems.length === 0) return null;
+
+        const key = String(fieldKey).replace(/^(npc|org)\d+\./, '');
+        const columnMatch = key.match(/^(?:col_)?(\d+)$/);
+        if (columnMatch) {
+            return subItems[parseInt(columnMatch[1]) - 1] || null;
+        }
+
+        return subItems.find(subItem => [subItem.key, subItem.name, subItem.displayName].includes(key)) || null;
+    }
+
+    /**
+     * 获取字段的类型定义
+     * @param {string} panelId - 面板ID
+     * @param {string} fieldKey - 字段键
+     * @returns {Object} 类型定义（未配置时为 text）
+     */
+    static getFieldSchema(panelId, fieldKey) {
+        return FieldSchemaManager.getSchema(FieldSchemaManager.findSubItem(panelId, fieldKey));
+    }
+
+    /**
+     * 是否需要类型约束（text/date 不需要）
+     */
+    static isTyped(schema) {
+        return !!schema && schema.type !== 'text' && schema.type !== 'date';
+    }
+
+    /**
+     * 拆分列表文本：支持数组、| , ， 、 ; ； 和换行分隔
+     * @param {Array|string} value - 列表值
+     * @returns {Array<string>} 去重后的非空项
+     */
+    static splitItems(value) {
+        const items = Array.isArray(value)
+            ? value.map(item => typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item))
+            : String(value ?? '').split(/[|,，、;；\n]/);
+
+        return [...new Set(items.map(item => item.trim()).filter(Boolean))];
+    }
+
+    /**
+     * 按类型定义转换值
+     * @param {*} value - 原始值（通常是AI输出的字符串）
+     * @param {Object} schema - 类型定义
+     * @returns {{value: *, valid: boolean, message: string}} 无法转换时 valid 为 false 且保留原值
+     */
+    static coerceValue(value, schema) {
+        const type = schema?.type || 'text';
+
+        if (value === undefined || value === null) {
+            return { value, valid: true, message: '' };
+        }
+
+        const text = typeof value === 'string' ? value.trim() : value;
+        if (text === '' && type !== 'list' && type !== 'object') {
+            return { value: '', valid: true, message: '' };
+        }
+
+        switch (type) {
+            case 'number':
+                return FieldSchemaManager.coerceNumber(text, schema);
+            case 'boolean':
+                return FieldSchemaManager.coerceBoolean(text);
+            case 'enum':
+                return FieldSchemaManager.coerceEnum(text, schema);
+            case 'list':
+                return FieldSchemaManager.coerceList(text, schema);
+            case 'object':
+                return FieldSchemaManager.coerceObject(text, schema);
+            default:
+                return { value: typeof value === 'object' ? FieldSchemaManager.formatValue(value) : String(value), valid: true, message: '' };
+        }
+    }
+
+    /**
+     * 数字：提取首个数字，按 min/max 截断并对齐 step
+     */
+    static coerceNumber(value, schema) {
+        const match = typeof value === 'number' ? [String(value)] : String(value).replace(/，/g, '').match(/-?\d+(?:\.\d+)?/);
+        if (!match) {
+            return { value, valid: false, message: `"${value}" 不是数字` };
+        }
+
+        let number = parseFloat(match[0]);
+        if (schema.step) {
+            const base = schema.min ?? 0;
+            number = base + Math.round((number - base) / schema.step) * schema.step;
+            // 消除浮点误差
+            const decimals = (String(schema.step).split('.')[1] || '').length;
+            number = parseFloat(number.toFixed(decimals));
+        }
+        if (schema.min !== undefined && number < schema.min) number = schema.min;
+        if (schema.max !== undefined && number > schema.max) number = schema.max;
+
+        return { value: number, valid: true, message: '' };
+    }
+
+    /**
+     * 布尔：识别常见的中英文真假写法
+     */
+    static coerceBoolean(value) {
+        if (typeof value === 'boolean') {
+            return { value, valid: true, message: '' };
+        }
+
+        const text = String(value).trim().toLowerCase();
+        if (['true', 'yes', 'y', '1', 'on', '是', '真', '有', '开', '开启', '已'].includes(text)) {
+            return { value: true, valid: true, message: '' };
+        }
+        if (['false', 'no', 'n', '0', 'off', '否', '假', '无', '没有', '关', '关闭', '未'].includes(text)) {
+            return { value: false, valid: true, message: '' };
+        }
+
+        return { value, valid: false, message: `"${value}" 不是布尔值` };
+    }
+
+    /**
+     * 枚举：精确匹配 → 忽略大小写 → 唯一的包含匹配，返回规范的选项值
+     */
+    static coerceEnum(value, schema) {
+        const options = schema.options || [];
+        const text = String(value).trim();
+        if (options.length === 0) {
+            return { value: text, valid: true, message: '' };
+        }
+
+        const lower = text.toLowerCase();
+        const containing = options.filter(option => lower.includes(option.toLowerCase()));
+        const matched = options.find(option => option === text) ||
+            options.find(option => option.toLowerCase() === lower) ||
+            (containing.length === 1 ? containing[0] : undefined);
+
+        return matched !== undefined
+            ? { value: matched, valid: true, message: '' }
+            : { value: text, valid: false, message: `"${text}" 不在可选值 ${options.join('|')} 中` };
+    }
+
+    /**
+     * 标签列表：拆分为字符串数组，有 options 时只保留允许的标签
+     */
+    static coerceList(value, schema) {
+        let items = value;
+        if (typeof value === 'string' && value.trim().startsWith('[')) {
+            try {
+                items = JSON.parse(value);
+            } catch (e) {
+                // 不是JSON，按分隔符拆分
+            }
+        }
+
+        items = FieldSchemaManager.splitItems(items);
+
+        if (schema.options?.length > 0) {
+            const rejected = items.filter(item => !schema.options.includes(item));
+            items = items.filter(item => schema.options.includes(item));
+            if (rejected.length > 0) {
+                return { value: items, valid: false, message: `标签 ${rejected.join('、')} 不在可选值中` };
+            }
+        }
+
+        return { value: items, valid: true, message: '' };
+    }
+
+    /**
+     * 对象：支持JSON和 "键:值; 键:值" 写法，有 fields 时按子字段类型转换
+     */
+    static coerceObject(value, schema) {
+        let object = null;
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            object = { ...value };
+        } else if (typeof value === 'string') {
+            const text = value.trim();
+            if (text.startsWith('{')) {
+                try {
+                    object = JSON.parse(text);
+                } catch (e) {
+                    // 不是JSON，按键值对解析
+                }
+            }
+            if (!object) {
+                object = {};
+                text.split(/[;；\n]/).forEach(pair => {
+                    const match = pair.match(/^\s*([^:：=]+?)\s*[:：=]\s*(.*?)\s*$/);
+                    if (match && match[1]) {
+                        object[match[1]] = match[2];
+                    }
+                });
+            }
+        }
+
+        if (!object || typeof object !== 'object' || Array.isArray(object)) {
+            return { value, valid: false, message: `"${value}" 不是对象` };
+        }
+
+        const messages = [];
+        (schema.fields || []).forEach(field => {
+            if (object[field.key] === undefined) return;
+            const result = FieldSchemaManager.coerceValue(object[field.key], field);
+            object[field.key] = result.value;
+            if (!result.valid) messages.push(`${field.key}: ${result.message}`);
+        });
+
+        return { value: object, valid: messages.length === 0, message: messages.join('; ') };
+    }
+
+    /**
+     * 按面板类型定义转换一行数据（跳过 _ 开头的内部字段）
+     * @param {string} panelId - 面板ID
+     * @param {Object} data - 行数据
+     * @returns {{data: Object, invalid: Array}} 转换后的数据和无法转换的字段
+     */
+    static coercePanelData(panelId, data) {
+        const invalid = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { data, invalid };
+        }
+
+        const result = {};
+        Object.entries(data).forEach(([key, value]) => {
+            if (key.startsWith('_')) {
+                result[key] = value;
+                return;
+            }
+
+            const schema = FieldSchemaManager.getFieldSchema(panelId, key);
+            if (!FieldSchemaManager.isTyped(schema)) {
+                result[key] = value;
+                return;
+            }
+
+            const coerced = FieldSchemaManager.coerceValue(value, schema);
+            result[key] = coerced.value;
+            if (!coerced.valid) {
+                invalid.push({ field: key, value, message: coerced.message });
+            }
+        });
+
+        return { data: result, invalid };
+    }
+
+    /**
+     * 将值格式化为文本（用于提示词、编辑框和表格显示）
+     */
+    static formatValue(value) {
+        if (value === undefined || value === null) return '';
+
+        if (Array.isArray(value)) {
+            return value.map(item => FieldSchemaManager.formatValue(item)).join('|');
+        }
+        if (typeof value === 'object') {
+            return Object.entries(value)
+                .map(([key, item]) => `${key}:${FieldSchemaManager.formatValue(item)}`)
+                .join('; ');
+        }
+        return String(value);
+    }
+
+    /**
+     * 生成类型定义的提示词描述
+     * @param {Object} schema - 类型定义
+     * @returns {string} 描述（text/date 返回空字符串）
+     */
+    static describeSchema(schema) {
+        switch (schema?.type) {
+            case 'number': {
+                const parts = ['数字'];
+                if (schema.min !== undefined && schema.max !== undefined) {
+                    parts.push(`范围${schema.min}~${schema.max}`);
+                } else if (schema.min !== undefined) {
+                    parts.push(`最小${schema.min}`);
+                } else if (schema.max !== undefined) {
+                    parts.push(`最大${schema.max}`);
+                }
+                if (schema.step) parts.push(`步长${schema.step}`);
+                return parts.join('，') + '，只输出数字';
+            }
+            case 'boolean':
+                return '布尔值，只能输出 true 或 false';
+            case 'enum':
+                return schema.options?.length > 0
+                    ? `只能从以下值中选择一个：${schema.options.join('|')}`
+                    : '';
+            case 'list':
+                return schema.options?.length > 0
+                    ? `标签列表，用|分隔，标签只能取：${schema.options.join('|')}`
+                    : '标签列表，多个标签用|分隔';
+            case 'object': {
+                const fields = (schema.fields || []).map(field => {
+                    const detail = FieldSchemaManager.describeSchema(field);
+                    return detail ? `${field.key}(${detail})` : field.key;
+                });
+                return fields.length > 0
+                    ? `对象，格式 键:值; 键:值，包含子字段：${fields.join('、')}`
+                    : '对象，格式 键:值; 键:值';
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * 将设置界面中的约束文本解析为类型定义
+     * - enum/list: "选项1|选项2"
+     * - number:    "最小~最大/步长"，如 "0~100/5"、"0~"、"~10"
+     * - object:    "子字段1|子字段2"
+     * @param {string} type - 字段类型
+     * @param {string} text - 约束文本
+     * @returns {Object} 需要写入子项的类型属性
+     */
+    static parseConstraintText(type, text) {
+        const schemaFields = { type: FieldSchemaManager.getTypes()[type] ? type : 'text' };
+        const value = String(text || '').trim();
+
+        if (type === 'enum' || type === 'list') {
+            schemaFields.options = FieldSchemaManager.splitItems(value);
+        } else if (type === 'number') {
+            const match = value.match(/^(-?\d+(?:\.\d+)?)?\s*(?:[~～]\s*(-?\d+(?:\.\d+)?)?)?\s*(?:\/\s*(\d+(?:\.\d+)?))?$/);
+            if (match) {
+                if (match[1] !== undefined) schemaFields.min = parseFloat(match[1]);
+                if (match[2] !== undefined) schemaFields.max = parseFloat(match[2]);
+                if (match[3] !== undefined) schemaFields.step = parseFloat(match[3]);
+            }
+        } else if (type === 'object') {
+            schemaFields.fields = FieldSchemaManager.splitItems(value);
+        }
+
+        return schemaFields;
+    }
+
+    /**
+     * 将子项的类型定义格式化为约束文本（parseConstraintText 的逆操作）
+     */
+    static formatConstraintText(subItem) {
+        const schema = FieldSchemaManager.getSchema(subItem);
+
+        switch (schema.type) {
+            case 'enum':
+            case 'list':
+                return (schema.options || []).join('|');
+            case 'number': {
+                if (schema.min === undefined && schema.max === undefined && !schema.step) return '';
+                const range = `${schema.min ?? ''}~${schema.max ?? ''}`;
+                return schema.step ? `${range}/${schema.step}` : range;
+            }
+            case 'object':
+                return (schema.fields || []).map(field => field.key).join('|');
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            types: Object.keys(FieldSchemaManager.getTypes()),
+            errorCount: this.errorCount
+        };
+    }
+}
@@ -3,9 +3,12 @@
  * 
  * 功能特性:
  * - 支持数据绑定语法 {{data.field}}
- * - 支持条件渲染 {{#if condition}}...{{/if}}
- * - 支持循环渲染 {{#each array}}...{{/each}}
+ * - 支持条件渲染 {{#if condition}}...{{else}}...{{/if}}、{{#unless}}
+ * - 支持嵌套循环渲染 {{#each array}}...{{else}}...{{/each}}
  * - 支持计算字段 {{computed.field}}
+ * - 沙箱表达式：&& || ! 比较、四则运算、括号、过滤器 {{data.hp / data.maxHp | percent}}
+ * - 表达式函数 {{lookup(data.level, data.titles)}}、min/max/clamp 等
+ * - 局部模板（可复用组件） {{> partialName arg=value}}
  * - HTML安全性处理和XSS防护
  * - 模板验证和错误处理
  * 
@@ -25,6 +28,15 @@ export class HTMLTemplateParser {
         this.errorCount = 0;
         this.templateCache = new Map(); // 模板缓存
         this.compiledTemplates = new Map(); // 编译后的模板缓存
+        this.expressionCache = new Map(); // 表达式语法树缓存
+
+        // 🧮 表达式过滤器与函数
+        this.filters = this.createDefaultFilters();
+        this.functions = this.createDefaultFunctions();
+
+        // 🧩 局部模板（由TemplateManager的局部模板库注册）
+        this.partials = new Map(); // name -> template
+        this.maxPartialDepth = 10;
 
         // 🎨 模板语法配置
         this.syntax = {
@@ -57,7 +69,16 @@ export class HTMLTemplateParser {
                 /<script/gi,
                 /eval\s*\(/gi,
                 /expression\s*\(/gi
-            ]
+            ],
+            // 模板表达式中禁止出现的内容
+            forbiddenExpressionPatterns: [
+                /javascript:/i,
+                /<script/i,
+                /eval\s*\(/i,
+                /\b(?:__proto__|prototype|constructor)\b/
+            ],
+            // 路径访问禁止的属性名
+            forbiddenPathSegments: ['__proto__', 'prototype', 'constructor']
         };
 
         console.log('[HTMLTemplateParser] 🚀 HTML模板解析器初始化完成');
@@ -271,11 +292,35 @@ export class HTMLTemplateParser {
                 // 🔧 修复：文本内容直接添加，不进行HTML转义，保留CSS样式
                 result += token.content;
                 i++;
-            } else if (token.type === 'expression') {
-                const value = this.evaluateExpression(token.expression, data);
+            } else if (/^#(if|unless)\s/.test(token.expression)) {
+                // 处理条件渲染（含 {{else}}）
+                const { content, nextIndex } = this.processConditional(tokens, i, data, options);
+                result += content;
+                i = nextIndex;
+            } else if (/^#each\s/.test(token.expression)) {
+                // 处理循环渲染（含 {{else}}）
+                const { content, nextIndex } = this.processLoop(tokens, i, data, options);
+                result += content;
+                i = nextIndex;
+            } else if (token.expression.startsWith('>')) {
+                // 局部模板
+                result += this.renderPartial(token.expression, data, options);
+                i++;
+            } else if (token.expression === 'else' || /^\/(if|unless|each)$/.test(token.expression)) {
+                // 游离的块标记，忽略
+                console.warn('[HTMLTemplateParser] ⚠️ 忽略不匹配的块标记:', token.content);
+                i++;
+            } else {
+                // 无法解析的表达式（例如SillyTavern宏）原样保留
+                if (!this.parseExpression(token.expression)) {
+                    result += token.content;
+                    i++;
+                    continue;
+                }
+
+                const stringValue = this.formatRenderedValue(this.evaluateExpression(token.expression, data));
                 // 🔧 修复：只对用户数据进行转义，不转义HTML结构
                 // 如果值看起来像HTML（包含标签），则不转义；否则转义以防XSS
-                const stringValue = String(value || '');
                 if (this.looksLikeHtml(stringValue)) {
                     // 看起来像HTML，直接使用（用于支持富文本内容）
                     result += stringValue;
@@ -284,18 +329,6 @@ export class HTMLTemplateParser {
                     result += this.escapeHtml(stringValue);
                 }
                 i++;
-            } else if (token.expression && token.expression.startsWith('#if ')) {
-                // 处理条件渲染
-                const { content, nextIndex } = this.processConditional(tokens, i, data, options);
-                result += content;
-                i = nextIndex;
-            } else if (token.expression && token.expression.startsWith('#each ')) {
-                // 处理循环渲染
-                const { content, nextIndex } = this.processLoop(tokens, i, data, options);
-                result += content;
-                i = nextIndex;
-            } else {
-                i++;
             }
         }
 
@@ -303,58 +336,68 @@ export class HTMLTemplateParser {
     }
 
     /**
-     * 处理条件渲染
+     * 🆕 查找块的 {{else}} 与结束标记位置（支持嵌套）
      * @param {Array} tokens - token数组
-     * @param {number} startIndex - 开始索引
-     * @param {Object} data - 数据对象
-     * @param {Object} options - 选项
-     * @returns {Object} 处理结果和下一个索引
+     * @param {number} startIndex - 块开始索引
+     * @returns {Object} { elseIndex, endIndex }，无 {{else}} 时 elseIndex 为 -1
      */
-    processConditional(tokens, startIndex, data, options) {
-        const startToken = tokens[startIndex];
-        const condition = startToken.expression.substring(4).trim(); // 移除 '#if '
-
-        // 查找对应的 {{/if}}
-        let endIndex = -1;
-        let depth = 1;
+    findBlockBoundaries(tokens, startIndex) {
+        const blockName = /^#(\w+)/.exec(tokens[startIndex].expression)[1];
+        let depth = 0;
+        let elseIndex = -1;
 
         for (let i = startIndex + 1; i < tokens.length; i++) {
-            const token = tokens[i];
-            if (token.expression) {
-                if (token.expression.startsWith('#if ')) {
-                    depth++;
-                } else if (token.expression === '/if') {
-                    depth--;
-                    if (depth === 0) {
-                        endIndex = i;
-                        break;
+            const expression = tokens[i].expression;
+            if (!expression) continue;
+
+            if (/^#(if|unless|each)\s/.test(expression)) {
+                depth++;
+            } else if (/^\/(if|unless|each)$/.test(expression)) {
+                if (depth === 0) {
+                    if (expression !== `/${blockName}`) {
+                        throw new Error(`{{#${blockName}}} 与 {{${expression}}} 不匹配`);
                     }
+                    return { elseIndex, endIndex: i };
                 }
+                depth--;
+            } else if (expression === 'else' && depth === 0 && elseIndex === -1) {
+                elseIndex = i;
             }
         }
 
-        if (endIndex === -1) {
-            throw new Error('未找到匹配的 {{/if}}');
-        }
+        throw new Error(`未找到匹配的 {{/${blockName}}}`);
+    }
 
-        // 评估条件
-        const conditionResult = this.evaluateCondition(condition, data);
+    /**
+     * 处理条件渲染（{{#if}} / {{#unless}}，可带 {{else}}）
+     * @param {Array} tokens - token数组
+     * @param {number} startIndex - 开始索引
+     * @param {Object} data - 数据对象
+     * @param {Object} options - 选项
+     * @returns {Object} 处理结果和下一个索引
+     */
+    processConditional(tokens, startIndex, data, options) {
+        const [, blockName, condition] = /^#(if|unless)\s+([\s\S]+)$/.exec(tokens[startIndex].expression);
+        const { elseIndex, endIndex } = this.findBlockBoundaries(tokens, startIndex);
 
-        let content = '';
-        if (conditionResult) {
-            // 处理条件内的tokens
-            const innerTokens = tokens.slice(startIndex + 1, endIndex);
-            content = this.processTokens(innerTokens, data, options);
+        // 评估条件
+        let conditionResult = this.evaluateCondition(condition.trim(), data);
+        if (blockName === 'unless') {
+            conditionResult = !conditionResult;
         }
 
+        const branchTokens = conditionResult
+            ? tokens.slice(startIndex + 1, elseIndex === -1 ? endIndex : elseIndex)
+            : (elseIndex === -1 ? [] : tokens.slice(elseIndex + 1, endIndex));
+
         return {
-            content,
+            content: this.processTokens(branchTokens, data, options),
             nextIndex: endIndex + 1
         };
     }
 
     /**
-     * 处理循环渲染
+     * 处理循环渲染（支持嵌套，集合为空时渲染 {{else}} 分支）
      * @param {Array} tokens - token数组
      * @param {number} startIndex - 开始索引
      * @param {Object} data - 数据对象
@@ -362,47 +405,36 @@ export class HTMLTemplateParser {
      * @returns {Object} 处理结果和下一个索引
      */
     processLoop(tokens, startIndex, data, options) {
-        const startToken = tokens[startIndex];
-        const arrayPath = startToken.expression.substring(6).trim(); // 移除 '#each '
-
-        // 查找对应的 {{/each}}
-        let endIndex = -1;
-        let depth = 1;
-
-        for (let i = startIndex + 1; i < tokens.length; i++) {
-            const token = tokens[i];
-            if (token.expression) {
-                if (token.expression.startsWith('#each ')) {
-                    depth++;
-                } else if (token.expression === '/each') {
-                    depth--;
-                    if (depth === 0) {
-                        endIndex = i;
-                        break;
-                    }
-                }
-            }
-        }
-
-        if (endIndex === -1) {
-            throw new Error('未找到匹配的 {{/each}}');
+        const collectionExpression = tokens[startIndex].expression.substring(6).trim(); // 移除 '#each '
+        const { elseIndex, endIndex } = this.findBlockBoundaries(tokens, startIndex);
+
+        // 获取集合数据：数组按索引遍历，普通对象按键遍历
+        const collection = this.evaluateExpression(collectionExpression, data);
+        let entries = [];
+        if (Array.isArray(collection)) {
+            entries = collection.map((item, index) => ({ item, index, key: index }));
+        } else if (collection && typeof collection === 'object') {
+            entries = Object.keys(collection).map((key, index) => ({ item: collection[key], index, key }));
         }
 
-        // 获取数组数据
-        const arrayData = this.getNestedValue(data, arrayPath);
-
         let content = '';
-        if (Array.isArray(arrayData)) {
-            const innerTokens = tokens.slice(startIndex + 1, endIndex);
+        if (entries.length === 0) {
+            if (elseIndex !== -1) {
+                content = this.processTokens(tokens.slice(elseIndex + 1, endIndex), data, options);
+            }
+        } else {
+            const innerTokens = tokens.slice(startIndex + 1, elseIndex === -1 ? endIndex : elseIndex);
 
-            arrayData.forEach((item, index) => {
-                // 为每个循环项创建上下文
+            entries.forEach(({ item, index, key }) => {
+                // 为每个循环项创建上下文，外层循环项可通过 @parent 访问
                 const loopContext = {
                     ...data,
                     this: item,
+                    '@parent': data.this,
                     '@index': index,
+                    '@key': key,
                     '@first': index === 0,
-                    '@last': index === arrayData.length - 1
+                    '@last': index === entries.length - 1
                 };
 
                 content += this.processTokens(innerTokens, loopContext, options);
@@ -415,6 +447,138 @@ export class HTMLTemplateParser {
         };
     }
 
+    /**
+     * 🆕 注册局部模板（{{> name}}）
+     * @param {string} name - 局部模板名称
+     * @param {string} template - 模板内容
+     */
+    registerPartial(name, template) {
+        if (!this.isValidPartialName(name)) {
+            throw new Error(`无效的局部模板名称: ${name}`);
+        }
+        if (typeof template !== 'string') {
+            throw new Error(`局部模板内容必须是字符串: ${name}`);
+        }
+        if (!this.validateTemplateSecurity(template)) {
+            console.warn('[HTMLTemplateParser] ⚠️ 局部模板安全校验未通过:', name);
+        }
+        this.partials.set(name, template);
+    }
+
+    /**
+     * 🆕 注销局部模板
+     * @param {string} name - 局部模板名称
+     */
+    unregisterPartial(name) {
+        return this.partials.delete(name);
+    }
+
+    /**
+     * 🆕 获取已注册的局部模板名称
+     * @returns {Array<string>} 名称列表
+     */
+    getPartialNames() {
+        return Array.from(this.partials.keys());
+    }
+
+    /**
+     * 🆕 校验局部模板名称
+     */
+    isValidPartialName(name) {
+        return typeof name === 'string' && /^[A-Za-z][\w-]*$/.test(name);
+    }
+
+    /**
+     * 🆕 渲染局部模板 {{> name [context] key=value ...}}
+     * 参数值是当前上下文中的表达式，局部模板内可直接用 {{key}} 或 {{this.key}} 访问
+     * @param {string} expression - 以 '>' 开头的表达式
+     * @param {Object} data - 数据上下文
+     * @param {Object} options - 选项
+     * @returns {string} 渲染结果
+     */
+    renderPartial(expression, data, options = {}) {
+        const match = /^>\s*([A-Za-z][\w-]*)\s*([\s\S]*)$/.exec(expression);
+        if (!match) {
+            console.warn('[HTMLTemplateParser] ⚠️ 局部模板语法错误:', expression);
+            return '';
+        }
+
+        const [, name, argumentText] = match;
+        const template = this.partials.get(name);
+        if (template === undefined) {
+            console.warn('[HTMLTemplateParser] ⚠️ 未找到局部模板:', name);
+            return '';
+        }
+
+        const depth = (options.partialDepth || 0) + 1;
+        if (depth > this.maxPartialDepth) {
+            return this.generateErrorTemplate(`局部模板嵌套过深: ${name}`);
+        }
+
+        const { context, hash } = this.parsePartialArguments(argumentText, data);
+        const base = context !== undefined ? context : data.this;
+        let partialThis = base;
+        if (Object.keys(hash).length > 0) {
+            partialThis = base && typeof base === 'object' && !Array.isArray(base) ? { ...base, ...hash } : hash;
+        }
+
+        const templateId = `partial:${this.generateTemplateId(template)}`;
+        if (!this.compiledTemplates.has(templateId)) {
+            this.compiledTemplates.set(templateId, this.compileTemplate(template));
+        }
+
+        return this.processTokens(
+            this.compiledTemplates.get(templateId).tokens,
+            { ...data, this: partialThis },
+            { ...options, partialDepth: depth }
+        );
+    }
+
+    /**
+     * 🆕 解析局部模板参数：第一个位置参数作为上下文，key=value 作为命名参数
+     * @param {string} argumentText - 参数文本
+     * @param {Object} data - 数据上下文
+     * @returns {Object} { context, hash }
+     */
+    parsePartialArguments(argumentText, data) {
+        const segments = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+
+        for (const ch of argumentText) {
+            if (quote) {
+                if (ch === quote) quote = null;
+                current += ch;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+                current += ch;
+            } else if (ch === '(' || ch === ')') {
+                depth += ch === '(' ? 1 : -1;
+                current += ch;
+            } else if (/\s/.test(ch) && depth === 0) {
+                if (current) segments.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        if (current) segments.push(current);
+
+        let context;
+        const hash = {};
+        segments.forEach(segment => {
+            const pair = /^([A-Za-z_$][\w$-]*)=([\s\S]+)$/.exec(segment);
+            if (pair) {
+                hash[pair[1]] = this.evaluateExpression(pair[2], data);
+            } else if (context === undefined) {
+                context = this.evaluateExpression(segment, data);
+            }
+        });
+
+        return { context, hash };
+    }
+
     /**
      * 评估条件表达式
      * @param {string} condition - 条件表达式
@@ -423,35 +587,7 @@ export class HTMLTemplateParser {
      */
     evaluateCondition(condition, data) {
         try {
-            // 简单的条件评估
-            // 支持基本的比较操作
-
-            // 处理简单的存在性检查
-            if (!condition.includes(' ')) {
-                const value = this.evaluateExpression(condition, data);
-                return !!value;
-            }
-
-            // 处理比较操作
-            const operators = ['>=', '<=', '>', '<', '==', '!='];
-            for (const op of operators) {
-                if (condition.includes(op)) {
-                    const [left, right] = condition.split(op).map(s => s.trim());
-                    const leftValue = this.evaluateExpression(left, data);
-                    const rightValue = this.evaluateExpression(right, data);
-
-                    switch (op) {
-                        case '>=': return Number(leftValue) >= Number(rightValue);
-                        case '<=': return Number(leftValue) <= Number(rightValue);
-                        case '>': return Number(leftValue) > Number(rightValue);
-                        case '<': return Number(leftValue) < Number(rightValue);
-                        case '==': return leftValue == rightValue;
-                        case '!=': return leftValue != rightValue;
-                    }
-                }
-            }
-
-            return false;
+            return this.isTruthy(this.evaluateExpression(condition, data));
         } catch (error) {
             console.warn('[HTMLTemplateParser] ⚠️ 条件评估失败:', condition, error);
             return false;
@@ -460,73 +596,590 @@ export class HTMLTemplateParser {
 
     /**
      * 计算表达式值
+     * 支持：路径访问、字面量、! && ||、比较、四则运算、括号、函数调用 fn(a, b) 和过滤器（value | filter:arg）
+     * 表达式经解析器转为语法树后求值，不使用eval/Function
      * @param {string} expression - 表达式
      * @param {Object} data - 数据对象
      * @returns {any} 计算结果
      */
     evaluateExpression(expression, data) {
         try {
-            // 🆕 处理直接字段读取指令 field:panelName.fieldName
-            if (expression.startsWith('field:')) {
-                const fieldPath = expression.substring(6); // 去掉 'field:' 前缀
-                return this.getDirectFieldValue(fieldPath);
+            const ast = this.parseExpression(expression);
+            if (!ast) {
+                return '';
             }
+            return this.evaluateNode(ast, data || {});
+        } catch (error) {
+            console.warn('[HTMLTemplateParser] ⚠️ 表达式计算失败:', expression, error);
+            return '';
+        }
+    }
 
-            // 🔧 修复：支持 || 运算符（默认值语法）
-            if (expression.includes(' || ')) {
-                const parts = expression.split(' || ');
-                const leftExpression = parts[0].trim();
-                const rightExpression = parts[1].trim();
+    /**
+     * 🆕 解析表达式为语法树（带缓存）
+     * @param {string} expression - 表达式
+     * @returns {Object|null} 语法树，无法解析时返回null
+     */
+    parseExpression(expression) {
+        if (this.expressionCache.has(expression)) {
+            return this.expressionCache.get(expression);
+        }
+
+        let ast = null;
+        try {
+            const tokens = this.tokenizeExpression(expression);
+            const state = { tokens, position: 0 };
+            ast = this.parsePipeline(state);
+            if (state.position < tokens.length) {
+                throw new Error(`多余的内容: ${tokens[state.position].value}`);
+            }
+        } catch (error) {
+            console.warn('[HTMLTemplateParser] ⚠️ 表达式语法错误:', expression, error.message);
+            ast = null;
+        }
 
-                // 计算左侧表达式
-                const leftValue = this.evaluateExpression(leftExpression, data);
+        this.expressionCache.set(expression, ast);
+        return ast;
+    }
 
-                // 如果左侧有值且不为空，返回左侧值
-                if (leftValue !== null && leftValue !== undefined && leftValue !== '') {
-                    return leftValue;
+    /**
+     * 🆕 表达式词法分析
+     * @param {string} expression - 表达式
+     * @returns {Array} 词法单元 { type: 'number'|'string'|'path'|'field'|'op', value }
+     */
+    tokenizeExpression(expression) {
+        const tokens = [];
+        const operators = ['===', '!==', '&&', '||', '==', '!=', '>=', '<=', '!', '<', '>', '+', '-', '*', '/', '%', '(', ')', '|', ':', ','];
+        const identifierStart = /[A-Za-z_$@\u00A0-\uFFFF]/;
+        const identifierPart = /[A-Za-z0-9_$@.\u00A0-\uFFFF]/;
+        let i = 0;
+
+        while (i < expression.length) {
+            const ch = expression[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // 字符串字面量
+            if (ch === '"' || ch === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < expression.length && expression[j] !== ch) {
+                    if (expression[j] === '\\' && j + 1 < expression.length) {
+                        j++;
+                    }
+                    value += expression[j];
+                    j++;
+                }
+                if (j >= expression.length) {
+                    throw new Error('字符串未闭合');
                 }
+                tokens.push({ type: 'string', value });
+                i = j + 1;
+                continue;
+            }
 
-                // 否则计算右侧表达式（默认值）
-                const rightValue = this.evaluateExpression(rightExpression, data);
+            // 数字字面量
+            const numberMatch = /^(\d+(\.\d+)?|\.\d+)/.exec(expression.slice(i));
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+                i += numberMatch[0].length;
+                continue;
+            }
 
-                // 如果右侧是字符串字面量（用引号包围），去掉引号
-                if (typeof rightValue === 'string' &&
-                    ((rightValue.startsWith("'") && rightValue.endsWith("'")) ||
-                     (rightValue.startsWith('"') && rightValue.endsWith('"')))) {
-                    return rightValue.slice(1, -1);
+            // 直接字段读取指令 field:panelName.fieldName（过滤器参数位置除外）
+            const previous = tokens[tokens.length - 1];
+            if (expression.startsWith('field:', i) && !(previous?.type === 'op' && previous.value === '|')) {
+                const pathMatch = /^[^\s()|&!=<>+*\/%,]+/.exec(expression.slice(i + 6));
+                if (pathMatch) {
+                    tokens.push({ type: 'field', value: pathMatch[0] });
+                    i += 6 + pathMatch[0].length;
+                    continue;
                 }
+            }
 
-                return rightValue;
+            // 标识符/路径（支持中文字段名、this、@index）
+            if (identifierStart.test(ch)) {
+                let j = i + 1;
+                while (j < expression.length && identifierPart.test(expression[j])) {
+                    j++;
+                }
+                tokens.push({ type: 'path', value: expression.slice(i, j) });
+                i = j;
+                continue;
             }
 
-            // 原有的表达式处理逻辑
-            if (expression.startsWith('data.')) {
-                const path = expression.substring(5);
-                // 如果data对象有data属性，使用data.data，否则直接使用data
-                const dataSource = data.data || data;
-                return this.getNestedValue(dataSource, path);
-            } else if (expression.startsWith('computed.')) {
-                return this.getComputedValue(expression.substring(9), data);
+            const operator = operators.find(op => expression.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'op', value: operator });
+                i += operator.length;
+                continue;
             }
 
-            // 🔧 修复：处理数字字面量
-            if (/^\d+(\.\d+)?$/.test(expression)) {
-                return Number(expression);
+            throw new Error(`无法识别的字符: ${ch}`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 语法分析辅助：查看/消费运算符
+     */
+    peekOperator(state, ...values) {
+        const token = state.tokens[state.position];
+        return token && token.type === 'op' && values.includes(token.value) ? token.value : null;
+    }
+
+    consumeOperator(state, value) {
+        if (!this.peekOperator(state, value)) {
+            const token = state.tokens[state.position];
+            throw new Error(`期望 "${value}"，实际为 ${token ? `"${token.value}"` : '表达式结尾'}`);
+        }
+        state.position++;
+    }
+
+    /**
+     * pipeline := or ('|' filter (':' arg (',' arg)*)?)*
+     */
+    parsePipeline(state) {
+        let node = this.parseBinaryLevel(state, 0);
+
+        while (this.peekOperator(state, '|')) {
+            state.position++;
+            const nameToken = state.tokens[state.position];
+            if (!nameToken || nameToken.type !== 'path') {
+                throw new Error('缺少过滤器名称');
             }
+            state.position++;
+
+            const args = [];
+            if (this.peekOperator(state, ':')) {
+                state.position++;
+                args.push(this.parseUnary(state));
+                while (this.peekOperator(state, ',')) {
+                    state.position++;
+                    args.push(this.parseUnary(state));
+                }
+            }
+
+            node = { type: 'filter', name: nameToken.value, input: node, args };
+        }
+
+        return node;
+    }
+
+    /**
+     * 按优先级解析二元运算：|| → && → 相等 → 比较 → 加减 → 乘除
+     */
+    parseBinaryLevel(state, level) {
+        const levels = [
+            ['||'],
+            ['&&'],
+            ['===', '!==', '==', '!='],
+            ['>=', '<=', '>', '<'],
+            ['+', '-'],
+            ['*', '/', '%']
+        ];
+
+        if (level >= levels.length) {
+            return this.parseUnary(state);
+        }
+
+        let node = this.parseBinaryLevel(state, level + 1);
+        let operator;
+        while ((operator = this.peekOperator(state, ...levels[level]))) {
+            state.position++;
+            const right = this.parseBinaryLevel(state, level + 1);
+            node = { type: level < 2 ? 'logical' : 'binary', operator, left: node, right };
+        }
+        return node;
+    }
 
-            // 🔧 修复：处理字符串字面量
-            if ((expression.startsWith("'") && expression.endsWith("'")) ||
-                (expression.startsWith('"') && expression.endsWith('"'))) {
-                return expression.slice(1, -1);
+    /**
+     * unary := ('!' | '-') unary | primary
+     */
+    parseUnary(state) {
+        const operator = this.peekOperator(state, '!', '-');
+        if (operator) {
+            state.position++;
+            return { type: 'unary', operator, argument: this.parseUnary(state) };
+        }
+        return this.parsePrimary(state);
+    }
+
+    /**
+     * primary := number | string | true | false | null | path | path '(' args ')' | field | '(' pipeline ')'
+     */
+    parsePrimary(state) {
+        const token = state.tokens[state.position];
+        if (!token) {
+            throw new Error('表达式不完整');
+        }
+
+        if (token.type === 'op' && token.value === '(') {
+            state.position++;
+            const node = this.parsePipeline(state);
+            this.consumeOperator(state, ')');
+            return node;
+        }
+
+        state.position++;
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'literal', value: token.value };
+            case 'field':
+                return { type: 'field', path: token.value };
+            case 'path': {
+                const keywords = { true: true, false: false, null: null, undefined: undefined };
+                if (Object.prototype.hasOwnProperty.call(keywords, token.value)) {
+                    return { type: 'literal', value: keywords[token.value] };
+                }
+                if (this.peekOperator(state, '(')) {
+                    return this.parseCallArguments(state, token.value);
+                }
+                return { type: 'path', path: token.value };
             }
+            default:
+                throw new Error(`意外的运算符: ${token.value}`);
+        }
+    }
 
-            return expression;
-        } catch (error) {
-            console.warn('[HTMLTemplateParser] ⚠️ 表达式计算失败:', expression, error);
-            return '';
+    /**
+     * 🆕 函数调用参数：'(' (pipeline (',' pipeline)*)? ')'
+     */
+    parseCallArguments(state, name) {
+        this.consumeOperator(state, '(');
+        const args = [];
+        if (!this.peekOperator(state, ')')) {
+            args.push(this.parsePipeline(state));
+            while (this.peekOperator(state, ',')) {
+                state.position++;
+                args.push(this.parsePipeline(state));
+            }
+        }
+        this.consumeOperator(state, ')');
+        return { type: 'call', name, args };
+    }
+
+    /**
+     * 🆕 语法树求值
+     * @param {Object} node - 语法树节点
+     * @param {Object} data - 数据上下文
+     * @returns {any} 结果
+     */
+    evaluateNode(node, data) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'path':
+                return this.resolvePath(node.path, data);
+            case 'field':
+                return this.getDirectFieldValue(node.path);
+            case 'unary': {
+                const value = this.evaluateNode(node.argument, data);
+                return node.operator === '!' ? !this.isTruthy(value) : this.finiteOrZero(-this.toNumber(value));
+            }
+            case 'logical': {
+                const left = this.evaluateNode(node.left, data);
+                if (node.operator === '&&') {
+                    return this.isTruthy(left) ? this.evaluateNode(node.right, data) : left;
+                }
+                // || 保持默认值语义：左侧为空或false时取右侧（0视为有效值）
+                return this.isEmptyValue(left) || left === false ? this.evaluateNode(node.right, data) : left;
+            }
+            case 'binary':
+                return this.applyBinaryOperator(node.operator, this.evaluateNode(node.left, data), this.evaluateNode(node.right, data));
+            case 'filter': {
+                const filter = Object.prototype.hasOwnProperty.call(this.filters, node.name) ? this.filters[node.name] : null;
+                if (!filter) {
+                    throw new Error(`未知的过滤器: ${node.name}`);
+                }
+                const input = this.evaluateNode(node.input, data);
+                const args = node.args.map(arg => this.evaluateNode(arg, data));
+                return filter(input, ...args);
+            }
+            case 'call': {
+                const fn = Object.prototype.hasOwnProperty.call(this.functions, node.name) ? this.functions[node.name] : null;
+                if (!fn) {
+                    throw new Error(`未知的函数: ${node.name}`);
+                }
+                return fn(...node.args.map(arg => this.evaluateNode(arg, data)));
+            }
+            default:
+                throw new Error(`未知的语法节点: ${node.type}`);
+        }
+    }
+
+    /**
+     * 🆕 二元运算
+     */
+    applyBinaryOperator(operator, left, right) {
+        const bothNumeric = this.isNumericValue(left) && this.isNumericValue(right);
+
+        switch (operator) {
+            case '+':
+                if ((this.isNumericValue(left) || this.isEmptyValue(left)) && (this.isNumericValue(right) || this.isEmptyValue(right))) {
+                    return this.finiteOrZero(this.toNumber(left) + this.toNumber(right));
+                }
+                return this.formatRenderedValue(left) + this.formatRenderedValue(right);
+            case '-': return this.finiteOrZero(this.toNumber(left) - this.toNumber(right));
+            case '*': return this.finiteOrZero(this.toNumber(left) * this.toNumber(right));
+            case '/': return this.finiteOrZero(this.toNumber(left) / this.toNumber(right));
+            case '%': return this.finiteOrZero(this.toNumber(left) % this.toNumber(right));
+            case '>': return bothNumeric ? this.toNumber(left) > this.toNumber(right) : String(left ?? '') > String(right ?? '');
+            case '<': return bothNumeric ? this.toNumber(left) < this.toNumber(right) : String(left ?? '') < String(right ?? '');
+            case '>=': return bothNumeric ? this.toNumber(left) >= this.toNumber(right) : String(left ?? '') >= String(right ?? '');
+            case '<=': return bothNumeric ? this.toNumber(left) <= this.toNumber(right) : String(left ?? '') <= String(right ?? '');
+            case '==': return bothNumeric ? this.toNumber(left) === this.toNumber(right) : String(left ?? '') === String(right ?? '');
+            case '!=': return bothNumeric ? this.toNumber(left) !== this.toNumber(right) : String(left ?? '') !== String(right ?? '');
+            case '===': return left === right;
+            case '!==': return left !== right;
+            default:
+                throw new Error(`未知的运算符: ${operator}`);
         }
     }
 
+    /**
+     * 🆕 沙箱化的路径解析
+     * data.x 读取数据对象；this / @index 等读取循环上下文；裸标识符依次在当前循环项、上下文和data中查找
+     * 禁止访问 __proto__ / prototype / constructor，且只读取自有属性
+     * @param {string} path - 路径
+     * @param {Object} data - 数据上下文
+     * @returns {any} 值
+     */
+    resolvePath(path, data) {
+        const segments = path.split('.').filter(segment => segment !== '');
+        if (segments.length === 0 || segments.some(segment => this.security.forbiddenPathSegments.includes(segment))) {
+            return undefined;
+        }
+
+        const [root, ...rest] = segments;
+
+        if (root === 'data') {
+            // 如果data对象有data属性，使用data.data，否则直接使用data
+            return this.getOwnPathValue(data.data || data, rest);
+        }
+        if (root === 'computed') {
+            return this.getComputedValue(rest.join('.'), data);
+        }
+        if (root === 'this' || root.startsWith('@')) {
+            return this.getOwnPathValue(root === 'this' ? data.this : data[root], rest);
+        }
+
+        for (const source of [data.this, data, data.data]) {
+            if (source && typeof source === 'object' && Object.prototype.hasOwnProperty.call(source, root)) {
+                return this.getOwnPathValue(source, segments);
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 🆕 逐级读取自有属性
+     */
+    getOwnPathValue(value, segments) {
+        let current = value;
+        for (const segment of segments) {
+            if (current === null || current === undefined) {
+                return undefined;
+            }
+            if (segment === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+                current = current.length;
+            } else if (typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, segment)) {
+                current = current[segment];
+            } else {
+                return undefined;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * 🆕 内置过滤器
+     * @returns {Object} 过滤器名 -> 函数(value, ...args)
+     */
+    createDefaultFilters() {
+        return {
+            // 比例转百分比：0.78 → "78%"，可指定小数位 percent:1
+            percent: (value, digits = 0) => `${(this.toNumber(value) * 100).toFixed(this.clampDigits(digits))}%`,
+            // 空值时使用默认值：default:"-"
+            default: (value, fallback = '') => (this.isEmptyValue(value) ? fallback : value),
+            // 截断文本：truncate:20 或 truncate:20,"..."
+            truncate: (value, length = 50, suffix = '…') => {
+                const chars = Array.from(this.formatRenderedValue(value));
+                const limit = Math.max(0, Math.floor(this.toNumber(length)));
+                return chars.length > limit ? chars.slice(0, limit).join('') + suffix : chars.join('');
+            },
+            // 日期格式化：date 或 date:"YYYY-MM-DD HH:mm"
+            date: (value, format) => this.formatDate(value, format),
+            round: (value, digits = 0) => Number(this.toNumber(value).toFixed(this.clampDigits(digits))),
+            upper: (value) => this.formatRenderedValue(value).toUpperCase(),
+            lower: (value) => this.formatRenderedValue(value).toLowerCase(),
+            // 查表：等级 | lookup:称号表
+            lookup: (value, table, fallback = '') => this.lookupValue(value, table, fallback)
+        };
+    }
+
+    /**
+     * 🆕 内置表达式函数（计算字段和模板共用）
+     * @returns {Object} 函数名 -> 函数(...args)
+     */
+    createDefaultFunctions() {
+        const numbers = (args) => args.flat().filter(value => !this.isEmptyValue(value)).map(value => this.toNumber(value)).filter(isFinite);
+
+        return {
+            // 查表：lookup(等级, 称号表) 精确匹配键；数字按不超过该值的最大阈值匹配
+            lookup: (value, table, fallback = '') => this.lookupValue(value, table, fallback),
+            min: (...args) => (numbers(args).length > 0 ? Math.min(...numbers(args)) : 0),
+            max: (...args) => (numbers(args).length > 0 ? Math.max(...numbers(args)) : 0),
+            clamp: (value, low, high) => Math.min(this.toNumber(high), Math.max(this.toNumber(low), this.finiteOrZero(this.toNumber(value)))),
+            abs: (value) => this.finiteOrZero(Math.abs(this.toNumber(value))),
+            floor: (value) => this.finiteOrZero(Math.floor(this.toNumber(value))),
+            ceil: (value) => this.finiteOrZero(Math.ceil(this.toNumber(value))),
+            round: (value, digits = 0) => Number(this.finiteOrZero(this.toNumber(value)).toFixed(this.clampDigits(digits)))
+        };
+    }
+
+    /**
+     * 🆕 注册自定义表达式函数
+     * @param {string} name - 函数名
+     * @param {Function} fn - (...args) => result
+     */
+    registerFunction(name, fn) {
+        if (!/^[A-Za-z_]\w*$/.test(name) || typeof fn !== 'function') {
+            throw new Error(`无效的函数: ${name}`);
+        }
+        this.functions[name] = fn;
+    }
+
+    /**
+     * 🆕 查表
+     * @param {any} value - 查找的值
+     * @param {Object} table - 查找表 { 键或数字阈值: 结果 }
+     * @param {any} fallback - 未命中时的默认值
+     */
+    lookupValue(value, table, fallback = '') {
+        if (!table || typeof table !== 'object' || Array.isArray(table)) {
+            return fallback;
+        }
+
+        const key = this.formatRenderedValue(value);
+        if (Object.prototype.hasOwnProperty.call(table, key)) {
+            return table[key];
+        }
+        if (!this.isNumericValue(value)) {
+            return fallback;
+        }
+
+        const number = this.toNumber(value);
+        let matchedKey = null;
+        Object.keys(table)
+            .filter(thresholdKey => this.isNumericValue(thresholdKey))
+            .sort((a, b) => this.toNumber(a) - this.toNumber(b))
+            .forEach(thresholdKey => {
+                if (number >= this.toNumber(thresholdKey)) {
+                    matchedKey = thresholdKey;
+                }
+            });
+
+        return matchedKey === null ? fallback : table[matchedKey];
+    }
+
+    /**
+     * 🆕 注册自定义过滤器
+     * @param {string} name - 过滤器名
+     * @param {Function} filter - (value, ...args) => result
+     */
+    registerFilter(name, filter) {
+        if (!/^[A-Za-z_]\w*$/.test(name) || typeof filter !== 'function') {
+            throw new Error(`无效的过滤器: ${name}`);
+        }
+        this.filters[name] = filter;
+    }
+
+    /**
+     * 🆕 日期格式化
+     */
+    formatDate(value, format) {
+        if (this.isEmptyValue(value)) return '';
+
+        let date;
+        if (value instanceof Date) {
+            date = value;
+        } else if (this.isNumericValue(value)) {
+            // 小于1e12的数字按秒级时间戳处理
+            const timestamp = this.toNumber(value);
+            date = new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp);
+        } else {
+            date = new Date(value);
+        }
+
+        if (isNaN(date.getTime())) {
+            return value;
+        }
+        if (!format) {
+            return date.toLocaleString();
+        }
+
+        const pad = (number) => String(number).padStart(2, '0');
+        const parts = {
+            YYYY: String(date.getFullYear()),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+        return String(format).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    }
+
+    /**
+     * 🆕 值工具函数
+     */
+    isEmptyValue(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    isTruthy(value) {
+        if (this.isEmptyValue(value)) return false;
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'number') return value !== 0 && !isNaN(value);
+        return Boolean(value);
+    }
+
+    isNumericValue(value) {
+        if (typeof value === 'number') return isFinite(value);
+        return typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value);
+    }
+
+    toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (this.isEmptyValue(value)) return 0;
+        return parseFloat(value);
+    }
+
+    finiteOrZero(number) {
+        return isFinite(number) ? number : 0;
+    }
+
+    clampDigits(digits) {
+        return Math.min(10, Math.max(0, Math.floor(this.toNumber(digits)) || 0));
+    }
+
+    /**
+     * 🆕 渲染值为字符串（0和false正常显示，空值输出空字符串）
+     */
+    formatRenderedValue(value) {
+        if (this.isEmptyValue(value)) return '';
+        if (Array.isArray(value)) return value.map(item => this.formatRenderedValue(item)).join(', ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
     /**
      * 🆕 直接获取字段值 - 核心优化功能
      * @param {string} fieldPath - 字段路径 panelName.fieldName
@@ -585,46 +1238,7 @@ export class HTMLTemplateParser {
                 return '';
             }
 
-            // 支持中文字段名访问
-            let fieldValue = panelData[fieldName];
-            
-            // 如果直接访问失败，尝试通过字段映射查找
-            if (fieldValue === undefined || fieldValue === null) {
-                // 获取InfoBarSettings模块来处理字段名映射
-                const infoBarTool = window.SillyTavernInfobar;
-                const infoBarSettings = infoBarTool?.modules?.infoBarSettings || infoBarTool?.modules?.settings;
-                
-                if (infoBarSettings) {
-                    // 尝试获取英文字段名
-                    const englishFieldName = infoBarSettings.getEnglishFieldName?.(fieldName, panelName);
-                    if (englishFieldName && englishFieldName !== fieldName) {
-                        fieldValue = panelData[englishFieldName];
-                        console.log(`[HTMLTemplateParser] 🔄 字段名映射: ${fieldName} -> ${englishFieldName}, 值: ${fieldValue}`);
-                    }
-                    
-                    // 如果还没找到，尝试反向映射（从英文找中文）
-                    if ((fieldValue === undefined || fieldValue === null) && infoBarSettings.getChineseFieldName) {
-                        const chineseFieldName = infoBarSettings.getChineseFieldName(fieldName, panelName);
-                        if (chineseFieldName && chineseFieldName !== fieldName) {
-                            fieldValue = panelData[chineseFieldName];
-                            console.log(`[HTMLTemplateParser] 🔄 反向字段名映射: ${fieldName} -> ${chineseFieldName}, 值: ${fieldValue}`);
-                        }
-                    }
-                }
-            }
-
-            // 如果仍然找不到，尝试在面板数据中查找所有可能的键
-            if (fieldValue === undefined || fieldValue === null) {
-                // 遍历面板数据的所有键，寻找匹配项
-                for (const [key, value] of Object.entries(panelData)) {
-                    if (key.toLowerCase() === fieldName.toLowerCase() || 
-                        key.replace(/[_\s]/g, '') === fieldName.replace(/[_\s]/g, '')) {
-                        fieldValue = value;
-                        console.log(`[HTMLTemplateParser] 🔍 模糊匹配字段: ${fieldName} -> ${key}, 值: ${fieldValue}`);
-                        break;
-                    }
-                }
-            }
+            const fieldValue = this.resolveFieldValue(panelData, panelName, fieldName);
 
             const result = fieldValue !== undefined && fieldValue !== null ? String(fieldValue) : '';
             console.log(`[HTMLTemplateParser] ✅ 字段读取结果: ${panelName}.${fieldName} = "${result}"`);
@@ -636,6 +1250,62 @@ export class HTMLTemplateParser {
         }
     }
 
+    /**
+     * 🆕 在面板数据中按字段名解析字段值（支持中文名、英文键名和模糊匹配）
+     * @param {Object} panelData - 面板数据
+     * @param {string} panelName - 面板名称
+     * @param {string} fieldName - 字段名
+     * @returns {any} 字段值，未找到时返回undefined
+     */
+    resolveFieldValue(panelData, panelName, fieldName) {
+        if (!panelData || typeof panelData !== 'object') {
+            return undefined;
+        }
+
+        // 支持中文字段名访问
+        let fieldValue = panelData[fieldName];
+        
+        // 如果直接访问失败，尝试通过字段映射查找
+        if (fieldValue === undefined || fieldValue === null) {
+            // 获取InfoBarSettings模块来处理字段名映射
+            const infoBarTool = window.SillyTavernInfobar;
+            const infoBarSettings = infoBarTool?.modules?.infoBarSettings || infoBarTool?.modules?.settings;
+            
+            if (infoBarSettings) {
+                // 尝试获取英文字段名
+                const englishFieldName = infoBarSettings.getEnglishFieldName?.(fieldName, panelName);
+                if (englishFieldName && englishFieldName !== fieldName) {
+                    fieldValue = panelData[englishFieldName];
+                    console.log(`[HTMLTemplateParser] 🔄 字段名映射: ${fieldName} -> ${englishFieldName}, 值: ${fieldValue}`);
+                }
+                
+                // 如果还没找到，尝试反向映射（从英文找中文）
+                if ((fieldValue === undefined || fieldValue === null) && infoBarSettings.getChineseFieldName) {
+                    const chineseFieldName = infoBarSettings.getChineseFieldName(fieldName, panelName);
+                    if (chineseFieldName && chineseFieldName !== fieldName) {
+                        fieldValue = panelData[chineseFieldName];
+                        console.log(`[HTMLTemplateParser] 🔄 反向字段名映射: ${fieldName} -> ${chineseFieldName}, 值: ${fieldValue}`);
+                    }
+                }
+            }
+        }
+
+        // 如果仍然找不到，尝试在面板数据中查找所有可能的键
+        if (fieldValue === undefined || fieldValue === null) {
+            // 遍历面板数据的所有键，寻找匹配项
+            for (const [key, value] of Object.entries(panelData)) {
+                if (key.toLowerCase() === fieldName.toLowerCase() || 
+                    key.replace(/[_\s]/g, '') === fieldName.replace(/[_\s]/g, '')) {
+                    fieldValue = value;
+                    console.log(`[HTMLTemplateParser] 🔍 模糊匹配字段: ${fieldName} -> ${key}, 值: ${fieldValue}`);
+                    break;
+                }
+            }
+        }
+
+        return fieldValue;
+    }
+
     /**
      * 获取嵌套对象值
      * @param {Object} obj - 对象
@@ -655,6 +1325,17 @@ export class HTMLTemplateParser {
      * @returns {any} 计算结果
      */
     getComputedValue(field, data) {
+        // 优先使用调用方提供的计算字段（如渲染器的 computed.energyPercentage）
+        if (data.computed && typeof data.computed === 'object' && Object.prototype.hasOwnProperty.call(data.computed, field)) {
+            return data.computed[field];
+        }
+
+        // 🧮 用户在面板上定义的计算字段
+        const userComputedValue = this.unifiedDataCore?.getComputedFieldValue?.(field);
+        if (userComputedValue !== undefined) {
+            return userComputedValue;
+        }
+
         // 实现常用的计算字段
         switch (field) {
             case 'healthPercentage':
@@ -703,13 +1384,29 @@ export class HTMLTemplateParser {
      * @returns {boolean} 是否安全
      */
     validateTemplateSecurity(template) {
+        // 表达式（如 {{#if data.condition == 1}}）单独校验，避免误判为事件属性
+        const expressions = [];
+        const markup = String(template || '').replace(/\{\{([^}]+)\}\}/g, (match, expression) => {
+            expressions.push(expression);
+            return '';
+        });
+
         // 检查禁用模式
         for (const pattern of this.security.forbiddenPatterns) {
-            if (pattern.test(template)) {
+            pattern.lastIndex = 0;
+            if (pattern.test(markup)) {
                 console.warn('[HTMLTemplateParser] ⚠️ 模板包含禁用内容:', pattern);
                 return false;
             }
         }
+
+        for (const expression of expressions) {
+            const pattern = this.security.forbiddenExpressionPatterns.find(item => item.test(expression));
+            if (pattern) {
+                console.warn('[HTMLTemplateParser] ⚠️ 模板表达式包含禁用内容:', expression, pattern);
+                return false;
+            }
+        }
         return true;
     }
 
@@ -1133,6 +1830,7 @@ export class HTMLTemplateParser {
      */
     clearCache() {
         this.compiledTemplates.clear();
+        this.expressionCache.clear();
         console.log('[HTMLTemplateParser] 🗑️ 模板缓存已清除');
     }
 
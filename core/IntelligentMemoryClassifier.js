@@ -76,6 +76,10 @@ export class IntelligentMemoryClassifier {
             relationshipGraph: new Map(),          // 关联关系图
             userPreferences: new Map()             // 用户偏好
         };
+
+        // 🆕 语义聚类中心在向量服务中的集合（类别名 -> 聚类中心），匹配和合并聚类时不在主线程遍历向量
+        this.CENTROID_COLLECTION = 'classifier_semantic_centroids';
+        this.centroidSyncState = { epoch: -1, size: -1 };
         
         // 分类历史和统计
         this.classificationHistory = [];          // 分类历史
@@ -376,25 +380,22 @@ export class IntelligentMemoryClassifier {
                 return this.basicSemanticClassification(memory);
             }
             
-            // 与现有语义聚类比较
+            // 🆕 在向量服务中与现有语义聚类中心比较
             let bestMatch = null;
-            let bestSimilarity = 0;
-            
-            for (const [category, cluster] of this.classificationModels.semanticClusters) {
-                const similarity = this.vectorizedMemoryRetrieval.calculateCosineSimilarity(
-                    memoryVector, 
-                    cluster.centroid
-                );
-                
-                if (similarity > bestSimilarity && similarity >= this.settings.semanticSimilarityThreshold) {
-                    bestSimilarity = similarity;
-                    bestMatch = {
-                        category: category,
-                        similarity: similarity,
-                        confidence: similarity,
-                        method: 'semantic_clustering'
-                    };
-                }
+
+            const vectorService = await this.getSyncedVectorService();
+            const [nearest] = await vectorService.query(this.CENTROID_COLLECTION, memoryVector, {
+                topK: 1,
+                threshold: this.settings.semanticSimilarityThreshold
+            });
+
+            if (nearest && nearest.score > 0 && this.classificationModels.semanticClusters.has(nearest.id)) {
+                bestMatch = {
+                    category: nearest.id,
+                    similarity: nearest.score,
+                    confidence: nearest.score,
+                    method: 'semantic_clustering'
+                };
             }
             
             // 如果没有找到匹配的聚类，创建新的或使用基础分类
@@ -513,35 +514,48 @@ export class IntelligentMemoryClassifier {
     }
 
     /**
-     * 更新聚类中心
+     * 更新聚类中心（在向量服务中计算平均向量，并写回聚类中心集合）
      */
     async updateClusterCentroid(category) {
         try {
             const cluster = this.classificationModels.semanticClusters.get(category);
             if (!cluster || cluster.members.length === 0) return;
 
-            const dimensions = cluster.centroid.length;
-            const newCentroid = new Array(dimensions).fill(0);
-
-            // 计算平均向量
-            for (const member of cluster.members) {
-                for (let i = 0; i < dimensions; i++) {
-                    newCentroid[i] += member.vector[i];
-                }
-            }
-
-            for (let i = 0; i < dimensions; i++) {
-                newCentroid[i] /= cluster.members.length;
-            }
-
-            cluster.centroid = newCentroid;
+            const vectorService = await this.getSyncedVectorService();
+            cluster.centroid = await vectorService.centroid(cluster.members.map(member => member.vector));
             cluster.lastUpdated = Date.now();
 
+            await vectorService.upsert(this.CENTROID_COLLECTION, [{ id: category, vector: cluster.centroid }]);
+            this.centroidSyncState.size = this.classificationModels.semanticClusters.size;
+
         } catch (error) {
             console.error('[IntelligentMemoryClassifier] ❌ 更新聚类中心失败:', error);
         }
     }
 
+    /**
+     * 🆕 获取向量服务，并确保聚类中心集合与 semanticClusters 一致
+     * 聚类数量变化或服务后端重启（epoch变化）时整体重新写入
+     */
+    async getSyncedVectorService() {
+        const vectorService = this.vectorizedMemoryRetrieval.vectorService;
+        const clusters = this.classificationModels.semanticClusters;
+        const { epoch, size } = this.centroidSyncState;
+
+        if (epoch !== vectorService.epoch || size !== clusters.size) {
+            await vectorService.clear(this.CENTROID_COLLECTION);
+            const items = Array.from(clusters.entries())
+                .filter(([, cluster]) => cluster.centroid?.length > 0)
+                .map(([category, cluster]) => ({ id: category, vector: cluster.centroid }));
+            if (items.length > 0) {
+                await vectorService.upsert(this.CENTROID_COLLECTION, items);
+            }
+            this.centroidSyncState = { epoch: vectorService.epoch, size: clusters.size };
+        }
+
+        return vectorService;
+    }
+
     /**
      * 时序模式分析
      */
@@ -1303,6 +1317,7 @@ export class IntelligentMemoryClassifier {
             const semanticClusters = await this.unifiedDataCore.getData('semantic_clusters');
             if (semanticClusters) {
                 this.classificationModels.semanticClusters = new Map(Object.entries(semanticClusters));
+                this.centroidSyncState = { epoch: -1, size: -1 };
             }
 
             // 加载时序模式
@@ -1758,36 +1773,47 @@ export class IntelligentMemoryClassifier {
      */
     async optimizeSemanticClusters() {
         try {
-            // 合并相似的聚类
+            if (!this.vectorizedMemoryRetrieval?.vectorService) return;
+
+            // 🆕 在向量服务中批量查询每个聚类中心的高相似邻居
             const clusters = Array.from(this.classificationModels.semanticClusters.entries());
+            if (clusters.length < 2) return;
+
+            const vectorService = await this.getSyncedVectorService();
+            const neighbors = await vectorService.queryBatch(
+                this.CENTROID_COLLECTION,
+                clusters.map(([, cluster]) => cluster.centroid),
+                { topK: clusters.length, threshold: 0.9 }
+            );
+
+            // 合并相似的聚类（按原顺序合并到靠前的聚类）
+            const order = new Map(clusters.map(([category], index) => [category, index]));
+            const merged = new Set();
 
             for (let i = 0; i < clusters.length; i++) {
-                for (let j = i + 1; j < clusters.length; j++) {
-                    const [category1, cluster1] = clusters[i];
-                    const [category2, cluster2] = clusters[j];
+                const [category1, cluster1] = clusters[i];
+                if (merged.has(category1)) continue;
 
-                    if (category1 === category2) continue;
+                for (const neighbor of neighbors[i]) {
+                    const category2 = neighbor.id;
+                    if (neighbor.score <= 0.9 || !(order.get(category2) > i) || merged.has(category2)) continue;
 
-                    // 计算聚类中心的相似度
-                    const similarity = this.vectorizedMemoryRetrieval?.calculateCosineSimilarity(
-                        cluster1.centroid,
-                        cluster2.centroid
-                    ) || 0;
+                    const cluster2 = this.classificationModels.semanticClusters.get(category2);
+                    if (!cluster2) continue;
 
-                    // 如果相似度很高，合并聚类
-                    if (similarity > 0.9) {
-                        // 合并到第一个聚类
-                        cluster1.members.push(...cluster2.members);
-                        cluster1.count += cluster2.count;
+                    // 合并到第一个聚类
+                    cluster1.members.push(...cluster2.members);
+                    cluster1.count += cluster2.count;
 
-                        // 重新计算中心
-                        await this.updateClusterCentroid(category1);
+                    // 删除第二个聚类
+                    this.classificationModels.semanticClusters.delete(category2);
+                    await vectorService.remove(this.CENTROID_COLLECTION, [category2]);
+                    merged.add(category2);
 
-                        // 删除第二个聚类
-                        this.classificationModels.semanticClusters.delete(category2);
+                    // 重新计算中心
+                    await this.updateClusterCentroid(category1);
 
-                        console.log(`[IntelligentMemoryClassifier] 🔗 合并聚类: ${category2} -> ${category1}`);
-                    }
+                    console.log(`[IntelligentMemoryClassifier] 🔗 合并聚类: ${category2} -> ${category1}`);
                 }
             }
 
@@ -1851,43 +1877,34 @@ export class IntelligentMemoryClassifier {
                 return { clusters: [], method: 'no_data' };
             }
 
-            const clusters = new Map();
-
+            const vectorized = [];
             for (const memory of memories) {
                 const vector = await this.vectorizedMemoryRetrieval.vectorizeText(memory.content);
-                if (!vector) continue;
-
-                // 查找最相似的聚类
-                let bestCluster = null;
-                let bestSimilarity = 0;
+                if (vector) {
+                    vectorized.push({ memory, vector });
+                }
+            }
 
-                for (const [clusterId, cluster] of clusters) {
-                    const similarity = this.vectorizedMemoryRetrieval.calculateCosineSimilarity(
-                        vector,
-                        cluster.centroid
-                    );
+            if (vectorized.length === 0) {
+                return { clusters: [], method: 'no_data' };
+            }
 
-                    if (similarity > bestSimilarity && similarity >= this.settings.semanticSimilarityThreshold) {
-                        bestSimilarity = similarity;
-                        bestCluster = clusterId;
-                    }
-                }
+            // 🆕 在向量服务中聚类：每条记忆归入最相似且达到阈值的聚类，否则以它为中心新建聚类
+            const { assignments, centroids } = await this.vectorizedMemoryRetrieval.vectorService.cluster(
+                vectorized.map(item => item.vector),
+                this.settings.semanticSimilarityThreshold
+            );
 
-                if (bestCluster) {
-                    // 添加到现有聚类
-                    clusters.get(bestCluster).members.push(memory);
-                } else {
-                    // 创建新聚类
-                    const clusterId = `cluster_${clusters.size + 1}`;
-                    clusters.set(clusterId, {
-                        centroid: [...vector],
-                        members: [memory],
-                        category: memory.category || 'unknown'
-                    });
+            const clusters = centroids.map(centroid => ({ centroid, members: [], category: 'unknown' }));
+            assignments.forEach((clusterIndex, i) => {
+                const cluster = clusters[clusterIndex];
+                if (cluster.members.length === 0) {
+                    cluster.category = vectorized[i].memory.category || 'unknown';
                 }
-            }
+                cluster.members.push(vectorized[i].memory);
+            });
 
-            return { clusters: Array.from(clusters.values()), method: 'semantic_clustering' };
+            return { clusters, method: 'semantic_clustering' };
 
         } catch (error) {
             console.error('[IntelligentMemoryClassifier] ❌ 语义聚类失败:', error);
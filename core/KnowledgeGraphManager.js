@@ -6,6 +6,7 @@
  * - 知识图谱构建和存储
  * - 图谱查询和推理
  * - 聊天级别图谱隔离
+ * - LLM抽取模式：批量发送最近消息到自定义API，按实体/关系模式抽取三元组并保留楼层出处
  * 
  * 基于LangMem的知识图谱最佳实践：
  * - Triple数据模型 (Subject-Predicate-Object)
@@ -32,6 +33,9 @@ export class KnowledgeGraphManager {
             autoExtract: true,                      // 自动提取三元组
             extractionFrequency: 3,                 // 每N条消息提取一次
             minConfidence: 0.6,                     // 最小置信度阈值
+            extractionMode: 'rules',                // 🆕 提取模式：'rules'（规则匹配）| 'llm'（自定义API批量抽取）
+            llmBatchSize: 8,                        // 🆕 LLM模式每批最多发送的消息数
+            llmMaxMessageLength: 1500,              // 🆕 LLM模式单条消息截断长度
             
             // 存储策略
             maxTriples: 1000,                       // 最大三元组数量
@@ -56,6 +60,23 @@ export class KnowledgeGraphManager {
         // 实体和关系缓存
         this.entityCache = new Map();               // entity -> metadata
         this.relationCache = new Map();             // relation -> count
+
+        // 🆕 LLM抽取模式的实体类型和关系模式（键写入图谱，值用于提示词）
+        this.ENTITY_TYPES = {
+            character: '角色',
+            place: '地点',
+            item: '物品',
+            faction: '势力/组织'
+        };
+        this.RELATION_TYPES = {
+            loves: '爱慕、喜欢、亲近（主体 -> 对象）',
+            hates: '憎恨、敌视、厌恶（主体 -> 对象）',
+            owns: '拥有、持有（角色/势力 -> 物品/地点）',
+            located_in: '位于、身处（角色/物品/势力 -> 地点）',
+            member_of: '隶属、是成员（角色 -> 势力）'
+        };
+        this.llmExtractionInProgress = false;
+        this.listenersBound = false;
         
         // 统计信息
         this.stats = {
@@ -132,6 +153,14 @@ export class KnowledgeGraphManager {
                     this.settings.enabled = memoryEnhancement.enhancement.knowledgeGraph;
                     console.log('[KnowledgeGraphManager] 📥 从extensionSettings加载enabled:', this.settings.enabled);
                 }
+
+                const extraction = extensionSettings?.knowledgeGraphExtraction;
+                if (extraction?.mode) {
+                    this.settings.extractionMode = extraction.mode;
+                }
+                if (extraction?.batchSize) {
+                    this.settings.llmBatchSize = extraction.batchSize;
+                }
             } catch (error) {
                 console.warn('[KnowledgeGraphManager] ⚠️ 从extensionSettings加载设置失败:', error);
             }
@@ -163,6 +192,13 @@ export class KnowledgeGraphManager {
                 await this.unifiedDataCore.setData('knowledge_graph_settings', this.settings);
             }
 
+            // 运行中启用时补做初始化（init时因禁用而跳过）
+            if (this.settings.enabled && !this.listenersBound) {
+                this.currentChatId = this.currentChatId || this.unifiedDataCore?.getCurrentChatId?.();
+                await this.loadGraphs();
+                this.bindEventListeners();
+            }
+
             console.log('[KnowledgeGraphManager] ✅ 设置更新完成');
 
         } catch (error) {
@@ -170,6 +206,36 @@ export class KnowledgeGraphManager {
         }
     }
 
+    /**
+     * 🆕 更新抽取设置（保存到扩展设置）
+     * @param {{mode?: string, batchSize?: number}} patch
+     */
+    async updateExtractionSettings(patch = {}) {
+        try {
+            if (patch.mode && ['rules', 'llm'].includes(patch.mode)) {
+                this.settings.extractionMode = patch.mode;
+            }
+            if (patch.batchSize) {
+                this.settings.llmBatchSize = Math.max(1, Math.min(30, parseInt(patch.batchSize) || 8));
+            }
+
+            const context = SillyTavern?.getContext?.();
+            const extensionSettings = context?.extensionSettings?.['Information bar integration tool'];
+            if (extensionSettings) {
+                extensionSettings.knowledgeGraphExtraction = {
+                    mode: this.settings.extractionMode,
+                    batchSize: this.settings.llmBatchSize
+                };
+                context.saveSettingsDebounced?.();
+            }
+
+            console.log('[KnowledgeGraphManager] ✅ 抽取设置已更新:', this.settings.extractionMode, this.settings.llmBatchSize);
+
+        } catch (error) {
+            console.error('[KnowledgeGraphManager] ❌ 更新抽取设置失败:', error);
+        }
+    }
+
     /**
      * 加载现有图谱
      */
@@ -183,6 +249,7 @@ export class KnowledgeGraphManager {
                 const graph = await this.unifiedDataCore.getData(graphKey);
                 
                 if (graph) {
+                    this.normalizeGraph(graph);
                     this.graphs.set(this.currentChatId, graph);
                     this.updateStatsFromGraph(graph);
                     console.log('[KnowledgeGraphManager] 📥 已加载聊天图谱:', this.currentChatId);
@@ -215,6 +282,12 @@ export class KnowledgeGraphManager {
             entityIndex: new Map(),                 // entity -> triple IDs
             relationIndex: new Map(),               // relation -> triple IDs
             
+            // 🆕 实体信息（LLM抽取）：name -> { type, aliases, npcId, firstFloor, lastFloor }
+            entities: {},
+
+            // 🆕 LLM抽取已处理到的楼层
+            lastExtractedFloor: -1,
+
             // 统计
             stats: {
                 tripleCount: 0,
@@ -224,6 +297,38 @@ export class KnowledgeGraphManager {
         };
     }
 
+    /**
+     * 🆕 规范化从存储加载的图谱
+     * 索引是Map，序列化后会变成普通对象，这里从三元组重建索引并补齐新增字段
+     */
+    normalizeGraph(graph) {
+        graph.triples = Array.isArray(graph.triples) ? graph.triples : [];
+        graph.entities = graph.entities && typeof graph.entities === 'object' ? graph.entities : {};
+        if (typeof graph.lastExtractedFloor !== 'number') {
+            graph.lastExtractedFloor = -1;
+        }
+
+        if (!(graph.entityIndex instanceof Map) || !(graph.relationIndex instanceof Map)) {
+            graph.entityIndex = new Map();
+            graph.relationIndex = new Map();
+            for (const triple of graph.triples) {
+                for (const entity of [triple.subject, triple.object]) {
+                    if (!graph.entityIndex.has(entity)) graph.entityIndex.set(entity, []);
+                    graph.entityIndex.get(entity).push(triple.id);
+                }
+                if (!graph.relationIndex.has(triple.predicate)) graph.relationIndex.set(triple.predicate, []);
+                graph.relationIndex.get(triple.predicate).push(triple.id);
+            }
+        }
+
+        graph.stats = {
+            tripleCount: graph.triples.length,
+            entityCount: graph.entityIndex.size,
+            relationCount: graph.relationIndex.size
+        };
+        return graph;
+    }
+
     /**
      * 三元组数据结构
      */
@@ -256,6 +361,8 @@ export class KnowledgeGraphManager {
                 console.warn('[KnowledgeGraphManager] ⚠️ 事件系统未提供，跳过事件绑定');
                 return;
             }
+            if (this.listenersBound) return;
+            this.listenersBound = true;
             
             // 监听聊天切换事件
             this.eventSystem.on('chat:changed', async (data) => {
@@ -266,6 +373,15 @@ export class KnowledgeGraphManager {
             this.eventSystem.on('message:received', async (data) => {
                 await this.handleMessageReceived(data);
             });
+
+            // 🆕 LLM抽取模式按SillyTavern的每条AI回复计数（内部message:received只在含信息栏数据时触发）
+            const context = window.SillyTavern?.getContext?.();
+            const messageReceived = context?.event_types?.MESSAGE_RECEIVED;
+            if (context?.eventSource && messageReceived) {
+                context.eventSource.on(messageReceived, async () => {
+                    await this.handleChatMessageForLLM();
+                });
+            }
             
             console.log('[KnowledgeGraphManager] 🔗 事件监听器已绑定');
             
@@ -328,6 +444,7 @@ export class KnowledgeGraphManager {
             const graph = await this.unifiedDataCore?.getData(graphKey);
 
             if (graph) {
+                this.normalizeGraph(graph);
                 this.graphs.set(chatId, graph);
                 this.updateStatsFromGraph(graph);
                 console.log('[KnowledgeGraphManager] 📥 从存储加载图谱:', chatId);
@@ -378,6 +495,9 @@ export class KnowledgeGraphManager {
                 return;
             }
 
+            // LLM模式由 handleChatMessageForLLM 计数和提取
+            if (this.settings.extractionMode === 'llm') return;
+
             const chatId = this.currentChatId || data?.chatId;
             if (!chatId) {
                 console.log('[KnowledgeGraphManager] ⚠️ 无聊天ID，跳过处理');
@@ -648,19 +768,349 @@ export class KnowledgeGraphManager {
         }
     }
 
+    /**
+     * 🆕 LLM模式：按AI回复计数，达到提取频率时批量抽取
+     */
+    async handleChatMessageForLLM() {
+        try {
+            if (!this.settings.enabled || !this.settings.autoExtract || this.settings.extractionMode !== 'llm') {
+                return;
+            }
+
+            const chatId = this.currentChatId || this.unifiedDataCore?.getCurrentChatId?.();
+            if (!chatId) return;
+
+            const currentCount = (this.messageCounters.get(chatId) || 0) + 1;
+            this.messageCounters.set(chatId, currentCount);
+
+            if (currentCount >= this.settings.extractionFrequency) {
+                this.messageCounters.set(chatId, 0);
+                await this.extractTriplesWithLLM(chatId);
+            }
+
+        } catch (error) {
+            console.error('[KnowledgeGraphManager] ❌ LLM模式处理消息失败:', error);
+        }
+    }
+
+    /**
+     * 🆕 批量发送最近未处理的消息到自定义API抽取三元组
+     * 每条三元组的 provenance 记录来源楼层，实体名与NPC数据库中的名称对齐
+     * @param {string} chatId
+     * @returns {Promise<{added: number, extracted: number, floors: Array<number>}|null>} 没有可处理的消息或正在抽取时返回null
+     */
+    async extractTriplesWithLLM(chatId = this.currentChatId) {
+        if (this.llmExtractionInProgress) {
+            console.log('[KnowledgeGraphManager] ⏳ LLM抽取正在进行中');
+            return null;
+        }
+        if (!chatId) return null;
+
+        const infoBarSettings = window.SillyTavernInfobar?.modules?.settings;
+        if (!infoBarSettings || typeof infoBarSettings.sendCustomAPIRequest !== 'function') {
+            console.warn('[KnowledgeGraphManager] ⚠️ 自定义API不可用，跳过LLM三元组抽取');
+            return null;
+        }
+
+        this.llmExtractionInProgress = true;
+        try {
+            const graph = this.graphs.get(chatId) || await this.loadChatGraph(chatId);
+            if (!graph) return null;
+            this.normalizeGraph(graph);
+
+            const messages = this.collectMessagesForExtraction(graph);
+            if (messages.length === 0) {
+                console.log('[KnowledgeGraphManager] ℹ️ 没有新的消息需要抽取');
+                return null;
+            }
+
+            const knownEntities = await this.getKnownEntities(graph);
+            const prompt = this.buildTripleExtractionPrompt(messages, knownEntities);
+
+            console.log('[KnowledgeGraphManager] 🤖 发送LLM三元组抽取请求，楼层:', messages[0].floor, '-', messages[messages.length - 1].floor);
+            const result = await infoBarSettings.sendCustomAPIRequest([
+                { role: 'user', content: prompt }
+            ], {
+                skipSystemPrompt: true
+            });
+
+            if (!result || !result.success || !result.text) {
+                throw new Error('AI返回了空内容或失败');
+            }
+
+            const extraction = this.parseTripleExtraction(result.text);
+            const floors = messages.map(message => message.floor);
+            const messageByFloor = new Map(messages.map(message => [message.floor, message]));
+
+            // 对齐实体名：NPC数据库名称 > 图谱已有实体 > 抽取结果
+            const entityNames = new Map();      // 抽取结果中的名称 -> 规范名称
+            for (const entity of extraction.entities) {
+                const canonical = this.resolveEntityName(entity.name, entity.aliases, entity.type, knownEntities);
+                entityNames.set(entity.name, canonical);
+                entity.aliases.forEach(alias => entityNames.set(alias, canonical));
+                this.recordEntity(graph, canonical, entity, knownEntities);
+            }
+            const canonicalName = (name) => entityNames.get(name)
+                || this.resolveEntityName(name, [], null, knownEntities);
+
+            let added = 0;
+            for (const item of extraction.triples) {
+                const floor = floors.includes(item.floor) ? item.floor : floors[floors.length - 1];
+                const message = messageByFloor.get(floor);
+                const subject = canonicalName(item.subject);
+                const object = canonicalName(item.object);
+                if (!subject || !object || subject === object) continue;
+
+                const triple = this.createTriple(subject, item.predicate, object, message.text.substring(0, 100));
+                triple.source = 'llm_extraction';
+                triple.confidence = item.confidence;
+                triple.provenance = [{
+                    floor: floor,
+                    speaker: message.speaker,
+                    sendDate: message.sendDate
+                }];
+
+                [subject, object].forEach(name => {
+                    const entity = graph.entities[name];
+                    if (entity) {
+                        entity.firstFloor = Math.min(entity.firstFloor ?? floor, floor);
+                        entity.lastFloor = Math.max(entity.lastFloor ?? floor, floor);
+                    }
+                });
+
+                if (this.addTriple(graph, triple)) {
+                    added++;
+                }
+            }
+
+            graph.lastExtractedFloor = Math.max(graph.lastExtractedFloor, ...floors);
+            graph.updatedAt = Date.now();
+
+            this.stats.totalExtractions++;
+            this.stats.lastExtractionTime = Date.now();
+            this.updateStatsFromGraph(graph);
+
+            await this.saveGraph(chatId);
+
+            console.log(`[KnowledgeGraphManager] ✅ LLM抽取完成: ${extraction.triples.length} 个三元组，新增 ${added} 个`);
+
+            this.eventSystem?.emit('knowledge-graph:triples-extracted', {
+                chatId,
+                mode: 'llm',
+                floors,
+                extracted: extraction.triples.length,
+                added,
+                timestamp: Date.now()
+            });
+
+            return { added, extracted: extraction.triples.length, floors };
+
+        } catch (error) {
+            console.error('[KnowledgeGraphManager] ❌ LLM三元组抽取失败:', error);
+            this.handleError(error);
+            return null;
+        } finally {
+            this.llmExtractionInProgress = false;
+        }
+    }
+
+    /**
+     * 🆕 收集上次抽取之后的消息（最多 llmBatchSize 条，跳过系统消息）
+     * @returns {Array<{floor: number, speaker: string, text: string, sendDate: *}>}
+     */
+    collectMessagesForExtraction(graph) {
+        const chat = window.SillyTavern?.getContext?.()?.chat || [];
+        const messages = [];
+
+        for (let floor = chat.length - 1; floor > graph.lastExtractedFloor && messages.length < this.settings.llmBatchSize; floor--) {
+            const message = chat[floor];
+            if (!message || message.is_system) continue;
+
+            const text = String(message.mes || '')
+                .replace(/<infobar_data>[\s\S]*?<\/infobar_data>/gi, '')
+                .replace(/<[^>]*>/g, '')
+                .trim()
+                .substring(0, this.settings.llmMaxMessageLength);
+            if (!text) continue;
+
+            messages.unshift({
+                floor: floor,
+                speaker: message.name || (message.is_user ? '用户' : '角色'),
+                text: text,
+                sendDate: message.send_date || null
+            });
+        }
+
+        return messages;
+    }
+
+    /**
+     * 🆕 已知实体：NPC数据库、当前用户和角色名、图谱中已有实体
+     * @returns {Promise<Map<string, {name: string, type: string, npcId?: string}>>} 规范化键 -> 实体
+     */
+    async getKnownEntities(graph) {
+        const known = new Map();
+        const add = (name, entity) => {
+            const key = this.normalizeEntityKey(name);
+            if (key && !known.has(key)) known.set(key, entity);
+        };
+
+        const npcDatabaseManager = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+        const npcs = await npcDatabaseManager?.getCurrentChatNpcs?.() || [];
+        for (const npc of npcs) {
+            if (!npc?.name) continue;
+            const entity = { name: npc.name, type: 'character', npcId: npc.id };
+            add(npc.name, entity);
+            (npc.aliases || []).forEach(alias => add(alias, entity));
+        }
+
+        const context = window.SillyTavern?.getContext?.();
+        [context?.name1, context?.name2].forEach(name => {
+            if (name) add(name, { name, type: 'character' });
+        });
+
+        Object.entries(graph.entities || {}).forEach(([name, entity]) => {
+            const graphEntity = { name, type: entity.type };
+            add(name, graphEntity);
+            (entity.aliases || []).forEach(alias => add(alias, graphEntity));
+        });
+
+        return known;
+    }
+
+    /**
+     * 🆕 实体名规范化键（忽略大小写、空白和常见标点）
+     */
+    normalizeEntityKey(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/[\s·・.,，。、'"“”‘’()（）【】\[\]]/g, '');
+    }
+
+    /**
+     * 🆕 把抽取到的实体名对齐到已知实体（角色优先匹配NPC数据库）
+     */
+    resolveEntityName(name, aliases = [], type = null, knownEntities = new Map()) {
+        const candidates = [name, ...aliases];
+        for (const candidate of candidates) {
+            const known = knownEntities.get(this.normalizeEntityKey(candidate));
+            if (known && (!type || !known.type || known.type === type)) {
+                return known.name;
+            }
+        }
+        return String(name || '').trim();
+    }
+
+    /**
+     * 🆕 记录实体类型和别名
+     */
+    recordEntity(graph, name, entity, knownEntities) {
+        if (!name) return;
+
+        const known = knownEntities.get(this.normalizeEntityKey(name));
+        const record = graph.entities[name] || { type: entity.type, aliases: [] };
+        record.type = record.type || entity.type;
+        if (known?.npcId) record.npcId = known.npcId;
+
+        [entity.name, ...entity.aliases]
+            .filter(alias => alias !== name && !record.aliases.includes(alias))
+            .forEach(alias => record.aliases.push(alias));
+
+        graph.entities[name] = record;
+    }
+
+    /**
+     * 🆕 构建三元组抽取提示词
+     */
+    buildTripleExtractionPrompt(messages, knownEntities) {
+        const entityTypes = Object.entries(this.ENTITY_TYPES).map(([key, label]) => `- ${key}：${label}`).join('\n');
+        const relationTypes = Object.entries(this.RELATION_TYPES).map(([key, label]) => `- ${key}：${label}`).join('\n');
+        const knownNames = Array.from(new Set(Array.from(knownEntities.values()).map(entity => entity.name))).slice(0, 100);
+        const transcript = messages.map(message => `[#${message.floor}] ${message.speaker}：${message.text}`).join('\n\n');
+
+        return `请从下面的角色扮演对话中抽取故事世界里的实体和它们之间的关系。
+
+实体类型（type只能取以下值）：
+${entityTypes}
+
+关系类型（predicate只能取以下值）：
+${relationTypes}
+
+已知实体名（同一个实体请使用这里的写法，不要另起名字）：
+${knownNames.length > 0 ? knownNames.join('、') : '（暂无）'}
+
+对话（[#楼层] 发言者：内容）：
+${transcript}
+
+要求：
+1. 只抽取对话中明确表达或强烈暗示的事实，不要推测
+2. 每个三元组的floor填写依据所在的楼层号
+3. confidence为0到1之间的把握程度
+4. 实体的其他称呼写在aliases里
+
+只返回JSON，不要其他内容：
+{"entities": [{"name": "实体名", "type": "character", "aliases": ["别名"]}], "triples": [{"subject": "实体名", "predicate": "loves", "object": "实体名", "floor": 楼层号, "confidence": 0.9}]}`;
+    }
+
+    /**
+     * 🆕 解析抽取结果，丢弃不符合模式的实体和三元组
+     * @returns {{entities: Array, triples: Array}}
+     */
+    parseTripleExtraction(text) {
+        const jsonMatch = String(text).match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('AI返回的数据格式错误，无法解析JSON');
+        }
+
+        const data = JSON.parse(jsonMatch[0]);
+        const clean = (value) => String(value ?? '').trim();
+
+        const entities = (Array.isArray(data.entities) ? data.entities : [])
+            .map(entity => ({
+                name: clean(entity?.name),
+                type: clean(entity?.type).toLowerCase(),
+                aliases: (Array.isArray(entity?.aliases) ? entity.aliases : []).map(clean).filter(Boolean)
+            }))
+            .filter(entity => entity.name && this.ENTITY_TYPES[entity.type]);
+
+        const triples = (Array.isArray(data.triples) ? data.triples : [])
+            .map(triple => ({
+                subject: clean(triple?.subject),
+                predicate: clean(triple?.predicate).toLowerCase(),
+                object: clean(triple?.object),
+                floor: parseInt(triple?.floor),
+                confidence: Math.max(0, Math.min(1, parseFloat(triple?.confidence) || 0.8))
+            }))
+            .filter(triple => triple.subject && triple.object &&
+                this.RELATION_TYPES[triple.predicate] &&
+                triple.confidence >= this.settings.minConfidence);
+
+        return { entities, triples };
+    }
+
     /**
      * 添加三元组到图谱
      */
     addTriple(graph, triple) {
         try {
             // 检查是否已存在相似三元组
-            const exists = graph.triples.some(t =>
+            const existing = graph.triples.find(t =>
                 t.subject === triple.subject &&
                 t.predicate === triple.predicate &&
                 t.object === triple.object
             );
 
-            if (exists) {
+            if (existing) {
+                // 🆕 重复抽取到的三元组合并出处楼层
+                if (triple.provenance?.length) {
+                    const floors = new Set((existing.provenance || []).map(item => item.floor));
+                    existing.provenance = [
+                        ...(existing.provenance || []),
+                        ...triple.provenance.filter(item => !floors.has(item.floor))
+                    ];
+                    existing.confidence = Math.max(existing.confidence || 0, triple.confidence || 0);
+                    graph.updatedAt = Date.now();
+                }
                 console.log('[KnowledgeGraphManager] ℹ️ 三元组已存在，跳过');
                 return false;
             }
@@ -941,6 +1391,8 @@ export class KnowledgeGraphManager {
         return {
             initialized: this.initialized,
             enabled: this.settings.enabled,
+            extractionMode: this.settings.extractionMode,
+            llmExtractionInProgress: this.llmExtractionInProgress,
             currentChatId: this.currentChatId,
             graphsCount: this.graphs.size,
             currentGraph: this.graphs.get(this.currentChatId),
@@ -0,0 +1,477 @@
+/**
+ * 记忆关键词倒排索引
+ *
+ * 所有关键词检索路径（ContextualRetrieval、MultiRecallReranker、AIMemoryDatabase）共用的BM25索引：
+ * - 中日韩文本按二元组（bigram）切分，拉丁文字/数字按单词切分，不依赖浏览器分词器，保证持久化结果一致
+ * - 增量更新：记忆添加、迁移（仅更新元数据）、删除时单独增删文档
+ * - 按作用域（scope）隔离不同来源的记忆，各作用域独立计算文档频率和平均长度
+ * - 按聊天持久化，切换聊天时先保存旧聊天再加载新聊天
+ * - 作用域可注册解析函数，检索结果直接附带原始记忆对象
+ *
+ * @class MemoryKeywordIndex
+ */
+
+export class MemoryKeywordIndex {
+    constructor({ unifiedDataCore, eventSystem } = {}) {
+        console.log('[MemoryKeywordIndex] 🔧 记忆关键词索引初始化开始');
+
+        this.unifiedDataCore = unifiedDataCore;
+        this.eventSystem = eventSystem;
+
+        // 分词器版本：切分规则变化时旧的持久化数据会被丢弃并由来源模块重建
+        this.TOKENIZER = 'cjk-bigram-v1';
+        this.STORAGE_PREFIX = 'memory_keyword_index_';
+
+        // BM25参数
+        this.k1 = 1.2;
+        this.b = 0.75;
+
+        // scope -> { documents: Map<id, {terms: Map<term, tf>, length, signature, meta}>, postings: Map<term, Map<id, tf>>, totalLength }
+        this.scopes = new Map();
+
+        // scope -> (id) => 原始记忆对象
+        this.resolvers = new Map();
+
+        // 当前加载的聊天
+        this.chatId = null;
+        this.switching = Promise.resolve();
+
+        // 防抖保存
+        this.dirty = false;
+        this.saveTimer = null;
+        this.saveDelay = 2000;
+
+        // 统计
+        this.stats = {
+            searches: 0,
+            lastSearchTime: 0
+        };
+
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[MemoryKeywordIndex] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 初始化（具体聊天由来源模块同步时加载）
+     */
+    async init() {
+        this.initialized = true;
+        console.log('[MemoryKeywordIndex] ✅ 记忆关键词索引初始化完成');
+    }
+
+    /**
+     * 注册作用域的记忆解析函数
+     * @param {string} scope - 作用域名
+     * @param {Function} resolver - (id) => 记忆对象
+     */
+    registerScope(scope, resolver) {
+        this.getScope(scope);
+        if (typeof resolver === 'function') {
+            this.resolvers.set(scope, resolver);
+        }
+    }
+
+    /**
+     * 获取（必要时创建）作用域
+     */
+    getScope(scope) {
+        if (!this.scopes.has(scope)) {
+            this.scopes.set(scope, { documents: new Map(), postings: new Map(), totalLength: 0 });
+        }
+        return this.scopes.get(scope);
+    }
+
+    /**
+     * 分词：中日韩连续文本切为二元组（单字文本保留单字），其他文字按单词切分并转小写
+     * @param {string} text - 文本
+     * @returns {Array<string>} 词项（含重复，用于统计词频）
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        const tokens = [];
+        const normalized = String(text).normalize('NFKC').toLowerCase();
+        const pattern = /([぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]+)|([a-z0-9À-ɏ]+)/g;
+
+        let match;
+        while ((match = pattern.exec(normalized)) !== null) {
+            if (match[1]) {
+                const run = match[1];
+                if (run.length === 1) {
+                    tokens.push(run);
+                    continue;
+                }
+                for (let i = 0; i < run.length - 1; i++) {
+                    tokens.push(run.slice(i, i + 2));
+                }
+            } else if (match[2].length > 1 || /\d/.test(match[2])) {
+                tokens.push(match[2]);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 文本签名，用于同步时判断内容是否变化
+     */
+    computeSignature(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `${text.length}:${hash >>> 0}`;
+    }
+
+    /**
+     * 添加或更新文档（内容未变化时只更新元数据）
+     * @param {string} scope - 作用域
+     * @param {string} id - 记忆ID
+     * @param {string} text - 被索引的文本
+     * @param {Object} meta - 元数据（如记忆层级）
+     * @returns {boolean} 是否重新分词
+     */
+    add(scope, id, text, meta = {}) {
+        try {
+            if (!id) return false;
+
+            const index = this.getScope(scope);
+            const content = String(text || '');
+            const signature = this.computeSignature(content);
+            const existing = index.documents.get(id);
+
+            if (existing && existing.signature === signature) {
+                existing.meta = { ...existing.meta, ...meta };
+                this.scheduleSave();
+                return false;
+            }
+
+            if (existing) {
+                this.removeFromScope(index, id);
+            }
+
+            const terms = new Map();
+            const tokens = this.tokenize(content);
+            tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+
+            this.insertDocument(index, id, { terms, length: tokens.length, signature, meta: { ...meta } });
+            this.scheduleSave();
+            return true;
+
+        } catch (error) {
+            console.error('[MemoryKeywordIndex] ❌ 添加文档失败:', error);
+            this.handleError(error);
+            return false;
+        }
+    }
+
+    /**
+     * 仅更新元数据（如记忆迁移到其他层级）
+     */
+    updateMeta(scope, id, meta = {}) {
+        const document = this.scopes.get(scope)?.documents.get(id);
+        if (!document) return false;
+
+        document.meta = { ...document.meta, ...meta };
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * 删除文档
+     */
+    remove(scope, id) {
+        const index = this.scopes.get(scope);
+        if (!index || !index.documents.has(id)) return false;
+
+        this.removeFromScope(index, id);
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * 清空作用域
+     */
+    clearScope(scope) {
+        const index = this.scopes.get(scope);
+        if (!index || index.documents.size === 0) return;
+
+        index.documents.clear();
+        index.postings.clear();
+        index.totalLength = 0;
+        this.scheduleSave();
+    }
+
+    insertDocument(index, id, document) {
+        index.documents.set(id, document);
+        index.totalLength += document.length;
+        document.terms.forEach((tf, term) => {
+            if (!index.postings.has(term)) {
+                index.postings.set(term, new Map());
+            }
+            index.postings.get(term).set(id, tf);
+        });
+    }
+
+    removeFromScope(index, id) {
+        const document = index.documents.get(id);
+        if (!document) return;
+
+        document.terms.forEach((tf, term) => {
+            const posting = index.postings.get(term);
+            if (!posting) return;
+            posting.delete(id);
+            if (posting.size === 0) {
+                index.postings.delete(term);
+            }
+        });
+        index.totalLength -= document.length;
+        index.documents.delete(id);
+    }
+
+    /**
+     * 与来源模块的记忆对齐：补充缺失/变化的文档，删除已不存在的文档
+     * @param {string} scope - 作用域
+     * @param {Iterable<[string, {text: string, meta: Object}]>} entries - 当前全部记忆
+     * @param {string} chatId - 记忆所属聊天
+     * @param {Object} options - { retainIds: 未加载到内存但仍然存在的记忆ID，已索引的文档原样保留 }
+     * @returns {Promise<{added: number, removed: number}>}
+     */
+    async syncScope(scope, entries, chatId = null, options = {}) {
+        await this.useChat(chatId);
+
+        const index = this.getScope(scope);
+        const seen = new Set(options.retainIds || []);
+        let added = 0;
+        let removed = 0;
+
+        for (const [id, entry] of entries) {
+            seen.add(id);
+            if (this.add(scope, id, entry?.text, entry?.meta)) {
+                added++;
+            }
+        }
+
+        for (const id of Array.from(index.documents.keys())) {
+            if (!seen.has(id)) {
+                this.removeFromScope(index, id);
+                removed++;
+            }
+        }
+
+        if (added > 0 || removed > 0) {
+            this.scheduleSave();
+            console.log(`[MemoryKeywordIndex] 🔄 作用域 ${scope} 已同步: +${added} -${removed}，共 ${index.documents.size} 个文档`);
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * BM25检索
+     * @param {string} query - 查询文本
+     * @param {Object} options - { scopes: 限定作用域, limit: 最大结果数, filter: (hit) => boolean }
+     * @returns {Array<{scope, id, score, normalizedScore, matchedTerms, meta, document}>} 按分数降序
+     */
+    search(query, options = {}) {
+        try {
+            const startTime = Date.now();
+            const queryTerms = Array.from(new Set(this.tokenize(query)));
+            if (queryTerms.length === 0) return [];
+
+            const scopeNames = options.scopes || Array.from(this.scopes.keys());
+            const hits = [];
+
+            for (const scope of scopeNames) {
+                const index = this.scopes.get(scope);
+                if (!index || index.documents.size === 0) continue;
+
+                const documentCount = index.documents.size;
+                const averageLength = index.totalLength / documentCount || 1;
+                const scores = new Map(); // id -> { score, matchedTerms }
+
+                for (const term of queryTerms) {
+                    const posting = index.postings.get(term);
+                    if (!posting) continue;
+
+                    const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+                    posting.forEach((tf, id) => {
+                        const length = index.documents.get(id).length;
+                        const termScore = idf * (tf * (this.k1 + 1)) /
+                            (tf + this.k1 * (1 - this.b + this.b * length / averageLength));
+
+                        const entry = scores.get(id) || { score: 0, matchedTerms: 0 };
+                        entry.score += termScore;
+                        entry.matchedTerms++;
+                        scores.set(id, entry);
+                    });
+                }
+
+                const resolver = this.resolvers.get(scope);
+                scores.forEach(({ score, matchedTerms }, id) => {
+                    hits.push({
+                        scope,
+                        id,
+                        score,
+                        matchedTerms,
+                        meta: index.documents.get(id).meta,
+                        document: resolver ? resolver(id) : null
+                    });
+                });
+            }
+
+            const maxScore = hits.reduce((max, hit) => Math.max(max, hit.score), 0) || 1;
+            hits.forEach(hit => { hit.normalizedScore = hit.score / maxScore; });
+
+            const filtered = typeof options.filter === 'function' ? hits.filter(options.filter) : hits;
+            filtered.sort((a, b) => b.score - a.score);
+
+            this.stats.searches++;
+            this.stats.lastSearchTime = Date.now() - startTime;
+
+            return options.limit ? filtered.slice(0, options.limit) : filtered;
+
+        } catch (error) {
+            console.error('[MemoryKeywordIndex] ❌ 检索失败:', error);
+            this.handleError(error);
+            return [];
+        }
+    }
+
+    /**
+     * 切换到指定聊天：保存旧聊天的索引并加载新聊天的索引（串行执行）
+     */
+    async useChat(chatId) {
+        const targetChatId = chatId || 'default';
+
+        this.switching = this.switching.then(async () => {
+            if (this.chatId === targetChatId) return;
+
+            if (this.chatId && this.dirty) {
+                await this.save();
+            }
+
+            this.scopes.forEach((index, scope) => this.scopes.set(scope, { documents: new Map(), postings: new Map(), totalLength: 0 }));
+            this.chatId = targetChatId;
+            await this.load();
+        }).catch(error => {
+            console.error('[MemoryKeywordIndex] ❌ 切换聊天失败:', error);
+            this.handleError(error);
+        });
+
+        return this.switching;
+    }
+
+    /**
+     * 从持久化存储加载当前聊天的索引
+     */
+    async load() {
+        if (!this.unifiedDataCore || !this.chatId) return false;
+
+        const saved = await this.unifiedDataCore.getData(`${this.STORAGE_PREFIX}${this.chatId}`);
+        if (!saved || saved.tokenizer !== this.TOKENIZER || !saved.scopes) {
+            console.log('[MemoryKeywordIndex] 📭 未找到可用的持久化索引:', this.chatId);
+            return false;
+        }
+
+        Object.entries(saved.scopes).forEach(([scope, documents]) => {
+            const index = this.getScope(scope);
+            Object.entries(documents || {}).forEach(([id, document]) => {
+                this.insertDocument(index, id, {
+                    terms: new Map(Object.entries(document.terms || {})),
+                    length: document.length || 0,
+                    signature: document.signature,
+                    meta: document.meta || {}
+                });
+            });
+        });
+
+        this.dirty = false;
+        console.log('[MemoryKeywordIndex] 📥 索引已加载:', this.chatId);
+        return true;
+    }
+
+    /**
+     * 防抖保存
+     */
+    scheduleSave() {
+        this.dirty = true;
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    /**
+     * 保存当前聊天的索引
+     */
+    async save() {
+        try {
+            if (!this.unifiedDataCore || !this.chatId) return false;
+
+            if (this.saveTimer) {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+            }
+
+            const scopes = {};
+            this.scopes.forEach((index, scope) => {
+                scopes[scope] = {};
+                index.documents.forEach((document, id) => {
+                    scopes[scope][id] = {
+                        terms: Object.fromEntries(document.terms),
+                        length: document.length,
+                        signature: document.signature,
+                        meta: document.meta
+                    };
+                });
+            });
+
+            await this.unifiedDataCore.setData(`${this.STORAGE_PREFIX}${this.chatId}`, {
+                tokenizer: this.TOKENIZER,
+                scopes,
+                timestamp: Date.now()
+            });
+
+            this.dirty = false;
+            return true;
+
+        } catch (error) {
+            console.error('[MemoryKeywordIndex] ❌ 保存索引失败:', error);
+            this.handleError(error);
+            return false;
+        }
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[MemoryKeywordIndex] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        const scopes = {};
+        this.scopes.forEach((index, scope) => {
+            scopes[scope] = { documents: index.documents.size, terms: index.postings.size };
+        });
+
+        return {
+            initialized: this.initialized,
+            chatId: this.chatId,
+            tokenizer: this.TOKENIZER,
+            scopes,
+            stats: this.stats,
+            errorCount: this.errorCount
+        };
+    }
+}
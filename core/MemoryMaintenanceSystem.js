@@ -2,11 +2,12 @@
  * 记忆自动维护系统
  * 
  * 核心功能：
- * - 聊天级别记忆隔离（确保聊天A和聊天B的记忆完全独立）
+ * - 聊天级别记忆隔离（确保聊天A和聊天B的记忆完全独立；DeepMemoryManager使用IndexedDB存储时由其自行按聊天加载）
  * - 消息删除/重生成记忆同步（及时清理已删除消息的记忆）
  * - 智能记忆清理（识别过时、冗余记忆）
  * - 记忆压缩优化（合并相似记忆、摘要化）
- * - 记忆质量评估（准确性验证、冲突检测）
+ * - 记忆质量评估（向量相似度筛选候选记忆对，由自定义API判定是否矛盾）
+ * - 记忆冲突审核队列（保留一条/合并/标记为随时间变化，处理结果按聊天记录，不再重复提示）
  * - 自动维护任务调度
  * 
  * @class MemoryMaintenanceSystem
@@ -41,7 +42,13 @@ export class MemoryMaintenanceSystem {
             // 维护调度
             maintenanceInterval: 60 * 60 * 1000,    // 1小时（毫秒）
             immediateCleanupOnDelete: true,         // 删除消息时立即清理
-            immediateCleanupOnRegenerate: true      // 重新生成时立即清理
+            immediateCleanupOnRegenerate: true,     // 重新生成时立即清理
+
+            // 🧩 AI冲突检测
+            aiConflictDetection: true,              // 使用自定义API判定记忆是否矛盾
+            conflictSimilarityThreshold: 0.75,      // 候选记忆对的最低向量相似度
+            conflictScanLimit: 200,                 // 每次检测扫描的最新记忆数量
+            maxConflictChecksPerRun: 10             // 每次检测最多请求AI判定的记忆对数量
         };
         
         // 聊天级别记忆存储（核心：确保聊天隔离）
@@ -52,6 +59,10 @@ export class MemoryMaintenanceSystem {
         this.maintenanceQueue = [];
         this.maintenanceInProgress = false;
         this.maintenanceTimer = null;
+
+        // 🧩 记忆冲突审核队列（按聊天持久化）：{ chatId, pending: [], decisions: { pairKey: decision } }
+        this.conflictQueue = null;
+        this.conflictDetectionInProgress = false;
         
         // 统计信息
         this.stats = {
@@ -61,6 +72,7 @@ export class MemoryMaintenanceSystem {
             memoriesRemoved: 0,                     // 移除的记忆数
             memoriesCompressed: 0,                  // 压缩的记忆数
             conflictsResolved: 0,                   // 解决的冲突数
+            conflictsDetected: 0,                   // AI判定的冲突数
             lastMaintenanceTime: 0                  // 最后维护时间
         };
         
@@ -242,8 +254,8 @@ export class MemoryMaintenanceSystem {
                 await this.saveChatMemories(this.currentChatId);
             }
 
-            // 🔧 步骤2：清理DeepMemoryManager的当前记忆层
-            if (this.deepMemoryManager) {
+            // 🔧 步骤2：清理DeepMemoryManager的当前记忆层（IndexedDB存储由DeepMemoryManager自行切换）
+            if (this.deepMemoryManager && !this.usesMemoryStore()) {
                 console.log('[MemoryMaintenanceSystem] 🧹 清理DeepMemoryManager记忆层...');
                 this.deepMemoryManager.memoryLayers.sensory.clear();
                 this.deepMemoryManager.memoryLayers.shortTerm.clear();
@@ -278,6 +290,13 @@ export class MemoryMaintenanceSystem {
         }
     }
 
+    /**
+     * 💾 DeepMemoryManager是否使用IndexedDB按聊天存储记忆
+     */
+    usesMemoryStore() {
+        return !!this.deepMemoryManager?.memoryStore?.available;
+    }
+
     /**
      * 🔧 核心功能：保存聊天记忆数据（确保聊天隔离）
      */
@@ -286,6 +305,14 @@ export class MemoryMaintenanceSystem {
             if (!chatId) return;
             
             console.log('[MemoryMaintenanceSystem] 💾 保存聊天记忆数据:', chatId);
+
+            // 💾 IndexedDB存储：直接增量保存DeepMemoryManager，不再复制整层数据
+            if (this.usesMemoryStore()) {
+                if (chatId === this.deepMemoryManager.loadedChatId) {
+                    await this.deepMemoryManager.saveMemoryData();
+                }
+                return;
+            }
             
             // 从DeepMemoryManager获取当前记忆数据
             if (this.deepMemoryManager) {
@@ -325,6 +352,17 @@ export class MemoryMaintenanceSystem {
 
             console.log('[MemoryMaintenanceSystem] 📥 加载聊天记忆数据:', chatId);
 
+            // 💾 IndexedDB存储：记忆由DeepMemoryManager按需加载，清理旧版的整层副本
+            if (this.usesMemoryStore()) {
+                const storageKey = `memory_maintenance_chat_${chatId}`;
+                if (await this.unifiedDataCore.getData(storageKey)) {
+                    await this.unifiedDataCore.deleteData(storageKey);
+                    console.log('[MemoryMaintenanceSystem] 🧹 已删除旧版聊天记忆副本:', chatId);
+                }
+                this.chatMemories.delete(chatId);
+                return;
+            }
+
             // 先检查内存缓存
             let chatMemoryData = this.chatMemories.get(chatId);
 
@@ -353,7 +391,7 @@ export class MemoryMaintenanceSystem {
      */
     async restoreChatMemoriesToDeepMemory(chatId) {
         try {
-            if (!chatId || !this.deepMemoryManager) return;
+            if (!chatId || !this.deepMemoryManager || this.usesMemoryStore()) return;
 
             console.log('[MemoryMaintenanceSystem] 🔄 恢复聊天记忆到DeepMemoryManager:', chatId);
 
@@ -621,6 +659,8 @@ export class MemoryMaintenanceSystem {
                     // 清理条件：
                     // 1. 超过最大年龄且重要性低
                     // 2. 深度归档层中超过最大年龄的记忆
+                    if (this.deepMemoryManager.isMemoryPinned?.(memory)) continue;
+
                     if ((age > this.settings.maxMemoryAge && importance < this.settings.lowImportanceThreshold) ||
                         (layerName === 'deepArchive' && age > this.settings.maxMemoryAge * 2)) {
 
@@ -698,44 +738,223 @@ export class MemoryMaintenanceSystem {
     }
 
     /**
-     * 🔧 质量检查：检查记忆质量
+     * 🔧 质量检查：检查记忆质量（AI冲突检测，结果进入审核队列）
      */
     async checkMemoryQuality() {
         try {
             console.log('[MemoryMaintenanceSystem] 🔍 开始检查记忆质量...');
 
-            if (!this.deepMemoryManager) return;
+            if (!this.deepMemoryManager || !this.settings.aiConflictDetection) return;
 
-            let conflictsFound = 0;
-            let conflictsResolved = 0;
+            const { checked, found } = await this.detectContradictions();
 
-            // 检查记忆冲突
-            const memories = Array.from(this.deepMemoryManager.memoryIndex.values());
+            this.stats.totalQualityChecks++;
 
-            for (let i = 0; i < memories.length; i++) {
-                for (let j = i + 1; j < memories.length; j++) {
-                    const conflict = await this.detectMemoryConflict(memories[i], memories[j]);
+            console.log(`[MemoryMaintenanceSystem] ✅ 质量检查完成，判定 ${checked} 对记忆，发现 ${found} 个冲突`);
 
-                    if (conflict) {
-                        conflictsFound++;
+        } catch (error) {
+            console.error('[MemoryMaintenanceSystem] ❌ 检查记忆质量失败:', error);
+        }
+    }
 
-                        // 尝试解决冲突
-                        const resolved = await this.resolveMemoryConflict(memories[i], memories[j]);
-                        if (resolved) {
-                            conflictsResolved++;
-                        }
-                    }
+    /**
+     * 🧩 冲突检测：按向量相似度筛选候选记忆对，请求自定义API判定，矛盾的记忆对进入审核队列
+     * @returns {Promise<{checked: number, found: number}>}
+     */
+    async detectContradictions() {
+        const result = { checked: 0, found: 0 };
+        if (this.conflictDetectionInProgress) {
+            console.log('[MemoryMaintenanceSystem] ⚠️ 冲突检测正在进行中，跳过');
+            return result;
+        }
+
+        this.conflictDetectionInProgress = true;
+        try {
+            if (!this.deepMemoryManager || !this.vectorizedMemoryRetrieval) {
+                console.warn('[MemoryMaintenanceSystem] ⚠️ 深度记忆或向量检索未初始化，跳过冲突检测');
+                return result;
+            }
+
+            const queue = await this.loadConflictQueue();
+            if (!queue) return result;
+
+            const memories = Array.from(this.deepMemoryManager.memoryIndex.values())
+                .filter(memory => memory?.content && !memory.metadata?.outdated)
+                .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+                .slice(0, this.settings.conflictScanLimit);
+
+            const candidates = await this.findConflictCandidates(memories, queue);
+            console.log(`[MemoryMaintenanceSystem] 🧩 找到 ${candidates.length} 对候选记忆`);
+
+            for (const candidate of candidates) {
+                const [first, second] = candidate.memories;
+                let judgement;
+                try {
+                    judgement = await this.detectMemoryConflict(first, second);
+                } catch (error) {
+                    console.error('[MemoryMaintenanceSystem] ❌ AI判定冲突失败，停止本次检测:', error);
+                    break;
+                }
+                if (!judgement) break;
+
+                result.checked++;
+                if (judgement.contradicts) {
+                    queue.pending.push({
+                        id: `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                        pairKey: candidate.pairKey,
+                        memoryIds: [first.id, second.id],
+                        contents: [first.content, second.content],
+                        timestamps: [first.timestamp || 0, second.timestamp || 0],
+                        similarity: candidate.similarity,
+                        reason: judgement.reason,
+                        merged: judgement.merged,
+                        detectedAt: Date.now()
+                    });
+                    result.found++;
+                } else {
+                    // AI判定不矛盾的记忆对同样记录，避免重复请求
+                    queue.decisions[candidate.pairKey] = {
+                        resolution: 'not_contradictory',
+                        source: 'ai',
+                        reason: judgement.reason,
+                        decidedAt: Date.now()
+                    };
                 }
             }
 
-            // 更新统计
-            this.stats.conflictsResolved += conflictsResolved;
-            this.stats.totalQualityChecks++;
+            if (result.checked > 0) {
+                await this.saveConflictQueue();
+                this.stats.conflictsDetected += result.found;
+                this.emitConflictsUpdated();
+            }
 
-            console.log(`[MemoryMaintenanceSystem] ✅ 质量检查完成，发现 ${conflictsFound} 个冲突，解决 ${conflictsResolved} 个`);
+            return result;
 
         } catch (error) {
-            console.error('[MemoryMaintenanceSystem] ❌ 检查记忆质量失败:', error);
+            console.error('[MemoryMaintenanceSystem] ❌ 冲突检测失败:', error);
+            this.handleError(error);
+            return result;
+        } finally {
+            this.conflictDetectionInProgress = false;
+        }
+    }
+
+    /**
+     * 🧩 按向量相似度筛选候选记忆对（跳过已处理和已在队列中的记忆对）
+     * @returns {Promise<Array<{memories: Array, similarity: number, pairKey: string}>>} 按相似度降序
+     */
+    async findConflictCandidates(memories, queue) {
+        const vectors = new Map();
+        for (const memory of memories) {
+            const vector = Array.isArray(memory.vector) && memory.vector.length > 0
+                ? memory.vector
+                : await this.vectorizedMemoryRetrieval.vectorizeText(memory.content);
+            if (vector) {
+                vectors.set(memory.id, vector);
+            }
+        }
+
+        if (vectors.size < 2) {
+            console.log('[MemoryMaintenanceSystem] ℹ️ 可用向量不足，跳过冲突候选筛选');
+            return [];
+        }
+
+        const pendingKeys = new Set(queue.pending.map(item => item.pairKey));
+        const vectorized = memories.filter(memory => vectors.has(memory.id));
+        const position = new Map(vectorized.map((memory, index) => [memory.id, index]));
+        const candidates = [];
+
+        // 在向量服务中批量查询每条记忆的高相似邻居，只保留 i < j 的记忆对
+        const vectorService = this.vectorizedMemoryRetrieval.vectorService;
+        const collection = 'maintenance_conflict_candidates';
+        let neighbors;
+        try {
+            await vectorService.upsert(collection, vectorized.map(memory => ({ id: memory.id, vector: vectors.get(memory.id) })));
+            neighbors = await vectorService.queryBatch(
+                collection,
+                vectorized.map(memory => vectors.get(memory.id)),
+                { topK: vectorized.length, threshold: this.settings.conflictSimilarityThreshold }
+            );
+        } finally {
+            await vectorService.clear(collection);
+        }
+
+        for (let i = 0; i < vectorized.length; i++) {
+            for (const neighbor of neighbors[i]) {
+                if (!(position.get(neighbor.id) > i)) continue;
+
+                const first = vectorized[i];
+                const second = vectorized[position.get(neighbor.id)];
+                if (first.content.trim() === second.content.trim()) continue;
+
+                const pairKey = this.getConflictPairKey(first.id, second.id);
+                if (queue.decisions[pairKey] || pendingKeys.has(pairKey)) continue;
+
+                candidates.push({ memories: [first, second], similarity: neighbor.score, pairKey });
+            }
+        }
+
+        return candidates
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, this.settings.maxConflictChecksPerRun);
+    }
+
+    /**
+     * 记忆对的稳定键（与顺序无关）
+     */
+    getConflictPairKey(id1, id2) {
+        return [id1, id2].sort().join('|');
+    }
+
+    /**
+     * 🧩 加载当前聊天的冲突审核队列
+     * @param {string} chatId - 聊天ID，默认当前聊天
+     */
+    async loadConflictQueue(chatId = null) {
+        const targetChatId = chatId || this.unifiedDataCore?.getCurrentChatId?.();
+        if (!targetChatId || !this.unifiedDataCore) return null;
+
+        if (this.conflictQueue?.chatId === targetChatId) {
+            return this.conflictQueue;
+        }
+
+        const saved = await this.unifiedDataCore.getData(`memory_conflicts_${targetChatId}`);
+        this.conflictQueue = {
+            chatId: targetChatId,
+            pending: Array.isArray(saved?.pending) ? saved.pending : [],
+            decisions: saved?.decisions || {}
+        };
+        return this.conflictQueue;
+    }
+
+    /**
+     * 🧩 保存冲突审核队列
+     */
+    async saveConflictQueue() {
+        if (!this.conflictQueue || !this.unifiedDataCore) return;
+
+        const { chatId, pending, decisions } = this.conflictQueue;
+        await this.unifiedDataCore.setData(`memory_conflicts_${chatId}`, { pending, decisions });
+    }
+
+    /**
+     * 🧩 获取待审核的冲突（UI使用）
+     */
+    async getPendingConflicts() {
+        const queue = await this.loadConflictQueue();
+        return queue ? queue.pending : [];
+    }
+
+    /**
+     * 通知UI冲突队列已变化
+     */
+    emitConflictsUpdated() {
+        if (this.eventSystem && this.conflictQueue) {
+            this.eventSystem.emit('memory-maintenance:conflicts-updated', {
+                chatId: this.conflictQueue.chatId,
+                pending: this.conflictQueue.pending.length,
+                timestamp: Date.now()
+            });
         }
     }
 
@@ -770,6 +989,9 @@ export class MemoryMaintenanceSystem {
      */
     async mergeMemories(mem1, mem2, layer) {
         try {
+            // 固定的记忆不参与自动合并
+            if (this.deepMemoryManager.isMemoryPinned?.(mem1) || this.deepMemoryManager.isMemoryPinned?.(mem2)) return;
+
             // 保留重要性更高的记忆，合并内容
             const importance1 = mem1.metadata?.importance || 0.5;
             const importance2 = mem2.metadata?.importance || 0.5;
@@ -800,53 +1022,193 @@ export class MemoryMaintenanceSystem {
     }
 
     /**
-     * 检测记忆冲突
+     * 🧩 请求自定义API判定两条记忆是否矛盾
+     * @returns {Promise<{contradicts: boolean, reason: string, merged: string}|null>} 自定义API不可用时返回null
      */
     async detectMemoryConflict(mem1, mem2) {
+        const infoBarSettings = window.SillyTavernInfobar?.modules?.settings;
+        if (!infoBarSettings || typeof infoBarSettings.sendCustomAPIRequest !== 'function') {
+            console.warn('[MemoryMaintenanceSystem] ⚠️ 自定义API不可用，跳过AI冲突判定');
+            return null;
+        }
+
+        const prompt = `请判断以下两条关于同一故事的记忆是否互相矛盾（同一时间点不可能同时成立）。
+如果只是补充、细化或描述了不同时间的状态，不算矛盾。
+
+记忆A：${mem1.content}
+记忆B：${mem2.content}
+
+只返回JSON，不要其他内容：
+{"contradicts": true或false, "reason": "一句话说明判断理由", "merged": "如果需要合并，给出一条整合两者且不自相矛盾的记忆"}`;
+
+        const result = await infoBarSettings.sendCustomAPIRequest([
+            { role: 'user', content: prompt }
+        ], {
+            skipSystemPrompt: true
+        });
+
+        if (!result || !result.success || !result.text) {
+            throw new Error('AI返回了空内容或失败');
+        }
+
+        return this.parseConflictJudgement(result.text);
+    }
+
+    /**
+     * 解析AI的冲突判定结果
+     */
+    parseConflictJudgement(text) {
+        const jsonMatch = String(text).match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('AI返回的数据格式错误，无法解析JSON');
+        }
+
+        const data = JSON.parse(jsonMatch[0]);
+        return {
+            contradicts: data.contradicts === true || data.contradicts === 'true',
+            reason: String(data.reason || ''),
+            merged: String(data.merged || '')
+        };
+    }
+
+    /**
+     * 🧩 处理审核队列中的冲突
+     * @param {string} conflictId - 冲突ID
+     * @param {string} resolution - 'keep_first' | 'keep_second' | 'merge' | 'changed_over_time' | 'not_contradictory'
+     * @param {Object} options - { mergedText: 合并时使用的文本，默认使用AI给出的合并结果 }
+     * @returns {Promise<boolean>} 是否处理成功
+     */
+    async resolveMemoryConflict(conflictId, resolution, options = {}) {
         try {
-            // 简单的冲突检测：检查是否有矛盾的陈述
-            // 这里可以后续使用AI进行更智能的冲突检测
+            const queue = await this.loadConflictQueue();
+            const conflict = queue?.pending.find(item => item.id === conflictId);
+            if (!conflict) {
+                console.warn('[MemoryMaintenanceSystem] ⚠️ 冲突不存在:', conflictId);
+                return false;
+            }
 
-            const text1 = (mem1.content || '').toLowerCase();
-            const text2 = (mem2.content || '').toLowerCase();
+            const dmm = this.deepMemoryManager;
+            await dmm?.ensureMemoriesLoaded?.(conflict.memoryIds);
+            const [first, second] = conflict.memoryIds.map(id => dmm?.memoryIndex.get(id));
+
+            // 任一记忆已被删除时，冲突自动失效
+            if ((!first || !second) && resolution !== 'not_contradictory') {
+                queue.pending = queue.pending.filter(item => item.id !== conflictId);
+                await this.saveConflictQueue();
+                this.emitConflictsUpdated();
+                console.warn('[MemoryMaintenanceSystem] ⚠️ 冲突中的记忆已不存在，已移出审核队列:', conflictId);
+                return false;
+            }
 
-            // 检测否定词
-            const negationPatterns = ['不是', '不会', '没有', '不能', '不要'];
+            const decision = { resolution, source: 'user', decidedAt: Date.now() };
 
-            for (const pattern of negationPatterns) {
-                if (text1.includes(pattern) && text2.includes(pattern.replace('不', ''))) {
-                    return true;
+            switch (resolution) {
+                case 'keep_first':
+                case 'keep_second': {
+                    const [kept, removed] = resolution === 'keep_first' ? [first, second] : [second, first];
+                    await this.removeDeepMemory(removed.id);
+                    decision.keptId = kept.id;
+                    break;
+                }
+                case 'merge': {
+                    const importance1 = first.importance ?? first.metadata?.importance ?? 0.5;
+                    const importance2 = second.importance ?? second.metadata?.importance ?? 0.5;
+                    const [primary, secondary] = importance1 >= importance2 ? [first, second] : [second, first];
+                    const mergedText = String(options.mergedText || conflict.merged || '').trim() ||
+                        `${primary.content}\n${secondary.content}`;
+
+                    primary.content = mergedText;
+                    primary.metadata = primary.metadata || {};
+                    primary.metadata.merged = true;
+                    primary.metadata.mergedFrom = [first.id, second.id];
+                    primary.metadata.lastMergeTime = Date.now();
+                    dmm.keywordIndex?.add(dmm.KEYWORD_SCOPE, primary.id, primary.content, { layer: primary.layer });
+
+                    await this.removeDeepMemory(secondary.id);
+                    await this.reindexMergedMemory(primary);
+                    decision.mergedId = primary.id;
+                    break;
+                }
+                case 'changed_over_time': {
+                    const [earlier, later] = (first.timestamp || 0) <= (second.timestamp || 0) ? [first, second] : [second, first];
+                    earlier.metadata = earlier.metadata || {};
+                    later.metadata = later.metadata || {};
+                    earlier.metadata.supersededBy = later.id;
+                    earlier.metadata.changedOverTime = true;
+                    later.metadata.supersedes = earlier.id;
+                    later.metadata.changedOverTime = true;
+                    break;
                 }
+                case 'not_contradictory':
+                    break;
+                default:
+                    throw new Error(`未知的冲突处理方式: ${resolution}`);
             }
 
-            return false;
+            queue.decisions[conflict.pairKey] = decision;
+            queue.pending = queue.pending.filter(item => item.id !== conflictId);
+            await this.saveConflictQueue();
+
+            if (resolution !== 'not_contradictory' && dmm?.saveMemoryData) {
+                await dmm.saveMemoryData();
+            }
+
+            this.stats.conflictsResolved++;
+            console.log(`[MemoryMaintenanceSystem] ✅ 冲突已处理: ${conflictId} (${resolution})`);
+
+            if (this.eventSystem) {
+                this.eventSystem.emit('memory-maintenance:conflict-resolved', {
+                    conflictId,
+                    resolution,
+                    memoryIds: conflict.memoryIds,
+                    timestamp: Date.now()
+                });
+            }
+            this.emitConflictsUpdated();
+
+            return true;
 
         } catch (error) {
-            console.error('[MemoryMaintenanceSystem] ❌ 检测冲突失败:', error);
+            console.error('[MemoryMaintenanceSystem] ❌ 解决冲突失败:', error);
+            this.handleError(error);
             return false;
         }
     }
 
     /**
-     * 解决记忆冲突
+     * 从深度记忆中删除记忆（同步删除关键词索引和向量索引）
      */
-    async resolveMemoryConflict(mem1, mem2) {
-        try {
-            // 简单的冲突解决：保留更新的记忆
-            const time1 = mem1.timestamp || 0;
-            const time2 = mem2.timestamp || 0;
+    async removeDeepMemory(memoryId) {
+        const dmm = this.deepMemoryManager;
+        if (!dmm) return;
 
-            const older = time1 < time2 ? mem1 : mem2;
+        for (const layer of Object.values(dmm.memoryLayers)) {
+            if (layer.delete(memoryId)) {
+                dmm.stats.totalMemories = Math.max(0, dmm.stats.totalMemories - 1);
+            }
+        }
+        dmm.memoryIndex.delete(memoryId);
+        dmm.keywordIndex?.remove(dmm.KEYWORD_SCOPE, memoryId);
 
-            // 标记旧记忆为已过时
-            older.metadata.outdated = true;
-            older.metadata.conflictResolvedTime = Date.now();
+        try {
+            await this.vectorizedMemoryRetrieval?.removeFromIndex?.([memoryId]);
+        } catch (error) {
+            console.warn('[MemoryMaintenanceSystem] ⚠️ 从向量索引删除记忆失败:', memoryId, error);
+        }
+    }
 
-            return true;
+    /**
+     * 合并后移除旧向量并按合并内容重新索引
+     */
+    async reindexMergedMemory(memory) {
+        const vmr = this.vectorizedMemoryRetrieval;
+        if (!vmr) return;
 
+        try {
+            await vmr.removeFromIndex?.([memory.id]);
+            await vmr.handleMemoryUpdated?.({ action: 'add', memory, layer: memory.layer, timestamp: Date.now() });
         } catch (error) {
-            console.error('[MemoryMaintenanceSystem] ❌ 解决冲突失败:', error);
-            return false;
+            console.warn('[MemoryMaintenanceSystem] ⚠️ 重新索引合并记忆失败:', memory.id, error);
         }
     }
 
@@ -859,6 +1221,7 @@ export class MemoryMaintenanceSystem {
             enabled: this.settings.enabled,
             currentChatId: this.currentChatId,
             chatMemoriesCount: this.chatMemories.size,
+            pendingConflicts: this.conflictQueue?.pending.length || 0,
             stats: this.stats,
             errorCount: this.errorCount
         };
@@ -0,0 +1,212 @@
+/**
+ * 记忆检索日志
+ *
+ * 记录最近的记忆检索（上下文感知检索、多路召回、向量化检索）各自返回了哪些记忆，
+ * 供记忆检查器查看某条记忆最近被哪些检索使用：
+ * - 检索模块完成后发出 memory:retrieved 事件 { retriever, query, results: [{ id, score }] }
+ * - 日志按聊天保存在 memory_retrieval_log_<chatId>，只保留最近 maxEntries 条
+ *
+ * @class MemoryRetrievalLog
+ */
+
+export class MemoryRetrievalLog {
+    constructor({ unifiedDataCore, eventSystem } = {}) {
+        console.log('[MemoryRetrievalLog] 🔧 记忆检索日志初始化开始');
+
+        this.unifiedDataCore = unifiedDataCore;
+        this.eventSystem = eventSystem;
+
+        this.settings = {
+            maxEntries: 100,                       // 每个聊天保留的检索记录数
+            maxResultsPerEntry: 20                 // 每条记录保留的结果数
+        };
+
+        // 当前聊天的检索记录（新的在前）
+        this.chatId = null;
+        this.entries = [];
+
+        // 保存防抖
+        this.saveTimer = null;
+        this.saveDelay = 2000;
+
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[MemoryRetrievalLog] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 初始化记忆检索日志
+     */
+    async init() {
+        try {
+            await this.loadLog(this.unifiedDataCore?.getCurrentChatId?.());
+            this.bindEventListeners();
+
+            this.initialized = true;
+            console.log('[MemoryRetrievalLog] ✅ 记忆检索日志初始化完成');
+
+        } catch (error) {
+            console.error('[MemoryRetrievalLog] ❌ 初始化失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 绑定事件监听器
+     */
+    bindEventListeners() {
+        if (!this.eventSystem) return;
+
+        this.eventSystem.on('memory:retrieved', (data) => this.record(data));
+        this.eventSystem.on('chat:changed', (data) => {
+            this.loadLog(data?.chatId || this.unifiedDataCore?.getCurrentChatId?.());
+        });
+    }
+
+    /**
+     * 加载聊天的检索日志（切换前先写入上一个聊天的未保存记录）
+     */
+    async loadLog(chatId) {
+        try {
+            if (chatId === this.chatId) return;
+
+            if (this.saveTimer) {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+                await this.saveLog();
+            }
+
+            this.chatId = chatId || null;
+            this.entries = [];
+            if (!this.chatId || !this.unifiedDataCore) return;
+
+            const saved = await this.unifiedDataCore.getData(`memory_retrieval_log_${this.chatId}`);
+            if (chatId === this.chatId && Array.isArray(saved)) {
+                this.entries = saved.slice(0, this.settings.maxEntries);
+            }
+
+        } catch (error) {
+            console.error('[MemoryRetrievalLog] ❌ 加载检索日志失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 保存当前聊天的检索日志
+     */
+    async saveLog() {
+        try {
+            if (!this.chatId || !this.unifiedDataCore) return;
+            await this.unifiedDataCore.setData(`memory_retrieval_log_${this.chatId}`, this.entries);
+
+        } catch (error) {
+            console.error('[MemoryRetrievalLog] ❌ 保存检索日志失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 防抖保存
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveLog();
+        }, this.saveDelay);
+    }
+
+    /**
+     * 记录一次检索
+     * @param {Object} data - { retriever, query, results: [{ id, score }] }
+     */
+    record(data) {
+        try {
+            const results = (data?.results || [])
+                .filter(result => result?.id)
+                .slice(0, this.settings.maxResultsPerEntry)
+                .map(result => ({
+                    id: String(result.id),
+                    score: typeof result.score === 'number' ? Number(result.score.toFixed(4)) : null
+                }));
+            if (results.length === 0) return;
+
+            this.entries.unshift({
+                retriever: data.retriever || 'unknown',
+                query: String(data.query || '').substring(0, 200),
+                timestamp: data.timestamp || Date.now(),
+                results
+            });
+            if (this.entries.length > this.settings.maxEntries) {
+                this.entries.length = this.settings.maxEntries;
+            }
+
+            this.scheduleSave();
+
+        } catch (error) {
+            console.error('[MemoryRetrievalLog] ❌ 记录检索失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 获取某条记忆最近的使用记录
+     * @param {string} memoryId - 记忆ID
+     * @param {number} limit - 最多返回条数
+     * @returns {Array<{retriever, query, timestamp, rank, score}>}
+     */
+    getUsage(memoryId, limit = 10) {
+        const usage = [];
+        for (const entry of this.entries) {
+            const rank = entry.results.findIndex(result => result.id === memoryId);
+            if (rank === -1) continue;
+
+            usage.push({
+                retriever: entry.retriever,
+                query: entry.query,
+                timestamp: entry.timestamp,
+                rank: rank + 1,
+                score: entry.results[rank].score
+            });
+            if (usage.length >= limit) break;
+        }
+        return usage;
+    }
+
+    /**
+     * 统计每条记忆在日志中被使用的次数
+     * @returns {Map<string, number>}
+     */
+    getUsageCounts() {
+        const counts = new Map();
+        for (const entry of this.entries) {
+            for (const result of entry.results) {
+                counts.set(result.id, (counts.get(result.id) || 0) + 1);
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[MemoryRetrievalLog] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            chatId: this.chatId,
+            entries: this.entries.length,
+            errorCount: this.errorCount
+        };
+    }
+}
@@ -2,7 +2,7 @@
  * 🎯 多路召回+重排序系统
  * 
  * 功能说明:
- * - 关键词检索 + 语义检索 双路召回
+ * - 关键词检索（共享BM25索引） + 语义检索 双路召回
  * - 重排序模型精准筛选
  * - 预测性检索（提前预测用户意图）
  * - 上下文感知，避免无关内容
@@ -17,6 +17,8 @@ export class MultiRecallReranker {
         this.corpusRetrieval = dependencies.corpusRetrieval;
         this.vectorizedMemoryRetrieval = dependencies.vectorizedMemoryRetrieval;
         this.unifiedDataCore = dependencies.unifiedDataCore || window.InfoBarData;
+        this.eventSystem = dependencies.eventSystem || window.SillyTavernInfobar?.eventSource;
+        this.keywordIndex = dependencies.keywordIndex || null; // 🔍 共享BM25关键词索引
         
         // 📊 状态管理
         this.initialized = false;
@@ -25,6 +27,7 @@ export class MultiRecallReranker {
         this.lastPredictedQuery = null;
         this.prefetchedResults = null;
         this.prefetchTime = 0;
+        this.lastTrace = null;            // 🔍 最近一次执行的检索追踪
         
         // ⚙️ 配置
         this.config = {
@@ -251,7 +254,7 @@ export class MultiRecallReranker {
     /**
      * 🎯 多路召回（关键词 + 语义）
      */
-    async multiRecall(query) {
+    async multiRecall(query, decisions = null) {
         try {
             console.log('[MultiRecallReranker] 🎯 开始多路召回...');
             
@@ -268,7 +271,7 @@ export class MultiRecallReranker {
             allResults.push(...semanticResults.map(r => ({ ...r, source: 'semantic' })));
             
             // 3️⃣ 去重
-            const uniqueResults = this.deduplicateResults(allResults);
+            const uniqueResults = this.deduplicateResults(allResults, decisions);
             console.log(`[MultiRecallReranker] 🔄 去重后: ${uniqueResults.length} 条`);
             
             return uniqueResults;
@@ -280,44 +283,39 @@ export class MultiRecallReranker {
     }
     
     /**
-     * 🔑 关键词检索
+     * 🔑 关键词检索（共享的BM25倒排索引，覆盖深度记忆和AI记忆数据库）
      */
     async keywordSearch(query) {
         try {
-            // 提取查询关键词
-            const keywords = this.extractKeywords(query);
-
-            if (keywords.length === 0) {
+            const keywordIndex = this.keywordIndex || window.SillyTavernInfobar?.modules?.memoryKeywordIndex;
+            if (!keywordIndex) {
+                console.warn('[MultiRecallReranker] ⚠️ 关键词索引未找到');
                 return [];
             }
 
-            // 使用AIMemoryDatabase进行关键词搜索
-            const aiMemoryDB = window.SillyTavernInfobar?.modules?.aiMemoryDatabase;
-            if (!aiMemoryDB) {
-                console.warn('[MultiRecallReranker] ⚠️ AIMemoryDatabase未找到');
-                return [];
-            }
+            const hits = keywordIndex.search(query, { limit: this.config.keywordTopK * 2 });
 
-            const results = [];
-            for (const keyword of keywords) {
-                const searchResults = await aiMemoryDB.searchMemories(keyword, {
-                    limit: Math.ceil(this.config.keywordTopK / keywords.length),
-                    sortBy: 'relevance'
+            // 💾 深度记忆中尚未加载的归档记忆按需从存储读取
+            const deepMemoryManager = window.SillyTavernInfobar?.modules?.deepMemoryManager;
+            const unloadedHits = hits.filter(hit => !hit.document && hit.scope === deepMemoryManager?.KEYWORD_SCOPE);
+            if (unloadedHits.length > 0 && await deepMemoryManager.ensureMemoriesLoaded?.(unloadedHits.map(hit => hit.id))) {
+                unloadedHits.forEach(hit => {
+                    hit.document = deepMemoryManager.memoryIndex.get(hit.id);
                 });
-
-                results.push(...searchResults.map(r => ({
-                    text: r.content || r.text,
-                    content: r.content || r.text,
-                    score: r.matchScore || 0.5,
-                    metadata: r.metadata || {},
-                    keyword: keyword
-                })));
             }
 
-            // 按分数排序并返回Top K
-            return results
-                .sort((a, b) => b.score - a.score)
-                .slice(0, this.config.keywordTopK);
+            return hits
+                .filter(hit => hit.document?.content || hit.document?.text)
+                .slice(0, this.config.keywordTopK)
+                .map(hit => ({
+                    id: hit.id,
+                    text: hit.document.content || hit.document.text,
+                    content: hit.document.content || hit.document.text,
+                    score: hit.normalizedScore,
+                    metadata: hit.document.metadata || {},
+                    keywordMatches: hit.matchedTerms,
+                    indexScope: hit.scope
+                }));
 
         } catch (error) {
             console.error('[MultiRecallReranker] ❌ 关键词检索失败:', error);
@@ -351,13 +349,16 @@ export class MultiRecallReranker {
             // 2️⃣ 记忆语义检索
             if (this.vectorizedMemoryRetrieval && this.vectorizedMemoryRetrieval.settings?.enabled) {
                 try {
-                    const memoryResults = await this.vectorizedMemoryRetrieval.semanticSearch(query, {
+                    const memoryResponse = await this.vectorizedMemoryRetrieval.semanticSearch(query, {
                         topK: this.config.semanticTopK,
                         threshold: 0.3
                     });
+                    // semanticSearch 返回 { results, ... }
+                    const memoryResults = Array.isArray(memoryResponse) ? memoryResponse : memoryResponse?.results || [];
 
-                    if (memoryResults && memoryResults.length > 0) {
+                    if (memoryResults.length > 0) {
                         results.push(...memoryResults.map(r => ({
+                            id: r.id,
                             text: r.text || r.content,
                             content: r.text || r.content,
                             score: r.similarity || r.score || 0.5,
@@ -384,7 +385,7 @@ export class MultiRecallReranker {
     /**
      * 🔄 去重结果
      */
-    deduplicateResults(results) {
+    deduplicateResults(results, decisions = null) {
         const seen = new Set();
         const unique = [];
 
@@ -393,6 +394,8 @@ export class MultiRecallReranker {
             if (key && !seen.has(key)) {
                 seen.add(key);
                 unique.push(result);
+            } else if (key) {
+                decisions?.push({ result, status: 'duplicate', note: '与其他召回结果内容重复' });
             }
         }
 
@@ -502,6 +505,55 @@ export class MultiRecallReranker {
         }
     }
 
+    /**
+     * 🔍 构建检索追踪：召回分数、重排序分数，以及去重和重排序截断掉的结果
+     */
+    buildTrace(query, recallResults, finalResults, decisions, prefetched = false) {
+        const toItem = (result, status, note = '') => ({
+            id: result.id || null,
+            content: String(result.content || result.text || '').substring(0, 200),
+            sources: [result.source].filter(Boolean),
+            scores: {
+                [result.source || 'recall']: result.score,
+                rerank: result.rerankScore
+            },
+            status: status,
+            note: note
+        });
+
+        const kept = new Set(finalResults.map(result => result.text || result.content));
+        const truncated = recallResults.filter(result => !kept.has(result.text || result.content));
+
+        return {
+            path: 'multi_recall',
+            query: query,
+            enhancedQuery: null,
+            cached: prefetched,
+            weights: {
+                reranking: !!(this.config.enableReranking && this.config.rerankModel),
+                finalTopK: this.config.finalTopK
+            },
+            items: [
+                ...finalResults.map(result => toItem(result, 'injected', prefetched ? '使用预取结果' : '')),
+                ...decisions.map(decision => toItem(decision.result, decision.status, decision.note)),
+                ...truncated.map(result => toItem(result, 'truncated', `重排序后未进入前 ${this.config.finalTopK} 名`))
+            ],
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * 🔍 通知检索日志本次返回的记忆（仅记录带记忆ID的结果）
+     */
+    emitRetrieved(query, results) {
+        this.eventSystem?.emit('memory:retrieved', {
+            retriever: 'multi_recall',
+            query: query,
+            results: results.map(result => ({ id: result.id, score: result.rerankScore ?? result.score })),
+            timestamp: Date.now()
+        });
+    }
+
     /**
      * 🚀 执行完整的多路召回+重排序流程
      */
@@ -525,22 +577,27 @@ export class MultiRecallReranker {
 
                 // 重排序
                 const finalResults = await this.rerank(query, results);
+                this.lastTrace = this.buildTrace(query, results, finalResults, [], true);
+                this.emitRetrieved(query, finalResults);
 
                 this.isProcessing = false;
                 return finalResults;
             }
 
             // 1️⃣ 多路召回
-            const recallResults = await this.multiRecall(query);
+            const decisions = [];
+            const recallResults = await this.multiRecall(query, decisions);
 
             // 2️⃣ 重排序
             const finalResults = await this.rerank(query, recallResults);
+            this.lastTrace = this.buildTrace(query, recallResults, finalResults, decisions);
 
             // 3️⃣ 记录查询历史
             this.queryHistory.push(query);
             if (this.queryHistory.length > this.maxHistorySize) {
                 this.queryHistory.shift();
             }
+            this.emitRetrieved(query, finalResults);
 
             this.isProcessing = false;
             console.log('[MultiRecallReranker] ✅ 执行完成，返回', finalResults.length, '条结果');
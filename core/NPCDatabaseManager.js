@@ -3,11 +3,13 @@
  * 
  * 负责：
  * - 唯一ID生成（npc_0000 样式）
- * - 名称到ID映射、别名支持
+ * - 名称到ID映射、别名支持（合并NPC时学习别名，别名同样映射到NPC ID）
+ * - 重复NPC候选检测：名称相似度、共同字段值、同场出现情况
  * - 数据持久化（统一数据核心 UnifiedDataCore -> localStorage 范围 global）
  * - 智能合并：同名NPC出现时合并字段与统计
  * - 出现统计：出现次数、最后出现时间、最后对话ID、最后聊天ID
  * - 事件集成：监听 xml/data 解析结果与 data:updated 事件
+ * - 角色NPC库（可选）：按角色卡跨聊天共享NPC，提升/导入并与库双向同步，双方改动同一字段时记为冲突
  */
 
 export class NPCDatabaseManager {
@@ -16,6 +18,8 @@ export class NPCDatabaseManager {
         this.eventSystem = eventSystem || window.SillyTavernInfobar?.eventSource;
 
         this.DB_KEY_PREFIX = 'npcDatabase';
+        this.LIBRARY_KEY_PREFIX = 'npcLibrary';
+        this.libraryConflicts = []; // 上次同步留下的冲突
         this.currentChatId = null; // 当前聊天ID
         this.db = {
             version: 1,
@@ -24,6 +28,10 @@ export class NPCDatabaseManager {
             npcs: {} // { id -> npcRecord }
         };
 
+        // 每个字段保留的历史值数量、每个NPC记录的出场消息数量
+        this.FIELD_HISTORY_LIMIT = 20;
+        this.APPEARANCE_LIMIT = 100;
+
         this.initialized = false;
         this.errorCount = 0;
 
@@ -205,6 +213,7 @@ export class NPCDatabaseManager {
 
                 // 切换到新聊天的数据
                 this.currentChatId = newChatId;
+                this.libraryConflicts = [];
                 await this.load();
 
                 console.log('[NPCDB] ✅ 已切换到新聊天的NPC数据库:', Object.keys(this.db.npcs).length, '个NPC');
@@ -244,6 +253,7 @@ export class NPCDatabaseManager {
 
             // 从聊天范围加载数据
             const loaded = await this.dataCore.getData(dbKey, 'chat');
+            let createdEmpty = false;
 
             if (loaded && typeof loaded === 'object') {
                 // 加载现有数据
@@ -251,7 +261,8 @@ export class NPCDatabaseManager {
                     version: 1,
                     nextId: loaded.nextId || 0,
                     nameToId: loaded.nameToId || {},
-                    npcs: loaded.npcs || {}
+                    npcs: loaded.npcs || {},
+                    notDuplicates: loaded.notDuplicates || []
                 };
             } else {
                 // 🔧 修复：不再从全局存储迁移数据，保持聊天隔离
@@ -264,15 +275,27 @@ export class NPCDatabaseManager {
                 };
                 // 保存空数据库到当前聊天
                 await this.save();
+                createdEmpty = true;
             }
 
-            // 反向构建 nameToId，确保一致性
+            // 反向构建 nameToId（含别名），确保一致性
             Object.values(this.db.npcs).forEach((npc) => {
-                if (npc?.name && !this.db.nameToId[npc.name]) this.db.nameToId[npc.name] = npc.id;
+                [npc?.name, ...(npc?.aliases || [])].forEach((name) => {
+                    if (name && !this.db.nameToId[name]) this.db.nameToId[name] = npc.id;
+                });
             });
 
             console.log('[NPCDB] ✅ 已加载聊天NPC数据库:', Object.keys(this.db.npcs).length, '个NPC');
 
+            // 📚 角色NPC库：新聊天导入库中NPC的最后已知状态，已有聊天与库双向同步
+            if (this.isLibraryEnabled() && currentChatId) {
+                if (createdEmpty) {
+                    await this.importFromLibrary();
+                } else {
+                    await this.syncWithLibrary();
+                }
+            }
+
         } catch (error) {
             console.error('[NPCDB] ❌ 加载数据库失败:', error);
             this.errorCount++;
@@ -367,6 +390,36 @@ export class NPCDatabaseManager {
         return (name || '').trim();
     }
 
+    // 模糊比较用的名称：忽略大小写、空白和常见分隔符
+    foldName(name) {
+        return this.normalizeName(name)
+            .toLowerCase()
+            .replace(/^the\s+/, '')
+            .replace(/[\s·•・._\-'"“”‘’「」『』()（）]/g, '');
+    }
+
+    /**
+     * 按名称或别名查找NPC ID（先精确匹配，再忽略大小写和分隔符匹配）
+     * @param {string} name
+     * @returns {string|null}
+     */
+    resolveNpcId(name) {
+        const normalized = this.normalizeName(name);
+        if (!normalized) return null;
+
+        const exact = this.db.nameToId[normalized];
+        if (exact && this.db.npcs[exact]) return exact;
+
+        const folded = this.foldName(normalized);
+        if (!folded) return null;
+        for (const [knownName, id] of Object.entries(this.db.nameToId)) {
+            if (this.db.npcs[id] && this.foldName(knownName) === folded) {
+                return id;
+            }
+        }
+        return exact || null;
+    }
+
     // 🚀 新增：判断字段是否为名称字段
     isNameField(field) {
         const nameFields = [
@@ -403,7 +456,7 @@ export class NPCDatabaseManager {
     // 获取或创建NPC
     ensureNpc(name) {
         const normalized = this.normalizeName(name) || '未命名NPC';
-        let id = this.db.nameToId[normalized];
+        let id = this.resolveNpcId(normalized);
         
         // 🔧 修复：如果找到ID但NPC对象不存在，重新创建NPC对象
         if (id && !this.db.npcs[id]) {
@@ -412,6 +465,7 @@ export class NPCDatabaseManager {
             this.db.npcs[id] = {
                 id,
                 name: normalized,
+                aliases: [],
                 fields: {},
                 appearCount: 0,
                 lastSeen: 0,
@@ -428,6 +482,7 @@ export class NPCDatabaseManager {
             this.db.npcs[id] = {
                 id,
                 name: normalized,
+                aliases: [],
                 fields: {},
                 appearCount: 0,
                 lastSeen: 0,
@@ -494,6 +549,71 @@ export class NPCDatabaseManager {
         return merged;
     }
 
+    // 记录被新值覆盖的旧字段值
+    recordFieldHistory(npc, newFields, timestamp = Date.now()) {
+        Object.entries(newFields || {}).forEach(([k, v]) => {
+            const oldValue = npc.fields?.[k];
+            if (v === undefined || v === null || String(v).trim() === '') return;
+            if (oldValue === undefined || oldValue === null || String(oldValue).trim() === '') return;
+            if (String(oldValue) === String(v)) return;
+
+            npc.fieldHistory = npc.fieldHistory || {};
+            const history = npc.fieldHistory[k] || (npc.fieldHistory[k] = []);
+            history.push({ value: oldValue, replacedAt: timestamp, messageId: npc.lastMessageId ?? null });
+            if (history.length > this.FIELD_HISTORY_LIMIT) {
+                history.splice(0, history.length - this.FIELD_HISTORY_LIMIT);
+            }
+        });
+    }
+
+    // 记录NPC出场的消息（用于判断两个NPC是否曾同时出场）
+    recordAppearance(npc, messageId) {
+        if (messageId === null || messageId === undefined) return;
+        const key = `${this.currentChatId || ''}:${messageId}`;
+        npc.appearances = npc.appearances || [];
+        if (npc.appearances.includes(key)) return;
+        npc.appearances.push(key);
+        if (npc.appearances.length > this.APPEARANCE_LIMIT) {
+            npc.appearances.splice(0, npc.appearances.length - this.APPEARANCE_LIMIT);
+        }
+    }
+
+    /**
+     * 添加别名（别名已属于其他NPC时不添加）
+     * @returns {boolean} 是否添加
+     */
+    addAlias(npcId, alias) {
+        const npc = this.db.npcs[npcId];
+        const normalized = this.normalizeName(alias);
+        if (!npc || !normalized || normalized === npc.name) return false;
+
+        const ownerId = this.db.nameToId[normalized];
+        if (ownerId && ownerId !== npcId && this.db.npcs[ownerId]) return false;
+
+        npc.aliases = npc.aliases || [];
+        if (!npc.aliases.includes(normalized)) {
+            npc.aliases.push(normalized);
+        }
+        this.db.nameToId[normalized] = npcId;
+        npc.updatedAt = Date.now();
+        return true;
+    }
+
+    removeAlias(npcId, alias) {
+        const npc = this.db.npcs[npcId];
+        if (!npc?.aliases) return false;
+
+        const index = npc.aliases.indexOf(alias);
+        if (index === -1) return false;
+
+        npc.aliases.splice(index, 1);
+        if (this.db.nameToId[alias] === npcId) {
+            delete this.db.nameToId[alias];
+        }
+        npc.updatedAt = Date.now();
+        return true;
+    }
+
     // 处理 data:updated 事件，从指定面板提取NPC并更新数据库
     async handleDataUpdated(payload) {
         try {
@@ -537,7 +657,9 @@ export class NPCDatabaseManager {
                 // 🔧 修复：清理内部字段，避免泄漏到NPC数据库
                 const cleanedFields = this.cleanInternalFields(n.fields);
 
+                this.recordFieldHistory(npc, cleanedFields);
                 npc.fields = this.mergeFields(npc.fields, cleanedFields);
+                this.recordAppearance(npc, messageId);
                 npc.appearCount = (npc.appearCount || 0) + 1;
                 npc.lastSeen = Date.now();
                 npc.lastMessageId = messageId;
@@ -550,6 +672,11 @@ export class NPCDatabaseManager {
             // 保存
             await this.save();
             this.eventSystem?.emit('npc:db:updated', { count: npcs.length, timestamp: Date.now() });
+
+            // 📚 把本次更新同步到角色NPC库
+            if (this.isLibraryEnabled()) {
+                await this.syncWithLibrary();
+            }
         } catch (error) {
             console.error('[NPCDB] ❌ 处理数据更新失败:', error);
         }
@@ -1218,7 +1345,7 @@ export class NPCDatabaseManager {
         // 搜索文本过滤
         if (term) {
             const beforeSearch = filtered.length;
-            filtered = filtered.filter(n => (n.name || '').includes(term));
+            filtered = filtered.filter(n => (n.name || '').includes(term) || (n.aliases || []).some(alias => alias.includes(term)));
             console.log(`[NPCDB] 🔍 搜索过滤结果: ${filtered.length}/${beforeSearch} 个NPC匹配搜索词 "${term}"`);
         }
         
@@ -1249,7 +1376,8 @@ export class NPCDatabaseManager {
                 version: 1,
                 nextId: data.nextId || 0,
                 nameToId: data.nameToId || {},
-                npcs: data.npcs || {}
+                npcs: data.npcs || {},
+                notDuplicates: data.notDuplicates || []
             };
             await this.save();
             this.eventSystem?.emit('npc:db:reloaded', { count: Object.keys(this.db.npcs).length });
@@ -1318,10 +1446,10 @@ export class NPCDatabaseManager {
             // 从数据库中删除NPC
             delete this.db.npcs[npcId];
 
-            // 从名称映射中删除
-            if (npcName && this.db.nameToId[npcName] === npcId) {
-                delete this.db.nameToId[npcName];
-            }
+            // 从名称映射中删除（含别名）
+            Object.keys(this.db.nameToId).forEach((name) => {
+                if (this.db.nameToId[name] === npcId) delete this.db.nameToId[name];
+            });
 
             // 保存数据库
             await this.save();
@@ -1392,11 +1520,148 @@ export class NPCDatabaseManager {
         return await this.getCurrentChatNpcs();
     }
 
+    /**
+     * 🆕 查找可能是同一角色的NPC对
+     * 依据：名称/别名相似度、共同字段值、一方资料中提到另一方的名称；曾在同一条消息中同时出场的降低分数
+     * @param {Object} options - { threshold: 最低分数, limit: 最多返回数量 }
+     * @returns {Array<{npcId1: string, npcId2: string, score: number, reasons: Array<string>}>}
+     */
+    findDuplicateCandidates({ threshold = 0.35, limit = 20 } = {}) {
+        const npcs = Object.values(this.db.npcs).filter(npc => npc?.id);
+        const dismissed = new Set(this.db.notDuplicates || []);
+        const candidates = [];
+
+        for (let i = 0; i < npcs.length; i++) {
+            for (let j = i + 1; j < npcs.length; j++) {
+                const [a, b] = [npcs[i], npcs[j]];
+                if (dismissed.has(this.getPairKey(a.id, b.id))) continue;
+
+                const { score, reasons } = this.scoreDuplicatePair(a, b);
+                if (score >= threshold) {
+                    candidates.push({ npcId1: a.id, npcId2: b.id, score, reasons });
+                }
+            }
+        }
+
+        return candidates
+            .sort((x, y) => y.score - x.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * 计算两个NPC是同一角色的可能性（0-1）
+     */
+    scoreDuplicatePair(a, b) {
+        const reasons = [];
+        let score = 0;
+
+        // 1. 名称/别名相似度
+        let bestName = { similarity: 0 };
+        for (const nameA of [a.name, ...(a.aliases || [])]) {
+            for (const nameB of [b.name, ...(b.aliases || [])]) {
+                const similarity = this.nameSimilarity(nameA, nameB);
+                if (similarity > bestName.similarity) bestName = { similarity, nameA, nameB };
+            }
+        }
+        if (bestName.similarity > 0) {
+            score += bestName.similarity * 0.6;
+            reasons.push(`名称相似：「${bestName.nameA}」与「${bestName.nameB}」(${Math.round(bestName.similarity * 100)}%)`);
+        }
+
+        // 2. 共同字段值（忽略名称字段和单字值）
+        const sharedKeys = Object.keys(a.fields || {}).filter(key =>
+            !this.isNameField(key) && !key.startsWith('_') && key !== 'index' && key !== 'source' &&
+            b.fields?.[key] !== undefined);
+        const sameKeys = sharedKeys.filter(key => {
+            const valueA = String(a.fields[key] ?? '').trim();
+            return valueA.length >= 2 && valueA === String(b.fields[key] ?? '').trim();
+        });
+        if (sharedKeys.length >= 2 && sameKeys.length > 0) {
+            score += (sameKeys.length / sharedKeys.length) * 0.3;
+            reasons.push(`${sameKeys.length}/${sharedKeys.length} 个共同字段值相同：${sameKeys.slice(0, 3).join('、')}`);
+        }
+
+        // 3. 一方的资料中提到另一方的名称（如身份写着“旅店老板的女儿”）
+        const mentions = (source, target) => {
+            const text = Object.entries(source.fields || {})
+                .filter(([key]) => !this.isNameField(key))
+                .map(([, value]) => String(value ?? ''))
+                .join('\n');
+            return [target.name, ...(target.aliases || [])].find(name => name && name.length >= 2 && text.includes(name));
+        };
+        const mentionedB = mentions(a, b);
+        const mentionedA = mentions(b, a);
+        if (mentionedB || mentionedA) {
+            score += 0.25;
+            reasons.push(mentionedB ? `「${a.name}」的资料中提到「${mentionedB}」` : `「${b.name}」的资料中提到「${mentionedA}」`);
+        }
+
+        // 4. 同场出现：同时出场说明是两个人；各自多次出场却从未同场则略微加分
+        const appearancesA = new Set(a.appearances || []);
+        const appearancesB = b.appearances || [];
+        const together = appearancesB.filter(key => appearancesA.has(key)).length;
+        if (together > 0) {
+            score -= Math.min(together / Math.min(appearancesA.size, appearancesB.length), 1) * 0.5;
+            reasons.push(`曾在 ${together} 条消息中同时出场`);
+        } else if (appearancesA.size >= 2 && appearancesB.length >= 2) {
+            score += 0.1;
+            reasons.push('从未同时出场');
+        }
+
+        return { score: Math.max(0, Math.min(1, score)), reasons };
+    }
+
+    /**
+     * 名称相似度：忽略大小写和分隔符后相同为1，互相包含为0.8，否则按编辑距离计算（低于0.6视为不相似）
+     */
+    nameSimilarity(nameA, nameB) {
+        const a = this.foldName(nameA);
+        const b = this.foldName(nameB);
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        if (shorter.length >= 2 && longer.includes(shorter)) return 0.8;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        const similarity = 1 - previous[b.length] / longer.length;
+        return similarity >= 0.6 ? similarity : 0;
+    }
+
+    getPairKey(npcId1, npcId2) {
+        return [npcId1, npcId2].sort().join('|');
+    }
+
+    /**
+     * 标记两个NPC不是同一角色（不再作为重复候选）
+     */
+    async dismissDuplicateCandidate(npcId1, npcId2) {
+        this.db.notDuplicates = this.db.notDuplicates || [];
+        const key = this.getPairKey(npcId1, npcId2);
+        if (!this.db.notDuplicates.includes(key)) {
+            this.db.notDuplicates.push(key);
+            await this.save();
+        }
+    }
+
     /**
      * 🆕 合并两个NPC
      * @param {string} npcId1 - 第一个NPC的ID（保留）
      * @param {string} npcId2 - 第二个NPC的ID（删除）
      * @param {Object} mergedData - 合并后的数据 {name: string, fields: {}}
+     * 两个NPC的其他名称记为别名，字段历史、出场记录和出现次数合并，未被选中的字段值写入字段历史
      * @returns {boolean} 是否合并成功
      */
     async mergeNPCs(npcId1, npcId2, mergedData) {
@@ -1419,20 +1684,45 @@ export class NPCDatabaseManager {
 
             // 更新第一个NPC的数据
             const oldName = npc1.name;
-            npc1.name = mergedData.name;
-            npc1.fields = mergedData.fields;
-            npc1.updatedAt = Date.now();
+            const now = Date.now();
+            const mergedName = this.normalizeName(mergedData.name) || oldName;
 
-            // 合并统计数据（累加出现次数，取最新的时间）
-            npc1.appearCount = (npc1.appearCount || 0) + (npc2.appearCount || 0);
-            npc1.lastSeen = Math.max(npc1.lastSeen || 0, npc2.lastSeen || 0);
+            // 合并字段历史：双方原有历史 + 未被选中的字段值
+            const fieldHistory = {};
+            [npc1, npc2].forEach((npc) => {
+                Object.entries(npc.fieldHistory || {}).forEach(([k, history]) => {
+                    fieldHistory[k] = [...(fieldHistory[k] || []), ...history];
+                });
+                Object.entries(npc.fields || {}).forEach(([k, v]) => {
+                    if (v === undefined || v === null || String(v).trim() === '') return;
+                    if (String(v) === String(mergedData.fields?.[k] ?? '')) return;
+                    if ((fieldHistory[k] || []).some(entry => String(entry.value) === String(v))) return;
+                    fieldHistory[k] = [...(fieldHistory[k] || []), { value: v, replacedAt: now, messageId: npc.lastMessageId ?? null, mergedFrom: npc.id }];
+                });
+            });
+            Object.keys(fieldHistory).forEach((k) => {
+                fieldHistory[k] = fieldHistory[k]
+                    .sort((x, y) => (x.replacedAt || 0) - (y.replacedAt || 0))
+                    .slice(-this.FIELD_HISTORY_LIMIT);
+            });
+
+            npc1.name = mergedName;
+            npc1.fields = mergedData.fields;
+            npc1.fieldHistory = fieldHistory;
+            npc1.appearances = [...new Set([...(npc1.appearances || []), ...(npc2.appearances || [])])].slice(-this.APPEARANCE_LIMIT);
+            npc1.createdAt = Math.min(npc1.createdAt || now, npc2.createdAt || now);
+            npc1.updatedAt = now;
 
             // 如果npc2的最后出现时间更新，使用npc2的消息ID和聊天ID
-            if (npc2.lastSeen > (npc1.lastSeen || 0)) {
+            if ((npc2.lastSeen || 0) > (npc1.lastSeen || 0)) {
                 npc1.lastMessageId = npc2.lastMessageId;
                 npc1.lastChatId = npc2.lastChatId;
             }
 
+            // 合并统计数据（累加出现次数，取最新的时间）
+            npc1.appearCount = (npc1.appearCount || 0) + (npc2.appearCount || 0);
+            npc1.lastSeen = Math.max(npc1.lastSeen || 0, npc2.lastSeen || 0);
+
             console.log('[NPCDB] ✅ 已更新NPC1数据:', {
                 id: npc1.id,
                 name: npc1.name,
@@ -1440,25 +1730,22 @@ export class NPCDatabaseManager {
                 appearCount: npc1.appearCount
             });
 
-            // 更新名称映射（如果名称改变了）
-            if (oldName !== mergedData.name) {
-                // 删除旧名称映射
-                if (this.db.nameToId[oldName] === npcId1) {
-                    delete this.db.nameToId[oldName];
-                }
-                // 添加新名称映射
-                this.db.nameToId[mergedData.name] = npcId1;
-                console.log('[NPCDB] 🔄 已更新名称映射:', oldName, '->', mergedData.name);
-            }
-
             // 删除第二个NPC
             const npc2Name = npc2.name;
             delete this.db.npcs[npcId2];
 
-            // 从名称映射中删除npc2
-            if (this.db.nameToId[npc2Name] === npcId2) {
-                delete this.db.nameToId[npc2Name];
-            }
+            // 更新名称映射：其他名称全部记为别名，并映射到保留的NPC
+            const aliases = [oldName, npc2Name, ...(npc1.aliases || []), ...(npc2.aliases || [])];
+            npc1.aliases = [];
+            Object.keys(this.db.nameToId).forEach((name) => {
+                if (this.db.nameToId[name] === npcId2) this.db.nameToId[name] = npcId1;
+            });
+            this.db.nameToId[mergedName] = npcId1;
+            aliases.forEach(alias => this.addAlias(npcId1, alias));
+            console.log('[NPCDB] 🔄 已更新名称映射:', mergedName, '别名:', npc1.aliases);
+
+            // 不再需要的“不是同一角色”标记
+            this.db.notDuplicates = (this.db.notDuplicates || []).filter(key => !key.split('|').includes(npcId2));
 
             console.log('[NPCDB] 🗑️ 已删除NPC2:', npcId2, npc2Name);
 
@@ -1482,7 +1769,7 @@ export class NPCDatabaseManager {
 
             console.log('[NPCDB] ✅ NPC合并完成:', {
                 mergedId: npcId1,
-                mergedName: mergedData.name,
+                mergedName: mergedName,
                 deletedId: npcId2,
                 deletedName: npc2Name
             });
@@ -1490,7 +1777,8 @@ export class NPCDatabaseManager {
             // 触发事件
             this.eventSystem?.emit('npc:merged', {
                 mergedId: npcId1,
-                mergedName: mergedData.name,
+                mergedName: mergedName,
+                aliases: [...npc1.aliases],
                 deletedId: npcId2,
                 deletedName: npc2Name,
                 chatId: this.currentChatId,
@@ -1513,5 +1801,368 @@ export class NPCDatabaseManager {
             return false;
         }
     }
+
+    // ==================== 📚 角色NPC库 ====================
+
+    isLibraryEnabled() {
+        return localStorage.getItem('npcPanel_libraryEnabled') === 'true';
+    }
+
+    /**
+     * 当前角色卡的标识（头像文件名去掉扩展名）；群聊或没有角色时返回null
+     * @returns {string|null}
+     */
+    getCurrentCharacterKey() {
+        try {
+            const context = SillyTavern?.getContext?.();
+            if (!context || context.groupId) return null;
+
+            const character = context.characters?.[context.characterId];
+            return character?.avatar ? character.avatar.replace(/\.[^/.]+$/, '') : null;
+        } catch (error) {
+            console.error('[NPCDB] ❌ 获取当前角色失败:', error);
+            return null;
+        }
+    }
+
+    getCurrentCharacterName() {
+        const context = SillyTavern?.getContext?.();
+        return context?.characters?.[context.characterId]?.name || '';
+    }
+
+    /**
+     * 加载当前角色的NPC库（不存在时返回空库，不会写入存储）
+     * @returns {Object|null} 没有角色卡时返回null
+     */
+    async loadLibrary() {
+        const characterKey = this.getCurrentCharacterKey();
+        if (!characterKey || !this.dataCore) return null;
+
+        const loaded = await this.dataCore.getData(`${this.LIBRARY_KEY_PREFIX}_${characterKey}`, 'global');
+        return {
+            version: 1,
+            characterKey,
+            characterName: loaded?.characterName || this.getCurrentCharacterName(),
+            nextId: loaded?.nextId || 0,
+            npcs: loaded?.npcs || {}
+        };
+    }
+
+    async saveLibrary(library) {
+        library.updatedAt = Date.now();
+        await this.dataCore.setData(`${this.LIBRARY_KEY_PREFIX}_${library.characterKey}`, library, 'global');
+        this.eventSystem?.emit('npc:library:saved', {
+            characterKey: library.characterKey,
+            count: Object.keys(library.npcs).length,
+            timestamp: Date.now()
+        });
+    }
+
+    // 参与同步的字段（内部字段只属于当前聊天）
+    getLibraryFields(fields) {
+        return Object.fromEntries(Object.entries(fields || {}).filter(([k]) =>
+            !k.startsWith('_') && k !== 'index' && k !== 'source'));
+    }
+
+    // 按名称或别名在库中查找NPC
+    findLibraryEntry(library, npc) {
+        const names = [npc.name, ...(npc.aliases || [])].map(name => this.foldName(name)).filter(Boolean);
+        return Object.values(library.npcs).find(entry =>
+            [entry.name, ...(entry.aliases || [])].some(name => names.includes(this.foldName(name)))) || null;
+    }
+
+    /**
+     * 把当前聊天的NPC提升到角色NPC库（库中已有同名NPC时关联并同步）
+     * @param {Array<string>} npcIds
+     * @returns {{promoted: number, linked: number, conflicts: Array}|null} 没有角色卡时返回null
+     */
+    async promoteToLibrary(npcIds) {
+        const library = await this.loadLibrary();
+        if (!library) return null;
+
+        let promoted = 0;
+        let linked = 0;
+        const now = Date.now();
+
+        npcIds.map(id => this.db.npcs[id]).filter(Boolean).forEach((npc) => {
+            const existing = (npc.libraryId && library.npcs[npc.libraryId]) || this.findLibraryEntry(library, npc);
+            if (existing) {
+                // 已在库中：关联后交给同步处理，不同的字段值作为冲突
+                if (npc.libraryId !== existing.id) {
+                    npc.libraryId = existing.id;
+                    npc.libraryBase = {};
+                    linked++;
+                }
+                return;
+            }
+
+            const id = `lib_${String(library.nextId).padStart(4, '0')}`;
+            library.nextId += 1;
+            library.npcs[id] = {
+                id,
+                name: npc.name,
+                aliases: [...(npc.aliases || [])],
+                fields: this.getLibraryFields(npc.fields),
+                lastSeen: npc.lastSeen || 0,
+                lastChatId: this.currentChatId,
+                chatIds: [this.currentChatId].filter(Boolean),
+                createdAt: now,
+                updatedAt: now
+            };
+            npc.libraryId = id;
+            npc.libraryBase = { ...library.npcs[id].fields };
+            npc.librarySyncedAt = now;
+            promoted++;
+        });
+
+        await this.saveLibrary(library);
+        const { conflicts } = await this.syncWithLibrary(library);
+
+        console.log('[NPCDB] 📚 已提升到角色NPC库:', promoted, '个，关联已有:', linked, '个');
+        return { promoted, linked, conflicts };
+    }
+
+    /**
+     * 从角色NPC库导入NPC（最后已知状态），已在当前聊天中的NPC只建立关联
+     * @param {Array<string>|null} libraryIds - 要导入的库NPC，默认全部
+     * @returns {{imported: number, linked: number}|null}
+     */
+    async importFromLibrary(libraryIds = null) {
+        const library = await this.loadLibrary();
+        if (!library) return null;
+
+        const linkedIds = new Set(Object.values(this.db.npcs).map(npc => npc.libraryId).filter(Boolean));
+        const entries = Object.values(library.npcs).filter(entry =>
+            !linkedIds.has(entry.id) && (!libraryIds || libraryIds.includes(entry.id)));
+
+        let imported = 0;
+        let linked = 0;
+        const now = Date.now();
+
+        entries.forEach((entry) => {
+            const existingId = [entry.name, ...(entry.aliases || [])].map(name => this.resolveNpcId(name)).find(Boolean);
+            if (existingId && this.db.npcs[existingId] && !this.db.npcs[existingId].libraryId) {
+                // 当前聊天已有同名NPC：关联后由同步处理差异
+                this.db.npcs[existingId].libraryId = entry.id;
+                this.db.npcs[existingId].libraryBase = {};
+                linked++;
+                return;
+            }
+
+            const npc = this.ensureNpc(entry.name);
+            npc.fields = { ...npc.fields, ...entry.fields };
+            (entry.aliases || []).forEach(alias => this.addAlias(npc.id, alias));
+            npc.libraryId = entry.id;
+            npc.libraryBase = { ...entry.fields };
+            npc.librarySyncedAt = now;
+            npc.updatedAt = now;
+            imported++;
+        });
+
+        if (imported > 0 || linked > 0) {
+            await this.save();
+            if (linked > 0) {
+                await this.syncWithLibrary(library);
+            }
+            this.eventSystem?.emit('npc:db:updated', { action: 'library_import', count: imported, timestamp: Date.now() });
+        }
+
+        console.log('[NPCDB] 📚 从角色NPC库导入:', imported, '个，关联已有:', linked, '个');
+        return { imported, linked };
+    }
+
+    /**
+     * 当前聊天与角色NPC库双向同步
+     * 以上次同步时的字段值为基准：只有一方改动的字段自动同步，双方改成不同值的字段记为冲突，等待用户选择
+     * @param {Object} library - 已加载的库（可选）
+     * @returns {{pushed: number, pulled: number, conflicts: Array}}
+     */
+    async syncWithLibrary(library = null) {
+        const result = { pushed: 0, pulled: 0, conflicts: [] };
+        try {
+            const linkedNpcs = Object.values(this.db.npcs).filter(npc => npc.libraryId);
+            if (linkedNpcs.length === 0) {
+                this.libraryConflicts = [];
+                return result;
+            }
+
+            library = library || await this.loadLibrary();
+            if (!library) return result;
+
+            const now = Date.now();
+            const same = (a, b) => String(a ?? '').trim() === String(b ?? '').trim();
+            let chatChanged = false;
+            let libraryChanged = false;
+
+            linkedNpcs.forEach((npc) => {
+                const entry = library.npcs[npc.libraryId];
+                if (!entry) {
+                    // 库中的NPC已被删除，解除关联
+                    delete npc.libraryId;
+                    delete npc.libraryBase;
+                    delete npc.librarySyncedAt;
+                    chatChanged = true;
+                    return;
+                }
+
+                const base = npc.libraryBase || {};
+                const chatFields = this.getLibraryFields(npc.fields);
+                const keys = new Set([...Object.keys(chatFields), ...Object.keys(entry.fields || {})]);
+                const nextBase = { ...base };
+                let npcPushed = false;
+
+                keys.forEach((key) => {
+                    const chatValue = chatFields[key];
+                    const libraryValue = entry.fields?.[key];
+                    if (same(chatValue, libraryValue)) {
+                        nextBase[key] = chatValue ?? libraryValue;
+                        return;
+                    }
+
+                    const chatSideChanged = !same(chatValue, base[key]);
+                    const librarySideChanged = !same(libraryValue, base[key]);
+
+                    if (chatSideChanged && !librarySideChanged) {
+                        if (chatValue === undefined) delete entry.fields[key];
+                        else entry.fields[key] = chatValue;
+                        nextBase[key] = chatValue;
+                        npcPushed = true;
+                    } else if (librarySideChanged && !chatSideChanged) {
+                        this.recordFieldHistory(npc, { [key]: libraryValue }, now);
+                        if (libraryValue === undefined) delete npc.fields[key];
+                        else npc.fields[key] = libraryValue;
+                        nextBase[key] = libraryValue;
+                        result.pulled++;
+                        chatChanged = true;
+                    } else {
+                        result.conflicts.push({
+                            npcId: npc.id,
+                            libraryId: entry.id,
+                            name: npc.name,
+                            field: key,
+                            chatValue: chatValue ?? '',
+                            libraryValue: libraryValue ?? ''
+                        });
+                    }
+                });
+
+                // 别名两边取并集
+                const aliases = [...new Set([...(entry.aliases || []), ...(npc.aliases || [])])];
+                aliases.filter(alias => !(npc.aliases || []).includes(alias)).forEach((alias) => {
+                    if (this.addAlias(npc.id, alias)) chatChanged = true;
+                });
+                const libraryAliases = aliases.filter(alias => alias !== entry.name);
+                if (libraryAliases.length !== (entry.aliases || []).length) {
+                    entry.aliases = libraryAliases;
+                    npcPushed = true;
+                }
+
+                if (npcPushed) {
+                    entry.updatedAt = now;
+                    result.pushed++;
+                    libraryChanged = true;
+                }
+                if ((npc.lastSeen || 0) > (entry.lastSeen || 0)) {
+                    entry.lastSeen = npc.lastSeen;
+                    entry.lastChatId = this.currentChatId;
+                    libraryChanged = true;
+                }
+                if (this.currentChatId && !(entry.chatIds || []).includes(this.currentChatId)) {
+                    entry.chatIds = [...(entry.chatIds || []), this.currentChatId];
+                    libraryChanged = true;
+                }
+
+                if (JSON.stringify(nextBase) !== JSON.stringify(base)) {
+                    npc.libraryBase = nextBase;
+                    chatChanged = true;
+                }
+                npc.librarySyncedAt = now;
+            });
+
+            if (libraryChanged) await this.saveLibrary(library);
+            if (chatChanged) await this.save();
+
+            // 冲突有变化时才通知，避免每次数据更新重复提示
+            const conflictsChanged = JSON.stringify(result.conflicts) !== JSON.stringify(this.libraryConflicts);
+            this.libraryConflicts = result.conflicts;
+            if (result.conflicts.length > 0 && conflictsChanged) {
+                console.warn('[NPCDB] ⚠️ 角色NPC库同步存在冲突:', result.conflicts.length, '处');
+                this.eventSystem?.emit('npc:library:conflicts', {
+                    characterKey: library.characterKey,
+                    conflicts: result.conflicts,
+                    timestamp: now
+                });
+            }
+
+            console.log('[NPCDB] 📚 角色NPC库同步完成:', result);
+            return result;
+
+        } catch (error) {
+            console.error('[NPCDB] ❌ 角色NPC库同步失败:', error);
+            this.errorCount++;
+            return result;
+        }
+    }
+
+    /**
+     * 处理同步冲突
+     * @param {Array<{npcId: string, field: string, choice: 'chat'|'library'}>} resolutions
+     */
+    async resolveLibraryConflicts(resolutions) {
+        const library = await this.loadLibrary();
+        if (!library) return null;
+
+        const now = Date.now();
+        resolutions.forEach(({ npcId, field, choice }) => {
+            const npc = this.db.npcs[npcId];
+            const entry = library.npcs[npc?.libraryId];
+            if (!npc || !entry) return;
+
+            const value = choice === 'library' ? entry.fields?.[field] : npc.fields?.[field];
+            if (choice === 'library') {
+                this.recordFieldHistory(npc, { [field]: value }, now);
+            }
+            [npc.fields, entry.fields].forEach((fields) => {
+                if (value === undefined) delete fields[field];
+                else fields[field] = value;
+            });
+            npc.libraryBase = { ...(npc.libraryBase || {}), [field]: value };
+            entry.updatedAt = now;
+        });
+
+        await this.saveLibrary(library);
+        await this.save();
+        return this.syncWithLibrary(library);
+    }
+
+    /**
+     * 解除NPC与角色NPC库的关联（库中的NPC保留）
+     */
+    async unlinkFromLibrary(npcId) {
+        const npc = this.db.npcs[npcId];
+        if (!npc?.libraryId) return false;
+
+        delete npc.libraryId;
+        delete npc.libraryBase;
+        delete npc.librarySyncedAt;
+        this.libraryConflicts = this.libraryConflicts.filter(conflict => conflict.npcId !== npcId);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * 角色NPC库状态
+     */
+    async getLibraryStatus() {
+        const library = await this.loadLibrary();
+        return {
+            enabled: this.isLibraryEnabled(),
+            characterKey: library?.characterKey || null,
+            characterName: library?.characterName || '',
+            libraryCount: library ? Object.keys(library.npcs).length : 0,
+            linkedCount: Object.values(this.db.npcs).filter(npc => npc.libraryId).length,
+            conflictCount: this.libraryConflicts.length
+        };
+    }
 }
 
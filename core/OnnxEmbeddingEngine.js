@@ -0,0 +1,193 @@
+/**
+ * 本地ONNX嵌入引擎
+ *
+ * 在Web Worker中运行本地扩展目录里的多语言句向量模型（libs/onnx-embedding）：
+ * - 模型目录：libs/onnx-embedding/models/<模型名>/ 下放置 tokenizer.json 和 ONNX 模型文件
+ * - 运行时：libs/onnx-embedding/runtime/ 下放置 onnxruntime-web 的 ort.min.js 及 wasm 文件
+ * - 通过消息与Worker通信，每个请求带自增ID，超时或Worker崩溃时拒绝所有未完成的请求
+ *
+ * 模型和运行时文件不随扩展分发，缺失时 init() 失败，调用方应降级到其他引擎。
+ *
+ * @class OnnxEmbeddingEngine
+ */
+
+export class OnnxEmbeddingEngine {
+    constructor({ model, modelFile, maxLength } = {}) {
+        console.log('[OnnxEmbeddingEngine] 🔧 本地ONNX嵌入引擎初始化开始');
+
+        this.BASE_PATH = 'scripts/extensions/third-party/Information bar integration tool/libs/onnx-embedding/';
+
+        this.settings = {
+            model: model || 'paraphrase-multilingual-MiniLM-L12-v2',   // 模型目录名
+            modelFile: modelFile || 'model_quantized.onnx',            // 模型文件名
+            maxLength: maxLength || 256,                               // 最大token数（超出截断）
+            initTimeout: 120000,                                       // 加载模型超时
+            requestTimeout: 60000                                      // 单次嵌入请求超时
+        };
+
+        this.worker = null;
+        this.pending = new Map();       // id -> { resolve, reject, timer }
+        this.nextId = 1;
+        this.loading = null;
+
+        this.dimensions = null;
+        this.ready = false;
+        this.lastError = null;          // 最近一次加载失败的原因（如缺少模型或运行时文件）
+        this.errorCount = 0;
+        this.stats = {
+            requests: 0,
+            texts: 0,
+            totalTime: 0
+        };
+
+        console.log('[OnnxEmbeddingEngine] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 启动Worker并加载模型（重复调用返回同一个加载过程）
+     * @returns {Promise<{dimensions: number, maxLength: number}>}
+     */
+    async init() {
+        if (this.ready) {
+            return { dimensions: this.dimensions, maxLength: this.settings.maxLength };
+        }
+        if (this.loading) return this.loading;
+
+        this.loading = (async () => {
+            try {
+                if (typeof Worker === 'undefined') {
+                    throw new Error('当前环境不支持Web Worker');
+                }
+
+                console.log('[OnnxEmbeddingEngine] 📥 加载本地模型:', this.settings.model);
+                this.worker = new Worker(`${this.BASE_PATH}embedding-worker.js`);
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (event) => {
+                    event.preventDefault?.();
+                    this.errorCount++;
+                    this.failAll(new Error(event.message || 'Worker运行出错'));
+                };
+
+                const result = await this.request('init', {
+                    modelDir: `models/${this.settings.model}/`,
+                    modelFile: this.settings.modelFile,
+                    runtimeDir: 'runtime/',
+                    maxLength: this.settings.maxLength
+                }, this.settings.initTimeout);
+
+                this.dimensions = result.dimensions;
+                this.ready = true;
+                this.lastError = null;
+                console.log('[OnnxEmbeddingEngine] ✅ 本地模型加载完成，向量维度:', this.dimensions);
+                return result;
+
+            } catch (error) {
+                console.error('[OnnxEmbeddingEngine] ❌ 本地模型加载失败:', error);
+                this.errorCount++;
+                this.lastError = error?.message || String(error);
+                this.terminate();
+                throw error;
+            } finally {
+                this.loading = null;
+            }
+        })();
+
+        return this.loading;
+    }
+
+    /**
+     * 计算嵌入
+     * @param {Array<string>} texts
+     * @returns {Promise<Array<Array<number>>>}
+     */
+    async embed(texts) {
+        if (!this.ready) {
+            await this.init();
+        }
+
+        const startTime = Date.now();
+        const vectors = await this.request('embed', { texts }, this.settings.requestTimeout);
+
+        this.stats.requests++;
+        this.stats.texts += texts.length;
+        this.stats.totalTime += Date.now() - startTime;
+
+        return vectors.map(vector => Array.from(vector));
+    }
+
+    /**
+     * 向Worker发送请求
+     */
+    request(type, payload, timeout) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Worker未启动'));
+                return;
+            }
+
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`请求超时: ${type}`));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * 处理Worker返回的消息
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message?.id);
+        if (!request) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.type === 'error') {
+            this.errorCount++;
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * 拒绝所有未完成的请求
+     */
+    failAll(error) {
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * 停止Worker并释放模型
+     */
+    terminate() {
+        this.failAll(new Error('Worker已停止'));
+        this.worker?.terminate();
+        this.worker = null;
+        this.ready = false;
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            ready: this.ready,
+            model: this.settings.model,
+            dimensions: this.dimensions,
+            pendingRequests: this.pending.size,
+            avgTimePerText: this.stats.texts > 0 ? this.stats.totalTime / this.stats.texts : 0,
+            stats: { ...this.stats },
+            lastError: this.lastError,
+            errorCount: this.errorCount
+        };
+    }
+}
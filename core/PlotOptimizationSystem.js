@@ -1074,14 +1074,28 @@ export class PlotOptimizationSystem {
                 const position = 1;  // ✅ IN_CHAT（见 script.js extension_prompt_types）
                 const depth = 1;     // ✅ after_character（聊天注入深度）
 
-                this.context.setExtensionPrompt(
-                    'information_bar_plot_optimization',  // identifier
-                    injectionContent,                      // prompt
-                    position,                              // position: 1=IN_CHAT
-                    depth,                                 // depth: 1=after_character
-                    false,                                 // scan: 是否扫描
-                    0                                      // role: 0=system
-                );
+                // 🧮 有提示词Token预算管理器时登记到预算中
+                const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+                if (promptBudgetManager) {
+                    await promptBudgetManager.register({
+                        source: 'plotOptimization',
+                        key: 'information_bar_plot_optimization',
+                        content: injectionContent,
+                        position: position,
+                        depth: depth,
+                        scan: false,
+                        role: 0
+                    });
+                } else {
+                    this.context.setExtensionPrompt(
+                        'information_bar_plot_optimization',  // identifier
+                        injectionContent,                      // prompt
+                        position,                              // position: 1=IN_CHAT
+                        depth,                                 // depth: 1=after_character
+                        false,                                 // scan: 是否扫描
+                        0                                      // role: 0=system
+                    );
+                }
 
                 console.log('[PlotOptimizationSystem] ✅ 剧情建议已注入到主API提示词(聊天注入)');
                 console.log('[PlotOptimizationSystem] 📊 注入参数:', {
@@ -0,0 +1,441 @@
+/**
+ * 提示词Token预算管理器
+ *
+ * 各注入模块不再各自调用 setExtensionPrompt，而是把注入内容登记到这里：
+ * - register({ source, key, content, position, depth, scan, role })
+ *   source 对应一条预算策略 { priority, minShare, maxShare, overflow }
+ * - 每次登记后按SillyTavern的分词器统计所有注入块的token数，
+ *   先满足各块的最低份额，再按优先级从高到低分配剩余预算（不超过最高份额）
+ * - 超出分配的块按策略处理：trim 按行截断，summarize 先把每行压缩为首句再截断，drop 整块丢弃
+ * - 预算管理关闭时直接透传给 setExtensionPrompt
+ *
+ * 世界书内容只发送给自定义API（见 APIIntegration.getWorldBookContent），
+ * 由世界书管理器自身的字符数上限控制，不计入主API提示词预算。
+ *
+ * @class PromptBudgetManager
+ */
+
+export class PromptBudgetManager {
+    constructor({ eventSystem } = {}) {
+        console.log('[PromptBudgetManager] 🔧 提示词Token预算管理器初始化开始');
+
+        this.eventSystem = eventSystem;
+
+        this.settings = {
+            enabled: false,                        // 启用预算管理
+            budgetTokens: 4000,                    // 总预算（token），0表示按上下文长度比例计算
+            contextShare: 0.3,                     // budgetTokens为0时占最大上下文的比例
+            sources: this.getDefaultSources()
+        };
+
+        // 已登记的注入块（按扩展提示词key索引）
+        this.blocks = new Map();
+
+        // 预算应用串行执行，避免并发登记互相覆盖
+        this.applyQueue = Promise.resolve();
+
+        // token计数缓存
+        this.tokenCache = new Map();
+        this.maxTokenCacheSize = 500;
+
+        // 最近一次预算分配结果
+        this.lastReport = null;
+
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[PromptBudgetManager] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 默认预算策略
+     * priority 越大越优先；minShare/maxShare 为占总预算的比例
+     */
+    getDefaultSources() {
+        return {
+            smartPromptRules: { priority: 100, minShare: 0.1, maxShare: 1, overflow: 'trim' },         // 智能提示词输出规则
+            smartPrompt: { priority: 95, minShare: 0.3, maxShare: 1, overflow: 'trim' },               // 智能提示词
+            variablePrompt: { priority: 90, minShare: 0, maxShare: 0.2, overflow: 'trim' },            // 变量系统读取指令
+            smartPromptMemory: { priority: 60, minShare: 0, maxShare: 0.3, overflow: 'summarize' },    // 智能提示词记忆增强
+            memoryEnhancement: { priority: 55, minShare: 0, maxShare: 0.3, overflow: 'summarize' },    // 深度集成记忆注入
+            aiMemoryDatabase: { priority: 50, minShare: 0.05, maxShare: 0.3, overflow: 'summarize' },  // AI记忆数据库
+            plotOptimization: { priority: 45, minShare: 0, maxShare: 0.2, overflow: 'summarize' },     // 剧情优化建议
+            vectorRetrieval: { priority: 40, minShare: 0, maxShare: 0.25, overflow: 'trim' },          // 统一向量检索
+            corpusRetrieval: { priority: 30, minShare: 0, maxShare: 0.25, overflow: 'trim' }           // 语料库检索
+        };
+    }
+
+    /**
+     * 初始化预算管理器
+     */
+    async init() {
+        try {
+            this.loadSettings();
+
+            this.initialized = true;
+            console.log('[PromptBudgetManager] ✅ 提示词Token预算管理器初始化完成, 启用:', this.settings.enabled);
+
+        } catch (error) {
+            console.error('[PromptBudgetManager] ❌ 初始化失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 从扩展设置加载配置
+     */
+    loadSettings() {
+        const extCfg = window.SillyTavern?.getContext?.()?.extensionSettings?.['Information bar integration tool'];
+        const saved = extCfg?.promptBudget;
+        if (!saved) return;
+
+        const { sources, ...rest } = saved;
+        Object.assign(this.settings, rest);
+        for (const [source, policy] of Object.entries(sources || {})) {
+            this.settings.sources[source] = { ...this.settings.sources[source], ...policy };
+        }
+    }
+
+    /**
+     * 更新配置并保存到扩展设置，随后按新配置重新分配
+     */
+    async updateSettings(newSettings) {
+        const { sources, ...rest } = newSettings;
+        Object.assign(this.settings, rest);
+        for (const [source, policy] of Object.entries(sources || {})) {
+            this.settings.sources[source] = { ...this.settings.sources[source], ...policy };
+        }
+
+        const context = window.SillyTavern?.getContext?.();
+        const extCfg = context?.extensionSettings?.['Information bar integration tool'];
+        if (extCfg) {
+            extCfg.promptBudget = JSON.parse(JSON.stringify(this.settings));
+            context.saveSettingsDebounced?.();
+        }
+
+        if (!this.settings.enabled) {
+            // 关闭时恢复被压缩的原始内容
+            for (const block of this.blocks.values()) {
+                if (block.appliedContent !== undefined && block.appliedContent !== block.content) {
+                    this.writePrompt(context, block, block.content);
+                }
+            }
+            this.blocks.clear();
+            this.lastReport = null;
+            return;
+        }
+
+        await this.scheduleApply();
+    }
+
+    /**
+     * 获取来源的预算策略
+     */
+    getPolicy(source) {
+        const policy = { priority: 50, minShare: 0, maxShare: 1, overflow: 'trim', ...this.settings.sources[source] };
+        policy.maxShare = Math.max(0, Math.min(1, policy.maxShare));
+        policy.minShare = Math.max(0, Math.min(policy.maxShare, policy.minShare));
+        return policy;
+    }
+
+    /**
+     * 登记注入内容（内容为空表示移除）
+     * @param {Object} block - { source, key, content, position, depth, scan, role }
+     * @returns {Promise<{content: string, tokens: number|null, action: string}>} 实际注入的内容
+     */
+    async register(block) {
+        try {
+            const context = window.SillyTavern?.getContext?.();
+            if (!block?.key) {
+                throw new Error('注入块缺少key');
+            }
+
+            if (!block.content) {
+                const existing = this.blocks.get(block.key);
+                this.blocks.delete(block.key);
+                this.writePrompt(context, existing || block, '');
+                if (existing && this.settings.enabled) {
+                    await this.scheduleApply();
+                }
+                return { content: '', tokens: 0, action: 'removed' };
+            }
+
+            if (!this.settings.enabled) {
+                this.blocks.delete(block.key);
+                this.writePrompt(context, block, block.content);
+                return { content: block.content, tokens: null, action: 'passthrough' };
+            }
+
+            this.blocks.set(block.key, {
+                ...block,
+                source: block.source || 'unknown',
+                appliedContent: undefined
+            });
+            await this.scheduleApply();
+
+            const applied = this.blocks.get(block.key);
+            return {
+                content: applied?.appliedContent ?? block.content,
+                tokens: applied?.appliedTokens ?? null,
+                action: applied?.action || 'kept'
+            };
+
+        } catch (error) {
+            console.error('[PromptBudgetManager] ❌ 登记注入内容失败:', error);
+            this.handleError(error);
+
+            // 出错时保证内容仍然注入
+            window.SillyTavern?.getContext?.()?.setExtensionPrompt?.(
+                block?.key, block?.content || '', block?.position, block?.depth, block?.scan, block?.role
+            );
+            return { content: block?.content || '', tokens: null, action: 'error' };
+        }
+    }
+
+    /**
+     * 排队执行预算分配
+     */
+    scheduleApply() {
+        this.applyQueue = this.applyQueue
+            .then(() => this.applyBudget())
+            .catch(error => {
+                console.error('[PromptBudgetManager] ❌ 预算分配失败:', error);
+                this.handleError(error);
+            });
+        return this.applyQueue;
+    }
+
+    /**
+     * 按预算重新分配并写入所有注入块
+     */
+    async applyBudget() {
+        if (!this.settings.enabled || this.blocks.size === 0) return;
+
+        const context = window.SillyTavern?.getContext?.();
+        this.syncExternalChanges(context);
+
+        const budget = this.getBudget(context);
+        const blocks = Array.from(this.blocks.values());
+        for (const block of blocks) {
+            block.policy = this.getPolicy(block.source);
+            block.tokens = await this.countTokens(block.content);
+        }
+
+        this.allocate(blocks, budget);
+
+        for (const block of blocks) {
+            let content = block.content;
+            block.action = 'kept';
+            if (block.allocated < block.tokens) {
+                content = await this.fitContent(block.content, block.allocated, block.policy.overflow);
+                block.action = !content ? 'dropped' : block.policy.overflow === 'summarize' ? 'summarized' : 'trimmed';
+            }
+
+            block.appliedTokens = content === block.content ? block.tokens : await this.countTokens(content);
+            if (content !== block.appliedContent) {
+                this.writePrompt(context, block, content);
+                block.appliedContent = content;
+            }
+        }
+
+        const totalTokens = blocks.reduce((sum, block) => sum + block.tokens, 0);
+        const usedTokens = blocks.reduce((sum, block) => sum + block.appliedTokens, 0);
+        this.lastReport = {
+            budget,
+            totalTokens,
+            usedTokens,
+            blocks: blocks
+                .sort((a, b) => b.policy.priority - a.policy.priority)
+                .map(block => ({
+                    source: block.source,
+                    key: block.key,
+                    priority: block.policy.priority,
+                    tokens: block.tokens,
+                    allocated: block.allocated,
+                    appliedTokens: block.appliedTokens,
+                    action: block.action
+                })),
+            timestamp: Date.now()
+        };
+
+        if (usedTokens < totalTokens) {
+            console.log(`[PromptBudgetManager] ✂️ 注入内容 ${totalTokens} tokens 超出预算 ${budget}，已压缩到 ${usedTokens} tokens`);
+        }
+
+        this.eventSystem?.emit('promptBudget:applied', this.lastReport);
+    }
+
+    /**
+     * 同步被直接修改的扩展提示词（绕过预算管理器写入时以实际内容为准）
+     */
+    syncExternalChanges(context) {
+        const extensionPrompts = context?.extensionPrompts;
+        if (!extensionPrompts) return;
+
+        for (const [key, block] of this.blocks) {
+            if (block.appliedContent === undefined) continue;
+
+            const current = extensionPrompts[key]?.value;
+            if (current === undefined || current === block.appliedContent) continue;
+
+            if (!current) {
+                this.blocks.delete(key);
+            } else {
+                block.content = current;
+                block.appliedContent = undefined;
+            }
+        }
+    }
+
+    /**
+     * 计算总预算
+     */
+    getBudget(context) {
+        if (this.settings.budgetTokens > 0) {
+            return this.settings.budgetTokens;
+        }
+        const maxContext = Number(context?.maxContext) || 4096;
+        return Math.floor(maxContext * this.settings.contextShare);
+    }
+
+    /**
+     * 分配预算：先满足最低份额（高优先级先得），再按优先级分配剩余预算，单块不超过最高份额
+     */
+    allocate(blocks, budget) {
+        const sorted = [...blocks].sort((a, b) => b.policy.priority - a.policy.priority);
+        let remaining = budget;
+
+        for (const block of sorted) {
+            block.allocated = Math.min(block.tokens, Math.floor(block.policy.minShare * budget), remaining);
+            remaining -= block.allocated;
+        }
+
+        for (const block of sorted) {
+            if (remaining <= 0) break;
+            const cap = Math.min(block.tokens, Math.floor(block.policy.maxShare * budget));
+            const extra = Math.min(Math.max(0, cap - block.allocated), remaining);
+            block.allocated += extra;
+            remaining -= extra;
+        }
+    }
+
+    /**
+     * 把内容压缩到指定token数以内
+     * @param {string} content - 原内容
+     * @param {number} maxTokens - token上限
+     * @param {string} overflow - trim / summarize / drop
+     */
+    async fitContent(content, maxTokens, overflow = 'trim') {
+        if (maxTokens <= 0 || overflow === 'drop') return '';
+
+        let lines = content.split('\n');
+        if (overflow === 'summarize') {
+            lines = lines.map(line => this.summarizeLine(line));
+            const summarized = lines.join('\n');
+            if (await this.countTokens(summarized) <= maxTokens) {
+                return summarized;
+            }
+        }
+
+        // 按行保留，末尾标注省略的行数
+        const kept = [];
+        let used = 0;
+        for (const line of lines) {
+            const lineTokens = await this.countTokens(`${line}\n`);
+            if (used + lineTokens > maxTokens) break;
+            kept.push(line);
+            used += lineTokens;
+        }
+
+        while (kept.length > 0) {
+            const omitted = lines.length - kept.length;
+            const result = `${kept.join('\n')}\n…（因token预算省略 ${omitted} 行）`;
+            if (await this.countTokens(result) <= maxTokens) {
+                return result;
+            }
+            kept.pop();
+        }
+
+        // 单行都放不下时按比例截断字符
+        const firstLine = lines.find(line => line.trim()) || '';
+        const ratio = maxTokens / Math.max(1, await this.countTokens(firstLine));
+        return ratio >= 0.2 ? `${firstLine.substring(0, Math.floor(firstLine.length * ratio * 0.9))}…` : '';
+    }
+
+    /**
+     * 把一行压缩为首句（保留列表序号等前缀）
+     */
+    summarizeLine(line) {
+        const match = line.match(/^(.*?[。！？!?]|.*?\.(?=\s))/);
+        if (!match || match[1].length >= line.trimEnd().length) {
+            return line.length > 160 ? `${line.substring(0, 160)}…` : line;
+        }
+        return `${match[1]}…`;
+    }
+
+    /**
+     * 写入SillyTavern扩展提示词
+     */
+    writePrompt(context, block, content) {
+        if (typeof context?.setExtensionPrompt !== 'function') {
+            console.warn('[PromptBudgetManager] ⚠️ SillyTavern扩展提示词API不可用');
+            return;
+        }
+        context.setExtensionPrompt(block.key, content, block.position, block.depth, block.scan, block.role);
+    }
+
+    /**
+     * 使用SillyTavern的分词器计算token数（带缓存）
+     */
+    async countTokens(text) {
+        if (!text) return 0;
+        if (this.tokenCache.has(text)) {
+            return this.tokenCache.get(text);
+        }
+
+        let tokens = null;
+        try {
+            const context = window.SillyTavern?.getContext?.();
+            if (typeof context?.getTokenCountAsync === 'function') {
+                tokens = await context.getTokenCountAsync(text);
+            } else if (typeof context?.getTokenCount === 'function') {
+                tokens = context.getTokenCount(text);
+            }
+        } catch (error) {
+            console.warn('[PromptBudgetManager] ⚠️ 分词器不可用，按字符估算:', error);
+        }
+
+        if (typeof tokens !== 'number') {
+            // 估算：CJK字符约1个token，其他字符约4个一个token
+            const cjkCount = (text.match(/[぀-ヿ㐀-鿿豈-﫿가-힯]/g) || []).length;
+            tokens = cjkCount + Math.ceil((text.length - cjkCount) / 4);
+        }
+
+        if (this.tokenCache.size >= this.maxTokenCacheSize) {
+            this.tokenCache.delete(this.tokenCache.keys().next().value);
+        }
+        this.tokenCache.set(text, tokens);
+        return tokens;
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[PromptBudgetManager] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            enabled: this.settings.enabled,
+            blocks: this.blocks.size,
+            lastReport: this.lastReport,
+            errorCount: this.errorCount
+        };
+    }
+}
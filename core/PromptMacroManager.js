@@ -0,0 +1,364 @@
+/**
+ * 提示词宏管理器
+ *
+ * 向SillyTavern注册信息栏数据宏，供角色卡、作者注释和世界书条目按需引用：
+ * - {{ib::panel.field}}      单个面板字段
+ * - {{ib_panel::panel}}      整个面板（文本格式）
+ * - {{ib_npc::Name.field}}   NPC字段
+ * 面板上定义的计算字段与普通字段一样可通过 {{ib::panel.field}} 引用。
+ *
+ * SillyTavern的宏是按完整键名注册的，因此本模块会根据面板配置、当前聊天数据和NPC数据库
+ * 动态注册/注销对应的宏键；宏的值是函数，在生成时实时从UnifiedDataCore读取。
+ * 字段名解析与 HTMLTemplateParser.getDirectFieldValue 一致。
+ *
+ * @class PromptMacroManager
+ */
+
+export class PromptMacroManager {
+    constructor({ unifiedDataCore, eventSystem, htmlTemplateParser, npcDatabaseManager } = {}) {
+        console.log('[PromptMacroManager] 🔧 提示词宏管理器初始化开始');
+
+        this.unifiedDataCore = unifiedDataCore;
+        this.eventSystem = eventSystem;
+        this.htmlTemplateParser = htmlTemplateParser;
+        this.npcDatabaseManager = npcDatabaseManager;
+
+        // 宏前缀
+        this.FIELD_PREFIX = 'ib::';
+        this.PANEL_PREFIX = 'ib_panel::';
+        this.NPC_PREFIX = 'ib_npc::';
+
+        // NPC字段定义所在的面板
+        this.NPC_PANEL_ID = 'interaction';
+
+        // 已注册的宏键
+        this.registeredMacros = new Set();
+
+        // 刷新防抖
+        this.refreshTimer = null;
+        this.refreshDelay = 500;
+
+        // 初始化状态
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[PromptMacroManager] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 初始化提示词宏管理器
+     */
+    async init() {
+        try {
+            console.log('[PromptMacroManager] 📊 开始初始化提示词宏管理器...');
+
+            const context = SillyTavern.getContext();
+            if (typeof context?.registerMacro !== 'function') {
+                throw new Error('当前SillyTavern版本不支持注册宏');
+            }
+
+            this.bindEventListeners();
+            this.refreshMacros();
+
+            this.initialized = true;
+            console.log('[PromptMacroManager] ✅ 提示词宏管理器初始化完成，已注册', this.registeredMacros.size, '个宏');
+
+        } catch (error) {
+            console.error('[PromptMacroManager] ❌ 初始化失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 绑定事件监听器：面板、聊天或NPC发生变化时刷新宏键
+     */
+    bindEventListeners() {
+        if (!this.eventSystem) return;
+
+        const events = [
+            'data:updated',
+            'infobar:data:stored',
+            'chat:changed',
+            'config:changed',
+            'snapshot:rollback:completed',
+            'snapshot:swipe:restored',
+            'npc:created',
+            'npc:updated',
+            'npc:deleted',
+            'npc:db:updated',
+            'npc:db:reloaded'
+        ];
+
+        events.forEach(eventName => {
+            this.eventSystem.on(eventName, () => this.scheduleRefresh());
+        });
+    }
+
+    /**
+     * 防抖刷新宏注册
+     */
+    scheduleRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refreshMacros();
+        }, this.refreshDelay);
+    }
+
+    /**
+     * 根据当前配置和数据重新计算需要注册的宏键
+     */
+    refreshMacros() {
+        try {
+            const context = SillyTavern.getContext();
+            const wanted = new Map(); // macroKey -> { value, description }
+
+            const panels = this.getCurrentPanels();
+            const panelConfigs = this.getPanelConfigs();
+            const panelIds = new Set([
+                ...Object.keys(panelConfigs).filter(panelId => panelConfigs[panelId]?.enabled !== false),
+                ...Object.keys(panels)
+            ]);
+
+            for (const panelId of panelIds) {
+                wanted.set(`${this.PANEL_PREFIX}${panelId}`, {
+                    value: () => this.resolvePanelMacro(panelId),
+                    description: `信息栏面板 ${panelId} 的全部数据`
+                });
+
+                for (const fieldName of this.collectFieldNames(panelId, panelConfigs[panelId], panels[panelId])) {
+                    wanted.set(`${this.FIELD_PREFIX}${panelId}.${fieldName}`, {
+                        value: () => this.resolveFieldMacro(panelId, fieldName),
+                        description: `信息栏字段 ${panelId}.${fieldName}`
+                    });
+                }
+            }
+
+            for (const npc of this.getNpcs()) {
+                wanted.set(`${this.NPC_PREFIX}${npc.name}`, {
+                    value: () => this.resolveNpcMacro(npc.name, ''),
+                    description: `NPC ${npc.name} 的全部数据`
+                });
+                // NPC字段与面板字段一样可按键名、名称和显示名引用（字段定义来自交互对象面板）
+                for (const fieldName of this.collectFieldNames(this.NPC_PANEL_ID, panelConfigs[this.NPC_PANEL_ID], npc.fields)) {
+                    wanted.set(`${this.NPC_PREFIX}${npc.name}.${fieldName}`, {
+                        value: () => this.resolveNpcMacro(npc.name, fieldName),
+                        description: `NPC字段 ${npc.name}.${fieldName}`
+                    });
+                }
+            }
+
+            // 注销已不存在的宏
+            for (const macroKey of this.registeredMacros) {
+                if (!wanted.has(macroKey)) {
+                    context.unregisterMacro?.(macroKey);
+                    this.registeredMacros.delete(macroKey);
+                }
+            }
+
+            // 注册新增的宏（值为函数，重复注册无需更新）
+            for (const [macroKey, macro] of wanted) {
+                if (this.registeredMacros.has(macroKey) || !this.isValidMacroKey(macroKey)) continue;
+                try {
+                    context.registerMacro(macroKey, macro.value, macro.description);
+                    this.registeredMacros.add(macroKey);
+                } catch (error) {
+                    console.warn('[PromptMacroManager] ⚠️ 注册宏失败:', macroKey, error);
+                }
+            }
+
+            console.log('[PromptMacroManager] 🔄 宏已刷新:', this.registeredMacros.size, '个');
+
+        } catch (error) {
+            console.error('[PromptMacroManager] ❌ 刷新宏失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 宏键不能包含花括号或换行
+     */
+    isValidMacroKey(macroKey) {
+        return typeof macroKey === 'string' && macroKey.trim() === macroKey && !/[{}\n\r]/.test(macroKey);
+    }
+
+    /**
+     * 获取面板配置
+     */
+    getPanelConfigs() {
+        const context = SillyTavern.getContext();
+        const configs = context?.extensionSettings?.['Information bar integration tool'] || {};
+        return configs.customPanels || {};
+    }
+
+    /**
+     * 同步获取当前聊天的面板数据（宏在生成时同步求值）
+     */
+    getCurrentPanels() {
+        const chatId = this.unifiedDataCore?.getCurrentChatId();
+        if (!chatId) return {};
+
+        const chatData = this.unifiedDataCore.chatDataCache?.get(chatId) ||
+            this.unifiedDataCore.chatMetadata?.get(`chat_${chatId}`);
+        return chatData?.infobar_data?.panels || {};
+    }
+
+    /**
+     * 获取当前聊天的NPC列表
+     */
+    getNpcs() {
+        const npcs = this.npcDatabaseManager?.db?.npcs;
+        return npcs ? Object.values(npcs).filter(npc => npc?.name) : [];
+    }
+
+    /**
+     * 收集面板可引用的字段名：配置中的键名/显示名以及数据中实际存在的键
+     */
+    collectFieldNames(panelId, panelConfig, panelData) {
+        const names = new Set();
+
+        (panelConfig?.subItems || [])
+            .filter(item => item && item.enabled !== false)
+            .forEach(item => {
+                [item.key, item.name, item.displayName].filter(Boolean).forEach(name => names.add(name));
+            });
+
+        // 🧮 面板上定义的计算字段
+        (panelConfig?.computedFields || [])
+            .filter(definition => definition?.name && definition.enabled !== false)
+            .forEach(definition => names.add(definition.name));
+
+        const rows = Array.isArray(panelData) ? panelData : (panelData ? [panelData] : []);
+        rows.forEach(row => {
+            if (row && typeof row === 'object') {
+                Object.keys(row)
+                    .filter(key => !key.startsWith('_') && !/^\d+$/.test(key))
+                    .forEach(key => names.add(key));
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * 在单行数据中解析字段（兼容操作命令写入的列号键）
+     */
+    resolveRowField(panelId, row, fieldName) {
+        let value = this.htmlTemplateParser?.resolveFieldValue(row, panelId, fieldName);
+
+        if (value === undefined || value === null) {
+            const subItems = (this.getPanelConfigs()[panelId]?.subItems || []).filter(item => item && item.enabled !== false);
+            const index = subItems.findIndex(item => [item.key, item.name, item.displayName].includes(fieldName));
+            if (index !== -1) {
+                const item = subItems[index];
+                value = row[String(index + 1)] ?? row[`col_${index + 1}`] ??
+                    [item.key, item.name, item.displayName].filter(Boolean).map(alias => row[alias]).find(aliasValue => aliasValue !== undefined && aliasValue !== null);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * {{ib::panel.field}}
+     */
+    resolveFieldMacro(panelId, fieldName) {
+        try {
+            const panelData = this.getCurrentPanels()[panelId];
+            if (!panelData) return '';
+
+            const rows = Array.isArray(panelData) ? panelData : [panelData];
+            return rows
+                .map(row => this.resolveRowField(panelId, row, fieldName))
+                .filter(value => value !== undefined && value !== null && value !== '')
+                .map(value => this.stringifyValue(value))
+                .join(', ');
+
+        } catch (error) {
+            console.error('[PromptMacroManager] ❌ 解析字段宏失败:', panelId, fieldName, error);
+            return '';
+        }
+    }
+
+    /**
+     * {{ib_panel::panel}}
+     */
+    resolvePanelMacro(panelId) {
+        try {
+            const panelData = this.getCurrentPanels()[panelId];
+            if (!panelData) return '';
+
+            const subItems = (this.getPanelConfigs()[panelId]?.subItems || []).filter(item => item && item.enabled !== false);
+            const formatRow = (row) => Object.entries(row || {})
+                .filter(([key, value]) => !key.startsWith('_') && value !== undefined && value !== null && value !== '')
+                .map(([key, value]) => {
+                    const subItem = /^\d+$/.test(key) ? subItems[parseInt(key) - 1] : null;
+                    const label = subItem ? (subItem.displayName || subItem.name || key) : key;
+                    return `${label}: ${this.stringifyValue(value)}`;
+                });
+
+            if (Array.isArray(panelData)) {
+                return panelData
+                    .map((row, index) => `${index + 1}. ${formatRow(row).join(', ')}`)
+                    .join('\n');
+            }
+            return formatRow(panelData).join('\n');
+
+        } catch (error) {
+            console.error('[PromptMacroManager] ❌ 解析面板宏失败:', panelId, error);
+            return '';
+        }
+    }
+
+    /**
+     * {{ib_npc::Name.field}} / {{ib_npc::Name}}
+     */
+    resolveNpcMacro(name, fieldName) {
+        try {
+            const npc = this.getNpcs().find(item => item.name === name);
+            if (!npc) return '';
+
+            if (!fieldName) {
+                return Object.entries(npc.fields || {})
+                    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+                    .map(([key, value]) => `${key}: ${this.stringifyValue(value)}`)
+                    .join('\n');
+            }
+
+            const value = this.resolveRowField(this.NPC_PANEL_ID, npc.fields || {}, fieldName);
+            return value === undefined || value === null ? '' : this.stringifyValue(value);
+
+        } catch (error) {
+            console.error('[PromptMacroManager] ❌ 解析NPC宏失败:', name, fieldName, error);
+            return '';
+        }
+    }
+
+    /**
+     * 值转文本
+     */
+    stringifyValue(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[PromptMacroManager] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            registeredMacros: this.registeredMacros.size,
+            errorCount: this.errorCount
+        };
+    }
+}
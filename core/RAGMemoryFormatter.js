@@ -49,6 +49,7 @@ export class RAGMemoryFormatter {
             timeFormat: 'relative',                 // 时间格式：relative, absolute, hybrid
             relativeTimeUnits: ['天前', '周前', '月前', '年前'],
             absoluteTimeFormat: 'YYYY-MM-DD HH:mm',
+            useStoryTime: true,                     // 有故事内时间时使用故事时间（如“故事内3天前”）
             
             // 模板配置
             useCustomTemplate: true,                // 使用自定义模板
@@ -303,7 +304,7 @@ export class RAGMemoryFormatter {
 
             // 3. 生成上下文信息
             const timeContext = opts.addTimeContext ? 
-                this.generateTimeContext(memory.timestamp, opts.timeFormat) : '';
+                this.generateTimeContext(memory.timestamp, opts.timeFormat, opts.useStoryTime ? memory.storyTime : null) : '';
             const locationContext = opts.addLocationContext ? 
                 this.extractLocationContext(memory) : '';
             const emotionalContext = opts.addEmotionalContext ? 
@@ -461,9 +462,17 @@ export class RAGMemoryFormatter {
 
     /**
      * 生成时间上下文
+     * @param {number} timestamp - 现实时间戳
+     * @param {string} format - relative / absolute / hybrid
+     * @param {Object} storyTime - 故事内时间 { timestamp, text }，存在时优先描述故事时间
      */
-    generateTimeContext(timestamp, format = 'relative') {
+    generateTimeContext(timestamp, format = 'relative', storyTime = null) {
         try {
+            if (storyTime) {
+                const storyContext = this.generateStoryTimeContext(storyTime, format);
+                if (storyContext) return storyContext;
+            }
+
             const generator = this.timeContextGenerators[format];
             if (generator) {
                 return generator(timestamp);
@@ -476,6 +485,18 @@ export class RAGMemoryFormatter {
         }
     }
 
+    /**
+     * 生成故事内时间描述（相对于当前故事时钟）
+     */
+    generateStoryTimeContext(storyTime, format = 'relative') {
+        const timeAwareMemoryManager = window.SillyTavernInfobar?.modules?.timeAwareMemoryManager;
+        const relative = timeAwareMemoryManager?.describeStoryTime?.(storyTime) || '';
+
+        if (format === 'absolute') return storyTime.text || relative;
+        if (format === 'hybrid' && relative && storyTime.text) return `${relative} (${storyTime.text})`;
+        return relative;
+    }
+
     /**
      * 生成相对时间描述
      */
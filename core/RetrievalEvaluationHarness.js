@@ -0,0 +1,565 @@
+/**
+ * 离线检索评测工具
+ *
+ * 用标注好的查询集在保存的记忆快照上评测各检索管线，调整阈值和权重时可以对比改动前后的效果：
+ * - 记忆快照：{ version, createdAt, memories: [{ id, source, layer, content, type, importance, timestamp, metadata }] }
+ *   createMemoryDump() 从当前聊天的深度记忆和AI记忆数据库导出
+ * - 查询集：[{ query, expected: [memoryId], relevance: { memoryId: 相关等级 } }]
+ *   只给出 expected 时每条记忆的相关等级为1
+ * - 评测变体：[{ pipeline, name, settings }]，pipeline 为
+ *   contextualRetrieval / multiRecallReranker / vectorizedMemoryRetrieval，settings 覆盖该管线的默认设置
+ * - 指标：recall@k、MRR、nDCG@k（按变体汇总，并保留每条查询的明细）
+ *
+ * 评测在独立的沙盒中运行，不读写当前聊天的记忆和向量库：
+ * - 向量统一由轻量版Transformers（transformers-lite）计算，词表由快照内容构建，结果可复现
+ * - 关键词检索使用沙盒内的BM25索引，向量查询在内存中计算余弦相似度
+ * - 需要网络的步骤（重排序模型API、总结向量库、对话上下文注入、语义缓存）在沙盒中关闭
+ * - 记忆时间戳按快照时间平移，时间衰减因子不随评测时间变化
+ * - 每条查询前清空检索器的查询历史，各查询的结果互不影响
+ *
+ * @class RetrievalEvaluationHarness
+ */
+
+import { MemoryKeywordIndex } from './MemoryKeywordIndex.js';
+import { VectorizedMemoryRetrieval } from './VectorizedMemoryRetrieval.js';
+import { ContextualRetrieval } from './ContextualRetrieval.js';
+import { MultiRecallReranker } from './MultiRecallReranker.js';
+
+export class RetrievalEvaluationHarness {
+    constructor({ unifiedDataCore, eventSystem, transformers } = {}) {
+        console.log('[RetrievalEvaluationHarness] 🔧 离线检索评测工具初始化开始');
+
+        this.unifiedDataCore = unifiedDataCore;
+        this.eventSystem = eventSystem;
+
+        // 轻量版Transformers库（未注入时从扩展目录加载）
+        this.transformers = transformers || null;
+        this.liteLibraryPath = 'scripts/extensions/third-party/Information bar integration tool/libs/transformers/transformers-lite.js';
+
+        this.DUMP_VERSION = 1;
+        this.defaultKs = [1, 5, 10];
+
+        // 沙盒中强制使用的离线设置
+        this.offlineSettings = {
+            vectorizedMemoryRetrieval: { enabled: true, vectorEngine: 'local' },
+            contextualRetrieval: { enabled: true, enableSemanticCache: false, enableContextInjection: false },
+            multiRecallReranker: { enableReranking: false, enablePredictive: false }
+        };
+
+        this.lastReport = null;
+        this.running = false;
+
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[RetrievalEvaluationHarness] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 初始化离线检索评测工具
+     */
+    async init() {
+        this.initialized = true;
+        console.log('[RetrievalEvaluationHarness] ✅ 离线检索评测工具初始化完成');
+    }
+
+    /**
+     * 导出当前聊天的记忆快照
+     * 深度记忆的归档层会先全部加载；与深度记忆ID相同的AI记忆数据库条目不重复导出
+     */
+    async createMemoryDump() {
+        const modules = window.SillyTavernInfobar?.modules || {};
+        const deepMemoryManager = modules.deepMemoryManager;
+        const aiMemoryDatabase = modules.aiMemoryDatabase;
+        const memories = [];
+        const seen = new Set();
+
+        const addMemory = (memory, source, layer) => {
+            if (!memory?.id || !memory.content || seen.has(memory.id)) return;
+            seen.add(memory.id);
+
+            const { originalData, ...metadata } = memory.metadata || {};
+            memories.push({
+                id: memory.id,
+                source: source,
+                layer: layer,
+                content: memory.content,
+                type: memory.type || metadata.type || 'general',
+                importance: memory.importance ?? metadata.importance ?? 0,
+                timestamp: memory.timestamp || 0,
+                metadata: JSON.parse(JSON.stringify(metadata))
+            });
+        };
+
+        if (deepMemoryManager?.memoryLayers) {
+            while (deepMemoryManager.archiveState?.unloaded > 0) {
+                const page = await deepMemoryManager.loadArchivePage?.();
+                if (!page || page.length === 0) break;
+            }
+
+            for (const [layerName, layer] of Object.entries(deepMemoryManager.memoryLayers)) {
+                for (const memory of layer.values()) {
+                    addMemory(memory, 'deepMemory', layerName);
+                }
+            }
+        }
+
+        for (const memory of aiMemoryDatabase?.database?.memories?.values() || []) {
+            addMemory(memory, 'aiMemoryDatabase', memory.layer || null);
+        }
+
+        console.log(`[RetrievalEvaluationHarness] 📦 已导出记忆快照: ${memories.length} 条记忆`);
+
+        return {
+            version: this.DUMP_VERSION,
+            createdAt: Date.now(),
+            chatId: this.unifiedDataCore?.getCurrentChatId?.() || null,
+            memories: memories
+        };
+    }
+
+    /**
+     * 运行评测
+     * @param {Object} options
+     * @param {Object|string} options.dump - 记忆快照（对象或JSON字符串）
+     * @param {Array} options.queries - 标注查询集
+     * @param {Array} [options.variants] - 评测变体，默认三条管线各用默认设置评测一次
+     * @param {Array<number>} [options.ks] - recall@k / nDCG@k 的k值
+     * @returns {Promise<Object>} 评测报告
+     */
+    async run({ dump, queries, variants = null, ks = this.defaultKs } = {}) {
+        if (this.running) {
+            throw new Error('已有评测正在运行');
+        }
+
+        this.running = true;
+        try {
+            const startTime = Date.now();
+            const memoryDump = this.normalizeDump(dump);
+            const labelledQueries = this.normalizeQueries(queries);
+            const evaluationKs = [...new Set(ks.map(Number).filter(k => k > 0))].sort((a, b) => a - b);
+            const evaluationVariants = variants?.length > 0
+                ? variants
+                : Object.keys(this.offlineSettings).map(pipeline => ({ pipeline, name: 'default' }));
+
+            console.log(`[RetrievalEvaluationHarness] 🧪 开始评测: ${memoryDump.memories.length} 条记忆, ${labelledQueries.length} 条查询, ${evaluationVariants.length} 个变体`);
+
+            const corpus = await this.buildCorpus(memoryDump);
+            const runs = [];
+
+            for (const variant of evaluationVariants) {
+                runs.push(await this.runVariant(corpus, variant, labelledQueries, evaluationKs));
+            }
+
+            const report = {
+                createdAt: Date.now(),
+                duration: Date.now() - startTime,
+                dump: {
+                    createdAt: memoryDump.createdAt,
+                    chatId: memoryDump.chatId || null,
+                    memories: memoryDump.memories.length
+                },
+                queries: labelledQueries.length,
+                ks: evaluationKs,
+                embedder: `transformers-lite ${corpus.embedderVersion}`,
+                runs: runs
+            };
+
+            this.lastReport = report;
+            this.eventSystem?.emit('retrieval:evaluation:completed', {
+                runs: runs.length,
+                queries: labelledQueries.length,
+                timestamp: Date.now()
+            });
+
+            console.log(`[RetrievalEvaluationHarness] ✅ 评测完成，耗时 ${report.duration}ms`);
+            return report;
+
+        } catch (error) {
+            console.error('[RetrievalEvaluationHarness] ❌ 评测失败:', error);
+            this.handleError(error);
+            throw error;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * 校验记忆快照
+     */
+    normalizeDump(dump) {
+        const data = typeof dump === 'string' ? JSON.parse(dump) : dump;
+        if (!data || !Array.isArray(data.memories)) {
+            throw new Error('记忆快照格式无效：缺少 memories 数组');
+        }
+        if (data.version > this.DUMP_VERSION) {
+            throw new Error(`不支持的记忆快照版本: ${data.version}`);
+        }
+
+        const memories = data.memories.filter(memory => memory?.id && typeof memory.content === 'string' && memory.content.trim());
+        if (memories.length === 0) {
+            throw new Error('记忆快照中没有可评测的记忆');
+        }
+
+        return { ...data, memories };
+    }
+
+    /**
+     * 校验查询集，统一为 { query, relevance: Map<id, 等级> }
+     */
+    normalizeQueries(queries) {
+        const data = typeof queries === 'string' ? JSON.parse(queries) : queries;
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('查询集不能为空');
+        }
+
+        return data.map((item, index) => {
+            if (!item?.query || typeof item.query !== 'string') {
+                throw new Error(`第 ${index + 1} 条查询缺少 query`);
+            }
+
+            const relevance = new Map();
+            (item.expected || []).forEach(id => relevance.set(String(id), 1));
+            Object.entries(item.relevance || {}).forEach(([id, grade]) => {
+                if (Number(grade) > 0) {
+                    relevance.set(String(id), Number(grade));
+                } else {
+                    relevance.delete(String(id));
+                }
+            });
+
+            if (relevance.size === 0) {
+                throw new Error(`第 ${index + 1} 条查询没有标注相关记忆: ${item.query}`);
+            }
+
+            return { query: item.query, relevance };
+        });
+    }
+
+    /**
+     * 加载轻量版Transformers库
+     */
+    async loadTransformersLite() {
+        if (this.transformers) return this.transformers;
+
+        if (typeof window.Transformers === 'undefined') {
+            await this.loadScript(this.liteLibraryPath);
+        }
+
+        // 完整版库的嵌入与轻量版不同，评测结果不可比较
+        if (!String(window.Transformers?.version || '').includes('lite')) {
+            throw new Error('离线评测需要轻量版Transformers（transformers-lite），当前加载的是其他版本');
+        }
+
+        this.transformers = window.Transformers;
+        return this.transformers;
+    }
+
+    /**
+     * 加载脚本
+     */
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`脚本加载失败: ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * 构建评测语料：嵌入模型、记忆向量和平移后的时间戳（各变体共享）
+     */
+    async buildCorpus(dump) {
+        const transformers = await this.loadTransformersLite();
+        const embedder = await transformers.pipeline('feature-extraction', 'lite-tfidf', {
+            dimensions: 384,
+            roleplayMode: false
+        });
+        await embedder.pretrain(dump.memories.map(memory => memory.content));
+
+        // 时间戳按快照时间平移，使记忆的“年龄”与导出时一致
+        const timeOffset = dump.createdAt ? Date.now() - dump.createdAt : 0;
+
+        const entries = [];
+        for (const memory of dump.memories) {
+            entries.push({
+                memory: {
+                    ...memory,
+                    timestamp: (memory.timestamp || 0) + timeOffset,
+                    metadata: {
+                        ...(memory.metadata || {}),
+                        importance: memory.importance ?? memory.metadata?.importance ?? 0
+                    }
+                },
+                vector: await embedder.call(memory.content)
+            });
+        }
+
+        return {
+            embedder,
+            embedderVersion: transformers.version,
+            entries
+        };
+    }
+
+    /**
+     * 构建沙盒检索器（每个变体一套新的实例）
+     */
+    createSandbox(corpus) {
+        const keywordIndex = new MemoryKeywordIndex({});
+        const deepMemories = new Map();
+        const aiMemories = new Map();
+
+        const memoryLayers = {
+            sensory: new Map(),
+            shortTerm: new Map(),
+            longTerm: new Map(),
+            deepArchive: new Map()
+        };
+
+        keywordIndex.registerScope('deepMemory', (id) => deepMemories.get(id));
+        keywordIndex.registerScope('aiMemoryDatabase', (id) => aiMemories.get(id));
+
+        for (const { memory } of corpus.entries) {
+            if (memory.source === 'aiMemoryDatabase') {
+                aiMemories.set(memory.id, memory);
+                keywordIndex.add('aiMemoryDatabase', memory.id, memory.content, { layer: memory.layer });
+            } else {
+                deepMemories.set(memory.id, memory);
+                (memoryLayers[memory.layer] || memoryLayers.longTerm).set(memory.id, memory);
+                keywordIndex.add('deepMemory', memory.id, memory.content, { layer: memory.layer });
+            }
+        }
+
+        const deepMemoryManager = {
+            KEYWORD_SCOPE: 'deepMemory',
+            keywordIndex: keywordIndex,
+            memoryLayers: memoryLayers,
+            memoryIndex: deepMemories
+        };
+
+        const vectorizedMemoryRetrieval = new VectorizedMemoryRetrieval(null, null, null);
+        vectorizedMemoryRetrieval.deepMemoryManager = deepMemoryManager;
+        vectorizedMemoryRetrieval.vectorEngines.transformers = (text) => corpus.embedder.call(text);
+        vectorizedMemoryRetrieval.vectorAPI = {
+            queryVectors: async (query, queryVector, collectionId, topK, threshold) => {
+                return corpus.entries
+                    .map(({ memory, vector }) => ({
+                        id: memory.id,
+                        content: memory.content,
+                        similarity: vectorizedMemoryRetrieval.calculateCosineSimilarity(queryVector, vector),
+                        metadata: memory.metadata,
+                        timestamp: memory.timestamp
+                    }))
+                    .filter(result => result.similarity >= threshold)
+                    .sort((a, b) => b.similarity - a.similarity)
+                    .slice(0, topK);
+            }
+        };
+        vectorizedMemoryRetrieval.querySummaryCollection = async () => [];
+
+        const contextualRetrieval = new ContextualRetrieval(null, null, vectorizedMemoryRetrieval, deepMemoryManager);
+
+        const multiRecallReranker = new MultiRecallReranker({
+            vectorizedMemoryRetrieval: vectorizedMemoryRetrieval,
+            unifiedDataCore: {},
+            eventSystem: { emit() {}, on() {} },
+            keywordIndex: keywordIndex
+        });
+        // 构造函数中的初始化在微任务后才检查预测性检索，此处关闭即可避免绑定输入框
+        multiRecallReranker.config.enablePredictive = false;
+
+        return {
+            vectorizedMemoryRetrieval: {
+                instance: vectorizedMemoryRetrieval,
+                settings: vectorizedMemoryRetrieval.settings,
+                search: async (query, maxK) => {
+                    const response = await vectorizedMemoryRetrieval.semanticSearch(query, { maxResults: maxK, topK: maxK });
+                    return response?.results || [];
+                }
+            },
+            contextualRetrieval: {
+                instance: contextualRetrieval,
+                settings: contextualRetrieval.settings,
+                search: async (query) => {
+                    const response = await contextualRetrieval.hybridSearch(query);
+                    return response?.results || [];
+                }
+            },
+            multiRecallReranker: {
+                instance: multiRecallReranker,
+                settings: multiRecallReranker.config,
+                search: async (query) => await multiRecallReranker.execute(query) || []
+            }
+        };
+    }
+
+    /**
+     * 评测一个变体
+     */
+    async runVariant(corpus, variant, queries, ks) {
+        const name = variant.name || 'default';
+        const pipelines = this.createSandbox(corpus);
+        const pipeline = pipelines[variant.pipeline];
+        if (!pipeline) {
+            throw new Error(`未知的检索管线: ${variant.pipeline}`);
+        }
+
+        Object.assign(pipeline.settings, variant.settings || {}, this.offlineSettings[variant.pipeline]);
+
+        // 评测排名需要覆盖最大的k
+        const maxK = ks[ks.length - 1];
+        console.log(`[RetrievalEvaluationHarness] ▶️ 评测 ${variant.pipeline}/${name}`);
+
+        const queryResults = [];
+        for (const { query, relevance } of queries) {
+            pipeline.instance.queryHistory = [];
+
+            try {
+                const results = await pipeline.search(query, maxK);
+                const ranking = [...new Set(results.map(result => result?.id).filter(Boolean).map(String))];
+
+                queryResults.push({
+                    query: query,
+                    relevant: [...relevance.keys()],
+                    ranking: ranking.slice(0, maxK),
+                    ...this.computeQueryMetrics(ranking, relevance, ks)
+                });
+
+            } catch (error) {
+                console.error(`[RetrievalEvaluationHarness] ❌ 查询失败 (${variant.pipeline}/${name}):`, error);
+                queryResults.push({
+                    query: query,
+                    relevant: [...relevance.keys()],
+                    ranking: [],
+                    ...this.computeQueryMetrics([], relevance, ks),
+                    error: error.message
+                });
+            }
+        }
+
+        return {
+            pipeline: variant.pipeline,
+            name: name,
+            settings: JSON.parse(JSON.stringify(pipeline.settings)),
+            metrics: this.averageMetrics(queryResults, ks),
+            failed: queryResults.filter(result => result.error).length,
+            queries: queryResults
+        };
+    }
+
+    /**
+     * 计算单条查询的指标
+     * @param {Array<string>} ranking - 检索结果ID（按排名）
+     * @param {Map<string, number>} relevance - 相关记忆及其相关等级
+     */
+    computeQueryMetrics(ranking, relevance, ks) {
+        const recall = {};
+        const ndcg = {};
+
+        const firstHit = ranking.findIndex(id => relevance.has(id));
+        const idealGrades = [...relevance.values()].sort((a, b) => b - a);
+
+        for (const k of ks) {
+            const topK = ranking.slice(0, k);
+            recall[k] = topK.filter(id => relevance.has(id)).length / relevance.size;
+
+            const dcg = this.discountedGain(topK.map(id => relevance.get(id) || 0));
+            const idealDcg = this.discountedGain(idealGrades.slice(0, k));
+            ndcg[k] = idealDcg > 0 ? dcg / idealDcg : 0;
+        }
+
+        return {
+            recall,
+            reciprocalRank: firstHit >= 0 ? 1 / (firstHit + 1) : 0,
+            ndcg
+        };
+    }
+
+    /**
+     * 折损累计增益（增益为 2^等级 - 1）
+     */
+    discountedGain(grades) {
+        return grades.reduce((sum, grade, index) => sum + (Math.pow(2, grade) - 1) / Math.log2(index + 2), 0);
+    }
+
+    /**
+     * 汇总各查询的指标
+     */
+    averageMetrics(queryResults, ks) {
+        const count = queryResults.length || 1;
+        const average = (pick) => queryResults.reduce((sum, result) => sum + pick(result), 0) / count;
+
+        const recall = {};
+        const ndcg = {};
+        for (const k of ks) {
+            recall[k] = average(result => result.recall[k]);
+            ndcg[k] = average(result => result.ndcg[k]);
+        }
+
+        return {
+            recall,
+            mrr: average(result => result.reciprocalRank),
+            ndcg
+        };
+    }
+
+    /**
+     * 把评测报告格式化为文本表格
+     */
+    formatReport(report = this.lastReport) {
+        if (!report) return '';
+
+        const header = [
+            '管线/变体',
+            ...report.ks.map(k => `R@${k}`),
+            'MRR',
+            ...report.ks.map(k => `nDCG@${k}`),
+            '失败'
+        ];
+
+        const rows = report.runs.map(run => [
+            `${run.pipeline}/${run.name}`,
+            ...report.ks.map(k => run.metrics.recall[k].toFixed(3)),
+            run.metrics.mrr.toFixed(3),
+            ...report.ks.map(k => run.metrics.ndcg[k].toFixed(3)),
+            String(run.failed)
+        ]);
+
+        const widths = header.map((cell, column) => Math.max(cell.length, ...rows.map(row => row[column].length)));
+        const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join(' | ');
+
+        return [
+            `记忆 ${report.dump.memories} 条，查询 ${report.queries} 条，嵌入 ${report.embedder}`,
+            formatRow(header),
+            widths.map(width => '-'.repeat(width)).join('-|-'),
+            ...rows.map(formatRow)
+        ].join('\n');
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[RetrievalEvaluationHarness] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            running: this.running,
+            lastReport: this.lastReport ? {
+                createdAt: this.lastReport.createdAt,
+                runs: this.lastReport.runs.length,
+                queries: this.lastReport.queries
+            } : null,
+            errorCount: this.errorCount
+        };
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * 检索追踪记录器（检索解释模式）
+ *
+ * 记录每次生成中各注入路径把哪些内容放进了提示词，以及为什么：
+ * - 各注入路径在注入后发出 retrieval:trace 事件 { trace, injectionText }
+ *   trace: { path, query, enhancedQuery, cached, weights, items: [{ id, content, sources, scores, status, note }] }
+ *   status: injected / diversity_filtered / duplicate / truncated
+ * - 以SillyTavern的 GENERATION_STARTED 事件划分生成，只保留最近 maxGenerations 次
+ * - 注入文本的token数使用SillyTavern的分词器计算，不可用时按字符估算
+ *
+ * 追踪只保存在内存中，解释模式关闭时不记录。
+ *
+ * @class RetrievalTraceRecorder
+ */
+
+export class RetrievalTraceRecorder {
+    constructor({ unifiedDataCore, eventSystem } = {}) {
+        console.log('[RetrievalTraceRecorder] 🔧 检索追踪记录器初始化开始');
+
+        this.unifiedDataCore = unifiedDataCore;
+        this.eventSystem = eventSystem;
+
+        this.settings = {
+            enabled: false,                        // 检索解释模式
+            maxGenerations: 20                     // 保留的生成次数
+        };
+
+        // 最近的生成（新的在前）：{ id, chatId, startedAt, traces: [] }
+        this.generations = [];
+
+        // 未收到生成开始事件时，间隔超过此时间的追踪归入新的生成
+        this.generationWindow = 60000;
+
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[RetrievalTraceRecorder] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 初始化检索追踪记录器
+     */
+    async init() {
+        try {
+            this.loadSettings();
+            this.bindEventListeners();
+
+            this.initialized = true;
+            console.log('[RetrievalTraceRecorder] ✅ 检索追踪记录器初始化完成, 解释模式:', this.settings.enabled);
+
+        } catch (error) {
+            console.error('[RetrievalTraceRecorder] ❌ 初始化失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 从扩展设置加载配置
+     */
+    loadSettings() {
+        const extCfg = window.SillyTavern?.getContext?.()?.extensionSettings?.['Information bar integration tool'];
+        if (extCfg?.retrievalExplain) {
+            Object.assign(this.settings, extCfg.retrievalExplain);
+        }
+    }
+
+    /**
+     * 更新配置并保存到扩展设置
+     */
+    updateSettings(newSettings) {
+        Object.assign(this.settings, newSettings);
+        if (this.generations.length > this.settings.maxGenerations) {
+            this.generations.length = this.settings.maxGenerations;
+        }
+
+        const context = window.SillyTavern?.getContext?.();
+        const extCfg = context?.extensionSettings?.['Information bar integration tool'];
+        if (extCfg) {
+            extCfg.retrievalExplain = { ...this.settings };
+            context.saveSettingsDebounced?.();
+        }
+    }
+
+    /**
+     * 绑定事件监听器
+     */
+    bindEventListeners() {
+        this.eventSystem?.on('retrieval:trace', (data) => this.recordTrace(data));
+
+        const context = window.SillyTavern?.getContext?.();
+        const generationStarted = context?.event_types?.GENERATION_STARTED;
+        if (context?.eventSource && generationStarted) {
+            context.eventSource.on(generationStarted, (type, options, dryRun) => {
+                if (!dryRun) {
+                    this.startGeneration(type);
+                }
+            });
+        }
+    }
+
+    /**
+     * 开始一次新的生成
+     */
+    startGeneration(type = 'normal') {
+        if (!this.settings.enabled) return null;
+
+        const generation = {
+            id: `gen_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            type: typeof type === 'string' ? type : 'normal',
+            chatId: this.unifiedDataCore?.getCurrentChatId?.() || null,
+            startedAt: Date.now(),
+            traces: []
+        };
+
+        this.generations.unshift(generation);
+        if (this.generations.length > this.settings.maxGenerations) {
+            this.generations.length = this.settings.maxGenerations;
+        }
+        return generation;
+    }
+
+    /**
+     * 记录一条注入追踪
+     * @param {Object} data - { trace, injectionText }
+     */
+    async recordTrace(data) {
+        try {
+            if (!this.settings.enabled || !data?.trace) return;
+
+            const latest = this.generations[0];
+            const generation = latest && Date.now() - this.getLastActivity(latest) < this.generationWindow
+                ? latest
+                : this.startGeneration();
+
+            const injectionText = data.injectionText || '';
+            const { tokens, estimated } = await this.countTokens(injectionText);
+
+            generation.traces.push({
+                ...data.trace,
+                injection: {
+                    characters: injectionText.length,
+                    tokens: tokens,
+                    estimated: estimated
+                }
+            });
+
+            this.eventSystem?.emit('retrieval:trace:recorded', {
+                generationId: generation.id,
+                path: data.trace.path,
+                timestamp: Date.now()
+            });
+
+        } catch (error) {
+            console.error('[RetrievalTraceRecorder] ❌ 记录追踪失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 生成最后一次活动的时间
+     */
+    getLastActivity(generation) {
+        const lastTrace = generation.traces[generation.traces.length - 1];
+        return Math.max(generation.startedAt, lastTrace?.timestamp || 0);
+    }
+
+    /**
+     * 使用SillyTavern的分词器计算token数
+     * @returns {Promise<{tokens: number, estimated: boolean}>}
+     */
+    async countTokens(text) {
+        if (!text) return { tokens: 0, estimated: false };
+
+        try {
+            const context = window.SillyTavern?.getContext?.();
+            if (typeof context?.getTokenCountAsync === 'function') {
+                return { tokens: await context.getTokenCountAsync(text), estimated: false };
+            }
+            if (typeof context?.getTokenCount === 'function') {
+                return { tokens: context.getTokenCount(text), estimated: false };
+            }
+        } catch (error) {
+            console.warn('[RetrievalTraceRecorder] ⚠️ 分词器不可用，按字符估算:', error);
+        }
+
+        // 估算：CJK字符约1个token，其他字符约4个一个token
+        const cjkCount = (text.match(/[぀-ヿ㐀-鿿豈-﫿가-힯]/g) || []).length;
+        return { tokens: cjkCount + Math.ceil((text.length - cjkCount) / 4), estimated: true };
+    }
+
+    /**
+     * 获取最近的生成追踪
+     */
+    getGenerations(limit = this.settings.maxGenerations) {
+        return this.generations.slice(0, limit);
+    }
+
+    /**
+     * 清空追踪
+     */
+    clear() {
+        this.generations = [];
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[RetrievalTraceRecorder] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            enabled: this.settings.enabled,
+            generations: this.generations.length,
+            errorCount: this.errorCount
+        };
+    }
+}
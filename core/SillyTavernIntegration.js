@@ -463,6 +463,7 @@ export class SillyTavernIntegration {
 
             // 使用上下文感知检索获取相关记忆
             let relevantMemories = [];
+            let retrievalTrace = null;
             if (this.contextualRetrieval) {
                 const searchResult = await this.contextualRetrieval.hybridSearch(query, {
                     limit: this.settings.retrievalCount,
@@ -471,6 +472,7 @@ export class SillyTavernIntegration {
 
                 // 🔧 修复：hybridSearch返回的是对象，需要提取results数组
                 relevantMemories = searchResult?.results || searchResult || [];
+                retrievalTrace = searchResult?.trace || null;
             }
 
             console.log('[SillyTavernIntegration] 📊 检索到', relevantMemories.length, '个相关记忆');
@@ -481,6 +483,17 @@ export class SillyTavernIntegration {
             // 注入到SillyTavern的提示词系统
             await this.injectToSillyTavernPrompt(memoryText);
 
+            // 🔀 记录注入的记忆，AI回复后据此调整融合权重
+            this.contextualRetrieval?.recordInjection?.(relevantMemories);
+
+            // 🔍 检索追踪：记录本次注入的来源和token开销
+            if (retrievalTrace) {
+                this.eventSystem?.emit('retrieval:trace', {
+                    trace: retrievalTrace,
+                    injectionText: memoryText
+                });
+            }
+
             // 缓存结果
             if (this.settings.enableCaching) {
                 this.memoryCache.set(cacheKey, memoryText);
@@ -568,6 +581,19 @@ export class SillyTavernIntegration {
             const context = this.context;
             if (!context) return;
 
+            // 🧮 有提示词Token预算管理器时登记到预算中
+            const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            if (promptBudgetManager) {
+                await promptBudgetManager.register({
+                    source: 'memoryEnhancement',
+                    key: 'MEMORY_ENHANCEMENT',
+                    content: memoryText,
+                    position: this.settings.memoryInjectionPosition === 'top' ? 0 : 999
+                });
+                console.log('[SillyTavernIntegration] ✅ 记忆已通过提示词Token预算管理器注入');
+                return;
+            }
+
             // 尝试注入到Author's Note或System Prompt
             // 这里使用SillyTavern的扩展槽位
             if (context.setExtensionPrompt) {
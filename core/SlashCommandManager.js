@@ -0,0 +1,450 @@
+/**
+ * 斜杠命令管理器
+ *
+ * 为Quick Replies和STscript自动化注册信息栏相关的SillyTavern斜杠命令：
+ * - /ib-get panel.field        读取面板字段
+ * - /ib-set panel.field=value  写入面板字段
+ * - /ib-summary                触发手动总结
+ * - /ib-snapshot [floor]       创建数据快照
+ * - /ib-rollback floor         回溯到指定楼层快照
+ * - /ib-npc name               查询/修改NPC数据
+ *
+ * @class SlashCommandManager
+ */
+
+export class SlashCommandManager {
+    constructor({ unifiedDataCore, eventSystem, dataSnapshotManager, summaryManager, npcDatabaseManager } = {}) {
+        console.log('[SlashCommandManager] 🔧 斜杠命令管理器初始化开始');
+
+        this.unifiedDataCore = unifiedDataCore;
+        this.eventSystem = eventSystem;
+        this.dataSnapshotManager = dataSnapshotManager;
+        this.summaryManager = summaryManager;
+        this.npcDatabaseManager = npcDatabaseManager;
+
+        // 已注册的命令名
+        this.registeredCommands = [];
+
+        // 初始化状态
+        this.initialized = false;
+        this.errorCount = 0;
+
+        console.log('[SlashCommandManager] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 初始化斜杠命令管理器
+     */
+    async init() {
+        try {
+            console.log('[SlashCommandManager] 📊 开始注册斜杠命令...');
+
+            this.registerCommands();
+
+            this.initialized = true;
+            console.log('[SlashCommandManager] ✅ 斜杠命令注册完成:', this.registeredCommands.join(', '));
+
+        } catch (error) {
+            console.error('[SlashCommandManager] ❌ 初始化失败:', error);
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * 获取命令定义列表
+     */
+    getCommandDefinitions() {
+        return [
+            {
+                name: 'ib-get',
+                callback: (args, value) => this.handleGet(args, value),
+                helpString: '读取信息栏面板字段。用法：/ib-get panel.field [row=0]，省略字段时返回整个面板的JSON。',
+                unnamedArgument: { description: 'panel.field', required: true },
+                namedArguments: [
+                    { name: 'row', description: '多行面板的行号（从0开始）', type: 'NUMBER' }
+                ]
+            },
+            {
+                name: 'ib-set',
+                callback: (args, value) => this.handleSet(args, value),
+                helpString: '写入信息栏面板字段。用法：/ib-set panel.field=value [row=0]',
+                unnamedArgument: { description: 'panel.field=value', required: true },
+                namedArguments: [
+                    { name: 'row', description: '多行面板的行号（从0开始）', type: 'NUMBER' }
+                ]
+            },
+            {
+                name: 'ib-summary',
+                callback: (args, value) => this.handleSummary(args, value),
+                helpString: '立即生成一次手动总结，返回总结内容。可选 start/end 指定消息范围。',
+                namedArguments: [
+                    { name: 'start', description: '起始楼层', type: 'NUMBER' },
+                    { name: 'end', description: '结束楼层', type: 'NUMBER' }
+                ]
+            },
+            {
+                name: 'ib-snapshot',
+                callback: (args, value) => this.handleSnapshot(args, value),
+                helpString: '为当前（或指定）楼层创建信息栏数据快照，返回快照ID。用法：/ib-snapshot [floor]',
+                unnamedArgument: { description: '楼层号', type: 'NUMBER', required: false }
+            },
+            {
+                name: 'ib-rollback',
+                callback: (args, value) => this.handleRollback(args, value),
+                helpString: '将信息栏数据回溯到指定楼层的快照。用法：/ib-rollback floor',
+                unnamedArgument: { description: '楼层号', type: 'NUMBER', required: true }
+            },
+            {
+                name: 'ib-npc',
+                callback: (args, value) => this.handleNpc(args, value),
+                helpString: '查询NPC数据，返回JSON。用法：/ib-npc name [field=字段]；带 set= 时写入字段：/ib-npc name field=好感度 set=80',
+                unnamedArgument: { description: 'NPC名称', required: true },
+                namedArguments: [
+                    { name: 'field', description: '字段名' },
+                    { name: 'set', description: '要写入的新值' }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * 向SillyTavern注册命令（优先使用新版SlashCommandParser，兼容旧版registerSlashCommand）
+     */
+    registerCommands() {
+        const context = SillyTavern.getContext();
+        const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context || {};
+        const useParser = !!(SlashCommandParser?.addCommandObject && SlashCommand?.fromProps);
+
+        if (!useParser && typeof context?.registerSlashCommand !== 'function') {
+            throw new Error('当前SillyTavern版本不支持注册斜杠命令');
+        }
+
+        for (const definition of this.getCommandDefinitions()) {
+            const callback = async (namedArgs, unnamedArgs) => {
+                try {
+                    const result = await definition.callback(namedArgs || {}, String(unnamedArgs ?? '').trim());
+                    return result === undefined || result === null ? '' : String(result);
+                } catch (error) {
+                    console.error(`[SlashCommandManager] ❌ /${definition.name} 执行失败:`, error);
+                    window.toastr?.error(error.message, `/${definition.name}`);
+                    return '';
+                }
+            };
+
+            if (useParser) {
+                const argumentType = (type) => ARGUMENT_TYPE?.[type || 'STRING'] ?? ARGUMENT_TYPE?.STRING;
+                SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+                    name: definition.name,
+                    callback,
+                    helpString: definition.helpString,
+                    returns: 'string',
+                    unnamedArgumentList: definition.unnamedArgument ? [
+                        SlashCommandArgument.fromProps({
+                            description: definition.unnamedArgument.description,
+                            typeList: [argumentType(definition.unnamedArgument.type)],
+                            isRequired: !!definition.unnamedArgument.required
+                        })
+                    ] : [],
+                    namedArgumentList: (definition.namedArguments || []).map(arg => SlashCommandNamedArgument.fromProps({
+                        name: arg.name,
+                        description: arg.description,
+                        typeList: [argumentType(arg.type)],
+                        isRequired: false
+                    }))
+                }));
+            } else {
+                context.registerSlashCommand(definition.name, callback, [], definition.helpString, true, true);
+            }
+
+            this.registeredCommands.push(definition.name);
+        }
+    }
+
+    /**
+     * /ib-get
+     */
+    async handleGet(args, value) {
+        const { panelId, fieldName } = this.parseFieldPath(value);
+        const panelData = await this.getPanelData(panelId);
+        if (panelData === null) {
+            throw new Error(`面板不存在或没有数据: ${panelId}`);
+        }
+
+        const rowIndex = this.parseRowIndex(args.row);
+
+        if (!fieldName) {
+            const target = Array.isArray(panelData) && rowIndex !== null ? panelData[rowIndex] : panelData;
+            return JSON.stringify(target ?? {});
+        }
+
+        const row = Array.isArray(panelData) ? panelData[rowIndex ?? 0] : panelData;
+        const key = this.resolveFieldKey(panelId, row, fieldName);
+        const fieldValue = key !== null ? row[key] : undefined;
+
+        if (fieldValue === undefined || fieldValue === null) {
+            return '';
+        }
+        return typeof fieldValue === 'object' ? JSON.stringify(fieldValue) : fieldValue;
+    }
+
+    /**
+     * /ib-set
+     */
+    async handleSet(args, value) {
+        const separatorIndex = value.indexOf('=');
+        if (separatorIndex <= 0) {
+            throw new Error('格式错误，应为 panel.field=value');
+        }
+
+        const { panelId, fieldName } = this.parseFieldPath(value.slice(0, separatorIndex));
+        if (!fieldName) {
+            throw new Error('缺少字段名，应为 panel.field=value');
+        }
+        const newValue = value.slice(separatorIndex + 1).trim();
+
+        const panelData = await this.getPanelData(panelId);
+        const rowIndex = this.parseRowIndex(args.row);
+
+        if (Array.isArray(panelData) || rowIndex !== null) {
+            const targetRow = rowIndex ?? 0;
+            const row = Array.isArray(panelData) ? panelData[targetRow] : null;
+            const key = this.resolveFieldKey(panelId, row, fieldName) ?? fieldName;
+            await this.unifiedDataCore.updatePanelRowField(panelId, targetRow, key, newValue);
+        } else {
+            const key = this.resolveFieldKey(panelId, panelData, fieldName) ?? fieldName;
+            await this.unifiedDataCore.updatePanelField(panelId, key, newValue);
+        }
+
+        this.eventSystem?.emit('data:updated', {
+            panelId,
+            fieldKey: fieldName,
+            action: 'update',
+            source: 'slash_command',
+            timestamp: Date.now()
+        });
+
+        console.log('[SlashCommandManager] ✅ /ib-set 已写入:', panelId, fieldName, newValue);
+        return newValue;
+    }
+
+    /**
+     * /ib-summary
+     */
+    async handleSummary(args) {
+        if (!this.summaryManager) {
+            throw new Error('总结管理器不可用');
+        }
+
+        const options = { type: 'manual' };
+        const start = parseInt(args.start);
+        const end = parseInt(args.end);
+        if (!isNaN(start) && !isNaN(end)) {
+            options.customRange = { start, end };
+        }
+
+        const result = await this.summaryManager.generateSummary(options);
+        if (!result?.success) {
+            throw new Error(result?.error || '总结生成失败');
+        }
+        return result.content || '';
+    }
+
+    /**
+     * /ib-snapshot
+     */
+    async handleSnapshot(args, value) {
+        if (!this.dataSnapshotManager) {
+            throw new Error('快照管理器不可用');
+        }
+
+        const chatId = this.unifiedDataCore.getCurrentChatId();
+        if (!chatId) {
+            throw new Error('无法获取当前聊天ID');
+        }
+
+        const floor = value === '' ? this.dataSnapshotManager.getCurrentMessageFloor(chatId) : parseInt(value);
+        if (isNaN(floor) || floor < 0) {
+            throw new Error(`无效的楼层号: ${value}`);
+        }
+
+        const snapshotId = await this.dataSnapshotManager.createSnapshot(chatId, floor, { source: 'slash_command' });
+        if (!snapshotId) {
+            throw new Error(`楼层 ${floor} 的快照创建失败或被跳过`);
+        }
+        return snapshotId;
+    }
+
+    /**
+     * /ib-rollback
+     */
+    async handleRollback(args, value) {
+        if (!this.dataSnapshotManager) {
+            throw new Error('快照管理器不可用');
+        }
+
+        const floor = parseInt(value);
+        if (isNaN(floor) || floor < 0) {
+            throw new Error(`无效的楼层号: ${value}`);
+        }
+
+        const chatId = this.unifiedDataCore.getCurrentChatId();
+        if (!chatId) {
+            throw new Error('无法获取当前聊天ID');
+        }
+
+        const success = await this.dataSnapshotManager.rollbackToSnapshot(chatId, floor);
+        if (!success) {
+            throw new Error(`回溯到楼层 ${floor} 失败`);
+        }
+        return String(success);
+    }
+
+    /**
+     * /ib-npc
+     */
+    async handleNpc(args, value) {
+        if (!this.npcDatabaseManager) {
+            throw new Error('NPC数据库不可用');
+        }
+
+        const name = this.npcDatabaseManager.normalizeName(value);
+        if (!name) {
+            throw new Error('缺少NPC名称');
+        }
+
+        const npcId = this.npcDatabaseManager.resolveNpcId(name);
+        const npc = npcId ? this.npcDatabaseManager.getNPCById(npcId) : null;
+        if (!npc) {
+            if (args.set !== undefined) {
+                throw new Error(`NPC不存在: ${name}`);
+            }
+            return '';
+        }
+
+        if (args.set !== undefined) {
+            if (!args.field) {
+                throw new Error('写入NPC数据需要指定 field=字段名');
+            }
+            npc.fields = { ...(npc.fields || {}), [args.field]: String(args.set) };
+            npc.updatedAt = Date.now();
+            await this.npcDatabaseManager.save();
+            this.eventSystem?.emit('npc:updated', { id: npc.id, npc });
+            return String(args.set);
+        }
+
+        if (args.field) {
+            const fieldValue = npc.fields?.[args.field];
+            if (fieldValue === undefined || fieldValue === null) return '';
+            return typeof fieldValue === 'object' ? JSON.stringify(fieldValue) : fieldValue;
+        }
+
+        return JSON.stringify({ id: npc.id, name: npc.name, ...(npc.fields || {}) });
+    }
+
+    /**
+     * 解析 panel.field 路径（字段名本身可以包含点，如 npc0.name）
+     */
+    parseFieldPath(path) {
+        const trimmed = String(path || '').trim();
+        if (!trimmed) {
+            throw new Error('缺少字段路径，应为 panel.field');
+        }
+
+        const dotIndex = trimmed.indexOf('.');
+        if (dotIndex === -1) {
+            return { panelId: trimmed, fieldName: '' };
+        }
+        return {
+            panelId: trimmed.slice(0, dotIndex).trim(),
+            fieldName: trimmed.slice(dotIndex + 1).trim()
+        };
+    }
+
+    /**
+     * 解析行号参数
+     * @returns {number|null}
+     */
+    parseRowIndex(row) {
+        if (row === undefined || row === null || row === '') return null;
+        const index = parseInt(row);
+        if (isNaN(index) || index < 0) {
+            throw new Error(`无效的行号: ${row}`);
+        }
+        return index;
+    }
+
+    /**
+     * 获取当前聊天的面板数据
+     */
+    async getPanelData(panelId) {
+        const chatId = this.unifiedDataCore.getCurrentChatId();
+        if (!chatId) {
+            throw new Error('无法获取当前聊天ID');
+        }
+
+        const chatData = await this.unifiedDataCore.getChatData(chatId);
+        const panelData = chatData?.infobar_data?.panels?.[panelId];
+        if (panelData && typeof panelData === 'object') {
+            return panelData;
+        }
+        return await this.unifiedDataCore.getPanelData(panelId) ?? null;
+    }
+
+    /**
+     * 将用户输入的字段名解析为行数据中的实际键
+     * 支持：存储键、中文显示名、col_N 以及操作命令使用的列号
+     * @returns {string|null}
+     */
+    resolveFieldKey(panelId, row, fieldName) {
+        if (!row || typeof row !== 'object') return null;
+        if (fieldName in row) return fieldName;
+
+        const candidates = new Set();
+        const colMatch = fieldName.match(/^col_(\d+)$/);
+        if (colMatch) {
+            candidates.add(colMatch[1]);
+        } else if (/^\d+$/.test(fieldName)) {
+            candidates.add(`col_${fieldName}`);
+        }
+
+        // 按面板子项配置查找列号和名称
+        const infoBarSettings = window.SillyTavernInfobar?.modules?.settings;
+        const subItems = infoBarSettings?.getCustomPanels?.()?.[panelId]?.subItems || [];
+        subItems.forEach((item, index) => {
+            const names = [item.key, item.name, item.displayName].filter(Boolean);
+            const column = String(index + 1);
+            if (names.includes(fieldName) || column === fieldName || `col_${column}` === fieldName) {
+                names.forEach(name => candidates.add(name));
+                candidates.add(column);
+                candidates.add(`col_${column}`);
+            }
+        });
+
+        const englishName = this.unifiedDataCore.getEnglishFieldName?.(fieldName, panelId);
+        if (englishName) candidates.add(englishName);
+
+        for (const candidate of candidates) {
+            if (candidate in row) return candidate;
+        }
+        return null;
+    }
+
+    /**
+     * 错误处理
+     */
+    handleError(error) {
+        this.errorCount++;
+        console.error('[SlashCommandManager] ❌ 错误:', error);
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            errorCount: this.errorCount,
+            registeredCommands: [...this.registeredCommands]
+        };
+    }
+}
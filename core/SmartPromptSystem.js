@@ -10,6 +10,8 @@
  * @class SmartPromptSystem
  */
 
+import { FieldSchemaManager } from './FieldSchemaManager.js';
+
 export class SmartPromptSystem {
     constructor(configManager, eventSystem, dataCore, fieldRuleManager = null, panelRuleManager = null) {
         console.log('[SmartPromptSystem] 🚀 智能提示词系统初始化开始');
@@ -866,6 +868,9 @@ ${panelRulesSection}
 
             // 添加最终检查清单
             prompt += this.generatePanelCheckList(enabledPanels);
+
+            // 🔒 告知AI哪些面板/字段已锁定
+            prompt += this.generateLockedFieldsNotice(enabledPanels);
         }
 
         return prompt;
@@ -923,6 +928,12 @@ ${panelRulesSection}
             prompt += '\n\n' + incrementalTemplate;
             prompt = prompt.replace('{CURRENT_DATA_INFO}', currentDataInfo);
             prompt = prompt.replace('{INCREMENTAL_INSTRUCTIONS}', incrementalInstructions);
+
+            // 字段类型约束
+            prompt += this.generateFieldTypeConstraints(enabledPanels);
+
+            // 🔒 告知AI哪些面板/字段已锁定
+            prompt += this.generateLockedFieldsNotice(enabledPanels);
         }
 
         return prompt;
@@ -932,6 +943,8 @@ ${panelRulesSection}
      * 生成简化的字段约束
      */
     generateSimplifiedFieldConstraints(enabledPanels) {
+        // 🔒 整体锁定的面板不要求AI输出
+        enabledPanels = enabledPanels.filter(panel => !panel.locked);
         let constraints = `启用面板总数：${enabledPanels.length}个\n\n`;
         constraints += '面板清单：\n';
         for (const panel of enabledPanels) {
@@ -941,9 +954,41 @@ ${panelRulesSection}
             constraints += `• ${panelName} (${panelKey}) - ${fieldCount}个字段\n`;
         }
         constraints += `\n🚨 **验证要求**：输出必须包含上述所有${enabledPanels.length}个面板的数据！`;
+        constraints += this.generateFieldTypeConstraints(enabledPanels);
         return constraints;
     }
 
+    /**
+     * 🆕 根据字段类型定义生成取值约束（枚举、数字范围、布尔、标签列表、对象）
+     * 列号与 generatePanelDataTemplate 一致，锁定的面板和列不输出
+     */
+    generateFieldTypeConstraints(enabledPanels) {
+        const lines = [];
+
+        for (const panel of enabledPanels) {
+            if (panel.locked) continue;
+
+            const panelKey = panel.type === 'custom' && panel.key ? panel.key : panel.id;
+            panel.subItems.forEach((subItem, index) => {
+                if (subItem.locked) return;
+                const description = FieldSchemaManager.describeSchema(subItem.schema);
+                if (description) {
+                    lines.push(`• ${panelKey} 列"${index + 1}"(${subItem.name})：${description}`);
+                }
+            });
+        }
+
+        if (lines.length === 0) {
+            return '';
+        }
+
+        return `
+
+【字段类型约束】
+以下字段有固定的取值格式，输出的值必须符合约束，否则会被系统转换或忽略：
+${lines.join('\n')}`;
+    }
+
     /**
      * 生成增量指令
      */
@@ -977,6 +1022,87 @@ ${panelRulesSection}
         return instructions;
     }
 
+    /**
+     * 🔒 生成锁定面板/字段说明
+     * 锁定内容的更新会被系统丢弃，提前告知AI以免浪费输出
+     */
+    generateLockedFieldsNotice(enabledPanels) {
+        const lines = [];
+
+        for (const panel of enabledPanels) {
+            const panelKey = panel.key || panel.id;
+            if (panel.locked) {
+                lines.push(`• ${panel.name} (${panelKey})：整个面板已锁定`);
+                continue;
+            }
+
+            const lockedColumns = panel.subItems
+                .map((subItem, index) => subItem.locked ? `"${index + 1}"(${subItem.name})` : null)
+                .filter(Boolean);
+            if (lockedColumns.length > 0) {
+                lines.push(`• ${panel.name} (${panelKey})：列 ${lockedColumns.join('、')}`);
+            }
+        }
+
+        lines.push(...this.getBasicPanelLockNotices(enabledPanels));
+
+        if (lines.length === 0) {
+            return '';
+        }
+
+        return `
+
+【🔒 用户锁定的面板与字段】
+以下内容已由用户手动锁定，系统会丢弃对它们的任何更新，请不要为它们输出操作指令或列数据：
+${lines.join('\n')}`;
+    }
+
+    /**
+     * 🔒 基础面板（保存在 configs[panelId]）的锁定说明，列号与 UnifiedDataCore.getLockableColumns 一致
+     */
+    getBasicPanelLockNotices(enabledPanels) {
+        const configs = this.context?.extensionSettings?.['Information bar integration tool'] || {};
+        const listedKeys = new Set(enabledPanels.map(panel => panel.key || panel.id));
+        const lines = [];
+
+        for (const [panelId, panelConfig] of Object.entries(configs)) {
+            if (panelId === 'customPanels' || listedKeys.has(panelId)) continue;
+            if (!panelConfig || typeof panelConfig !== 'object' || Array.isArray(panelConfig) || panelConfig.enabled !== true) continue;
+
+            const panelName = typeof panelConfig.name === 'string' ? panelConfig.name : panelId;
+            if (panelConfig.locked === true) {
+                lines.push(`• ${panelName} (${panelId})：整个面板已锁定`);
+                continue;
+            }
+
+            const lockedColumns = (this.dataCore?.getLockableColumns?.(panelConfig) || [])
+                .filter(column => column.locked)
+                .map(column => `"${column.column}"(${column.name})`);
+            if (lockedColumns.length > 0) {
+                lines.push(`• ${panelName} (${panelId})：列 ${lockedColumns.join('、')}`);
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * 🔒 从缺失字段列表中排除锁定的面板/字段
+     */
+    excludeLockedMissingFields(missingDataFields, enabledPanels) {
+        return missingDataFields
+            .map(field => {
+                const panel = enabledPanels.find(p => p.id === field.panelId);
+                if (!panel) return field;
+                if (panel.locked) return null;
+
+                const lockedKeys = new Set(panel.subItems.filter(subItem => subItem.locked).map(subItem => subItem.key));
+                const missingSubItems = field.missingSubItems.filter(subItem => !lockedKeys.has(subItem.key));
+                return missingSubItems.length > 0 ? { ...field, missingSubItems } : null;
+            })
+            .filter(Boolean);
+    }
+
     /**
      * 获取模板选择原因
      */
@@ -996,6 +1122,8 @@ ${panelRulesSection}
      * 生成面板检查清单
      */
     generatePanelCheckList(enabledPanels) {
+        // 🔒 整体锁定的面板不要求AI输出
+        enabledPanels = enabledPanels.filter(panel => !panel.locked);
         let checkList = '\n\n【📋 输出完整性检查清单】\n';
         checkList += '在输出<infobar_data>标签前，请确认已包含以下所有面板：\n\n';
 
@@ -1212,7 +1340,8 @@ ${panelRulesSection}
 
             // 使用最高优先级注入到系统消息
             if (typeof this.context.setExtensionPrompt === 'function') {
-                this.context.setExtensionPrompt(
+                await this.setBudgetedExtensionPrompt(
+                    'smartPromptMemory',
                     'Information bar integration tool - Memory Enhancement',
                     memoryContent,
                     0, // 最高优先级
@@ -1356,8 +1485,8 @@ ${panelRulesSection}
                 // 🔧 新增：智能分析更新策略
                 updateStrategy = await this.analyzeUpdateStrategy(enabledPanels, currentPanelData);
 
-                // 检测是否有新启用的子项需要补充数据
-                missingDataFields = await this.detectMissingDataFields(enabledPanels);
+                // 检测是否有新启用的子项需要补充数据（锁定字段无需AI补充）
+                missingDataFields = this.excludeLockedMissingFields(await this.detectMissingDataFields(enabledPanels), enabledPanels);
             }
 
             // 🎯 新增：分析自定义面板缺失情况（仅在需要表格记录时）
@@ -1835,7 +1964,8 @@ ${aiMemoryInstruction}
             }
 
             if (value === undefined || value === null) return '';
-            return typeof value === 'string' ? value : String(value);
+            // 标签列表/对象按类型约束中的格式输出（a|b、键:值; 键:值）
+            return typeof value === 'string' ? value : FieldSchemaManager.formatValue(value);
         } catch (e) {
             return '';
         }
@@ -2279,7 +2409,7 @@ ${aiMemoryInstruction}
                                     panel.subItems.forEach(subItem => {
                                         totalCells++;
                                         const value = this.getRowValueBySubItem(row, subItem, panel);
-                                        if (typeof value === 'string' && value.trim() !== '') {
+                                        if (typeof value === 'string' ? value.trim() !== '' : (value !== undefined && value !== null)) {
                                             validCells++;
                                         }
                                     });
@@ -2287,7 +2417,7 @@ ${aiMemoryInstruction}
                                     // 按实际字段统计
                                     Object.values(row).forEach(value => {
                                         totalCells++;
-                                        if (value && typeof value === 'string' && value.trim() !== '') {
+                                        if (typeof value === 'string' ? value.trim() !== '' : (value !== undefined && value !== null)) {
                                             validCells++;
                                         }
                                     });
@@ -2419,7 +2549,9 @@ ${aiMemoryInstruction}
                             enabled: subItem.enabled !== false,
                             value: subItem.value || '',
                             description: subItem.description || '',
-                            type: subItem.type || 'text'
+                            type: subItem.type || 'text',
+                            schema: FieldSchemaManager.getSchema(subItem),
+                            locked: subItem.locked === true
                         };
                     }
                     return null;
@@ -2432,7 +2564,8 @@ ${aiMemoryInstruction}
                     name: panelConfig.name || panelKey,
                     subItems: processedSubItems,
                     description: panelConfig.description || '',
-                    icon: panelConfig.icon || ''
+                    icon: panelConfig.icon || '',
+                    locked: panelConfig.locked === true
                 });
 
                 console.log(`[SmartPromptSystem] ✅ 添加面板: ${panelKey}, 子项: ${processedSubItems.length}/${allSubItems.length}`);
@@ -2911,17 +3044,21 @@ ${aiMemoryInstruction}
         const templateParts = [];
 
         for (const panel of enabledPanels) {
+            // 🔒 整体锁定的面板不生成模板
+            if (panel.locked) continue;
+
             // 自定义面板使用 key；基础面板使用 id
             const panelKey = panel.type === 'custom' && panel.key ? panel.key : panel.id;
             const subItems = Array.isArray(panel.subItems) ? panel.subItems : [];
             console.log(`[SmartPromptSystem] 处理面板: ${panel.id} (键名: ${panelKey}), 子项数量: ${subItems.length}`);
 
-            // 使用操作指令多行数据模板：按子项顺序映射为数字列 1..N
+            // 使用操作指令多行数据模板：按子项顺序映射为数字列 1..N（🔒 跳过锁定列，列号保持不变）
             const colPairs = subItems.map((subItem, idx) => {
+                if (subItem.locked) return null;
                 const display = this.getSubItemDisplayName(panel.id, subItem.key);
                 const colIndex = idx + 1; // 列号从1开始
                 return `"${colIndex}","${display}"`;
-            });
+            }).filter(Boolean);
 
             if (colPairs.length > 0) {
                 const line = `add ${panelKey}(1 {${colPairs.join(', ')}})`; // 行号1：现有/首行
@@ -3273,7 +3410,7 @@ ${aiMemoryInstruction}
                 console.log('[SmartPromptSystem] ℹ️ 表格记录和AI记忆总结都未启用，跳过智能提示词生成');
                 // 清除可能存在的提示词
                 if (typeof this.context.setExtensionPrompt === 'function') {
-                    this.context.setExtensionPrompt('Information bar integration tool', '', 1, 0);
+                    await this.setBudgetedExtensionPrompt('smartPrompt', 'Information bar integration tool', '', 1, 0);
                     console.log('[SmartPromptSystem] 🧹 已清除智能提示词');
                 }
                 return;
@@ -3300,7 +3437,7 @@ ${aiMemoryInstruction}
             } else {
                 // 清除主API提示词
                 if (typeof this.context.setExtensionPrompt === 'function') {
-                    this.context.setExtensionPrompt('Information bar integration tool', '', 1, 0);
+                    await this.setBudgetedExtensionPrompt('smartPrompt', 'Information bar integration tool', '', 1, 0);
                     console.log('[SmartPromptSystem] 🧹 已清除主API提示词（无需注入）');
                 }
 
@@ -3447,7 +3584,8 @@ ${aiMemoryInstruction}
             // 根据配置的位置模式注入提示词
             if (typeof this.context.setExtensionPrompt === 'function') {
                 const injectionParams = this.getInjectionParameters(mode, depth);
-                this.context.setExtensionPrompt(
+                await this.setBudgetedExtensionPrompt(
+                    'smartPrompt',
                     injectionParams.identifier,
                     prompt,
                     injectionParams.priority,
@@ -3518,6 +3656,19 @@ ${aiMemoryInstruction}
         }
     }
 
+    /**
+     * 🧮 写入扩展提示词（有提示词Token预算管理器时登记到预算中）
+     * @param {string} source - 预算策略来源
+     */
+    async setBudgetedExtensionPrompt(source, key, value, position, depth, scan, role) {
+        const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+        if (promptBudgetManager) {
+            await promptBudgetManager.register({ source, key, content: value, position, depth, scan, role });
+            return;
+        }
+        await this.context.setExtensionPrompt(key, value, position, depth, scan, role);
+    }
+
     /**
      * 备用提示词注入方案
      */
@@ -4373,6 +4524,20 @@ ${aiMemoryInstruction}
             let { row, data } = operation;
             console.log(`[SmartPromptSystem] 🔧 执行操作: ${type} ${panel}(${row})`, data);
 
+            // 🔒 用户锁定的面板/字段不接受AI操作
+            if (this.dataCore?.getPanelLockState?.(panel).panelLocked) {
+                console.log(`[SmartPromptSystem] 🔒 面板 ${panel} 已锁定，跳过操作: ${type}`);
+                return;
+            }
+            if (type !== 'delete' && data && typeof this.dataCore?.filterLockedFields === 'function') {
+                const hadData = Object.keys(data).length > 0;
+                data = this.dataCore.filterLockedFields(panel, data, { source: 'operation_command' });
+                if (hadData && Object.keys(data).length === 0) {
+                    console.log(`[SmartPromptSystem] 🔒 操作仅包含锁定字段，已跳过: ${type} ${panel}(${row})`);
+                    return;
+                }
+            }
+
             // 🔧 修复：直接从infobar_data.panels获取当前面板数据，避免数据核心的键值查找问题
             let currentPanelData = await this.getCurrentPanelDataDirect(panel);
 
@@ -4511,8 +4676,11 @@ ${aiMemoryInstruction}
                 panelArray[rowIndex] = {};
             }
 
+            // 🛡️ 按字段规则校验（范围/变化幅度/单位）
+            const checkedData = await this.applyFieldRules(panelId, panelArray[rowIndex], data, row);
+
             // 合并新数据
-            Object.assign(panelArray[rowIndex], data);
+            Object.assign(panelArray[rowIndex], checkedData);
 
             // 🔧 修复：直接更新到infobar_data.panels结构，避免数据核心的合并逻辑
             await this.saveArrayDataDirectly(panelId, panelArray);
@@ -4563,8 +4731,11 @@ ${aiMemoryInstruction}
                 panelArray[rowIndex] = {};
             }
 
+            // 🛡️ 按字段规则校验（范围/变化幅度/单位）
+            const checkedData = await this.applyFieldRules(panelId, panelArray[rowIndex], data, row);
+
             // 更新指定列的数据
-            Object.assign(panelArray[rowIndex], data);
+            Object.assign(panelArray[rowIndex], checkedData);
 
             // 🔧 修复：直接更新到infobar_data.panels结构，避免数据核心的合并逻辑
             await this.saveArrayDataDirectly(panelId, panelArray);
@@ -4575,6 +4746,25 @@ ${aiMemoryInstruction}
         }
     }
 
+    /**
+     * 🛡️ 按字段规则校验操作指令中的列数据
+     * 被拒绝的列会从返回数据中移除，保持表格原值
+     */
+    async applyFieldRules(panelId, currentRow, data, row) {
+        try {
+            if (!this.fieldRuleManager || typeof this.fieldRuleManager.enforcePanelRules !== 'function') {
+                return data;
+            }
+            return await this.fieldRuleManager.enforcePanelRules(panelId, currentRow || {}, data, {
+                source: 'operation_command',
+                row
+            });
+        } catch (error) {
+            console.error('[SmartPromptSystem] ❌ 字段规则校验失败:', error);
+            return data;
+        }
+    }
+
     /**
      * 🗑️ 执行DELETE操作
      */
@@ -4653,8 +4843,8 @@ ${aiMemoryInstruction}
                 chatData.infobar_data.panels = {};
             }
 
-            // 直接设置数组数据
-            chatData.infobar_data.panels[panelId] = arrayData;
+            // 直接设置数组数据（🧮 同时重算计算字段）
+            chatData.infobar_data.panels[panelId] = this.dataCore.applyComputedFields?.(panelId, arrayData) ?? arrayData;
 
             // 保存整个聊天数据
             await this.dataCore.setChatData(chatId, chatData);
@@ -4841,7 +5031,7 @@ ${aiMemoryInstruction}
 
                         if (Object.prototype.hasOwnProperty.call(panelData, key)) {
                             const value = panelData[key];
-                            hasValidData = value && value.trim() !== '';
+                            hasValidData = typeof value === 'string' ? value.trim() !== '' : (value !== undefined && value !== null);
                         }
 
                         if (!hasValidData) {
@@ -5330,7 +5520,8 @@ update plot(1 {"4":"新的剧情发展"}) ← 更新现有剧情数据
                 console.log('[SmartPromptSystem] ⚠️ context.memory 不可用，尝试其他方式');
                 // 备用方案：使用setExtensionPrompt注入
                 if (typeof this.context.setExtensionPrompt === 'function') {
-                    this.context.setExtensionPrompt(
+                    await this.setBudgetedExtensionPrompt(
+                        'smartPromptMemory',
                         'Information bar integration tool - Memory',
                         `\n\n${memoryContent}`,
                         2,  // 位置：在用户消息之后
@@ -5381,7 +5572,7 @@ update plot(1 {"4":"新的剧情发展"}) ← 更新现有剧情数据
 
             // 使用SillyTavern的扩展提示词机制注入
             if (typeof this.context.setExtensionPrompt === 'function') {
-                await this.context.setExtensionPrompt('Information bar integration tool - Prohibition Rules', prohibitionPrompt, 1, 0, false, '');
+                await this.setBudgetedExtensionPrompt('smartPromptRules', 'Information bar integration tool - Prohibition Rules', prohibitionPrompt, 1, 0, false, '');
                 console.log('[SmartPromptSystem] ✅ 主API技术性禁止规则已通过setExtensionPrompt注入');
             } else if (this.context.memory !== undefined) {
                 // 备用方案：添加到memory
@@ -5642,7 +5833,7 @@ infobar_data标签（独立输出，必须后输出）`);
 
             // 使用SillyTavern的扩展提示词机制注入
             if (typeof this.context.setExtensionPrompt === 'function') {
-                await this.context.setExtensionPrompt('Information bar integration tool - Required Rules', requiredPrompt, 1, 0, false, '');
+                await this.setBudgetedExtensionPrompt('smartPromptRules', 'Information bar integration tool - Required Rules', requiredPrompt, 1, 0, false, '');
                 console.log('[SmartPromptSystem] ✅ 主API必须输出规则已通过setExtensionPrompt注入');
             } else if (this.context.memory !== undefined) {
                 // 备用方案：添加到memory
@@ -5675,7 +5866,7 @@ infobar_data标签（独立输出，必须后输出）`);
             // 使用SillyTavern的扩展提示词机制清理
             if (typeof this.context.setExtensionPrompt === 'function') {
                 // 清空必须输出规则提示词
-                await this.context.setExtensionPrompt('Information bar integration tool - Required Rules', '', 1, 0, false, '');
+                await this.setBudgetedExtensionPrompt('smartPromptRules', 'Information bar integration tool - Required Rules', '', 1, 0, false, '');
                 console.log('[SmartPromptSystem] ✅ 已通过setExtensionPrompt清理主API必须输出规则');
             } else if (this.context.memory !== undefined) {
                 // 备用方案：从memory中移除必须输出规则
@@ -5717,9 +5908,9 @@ infobar_data标签（独立输出，必须后输出）`);
             // 使用SillyTavern的扩展提示词机制清理
             if (typeof this.context.setExtensionPrompt === 'function') {
                 // 清空禁止规则提示词
-                await this.context.setExtensionPrompt('Information bar integration tool - Prohibition Rules', '', 1, 0, false, '');
+                await this.setBudgetedExtensionPrompt('smartPromptRules', 'Information bar integration tool - Prohibition Rules', '', 1, 0, false, '');
                 // 清空必须输出规则提示词
-                await this.context.setExtensionPrompt('Information bar integration tool - Required Rules', '', 1, 0, false, '');
+                await this.setBudgetedExtensionPrompt('smartPromptRules', 'Information bar integration tool - Required Rules', '', 1, 0, false, '');
                 console.log('[SmartPromptSystem] ✅ 已通过setExtensionPrompt清理主API所有规则');
             } else if (this.context.memory !== undefined) {
                 // 备用方案：从memory中移除所有规则
@@ -6694,7 +6885,7 @@ infobar_data标签（独立输出，必须后输出）`);
                 const allFieldRules = this.fieldRuleManager.getAllFieldRules?.() || new Map();
 
                 for (const [fieldKey, rule] of allFieldRules) {
-                    if (rule && rule.examples && rule.examples.length > 0) {
+                    if (rule && ((rule.examples && rule.examples.length > 0) || rule.range || rule.changeRate)) {
                         fieldRules.push(this.formatFieldRule(fieldKey, rule));
                     }
                 }
@@ -6784,7 +6975,19 @@ infobar_data标签（独立输出，必须后输出）`);
         }
 
         if (rule.range) {
-            formatted += ` [${rule.range}]`;
+            const range = Array.isArray(rule.range)
+                ? rule.range.join('-')
+                : (typeof rule.range === 'object' ? `${rule.range.min ?? ''}-${rule.range.max ?? ''}` : rule.range);
+            formatted += ` [${range}]`;
+        }
+
+        if (rule.changeRate) {
+            const changeRate = typeof rule.changeRate === 'object' ? `±${rule.changeRate.max ?? rule.changeRate.increase ?? ''}` : rule.changeRate;
+            formatted += ` [每次变化≤${changeRate}]`;
+        }
+
+        if (rule.preferredUnit || rule.unit) {
+            formatted += ` [单位: ${rule.preferredUnit || rule.unit}]`;
         }
 
         formatted += '\n';
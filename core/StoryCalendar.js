@@ -0,0 +1,329 @@
+/**
+ * 故事内日历
+ *
+ * 把世界状态面板里的时间/日期文本解析为故事时间戳，与现实时间完全分离：
+ * - 支持 "1024年3月15日 下午3点"、"三月初五 酉时"、"2024-03-15 14:30"、"第12天 傍晚"、"Day 3, 8:00 pm" 等写法
+ * - 文本中缺少的部分（年、月、日）沿用上一次的故事时间；只给出时刻且早于上次时刻时视为第二天
+ * - "三日后"、"2天之后" 从上一次的故事日期顺延；没有明确日期的文本不会让故事时钟倒退
+ * - 故事时间戳按公历换算成毫秒（UTC），只用于排序和计算差值，不代表真实日期
+ *
+ * 纯计算代码，不访问DOM和SillyTavern上下文。
+ *
+ * @class StoryCalendar
+ */
+
+const DAY_MS = 86400000;
+
+// 无日期信息时 "第N天" 的起点（公元1年1月1日）
+const STORY_EPOCH = (() => {
+    const date = new Date(0);
+    date.setUTCFullYear(1, 0, 1);
+    date.setUTCHours(0, 0, 0, 0);
+    return date.getTime();
+})();
+
+export class StoryCalendar {
+    constructor() {
+        // 中文数字
+        this.CN_DIGITS = { 〇: 0, 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+        // 时段词 -> 默认小时（没有明确时刻时使用）
+        this.PERIOD_HOURS = {
+            凌晨: 3, 黎明: 5, 清晨: 6, 早晨: 7, 早上: 8, 上午: 9, 中午: 12, 正午: 12, 午后: 14,
+            下午: 15, 黄昏: 18, 傍晚: 18, 晚上: 20, 夜晚: 21, 夜里: 22, 深夜: 23, 午夜: 0, 半夜: 0
+        };
+
+        // 十二时辰 -> 起始小时
+        this.SHICHEN_HOURS = { 子: 23, 丑: 1, 寅: 3, 卯: 5, 辰: 7, 巳: 9, 午: 11, 未: 13, 申: 15, 酉: 17, 戌: 19, 亥: 21 };
+
+        // 下午/晚上等时段下，12小时制的时刻需要加12
+        this.PM_PERIODS = ['午后', '下午', '黄昏', '傍晚', '晚上', '夜晚', '夜里', '深夜'];
+    }
+
+    /**
+     * 解析故事时间文本
+     * @param {string} text - 世界状态面板中的时间/日期文本
+     * @param {{timestamp: number, components: Object}|null} reference - 上一次的故事时间
+     * @returns {{timestamp: number, text: string, components: Object}|null} 无法识别时返回null
+     */
+    parse(text, reference = null) {
+        const source = String(text || '').trim();
+        if (!source) return null;
+
+        const parsed = this.extractComponents(source);
+        const hasDate = parsed.year !== null || parsed.month !== null || parsed.day !== null;
+        const hasTime = parsed.hour !== null;
+        const hasOffset = parsed.dayOffset !== null;
+        if (!hasDate && !hasTime && parsed.dayNumber === null && !hasOffset) {
+            return null;
+        }
+
+        const base = reference?.components || {};
+        const hasReference = Number.isFinite(reference?.timestamp);
+        const components = {
+            year: parsed.year ?? base.year ?? 1,
+            month: parsed.month ?? base.month ?? 1,
+            day: parsed.day ?? base.day ?? 1,
+            hour: parsed.hour ?? (hasDate || parsed.dayNumber !== null ? 0 : base.hour ?? 0),
+            minute: parsed.minute ?? (hasTime ? 0 : (hasDate || parsed.dayNumber !== null ? 0 : base.minute ?? 0)),
+            dayNumber: parsed.dayNumber ?? null
+        };
+
+        let timestamp;
+        if (!hasDate && hasOffset) {
+            // N日后：从上次故事时间所在的日期顺延，未给出时刻时沿用上次时刻
+            const referenceDayStart = hasReference ? this.startOfDay(reference.timestamp) : STORY_EPOCH;
+            timestamp = referenceDayStart + parsed.dayOffset * DAY_MS +
+                (components.hour * 60 + components.minute) * 60000;
+            this.assignDate(components, timestamp);
+            components.dayNumber = parsed.dayNumber ?? (base.dayNumber ? base.dayNumber + parsed.dayOffset : null);
+        } else if (!hasDate && parsed.dayNumber !== null) {
+            // 第N天：相对上次的第N天推算；上次只有日期时以上次所在日期作为第N天；没有参照时从故事纪元起算
+            let referenceDayStart = STORY_EPOCH;
+            if (hasReference) {
+                referenceDayStart = this.startOfDay(reference.timestamp) - ((base.dayNumber || parsed.dayNumber) - 1) * DAY_MS;
+            }
+            timestamp = referenceDayStart + (parsed.dayNumber - 1) * DAY_MS +
+                (components.hour * 60 + components.minute) * 60000;
+            this.assignDate(components, timestamp);
+        } else {
+            timestamp = this.toTimestamp(components);
+
+            // 只给出时刻且早于上次时刻：视为第二天
+            if (!hasDate && hasReference && timestamp < reference.timestamp) {
+                timestamp += DAY_MS;
+                this.assignDate(components, timestamp);
+            }
+            if (!hasDate && base.dayNumber && hasReference) {
+                components.dayNumber = base.dayNumber + Math.round((this.startOfDay(timestamp) - this.startOfDay(reference.timestamp)) / DAY_MS);
+            }
+        }
+
+        // 没有明确日期时故事时钟不会倒退
+        if (!hasDate && hasReference && timestamp < reference.timestamp) {
+            timestamp = reference.timestamp;
+            this.assignDate(components, timestamp);
+            const date = new Date(timestamp);
+            components.hour = date.getUTCHours();
+            components.minute = date.getUTCMinutes();
+            components.dayNumber = base.dayNumber ?? components.dayNumber;
+        }
+
+        return { timestamp, text: source, components };
+    }
+
+    /**
+     * 从文本中提取年月日、时刻和 "第N天"
+     */
+    extractComponents(text) {
+        const result = { year: null, month: null, day: null, hour: null, minute: null, dayNumber: null, dayOffset: null };
+        const numberPattern = '\\d+|[〇零一二两三四五六七八九十百千]+';
+
+        // 相对天数：三日后 / 2天之后（"N日前" 同样不是日期）
+        const relativeDayPattern = new RegExp(`(${numberPattern})\\s*[日天]\\s*之?([前后])`);
+        const relativeDayMatch = text.match(relativeDayPattern);
+        if (relativeDayMatch?.[2] === '后') {
+            result.dayOffset = this.parseNumber(relativeDayMatch[1]);
+        }
+        const dateText = relativeDayMatch ? text.replace(relativeDayPattern, ' ') : text;
+
+        // 2024-03-15 / 2024/3/15 / 2024.3.15
+        const isoMatch = text.match(/(\d{1,6})[-/.](\d{1,2})[-/.](\d{1,2})/);
+        if (isoMatch) {
+            result.year = parseInt(isoMatch[1]);
+            result.month = parseInt(isoMatch[2]);
+            result.day = parseInt(isoMatch[3]);
+        }
+
+        const yearMatch = text.match(new RegExp(`(${numberPattern})\\s*年`));
+        if (yearMatch && result.year === null) {
+            result.year = this.parseNumber(yearMatch[1], true);
+        }
+
+        const monthMatch = text.match(new RegExp(`(${numberPattern}|正|冬|腊)\\s*月`));
+        if (monthMatch && result.month === null) {
+            result.month = { 正: 1, 冬: 11, 腊: 12 }[monthMatch[1]] ?? this.parseNumber(monthMatch[1]);
+        }
+
+        const lunarDayMatch = text.match(/(初[一二三四五六七八九十]|十[一二三四五六七八九]|二十[一二三四五六七八九]?|廿[一二三四五六七八九]?|三十|卅)(?![年月天点时])/);
+        const dayMatch = dateText.match(new RegExp(`(${numberPattern})\\s*[日号]`));
+        if (result.day === null) {
+            if (dayMatch) {
+                result.day = this.parseNumber(dayMatch[1]);
+            } else if (lunarDayMatch && result.month !== null) {
+                result.day = this.parseNumber(lunarDayMatch[1].replace(/^初/, '').replace(/^廿/, '二十').replace(/^卅/, '三十'));
+            }
+        }
+
+        const dayNumberMatch = text.match(new RegExp(`第\\s*(${numberPattern})\\s*[天日]`)) || text.match(/\bday\s*(\d+)/i);
+        if (dayNumberMatch) {
+            result.dayNumber = this.parseNumber(dayNumberMatch[1]);
+            // "第3日" 不是日期
+            if (dayMatch && dayMatch.index > 0 && dateText[dayMatch.index - 1] === '第') {
+                result.day = null;
+            }
+        }
+
+        // 时刻：14:30 / 3点半 / 十五时二十分 / 酉时 / 8 pm
+        const period = Object.keys(this.PERIOD_HOURS).find(word => text.includes(word)) || null;
+        const clockMatch = text.match(/(\d{1,2})\s*[:：]\s*(\d{2})/);
+        const cnClockMatch = text.match(new RegExp(`(${numberPattern})\\s*[点时](?:\\s*(半|一刻|三刻|${numberPattern})\\s*分?)?`));
+        const shichenMatch = text.match(/([子丑寅卯辰巳午未申酉戌亥])\s*时/);
+        const englishPm = /\d\s*pm\b/i.test(text);
+
+        if (clockMatch) {
+            result.hour = parseInt(clockMatch[1]);
+            result.minute = parseInt(clockMatch[2]);
+        } else if (cnClockMatch) {
+            result.hour = this.parseNumber(cnClockMatch[1]);
+            const minutePart = cnClockMatch[2];
+            result.minute = minutePart === '半' ? 30
+                : minutePart === '一刻' ? 15
+                    : minutePart === '三刻' ? 45
+                        : minutePart ? this.parseNumber(minutePart) : 0;
+        } else if (shichenMatch) {
+            result.hour = this.SHICHEN_HOURS[shichenMatch[1]];
+            result.minute = 0;
+        } else if (period) {
+            result.hour = this.PERIOD_HOURS[period];
+            result.minute = 0;
+        }
+
+        if (result.hour !== null && result.hour < 12 && (englishPm || (period && this.PM_PERIODS.includes(period)))) {
+            result.hour += 12;
+        } else if (result.hour === 12 && (period === '凌晨' || period === '午夜' || period === '半夜' || /12\s*am\b/i.test(text))) {
+            result.hour = 0;
+        }
+
+        // 丢弃不合理的值
+        if (result.month !== null && (result.month < 1 || result.month > 12)) result.month = null;
+        if (result.day !== null && (result.day < 1 || result.day > 31)) result.day = null;
+        if (result.hour !== null && (result.hour < 0 || result.hour > 24)) result.hour = null;
+        if (result.hour === 24) result.hour = 0;
+        if (result.minute !== null && (result.minute < 0 || result.minute > 59)) result.minute = 0;
+        if (result.hour === null) result.minute = null;
+
+        return result;
+    }
+
+    /**
+     * 解析阿拉伯数字或中文数字
+     * @param {boolean} digitwise - 年份等逐位读法（"二〇二四"）
+     */
+    parseNumber(text, digitwise = false) {
+        if (/^\d+$/.test(text)) return parseInt(text);
+
+        if (digitwise && !/[十百千]/.test(text)) {
+            const digits = Array.from(text).map(char => this.CN_DIGITS[char]);
+            return digits.every(digit => digit !== undefined) ? parseInt(digits.join('')) : null;
+        }
+
+        let total = 0;
+        let current = 0;
+        for (const char of text) {
+            if (char in this.CN_DIGITS) {
+                current = this.CN_DIGITS[char];
+            } else if (char === '十' || char === '百' || char === '千') {
+                const unit = { 十: 10, 百: 100, 千: 1000 }[char];
+                total += (current || 1) * unit;
+                current = 0;
+            } else {
+                return null;
+            }
+        }
+        return total + current;
+    }
+
+    toTimestamp({ year, month, day, hour, minute }) {
+        const date = new Date(0);
+        date.setUTCFullYear(year, month - 1, day);
+        date.setUTCHours(hour, minute, 0, 0);
+        return date.getTime();
+    }
+
+    assignDate(components, timestamp) {
+        const date = new Date(timestamp);
+        components.year = date.getUTCFullYear();
+        components.month = date.getUTCMonth() + 1;
+        components.day = date.getUTCDate();
+    }
+
+    startOfDay(timestamp) {
+        return Math.floor(timestamp / DAY_MS) * DAY_MS;
+    }
+
+    /**
+     * 故事周的起始时间（周一 00:00）
+     */
+    startOfWeek(timestamp) {
+        const dayStart = this.startOfDay(timestamp);
+        const weekday = (new Date(dayStart).getUTCDay() + 6) % 7;
+        return dayStart - weekday * DAY_MS;
+    }
+
+    /**
+     * 故事时间窗口
+     * @param {string} window - story_day / last_story_day / story_week / last_story_week / story_month / last_story_month
+     * @param {number} now - 当前故事时间戳
+     * @returns {{start: number, end: number}|null}
+     */
+    getWindowRange(window, now) {
+        if (!Number.isFinite(now)) return null;
+
+        switch (window) {
+            case 'story_day':
+                return { start: this.startOfDay(now), end: now };
+            case 'last_story_day': {
+                const end = this.startOfDay(now);
+                return { start: end - DAY_MS, end: end - 1 };
+            }
+            case 'story_week':
+                return { start: this.startOfWeek(now), end: now };
+            case 'last_story_week': {
+                const end = this.startOfWeek(now);
+                return { start: end - 7 * DAY_MS, end: end - 1 };
+            }
+            case 'story_month': {
+                const date = new Date(now);
+                const start = new Date(0);
+                start.setUTCFullYear(date.getUTCFullYear(), date.getUTCMonth(), 1);
+                return { start: start.getTime(), end: now };
+            }
+            case 'last_story_month': {
+                const date = new Date(now);
+                const start = new Date(0);
+                start.setUTCFullYear(date.getUTCFullYear(), date.getUTCMonth() - 1, 1);
+                const end = new Date(0);
+                end.setUTCFullYear(date.getUTCFullYear(), date.getUTCMonth(), 1);
+                return { start: start.getTime(), end: end.getTime() - 1 };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 故事内相对时间描述，如 "故事内3天前"
+     */
+    formatRelative(timestamp, now) {
+        if (!Number.isFinite(timestamp) || !Number.isFinite(now)) return '';
+
+        const diff = Math.abs(now - timestamp);
+        const suffix = now >= timestamp ? '前' : '后';
+
+        const minutes = Math.floor(diff / 60000);
+        const hours = Math.floor(diff / 3600000);
+        const days = Math.floor(diff / DAY_MS);
+        const weeks = Math.floor(days / 7);
+        const months = Math.floor(days / 30);
+        const years = Math.floor(days / 365);
+
+        if (years > 0) return `故事内${years}年${suffix}`;
+        if (months > 0) return `故事内${months}个月${suffix}`;
+        if (weeks > 0) return `故事内${weeks}周${suffix}`;
+        if (days > 0) return `故事内${days}天${suffix}`;
+        if (hours > 0) return `故事内${hours}小时${suffix}`;
+        if (minutes > 0) return `故事内${minutes}分钟${suffix}`;
+        return '故事内此刻';
+    }
+}
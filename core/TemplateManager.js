@@ -7,6 +7,7 @@
  * - 模板库管理
  * - 模板验证和预览
  * - 模板分类和标签
+ * - 局部模板库（{{> name}} 可复用组件）及其导入导出
  * 
  * @version 1.0.0
  * @author Information Bar Integration Tool Developer
@@ -24,6 +25,7 @@ export class TemplateManager {
         this.errorCount = 0;
         this.templates = new Map(); // 模板缓存
         this.categories = new Map(); // 分类管理
+        this.partials = new Map(); // 用户局部模板 name -> partial
 
         // 📚 内置模板库
         this.builtInTemplates = {
@@ -86,9 +88,24 @@ export class TemplateManager {
                 template: this.getFieldDirectiveDemoTemplate(),
                 preview: 'field-directive-demo-preview.png',
                 dataRequirements: [] // 🆕 无需预定义数据要求，可直接读取任意字段
+            },
+            'partial-dashboard': {
+                id: 'partial-dashboard',
+                name: '组件化仪表板',
+                description: '由局部模板（hp-bar、stat-item、item-card）组合而成的仪表板',
+                category: 'dashboard',
+                tags: ['仪表板', '局部模板', '组件'],
+                author: 'System',
+                version: '1.0.0',
+                template: this.getPartialDashboardTemplate(),
+                preview: 'partial-dashboard-preview.png',
+                dataRequirements: ['name', 'health', 'maxHealth', 'energy', 'maxEnergy', 'items']
             }
         };
 
+        // 🧩 内置局部模板库
+        this.builtInPartials = this.getBuiltInPartials();
+
         console.log('[TemplateManager] 🚀 模板管理器初始化完成');
     }
 
@@ -102,6 +119,9 @@ export class TemplateManager {
             // 加载用户模板
             await this.loadUserTemplates();
 
+            // 加载局部模板库并注册到解析器
+            await this.loadUserPartials();
+
             // 初始化分类
             this.initializeCategories();
 
@@ -546,6 +566,31 @@ export class TemplateManager {
         `;
     }
 
+    /**
+     * 获取组件化仪表板模板
+     */
+    getPartialDashboardTemplate() {
+        return `
+            <div class="partial-dashboard" style="background: #1a1a1a; border-radius: 12px; padding: 20px; color: #fff;">
+                <h3 style="margin: 0 0 10px 0;">{{data.name}}</h3>
+                {{> hp-bar label="生命值" value=data.health max=data.maxHealth}}
+                {{> hp-bar label="能量值" value=data.energy max=data.maxEnergy color="#2196F3"}}
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr)); gap: 10px; margin: 15px 0;">
+                    {{> stat-item label="位置" value=data.location}}
+                    {{> stat-item label="心情" value=data.mood}}
+                    {{> stat-item label="时间" value=data.time}}
+                </div>
+                <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(80px, 1fr)); gap: 10px;">
+                    {{#each data.items}}
+                    {{> item-card this}}
+                    {{else}}
+                    <div style="opacity: 0.6;">背包为空</div>
+                    {{/each}}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * 获取字段指令演示模板
      */
@@ -622,6 +667,301 @@ export class TemplateManager {
         `;
     }
 
+    /**
+     * 🧩 获取内置局部模板库
+     */
+    getBuiltInPartials() {
+        return {
+            'hp-bar': {
+                name: 'hp-bar',
+                description: '数值进度条，如生命值/能量值',
+                params: ['label', 'value', 'max', 'color'],
+                author: 'System',
+                version: '1.0.0',
+                template: `
+                    <div class="ib-partial-bar" style="margin: 8px 0;">
+                        <div style="display: flex; justify-content: space-between; margin-bottom: 4px; font-size: 13px;">
+                            <span>{{label | default:"生命值"}}</span>
+                            <span>{{value | default:0}}/{{max | default:100}}</span>
+                        </div>
+                        <div style="background: rgba(255, 255, 255, 0.15); height: 8px; border-radius: 4px; overflow: hidden;">
+                            <div style="background: {{color | default:"#4CAF50"}}; height: 100%; width: {{value / (max || 100) | percent}}; transition: width 0.3s ease;"></div>
+                        </div>
+                    </div>
+                `
+            },
+            'stat-item': {
+                name: 'stat-item',
+                description: '带标题的单项数值展示',
+                params: ['label', 'value'],
+                author: 'System',
+                version: '1.0.0',
+                template: `
+                    {{#if value}}
+                    <div class="ib-partial-stat" style="text-align: center;">
+                        <div style="opacity: 0.8; font-size: 12px;">{{label}}</div>
+                        <div style="font-weight: bold;">{{value}}</div>
+                    </div>
+                    {{/if}}
+                `
+            },
+            'item-card': {
+                name: 'item-card',
+                description: '物品卡片，通常在 {{#each}} 中以 {{> item-card this}} 使用',
+                params: ['icon', 'name', 'quantity'],
+                author: 'System',
+                version: '1.0.0',
+                template: `
+                    <div class="ib-partial-item" style="background: #333; border-radius: 8px; padding: 10px; text-align: center; border: 1px solid #555;">
+                        <div style="font-size: 24px; margin-bottom: 5px;">{{icon | default:"📦"}}</div>
+                        <div style="font-size: 12px; color: #ccc;">{{name}}</div>
+                        {{#if quantity}}<div style="font-size: 10px; color: #888;">×{{quantity}}</div>{{/if}}
+                    </div>
+                `
+            }
+        };
+    }
+
+    /**
+     * 🧩 保存局部模板
+     * @param {Object} partialData - { name, template, description, params }
+     * @returns {Promise<string>} 局部模板名称
+     */
+    async savePartial(partialData) {
+        try {
+            console.log('[TemplateManager] 💾 保存局部模板:', partialData?.name);
+
+            this.validatePartialData(partialData);
+
+            if (this.builtInPartials[partialData.name]) {
+                throw new Error('不能覆盖内置局部模板');
+            }
+
+            const existing = this.partials.get(partialData.name);
+            const partial = {
+                name: partialData.name,
+                description: partialData.description || '',
+                params: Array.isArray(partialData.params) ? partialData.params : [],
+                template: partialData.template,
+                author: partialData.author || 'User',
+                version: partialData.version || '1.0.0',
+                createdAt: existing?.createdAt || Date.now(),
+                updatedAt: Date.now()
+            };
+
+            this.partials.set(partial.name, partial);
+            this.htmlTemplateParser?.registerPartial(partial.name, partial.template);
+            await this.savePartialsToConfig();
+
+            if (this.eventSystem) {
+                this.eventSystem.emit('template:partial:saved', {
+                    name: partial.name,
+                    partial,
+                    timestamp: Date.now()
+                });
+            }
+
+            return partial.name;
+
+        } catch (error) {
+            console.error('[TemplateManager] ❌ 保存局部模板失败:', error);
+            this.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * 🧩 获取局部模板
+     * @param {string} name - 局部模板名称
+     * @returns {Object|null} 局部模板
+     */
+    getPartial(name) {
+        return this.partials.get(name) || this.builtInPartials[name] || null;
+    }
+
+    /**
+     * 🧩 获取全部局部模板（内置 + 用户）
+     * @returns {Array} 局部模板列表
+     */
+    getAllPartials() {
+        return [
+            ...Object.values(this.builtInPartials).map(partial => ({ ...partial, builtIn: true })),
+            ...Array.from(this.partials.values()).map(partial => ({ ...partial, builtIn: false }))
+        ];
+    }
+
+    /**
+     * 🧩 删除局部模板
+     * @param {string} name - 局部模板名称
+     */
+    async deletePartial(name) {
+        try {
+            if (this.builtInPartials[name]) {
+                throw new Error('不能删除内置局部模板');
+            }
+            if (!this.partials.has(name)) {
+                throw new Error('局部模板不存在');
+            }
+
+            this.partials.delete(name);
+            this.htmlTemplateParser?.unregisterPartial(name);
+            await this.savePartialsToConfig();
+
+            if (this.eventSystem) {
+                this.eventSystem.emit('template:partial:deleted', {
+                    name,
+                    timestamp: Date.now()
+                });
+            }
+
+        } catch (error) {
+            console.error('[TemplateManager] ❌ 删除局部模板失败:', error);
+            this.handleError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * 🧩 导出局部模板库
+     * @param {Array<string>} names - 要导出的名称，省略时导出全部用户局部模板
+     * @returns {string} 导出的JSON字符串
+     */
+    exportPartials(names = null) {
+        const selected = (names || Array.from(this.partials.keys()))
+            .map(name => this.getPartial(name))
+            .filter(Boolean)
+            .map(({ name, description, params, template, author, version }) => ({ name, description, params, template, author, version }));
+
+        return JSON.stringify({
+            type: 'partial-library',
+            exportVersion: '1.0.0',
+            exportedAt: Date.now(),
+            partials: selected
+        }, null, 2);
+    }
+
+    /**
+     * 🧩 导入局部模板库
+     * @param {string} libraryJson - exportPartials 导出的JSON字符串
+     * @param {Object} options - { overwrite: 是否覆盖同名用户局部模板 }
+     * @returns {Promise<Object>} { imported, skipped }
+     */
+    async importPartials(libraryJson, options = {}) {
+        try {
+            console.log('[TemplateManager] 📥 导入局部模板库...');
+
+            const library = JSON.parse(libraryJson);
+            if (library?.type !== 'partial-library' || !library.exportVersion || !Array.isArray(library.partials)) {
+                throw new Error('无效的局部模板库导出格式');
+            }
+
+            // 先整体校验，避免导入一半失败
+            library.partials.forEach(partial => this.validatePartialData(partial));
+
+            const imported = [];
+            const skipped = [];
+            for (const partial of library.partials) {
+                if (this.builtInPartials[partial.name] || (this.partials.has(partial.name) && !options.overwrite)) {
+                    skipped.push(partial.name);
+                    continue;
+                }
+                const existing = this.partials.get(partial.name);
+                const saved = {
+                    ...partial,
+                    params: Array.isArray(partial.params) ? partial.params : [],
+                    createdAt: existing?.createdAt || Date.now(),
+                    updatedAt: Date.now(),
+                    importedAt: Date.now()
+                };
+                this.partials.set(partial.name, saved);
+                this.htmlTemplateParser?.registerPartial(saved.name, saved.template);
+                imported.push(partial.name);
+            }
+
+            await this.savePartialsToConfig();
+
+            console.log('[TemplateManager] ✅ 局部模板导入完成:', { imported, skipped });
+            return { imported, skipped };
+
+        } catch (error) {
+            console.error('[TemplateManager] ❌ 导入局部模板库失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 🧩 验证局部模板数据
+     */
+    validatePartialData(partialData) {
+        if (!partialData || !/^[A-Za-z][\w-]*$/.test(partialData.name || '')) {
+            throw new Error(`局部模板名称无效（需以字母开头，仅含字母、数字、_ 和 -）: ${partialData?.name}`);
+        }
+
+        if (!partialData.template || typeof partialData.template !== 'string') {
+            throw new Error(`局部模板内容不能为空: ${partialData.name}`);
+        }
+
+        if (this.htmlTemplateParser && !this.htmlTemplateParser.validateTemplateSecurity(partialData.template)) {
+            throw new Error(`局部模板安全验证失败: ${partialData.name}`);
+        }
+    }
+
+    /**
+     * 🧩 加载用户局部模板并注册到模板解析器
+     */
+    async loadUserPartials() {
+        try {
+            if (this.configManager) {
+                const partials = await this.configManager.getConfig('userPartials') || {};
+                this.partials.clear();
+                Object.entries(partials).forEach(([name, partial]) => {
+                    this.partials.set(name, partial);
+                });
+            }
+
+            this.registerPartialsWithParser();
+            console.log('[TemplateManager] 🧩 已加载用户局部模板:', this.partials.size);
+
+        } catch (error) {
+            console.error('[TemplateManager] ❌ 加载用户局部模板失败:', error);
+        }
+    }
+
+    /**
+     * 🧩 保存用户局部模板到配置
+     */
+    async savePartialsToConfig() {
+        try {
+            if (!this.configManager) return;
+
+            const partialsObj = {};
+            this.partials.forEach((partial, name) => {
+                partialsObj[name] = partial;
+            });
+
+            await this.configManager.setConfig('userPartials', partialsObj);
+            console.log('[TemplateManager] 💾 用户局部模板已保存到配置');
+
+        } catch (error) {
+            console.error('[TemplateManager] ❌ 保存局部模板到配置失败:', error);
+        }
+    }
+
+    /**
+     * 🧩 将全部局部模板注册到模板解析器（用户模板可覆盖同名内置模板之外的名称）
+     */
+    registerPartialsWithParser() {
+        if (!this.htmlTemplateParser) return;
+
+        this.getAllPartials().forEach(partial => {
+            try {
+                this.htmlTemplateParser.registerPartial(partial.name, partial.template);
+            } catch (error) {
+                console.warn('[TemplateManager] ⚠️ 注册局部模板失败:', partial.name, error.message);
+            }
+        });
+    }
+
     /**
      * 加载用户模板
      */
@@ -693,6 +1033,7 @@ export class TemplateManager {
             // 监听配置变更事件
             this.eventSystem.on('config:updated', () => {
                 this.loadUserTemplates();
+                this.loadUserPartials();
             });
         }
     }
@@ -832,6 +1173,8 @@ export class TemplateManager {
         return {
             userTemplates: this.templates.size,
             builtInTemplates: Object.keys(this.builtInTemplates).length,
+            userPartials: this.partials.size,
+            builtInPartials: Object.keys(this.builtInPartials).length,
             categories: this.categories.size,
             errorCount: this.errorCount,
             initialized: this.initialized
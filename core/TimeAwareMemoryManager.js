@@ -7,6 +7,7 @@
  * - 时间窗口查询
  * - 时间聚合分析
  * - 记忆刷新机制
+ * - 故事内时钟：由世界状态面板的时间/日期字段驱动，与现实时间分离
  * 
  * 基于认知科学的记忆模型：
  * - 遗忘曲线：R = e^(-t/S)
@@ -16,6 +17,8 @@
  * @class TimeAwareMemoryManager
  */
 
+import { StoryCalendar } from './StoryCalendar.js';
+
 export class TimeAwareMemoryManager {
     constructor(unifiedDataCore, eventSystem, deepMemoryManager) {
         console.log('[TimeAwareMemoryManager] ⏰ 时间感知记忆管理系统初始化开始');
@@ -41,8 +44,15 @@ export class TimeAwareMemoryManager {
             // 时间窗口设置
             recentWindow: 24,                       // 最近时间窗口（小时）
             shortTermWindow: 7,                     // 短期时间窗口（天）
-            longTermWindow: 30                      // 长期时间窗口（天）
+            longTermWindow: 30,                     // 长期时间窗口（天）
+
+            // 🆕 故事内时钟设置
+            storyClockEnabled: true,                // 从世界状态面板读取故事时间
+            storyTimeFields: ['当前时间', '当前日期', '日期', '时间', '时间设定', '时间系统', '历法系统', 'date', 'time', 'calendar']
         };
+
+        // 🆕 故事内日历（解析世界状态面板中的时间文本）
+        this.storyCalendar = new StoryCalendar();
         
         // 时间线存储（聊天级别隔离）
         this.timelines = new Map();                 // chatId -> Timeline
@@ -233,6 +243,9 @@ export class TimeAwareMemoryManager {
             weekIndex: new Map(),                   // week -> event IDs
             monthIndex: new Map(),                  // month -> event IDs
             
+            // 🆕 故事内时钟：{ timestamp, text, components, messageId, updatedAt }
+            storyClock: null,
+
             // 统计
             stats: {
                 eventCount: 0,
@@ -284,6 +297,18 @@ export class TimeAwareMemoryManager {
             this.eventSystem.on('memory:added', async (data) => {
                 await this.handleMemoryAdded(data);
             });
+
+            // 🆕 深度记忆新增记忆时同样加入时间线
+            this.eventSystem.on('memory:updated', async (data) => {
+                if (data?.action === 'add') {
+                    await this.handleMemoryAdded(data);
+                }
+            });
+
+            // 🆕 世界状态面板更新时推进故事时钟
+            this.eventSystem.on('data:updated', async (data) => {
+                await this.handleWorldDataUpdated(data);
+            });
             
             console.log('[TimeAwareMemoryManager] 🔗 事件监听器已绑定');
             
@@ -470,11 +495,13 @@ export class TimeAwareMemoryManager {
             const timestamp = memory.timestamp || Date.now();
             const content = memory.content || '';
             const memoryId = memory.id || this.generateEventId();
+            if (timeline.events.some(e => e.memoryId === memoryId)) return;
 
             // 创建时间线事件
             const event = this.createTimelineEvent(memoryId, content, timestamp);
             event.importance = memory.metadata?.importance || 1.0;
             event.decayedImportance = event.importance;
+            event.storyTime = memory.storyTime || this.getCurrentStoryTime(chatId);
 
             // 添加到事件列表
             timeline.events.push(event);
@@ -542,6 +569,108 @@ export class TimeAwareMemoryManager {
         }
     }
 
+    /**
+     * 🆕 世界状态面板数据更新：解析时间/日期字段并推进故事时钟
+     */
+    async handleWorldDataUpdated(data) {
+        try {
+            if (!this.settings.enabled || !this.settings.storyClockEnabled) return;
+
+            const world = data?.dataEntry?.data?.world;
+            if (!world || typeof world !== 'object') return;
+
+            const chatId = this.currentChatId || data?.dataEntry?.chatId;
+            const timeline = this.timelines.get(chatId) || await this.loadChatTimeline(chatId);
+            if (!timeline) return;
+
+            const storyTime = this.resolveStoryTime(world, chatId);
+            if (!storyTime || storyTime.text === timeline.storyClock?.text) return;
+
+            const previous = timeline.storyClock;
+            timeline.storyClock = {
+                ...storyTime,
+                messageId: data.dataEntry.messageId ?? null,
+                updatedAt: Date.now()
+            };
+            timeline.updatedAt = Date.now();
+            await this.saveTimeline(chatId);
+
+            console.log('[TimeAwareMemoryManager] 📖 故事时间已更新:', storyTime.text);
+
+            this.eventSystem?.emit('time-aware-memory:story-time-changed', {
+                chatId,
+                storyTime: timeline.storyClock,
+                previousTimestamp: previous?.timestamp ?? null,
+                timestamp: Date.now()
+            });
+
+        } catch (error) {
+            console.error('[TimeAwareMemoryManager] ❌ 更新故事时间失败:', error);
+        }
+    }
+
+    /**
+     * 🆕 从世界状态面板数据解析故事时间（不修改故事时钟）
+     * @param {Object|Array} worldPanel - 世界状态面板字段，或操作指令写入的按列号存储的行数组
+     * @returns {{timestamp: number, text: string, components: Object}|null}
+     */
+    resolveStoryTime(worldPanel, chatId = null) {
+        const fields = this.getNamedWorldFields(worldPanel);
+        if (!fields) return null;
+
+        const text = this.settings.storyTimeFields
+            .map(field => fields[field])
+            .filter(value => typeof value === 'string' || typeof value === 'number')
+            .map(value => String(value).trim())
+            .filter(Boolean)
+            .join(' ');
+        if (!text) return null;
+
+        const reference = this.timelines.get(chatId || this.currentChatId)?.storyClock || null;
+        return this.storyCalendar.parse(text, reference);
+    }
+
+    /**
+     * 🆕 将世界状态面板数据转换为按字段名访问的对象
+     * 操作指令格式以行数组存储、键为列号（"1"/"col_1"），列号按 XMLDataParser.getEnabledFieldsForPanel 的启用字段顺序对应
+     */
+    getNamedWorldFields(worldPanel) {
+        const row = Array.isArray(worldPanel) ? worldPanel[0] : worldPanel;
+        if (!row || typeof row !== 'object') return null;
+
+        const enabledFields = window.SillyTavernInfobar?.modules?.xmlDataParser?.getEnabledFieldsForPanel?.('world') || [];
+        const fields = { ...row };
+
+        Object.entries(row).forEach(([key, value]) => {
+            const match = /^(?:col_)?(\d+)$/.exec(key);
+            const field = match ? enabledFields[parseInt(match[1], 10) - 1] : null;
+            if (!field) return;
+
+            fields[field.key] = value;
+            if (field.name) fields[field.name] = value;
+        });
+
+        return fields;
+    }
+
+    /**
+     * 🆕 当前故事时间（用于给记忆和快照打故事时间戳）
+     * @returns {{timestamp: number, text: string}|null}
+     */
+    getCurrentStoryTime(chatId = null) {
+        const clock = this.timelines.get(chatId || this.currentChatId)?.storyClock;
+        return clock ? { timestamp: clock.timestamp, text: clock.text } : null;
+    }
+
+    /**
+     * 🆕 故事内相对时间描述，如 "故事内3天前"
+     */
+    describeStoryTime(storyTime, chatId = null) {
+        const clock = this.timelines.get(chatId || this.currentChatId)?.storyClock;
+        if (!clock || !Number.isFinite(storyTime?.timestamp)) return '';
+        return this.storyCalendar.formatRelative(storyTime.timestamp, clock.timestamp);
+    }
+
     /**
      * 获取周键
      */
@@ -752,6 +881,54 @@ export class TimeAwareMemoryManager {
         }
     }
 
+    /**
+     * 🆕 按故事时间窗口查询记忆，如 'last_story_week' 查询上一个故事周发生的事
+     * @param {string} window - story_day / last_story_day / story_week / last_story_week / story_month / last_story_month
+     */
+    queryByStoryWindow(window = 'last_story_week', chatId = null) {
+        try {
+            const targetChatId = chatId || this.currentChatId;
+            const clock = this.timelines.get(targetChatId)?.storyClock;
+            const range = this.storyCalendar.getWindowRange(window, clock?.timestamp);
+            if (!range) return [];
+
+            const events = this.queryByStoryTimeRange(range.start, range.end, targetChatId);
+            console.log('[TimeAwareMemoryManager] 🔍 查询故事时间窗口:', window, '找到', events.length, '个记忆');
+            return events;
+
+        } catch (error) {
+            console.error('[TimeAwareMemoryManager] ❌ 按故事时间窗口查询失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 🆕 按故事时间范围查询记忆（按故事时间排序）
+     */
+    queryByStoryTimeRange(startTime, endTime, chatId = null) {
+        const timeline = this.timelines.get(chatId || this.currentChatId);
+        if (!timeline) return [];
+
+        return timeline.events
+            .filter(e => Number.isFinite(e.storyTime?.timestamp) &&
+                e.storyTime.timestamp >= startTime && e.storyTime.timestamp <= endTime)
+            .sort((a, b) => a.storyTime.timestamp - b.storyTime.timestamp || a.timestamp - b.timestamp);
+    }
+
+    /**
+     * 🆕 按故事时间排序的时间线（没有故事时间的事件排在最后，按记录时间排序）
+     */
+    getStoryTimeline(chatId = null) {
+        const timeline = this.timelines.get(chatId || this.currentChatId);
+        if (!timeline) return [];
+
+        const storyTimeOf = (event) => Number.isFinite(event.storyTime?.timestamp) ? event.storyTime.timestamp : Infinity;
+        return [...timeline.events].sort((a, b) => {
+            const diff = storyTimeOf(a) - storyTimeOf(b);
+            return Number.isNaN(diff) || diff === 0 ? a.timestamp - b.timestamp : diff;
+        });
+    }
+
     /**
      * 📊 时间聚合分析
      */
@@ -824,6 +1001,7 @@ export class TimeAwareMemoryManager {
             currentChatId: this.currentChatId,
             timelinesCount: this.timelines.size,
             currentTimeline: this.timelines.get(this.currentChatId),
+            storyClock: this.timelines.get(this.currentChatId)?.storyClock || null,
             stats: this.stats,
             errorCount: this.errorCount
         };
@@ -7,6 +7,7 @@
  * - 数据同步和备份机制
  * - 数据验证和完整性检查
  * - 文件存储管理（大型数据）
+ * - 面板计算字段（派生字段）的自动重算
  *
  * @class UnifiedDataCore
  */
@@ -387,10 +388,16 @@ export class UnifiedDataCore {
      * @param {string} panelId - 面板ID
      * @param {Object} existingData - 现有数据
      * @param {Object} newData - 新数据
+     * @param {Object} options - { respectLocks: 是否保留锁定字段的现有值（默认true，用户编辑时传false） }
      * @returns {Object} 过滤后的合并数据
      */
-    async mergeWithEnabledFields(panelId, existingData = {}, newData = {}) {
+    async mergeWithEnabledFields(panelId, existingData = {}, newData = {}, options = {}) {
         try {
+            // 🔒 锁定的面板/字段保持现有值，不被新数据覆盖
+            if (options.respectLocks !== false) {
+                newData = this.filterLockedFields(panelId, newData, { source: 'merge' }) || {};
+            }
+
             // 从SillyTavern上下文读取启用字段配置
             const context = window.SillyTavern?.getContext?.();
             const configs = context?.extensionSettings?.['Information bar integration tool'] || {};
@@ -447,7 +454,7 @@ export class UnifiedDataCore {
             // 若启用列表为空，但新数据存在字段，采取宽松策略：直接接受新数据，避免丢失（常见于自定义面板配置未及时写入）
             if (enabledKeys.size === 0 && newData && Object.keys(newData).length > 0) {
                 console.warn(`[UnifiedDataCore] ⚠️ 面板 ${panelId} 启用字段为空，采用宽松策略：直接接受AI新数据 (${Object.keys(newData).length}项)`);
-                return { ...existingData, ...newData };
+                return this.applyComputedFields(panelId, { ...existingData, ...newData });
             }
 
             // 构建过滤后的合并数据
@@ -530,10 +537,13 @@ export class UnifiedDataCore {
 
             console.log(`[UnifiedDataCore] ✅ 面板 ${panelId} 过滤合并: ${Object.keys(existingData).length} + ${Object.keys(newData).length} -> ${Object.keys(result).length}`);
 
+            // 🧮 输入字段变化后重算计算字段
+            const computedResult = this.applyComputedFields(panelId, result);
+
             // 🧠 自动添加历史记录（用于AI记忆增强）
-            await this.recordDataChangeForMemory(panelId, existingData, result, newData);
+            await this.recordDataChangeForMemory(panelId, existingData, computedResult, newData);
 
-            return result;
+            return computedResult;
 
         } catch (error) {
             console.error('[UnifiedDataCore] ❌ 合并启用字段失败:', error);
@@ -542,6 +552,435 @@ export class UnifiedDataCore {
         }
     }
 
+    /**
+     * 🛡️ 在合并前按字段规则（范围/变化幅度/单位）校验AI输出的面板数据
+     * @param {string} panelId - 面板ID
+     * @param {Object} existingData - 现有数据
+     * @param {Object} newData - 新数据
+     * @param {string} source - 数据来源（写入审计记录）
+     * @returns {Promise<Object>} 校验后的新数据
+     */
+    async applyFieldRules(panelId, existingData = {}, newData = {}, source = 'xml') {
+        try {
+            const fieldRuleManager = window.SillyTavernInfobar?.modules?.fieldRuleManager;
+            if (!fieldRuleManager || typeof fieldRuleManager.enforcePanelRules !== 'function') {
+                return newData;
+            }
+            return await fieldRuleManager.enforcePanelRules(panelId, existingData, newData, { source });
+        } catch (error) {
+            console.error('[UnifiedDataCore] ❌ 字段规则校验失败:', error);
+            return newData;
+        }
+    }
+
+    /**
+     * 🔒 获取面板配置（锁定标记随面板配置保存：panelConfig.locked / subItem.locked）
+     */
+    getLockablePanelConfig(panelId) {
+        const context = window.SillyTavern?.getContext?.();
+        const configs = context?.extensionSettings?.['Information bar integration tool'] || {};
+        return configs?.[panelId] || configs?.customPanels?.[panelId] || null;
+    }
+
+    /**
+     * 🔒 获取面板启用的列（顺序与 XMLDataParser.getEnabledFieldsForPanel 一致）
+     * 基础设置子项（panelConfig[key].enabled）在前，自定义子项（panelConfig.subItems）在后，列号从1开始
+     * @param {Object} panelConfig - 面板配置
+     * @returns {Array<{column: number, key: string, name: string, displayName: string, locked: boolean}>}
+     */
+    getLockableColumns(panelConfig) {
+        if (!panelConfig || typeof panelConfig !== 'object') return [];
+
+        const excludedKeys = ['enabled', 'subItems', 'description', 'icon', 'required', 'memoryInject', 'prompts'];
+        const columns = Object.entries(panelConfig)
+            .filter(([key, value]) =>
+                !excludedKeys.includes(key) &&
+                !key.startsWith('custom_field_') &&
+                value && typeof value === 'object' && !Array.isArray(value) &&
+                value.enabled === true)
+            .map(([key, value]) => ({ key, name: value.name || key, displayName: value.displayName, locked: value.locked === true }));
+
+        const existingKeys = new Set(columns.map(column => column.key));
+        (panelConfig.subItems || [])
+            .filter(subItem => subItem && typeof subItem === 'object' && subItem.enabled !== false)
+            .forEach(subItem => {
+                const key = subItem.key || subItem.name;
+                if (existingKeys.has(key)) return;
+                existingKeys.add(key);
+                columns.push({ key, name: subItem.name || key, displayName: subItem.displayName, locked: subItem.locked === true });
+            });
+
+        return columns.map((column, index) => ({ ...column, column: index + 1 }));
+    }
+
+    /**
+     * 🔒 获取面板的锁定状态
+     * @param {string} panelId - 面板ID
+     * @returns {{panelLocked: boolean, lockedFields: Set<string>}} 锁定字段集合包含键名、显示名和列号
+     */
+    getPanelLockState(panelId) {
+        const state = { panelLocked: false, lockedFields: new Set() };
+
+        try {
+            const panelConfig = this.getLockablePanelConfig(panelId);
+            if (!panelConfig) return state;
+
+            state.panelLocked = panelConfig.locked === true;
+
+            // 启用的列：按顺序对应操作指令的列号
+            this.getLockableColumns(panelConfig)
+                .filter(column => column.locked)
+                .forEach(column => {
+                    [column.key, column.name, column.displayName, String(column.column), `col_${column.column}`]
+                        .filter(Boolean)
+                        .forEach(key => state.lockedFields.add(key));
+                });
+
+            // 未启用的基础设置子项也按键名保留锁定：panelConfig[key].locked
+            Object.entries(panelConfig).forEach(([key, value]) => {
+                if (key !== 'subItems' && value && typeof value === 'object' && !Array.isArray(value) && value.locked === true) {
+                    state.lockedFields.add(key);
+                }
+            });
+
+        } catch (error) {
+            console.error('[UnifiedDataCore] ❌ 获取锁定状态失败:', error);
+        }
+
+        return state;
+    }
+
+    /**
+     * 🔒 检查字段是否被锁定（npcX.field / orgX.field 按基础字段名判断）
+     */
+    isFieldLocked(panelId, fieldKey, lockState = null) {
+        const state = lockState || this.getPanelLockState(panelId);
+        if (state.panelLocked) return true;
+        if (state.lockedFields.size === 0) return false;
+
+        const key = String(fieldKey);
+        const baseKey = key.replace(/^(npc|org)\d+\./, '');
+        return state.lockedFields.has(key) || state.lockedFields.has(baseKey);
+    }
+
+    /**
+     * 🔒 从AI数据中移除锁定的字段
+     * @param {string} panelId - 面板ID
+     * @param {Object|Array} data - 面板数据（对象或多行数组）
+     * @param {Object} options - { source: 数据来源 }
+     * @returns {Object|Array} 移除锁定字段后的数据
+     */
+    filterLockedFields(panelId, data, options = {}) {
+        if (!data || typeof data !== 'object') return data;
+
+        const state = this.getPanelLockState(panelId);
+        if (!state.panelLocked && state.lockedFields.size === 0) return data;
+
+        const dropped = new Set();
+        const filterRow = (row) => {
+            if (!row || typeof row !== 'object') return row;
+            const result = {};
+            Object.entries(row).forEach(([key, value]) => {
+                if (this.isFieldLocked(panelId, key, state)) {
+                    dropped.add(key);
+                } else {
+                    result[key] = value;
+                }
+            });
+            return result;
+        };
+
+        const filtered = Array.isArray(data) ? data.map(filterRow) : filterRow(data);
+
+        if (dropped.size > 0) {
+            console.log(`[UnifiedDataCore] 🔒 面板 ${panelId} 已忽略锁定字段:`, Array.from(dropped));
+            if (this.eventSystem) {
+                this.eventSystem.emit('data:locked:skipped', {
+                    panelId,
+                    fields: Array.from(dropped),
+                    panelLocked: state.panelLocked,
+                    source: options.source || 'ai',
+                    timestamp: Date.now()
+                });
+            }
+        }
+
+        return filtered;
+    }
+
+    /**
+     * 🔒 设置面板锁定
+     * @param {string} panelId - 面板ID
+     * @param {boolean} locked - 是否锁定
+     */
+    setPanelLock(panelId, locked = true) {
+        const panelConfig = this.getLockablePanelConfig(panelId);
+        if (!panelConfig) {
+            throw new Error(`面板配置不存在: ${panelId}`);
+        }
+
+        if (locked) {
+            panelConfig.locked = true;
+        } else {
+            delete panelConfig.locked;
+        }
+
+        this.saveLockChange(panelId, null, locked);
+        return true;
+    }
+
+    /**
+     * 🔒 设置字段锁定
+     * @param {string} panelId - 面板ID
+     * @param {string} fieldKey - 字段键名、显示名或列号
+     * @param {boolean} locked - 是否锁定
+     */
+    setFieldLock(panelId, fieldKey, locked = true) {
+        const panelConfig = this.getLockablePanelConfig(panelId);
+        if (!panelConfig) {
+            throw new Error(`面板配置不存在: ${panelId}`);
+        }
+
+        const baseKey = String(fieldKey).replace(/^(npc|org)\d+\./, '');
+        const enabledSubItems = (panelConfig.subItems || []).filter(subItem => subItem && subItem.enabled !== false);
+        const columnMatch = baseKey.match(/^(?:col_)?(\d+)$/);
+
+        let target = enabledSubItems.find(subItem => [subItem.key, subItem.name, subItem.displayName].includes(baseKey))
+            || (columnMatch ? enabledSubItems[parseInt(columnMatch[1]) - 1] : null);
+
+        if (!target && panelConfig[baseKey] && typeof panelConfig[baseKey] === 'object' && !Array.isArray(panelConfig[baseKey])) {
+            target = panelConfig[baseKey];
+        }
+
+        if (!target) {
+            throw new Error(`字段不存在: ${panelId}.${fieldKey}`);
+        }
+
+        if (locked) {
+            target.locked = true;
+        } else {
+            delete target.locked;
+        }
+
+        this.saveLockChange(panelId, target.key || target.name || baseKey, locked);
+        return true;
+    }
+
+    /**
+     * 🔒 保存锁定配置并通知其他模块
+     */
+    saveLockChange(panelId, fieldKey, locked) {
+        const context = window.SillyTavern?.getContext?.();
+        context?.saveSettingsDebounced?.();
+
+        console.log(`[UnifiedDataCore] 🔒 ${locked ? '锁定' : '解锁'}:`, fieldKey ? `${panelId}.${fieldKey}` : panelId);
+
+        if (this.eventSystem) {
+            this.eventSystem.emit('data:lock:changed', {
+                panelId,
+                fieldKey,
+                locked,
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * 🧮 获取面板的计算字段定义（panelConfig.computedFields: [{ name, expression, enabled }]）
+     * 与普通字段重名的定义会被忽略，避免覆盖AI/用户数据
+     * @param {string} panelId - 面板ID
+     * @returns {Array<{name: string, expression: string}>}
+     */
+    getComputedFieldDefinitions(panelId) {
+        const panelConfig = this.getLockablePanelConfig(panelId);
+        if (!panelConfig || !Array.isArray(panelConfig.computedFields)) return [];
+
+        const fieldNames = new Set();
+        (panelConfig.subItems || []).forEach(subItem => {
+            [subItem?.key, subItem?.name, subItem?.displayName].filter(Boolean).forEach(name => fieldNames.add(name));
+        });
+
+        return panelConfig.computedFields.filter(definition =>
+            definition &&
+            definition.enabled !== false &&
+            typeof definition.name === 'string' && definition.name.trim() &&
+            typeof definition.expression === 'string' && definition.expression.trim() &&
+            !fieldNames.has(definition.name)
+        );
+    }
+
+    /**
+     * 🧮 检查字段是否为计算字段（npcX.field / orgX.field 按基础字段名判断）
+     */
+    isComputedField(panelId, fieldKey) {
+        const baseKey = String(fieldKey).replace(/^(npc|org)\d+\./, '');
+        return this.getComputedFieldDefinitions(panelId).some(definition => definition.name === baseKey);
+    }
+
+    /**
+     * 🧮 构建计算字段的求值上下文：查找表 + 行数据，字段可按键名、显示名或列号引用
+     * @param {Object} panelConfig - 面板配置
+     * @param {Object} row - 单行（或单个NPC/组织）的数据，键名已去掉 npcX./orgX. 前缀
+     */
+    buildComputedContext(panelConfig, row) {
+        const context = { ...(panelConfig?.lookupTables || {}), ...row };
+
+        (panelConfig?.subItems || [])
+            .filter(subItem => subItem && subItem.enabled !== false)
+            .forEach((subItem, index) => {
+                const candidates = [subItem.key, subItem.name, subItem.displayName, String(index + 1), `col_${index + 1}`];
+                const sourceKey = candidates.find(key => key && row[key] !== undefined && row[key] !== null);
+                if (sourceKey === undefined) return;
+
+                [subItem.key, subItem.name, subItem.displayName, `col_${index + 1}`]
+                    .filter(Boolean)
+                    .forEach(name => { context[name] = row[sourceKey]; });
+            });
+
+        return context;
+    }
+
+    /**
+     * 🧮 按定义顺序计算面板数据中的计算字段（后面的计算字段可以引用前面的）
+     * 不触发事件，也不写入存储；调用方负责保存返回的数据
+     * @param {string} panelId - 面板ID
+     * @param {Object|Array} data - 面板数据（对象或多行数组）
+     * @returns {Object|Array} 写入计算结果后的新数据
+     */
+    applyComputedFields(panelId, data) {
+        try {
+            if (!data || typeof data !== 'object') return data;
+
+            const definitions = this.getComputedFieldDefinitions(panelId);
+            const parser = window.SillyTavernInfobar?.modules?.htmlTemplateParser;
+            if (definitions.length === 0 || typeof parser?.evaluateExpression !== 'function') return data;
+
+            const panelConfig = this.getLockablePanelConfig(panelId);
+
+            const computeRow = (row) => {
+                const values = {};
+                const context = this.buildComputedContext(panelConfig, row);
+                definitions.forEach(definition => {
+                    let value;
+                    try {
+                        value = parser.evaluateExpression(definition.expression, context);
+                    } catch (error) {
+                        console.warn(`[UnifiedDataCore] ⚠️ 计算字段 ${panelId}.${definition.name} 求值失败:`, error.message);
+                        value = '';
+                    }
+                    if (typeof value === 'number') {
+                        value = isFinite(value) ? parseFloat(value.toPrecision(12)) : '';
+                    }
+                    values[definition.name] = value ?? '';
+                    context[definition.name] = values[definition.name];
+                });
+                return values;
+            };
+
+            if (Array.isArray(data)) {
+                return data.map(row => (row && typeof row === 'object' ? { ...row, ...computeRow(row) } : row));
+            }
+
+            // 交互对象/组织架构：按 npcX./orgX. 前缀分组分别计算
+            const groups = new Map();
+            Object.entries(data).forEach(([key, value]) => {
+                const match = key.match(/^((?:npc|org)\d+)\.(.+)$/);
+                if (match) {
+                    if (!groups.has(match[1])) groups.set(match[1], {});
+                    groups.get(match[1])[match[2]] = value;
+                }
+            });
+
+            const result = { ...data };
+            if (groups.size > 0) {
+                groups.forEach((row, prefix) => {
+                    Object.entries(computeRow(row)).forEach(([name, value]) => {
+                        result[`${prefix}.${name}`] = value;
+                    });
+                });
+            } else {
+                Object.assign(result, computeRow(data));
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error('[UnifiedDataCore] ❌ 计算字段失败:', error);
+            return data;
+        }
+    }
+
+    /**
+     * 🧮 读取当前聊天中的计算字段值（供模板 {{computed.name}} 使用）
+     * @param {string} name - 计算字段名，可写作 panelId.name
+     * @returns {any} 字段值，未找到时返回 undefined
+     */
+    getComputedFieldValue(name) {
+        const chatId = this.getCurrentChatId();
+        const panels = chatId ? this.chatDataCache.get(chatId)?.infobar_data?.panels : null;
+        if (!panels || typeof name !== 'string') return undefined;
+
+        const dotIndex = name.indexOf('.');
+        const scopedPanelId = dotIndex > 0 ? name.slice(0, dotIndex) : null;
+        const panelIds = scopedPanelId && panels[scopedPanelId] ? [scopedPanelId] : Object.keys(panels);
+        const fieldName = scopedPanelId && panels[scopedPanelId] ? name.slice(dotIndex + 1) : name;
+
+        for (const panelId of panelIds) {
+            if (!this.isComputedField(panelId, fieldName)) continue;
+            const panelData = panels[panelId];
+            const row = Array.isArray(panelData) ? panelData[0] : panelData;
+            if (row && row[fieldName] !== undefined) {
+                return row[fieldName];
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * 🧮 计算字段定义变化后重算当前聊天的面板数据
+     * @param {string|null} panelId - 面板ID，为空时重算所有面板
+     * @param {Object} options - { removed: 已删除的计算字段名列表（从数据中移除） }
+     */
+    async recalculateComputedFields(panelId = null, options = {}) {
+        try {
+            const chatId = this.getCurrentChatId();
+            if (!chatId) return;
+
+            const chatData = await this.getChatData(chatId);
+            const panels = chatData?.infobar_data?.panels || {};
+            const removed = new Set(options.removed || []);
+            const panelIds = panelId ? [panelId] : Object.keys(panels);
+
+            for (const id of panelIds) {
+                const panelData = panels[id];
+                if (!panelData || typeof panelData !== 'object') continue;
+
+                const stripRow = (row) => {
+                    if (!row || typeof row !== 'object' || removed.size === 0) return row;
+                    return Object.fromEntries(Object.entries(row).filter(([key]) =>
+                        !removed.has(key.replace(/^(npc|org)\d+\./, ''))
+                    ));
+                };
+                const stripped = Array.isArray(panelData) ? panelData.map(stripRow) : stripRow(panelData);
+
+                await this.writePanelDataWithoutMerge(chatId, id, stripped);
+            }
+
+            if (this.eventSystem) {
+                this.eventSystem.emit('data:computed:recalculated', {
+                    chatId,
+                    panelIds,
+                    timestamp: Date.now()
+                });
+            }
+
+        } catch (error) {
+            console.error('[UnifiedDataCore] ❌ 重算计算字段失败:', error);
+            this.handleError(error);
+        }
+    }
+
     /**
      * 🆕 获取多行数据字段配置
      * @param {string} panelId - 面板ID
@@ -602,8 +1041,8 @@ export class UnifiedDataCore {
         try {
             console.log(`[UnifiedDataCore] 🔗 合并多行数据: ${panelId}.${fieldKey}`);
             
-            // 如果新值为空，保持现有值
-            if (!newValue || (typeof newValue === 'string' && newValue.trim() === '')) {
+            // 如果新值为空，保持现有值（类型化字段的 false / 0 是有效值）
+            if (newValue === null || newValue === undefined || (typeof newValue === 'string' && newValue.trim() === '')) {
                 console.log(`[UnifiedDataCore] ℹ️ 新值为空，保持现有值`);
                 return existingValue;
             }
@@ -615,8 +1054,8 @@ export class UnifiedDataCore {
                 console.log(`[UnifiedDataCore] 📝 检测到增量追加模式`);
                 return this.appendToMultiRowData(existingValue, newValue);
             } else {
-                // 🆕 检查是否需要转换为数组格式
-                if (!Array.isArray(existingValue) && existingValue) {
+                // 🆕 检查是否需要转换为数组格式（只对文本值，数字/布尔等类型化值直接覆盖）
+                if (!Array.isArray(existingValue) && existingValue && typeof newValue === 'string') {
                     console.log(`[UnifiedDataCore] 🔄 转换现有数据为多行格式`);
                     const convertedExisting = this.convertToMultiRowArray(existingValue);
                     const convertedNew = this.convertToMultiRowArray(newValue);
@@ -858,7 +1297,8 @@ export class UnifiedDataCore {
                     const existingPanelData = (this.data instanceof Map ? this.data.get(panelId) : undefined) || (await this.getData(key, 'chat')) || {};
                     
                     // 🔧 修复：使用启用字段过滤的合并，避免跨面板数据污染
-                    const mergedPanelData = await this.mergeWithEnabledFields(panelId, existingPanelData, value);
+                    // 🔒 此路径用于用户手动编辑（updatePanelField），不受字段锁定限制
+                    const mergedPanelData = await this.mergeWithEnabledFields(panelId, existingPanelData, value, { respectLocks: false });
 
                     // 写回 chat 范围的键（保持原有键值可用）
                     await this.chatMetadata.set(key, mergedPanelData);
@@ -880,7 +1320,7 @@ export class UnifiedDataCore {
                         }
                         // 🔧 修复：也对这里使用启用字段过滤的合并
                         const prevPanel = chatData.infobar_data.panels[panelId] || {};
-                        const newPanel = await this.mergeWithEnabledFields(panelId, prevPanel, mergedPanelData);
+                        const newPanel = await this.mergeWithEnabledFields(panelId, prevPanel, mergedPanelData, { respectLocks: false });
 
                         // 🔧 分离系统字段：将系统元数据单独存储，避免与用户字段混合
                         const systemMetadata = {
@@ -1126,6 +1566,14 @@ export class UnifiedDataCore {
                 chatData.infobar_data.panels = {};
             }
             if (eventData.data && typeof eventData.data === 'object') {
+                // 🛡️ 先按字段规则校验一次，后续所有合并都使用校验后的数据
+                for (const [panelName, panelFields] of Object.entries(eventData.data)) {
+                    if (panelFields && typeof panelFields === 'object') {
+                        const prev = chatData.infobar_data.panels[panelName] || {};
+                        eventData.data[panelName] = await this.applyFieldRules(panelName, prev, panelFields, 'xml');
+                    }
+                }
+
                 for (const [panelName, panelFields] of Object.entries(eventData.data)) {
                     const prev = chatData.infobar_data.panels[panelName] || {};
                     // 🔧 使用启用字段过滤的合并
@@ -3474,6 +3922,9 @@ export class UnifiedDataCore {
      */
     async writePanelDataWithoutMerge(chatId, panelId, panelData) {
         try {
+            // 🧮 直接写回也要保持计算字段与输入一致
+            panelData = this.applyComputedFields(panelId, panelData);
+
             const panelKey = `panels.${chatId}.${panelId}`;
 
             // 1) 直接写回 chatMetadata 对应 panels.<chatId>.<panelId>
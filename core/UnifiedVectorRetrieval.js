@@ -19,6 +19,7 @@ export class UnifiedVectorRetrieval {
         this.aiMemoryDatabase = dependencies.aiMemoryDatabase;
         this.unifiedDataCore = dependencies.unifiedDataCore || window.InfoBarData;
         this.multiRecallReranker = dependencies.multiRecallReranker; // 🆕 多路召回+重排序
+        this.eventSystem = dependencies.eventSystem || window.SillyTavernInfobar?.eventSource;
 
         // 🔧 获取SillyTavern的原生事件系统
         this.sillyTavernEventSource = null;
@@ -31,6 +32,7 @@ export class UnifiedVectorRetrieval {
         this.lastQuery = null;
         this.lastResults = null;
         this.lastQueryTime = 0;
+        this.lastTrace = null;               // 🔍 最近一次检索的追踪
 
         // ⚙️ 配置
         this.config = {
@@ -230,6 +232,9 @@ export class UnifiedVectorRetrieval {
                 this.lastResults && 
                 (now - this.lastQueryTime) < this.config.cacheTimeout) {
                 console.log('[UnifiedVectorRetrieval] 💾 使用缓存的检索结果');
+                if (this.lastTrace) {
+                    this.lastTrace = { ...this.lastTrace, cached: true, timestamp: now };
+                }
                 await this.injectResults(this.lastResults);
                 this.isProcessing = false;
                 return;
@@ -293,6 +298,9 @@ export class UnifiedVectorRetrieval {
                 console.log('[UnifiedVectorRetrieval] 🎯 使用多路召回+重排序系统');
                 const results = await this.multiRecallReranker.execute(query);
                 console.log(`[UnifiedVectorRetrieval] ✅ 多路召回完成: ${results.length} 条结果`);
+                this.lastTrace = this.multiRecallReranker.lastTrace
+                    ? { ...this.multiRecallReranker.lastTrace, path: 'unified_vector_retrieval/multi_recall' }
+                    : null;
                 return results;
             }
 
@@ -342,7 +350,9 @@ export class UnifiedVectorRetrieval {
             }
 
             // 3️⃣ 去重和排序
-            const uniqueResults = this.deduplicateAndSort(allResults);
+            const decisions = [];
+            const uniqueResults = this.deduplicateAndSort(allResults, decisions);
+            this.lastTrace = this.buildTrace(query, uniqueResults, decisions);
 
             console.log(`[UnifiedVectorRetrieval] ✅ 统一检索完成: ${uniqueResults.length} 条结果`);
             return uniqueResults;
@@ -356,12 +366,13 @@ export class UnifiedVectorRetrieval {
     /**
      * 🔄 去重和排序
      */
-    deduplicateAndSort(results) {
+    deduplicateAndSort(results, decisions = null) {
         // 简单去重: 基于文本内容
         const seen = new Set();
         const unique = results.filter(r => {
             const key = r.text || r.content || '';
             if (seen.has(key)) {
+                decisions?.push({ result: r, status: 'duplicate', note: '与其他来源的结果内容重复' });
                 return false;
             }
             seen.add(key);
@@ -379,6 +390,38 @@ export class UnifiedVectorRetrieval {
         return unique;
     }
     
+    /**
+     * 🔍 构建检索追踪：各来源的相似度、优先级和去重决定
+     */
+    buildTrace(query, results, decisions) {
+        const toItem = (result, status, note = '') => ({
+            id: result.id || result.hash || null,
+            content: String(result.text || result.content || '').substring(0, 200),
+            sources: [result.source].filter(Boolean),
+            scores: {
+                [result.source === 'corpus' ? 'corpus' : 'vector']: result.similarity ?? result.score
+            },
+            status: status,
+            note: note || `优先级 ${result.priority}`
+        });
+
+        return {
+            path: 'unified_vector_retrieval',
+            query: query,
+            enhancedQuery: null,
+            cached: false,
+            weights: {
+                topK: this.config.topK,
+                threshold: this.config.threshold
+            },
+            items: [
+                ...results.map(result => toItem(result, 'injected')),
+                ...decisions.map(decision => toItem(decision.result, decision.status, decision.note))
+            ],
+            timestamp: Date.now()
+        };
+    }
+
     /**
      * 💉 注入结果到SillyTavern
      */
@@ -405,16 +448,38 @@ export class UnifiedVectorRetrieval {
                 // 🔧 修复：setExtensionPrompt的参数顺序是 (key, value, position, depth, scan, role, filter)
                 // position: 注入位置的优先级（数字越小越靠前）
                 // depth: 注入深度（0=system, 1=after_character, 2=before_examples, 4=chat_history）
-                context.setExtensionPrompt(
-                    'Information bar integration tool - Unified Vector Retrieval',
-                    injectionText,
-                    this.config.injectionPriority,  // position: 优先级
-                    this.config.injectionDepth,     // depth: 深度
-                    false,                          // scan: 是否扫描
-                    0                               // role: 0=system
-                );
+                // 🧮 有提示词Token预算管理器时登记到预算中
+                const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+                if (promptBudgetManager) {
+                    await promptBudgetManager.register({
+                        source: 'vectorRetrieval',
+                        key: 'Information bar integration tool - Unified Vector Retrieval',
+                        content: injectionText,
+                        position: this.config.injectionPriority,
+                        depth: this.config.injectionDepth,
+                        scan: false,
+                        role: 0
+                    });
+                } else {
+                    context.setExtensionPrompt(
+                        'Information bar integration tool - Unified Vector Retrieval',
+                        injectionText,
+                        this.config.injectionPriority,  // position: 优先级
+                        this.config.injectionDepth,     // depth: 深度
+                        false,                          // scan: 是否扫描
+                        0                               // role: 0=system
+                    );
+                }
 
                 console.log(`[UnifiedVectorRetrieval] ✅ 已注入 ${results.length} 条结果 (position: ${this.config.injectionPriority}, depth: ${this.config.injectionDepth})`);
+
+                // 🔍 检索追踪：记录本次注入的来源和token开销
+                if (this.lastTrace) {
+                    this.eventSystem?.emit('retrieval:trace', {
+                        trace: this.lastTrace,
+                        injectionText: injectionText
+                    });
+                }
             } else {
                 console.warn('[UnifiedVectorRetrieval] ⚠️ SillyTavern扩展提示词API不可用');
             }
@@ -92,7 +92,11 @@ export class VariableSystemPrompt {
             
             // 🔧 修复：清除可能存在的旧的变量提示词
             const context = SillyTavern.getContext();
-            if (context && context.setExtensionPrompt) {
+            const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            if (promptBudgetManager) {
+                await promptBudgetManager.register({ source: 'variablePrompt', key: 'information_bar_variable_reader', content: '', position: 1, depth: 0 });
+                console.log('[VariableSystemPrompt] 🧹 已清除变量系统提示词');
+            } else if (context && context.setExtensionPrompt) {
                 context.setExtensionPrompt('information_bar_variable_reader', '', 1, 0);
                 console.log('[VariableSystemPrompt] 🧹 已清除变量系统提示词');
             }
@@ -140,6 +144,20 @@ export class VariableSystemPrompt {
         try {
             console.log('[VariableSystemPrompt] 📝 开始注入变量系统读取提示词...');
             
+            // 🧮 有提示词Token预算管理器时登记到预算中
+            const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            if (promptBudgetManager) {
+                await promptBudgetManager.register({
+                    source: 'variablePrompt',
+                    key: 'information_bar_variable_reader',
+                    content: this.promptTemplate,
+                    position: 1,
+                    depth: 0
+                });
+                console.log('[VariableSystemPrompt] ✅ 已通过提示词Token预算管理器注入变量读取提示词');
+                return;
+            }
+
             // 使用SillyTavern的扩展提示词机制
             if (this.context.setExtensionPrompt) {
                 // 注入到扩展提示词中，确保无论主API还是自定义API都能接收
@@ -169,7 +187,11 @@ export class VariableSystemPrompt {
             console.log('[VariableSystemPrompt] 🧹 清理变量系统读取提示词...');
             
             // 清理扩展提示词
-            if (this.context.setExtensionPrompt) {
+            const promptBudgetManager = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            if (promptBudgetManager) {
+                await promptBudgetManager.register({ source: 'variablePrompt', key: 'information_bar_variable_reader', content: '' });
+                console.log('[VariableSystemPrompt] ✅ 已清理变量读取提示词');
+            } else if (this.context.setExtensionPrompt) {
                 this.context.setExtensionPrompt('information_bar_variable_reader', '');
                 console.log('[VariableSystemPrompt] ✅ 已清理变量读取提示词');
             }
@@ -0,0 +1,369 @@
+/**
+ * 向量索引与向量服务请求处理
+ *
+ * 向量服务Worker（VectorServiceWorker.js）和主线程降级执行共用的纯计算代码：
+ * - VectorIndex：基于Float32Array的连续存储，行向量预先归一化，查询只需点积
+ * - VectorServiceHandler：按集合管理索引，处理 embed / upsert / remove / clear / query / cluster / centroid 请求
+ *
+ * 本文件不访问DOM和SillyTavern上下文，可以同时在主线程和Worker中加载。
+ *
+ * @class VectorIndex
+ */
+
+export class VectorIndex {
+    constructor(dimensions = 0, initialCapacity = 64) {
+        this.dimensions = dimensions;
+        this.capacity = dimensions > 0 ? initialCapacity : 0;
+        this.data = new Float32Array(this.capacity * dimensions);
+        this.ids = [];
+        this.rows = new Map();          // id -> 行号
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    /**
+     * 插入或更新向量（维度与索引不一致的向量被跳过）
+     * @returns {boolean} 是否写入
+     */
+    upsert(id, vector) {
+        if (!vector || vector.length === 0) return false;
+
+        if (this.dimensions === 0) {
+            this.dimensions = vector.length;
+            this.capacity = 64;
+            this.data = new Float32Array(this.capacity * this.dimensions);
+        }
+        if (vector.length !== this.dimensions) return false;
+
+        let row = this.rows.get(id);
+        if (row === undefined) {
+            if (this.ids.length >= this.capacity) {
+                this.grow();
+            }
+            row = this.ids.length;
+            this.ids.push(id);
+            this.rows.set(id, row);
+        }
+
+        const offset = row * this.dimensions;
+        const magnitude = VectorIndex.magnitude(vector);
+        for (let i = 0; i < this.dimensions; i++) {
+            this.data[offset + i] = magnitude > 0 ? vector[i] / magnitude : 0;
+        }
+        return true;
+    }
+
+    /**
+     * 删除向量（用最后一行填补空位）
+     */
+    remove(id) {
+        const row = this.rows.get(id);
+        if (row === undefined) return false;
+
+        const lastRow = this.ids.length - 1;
+        if (row !== lastRow) {
+            const lastId = this.ids[lastRow];
+            this.data.copyWithin(row * this.dimensions, lastRow * this.dimensions, (lastRow + 1) * this.dimensions);
+            this.ids[row] = lastId;
+            this.rows.set(lastId, row);
+        }
+
+        this.ids.pop();
+        this.rows.delete(id);
+        return true;
+    }
+
+    clear() {
+        this.ids = [];
+        this.rows.clear();
+    }
+
+    grow() {
+        this.capacity *= 2;
+        const data = new Float32Array(this.capacity * this.dimensions);
+        data.set(this.data);
+        this.data = data;
+    }
+
+    /**
+     * 查询最相似的向量
+     * @returns {Array<{id: string, score: number}>} 按相似度降序
+     */
+    query(vector, topK = 10, threshold = 0) {
+        if (!vector || vector.length !== this.dimensions || this.ids.length === 0) {
+            return [];
+        }
+
+        const magnitude = VectorIndex.magnitude(vector);
+        if (magnitude === 0) return [];
+
+        const results = [];
+        for (let row = 0; row < this.ids.length; row++) {
+            const offset = row * this.dimensions;
+            let dot = 0;
+            for (let i = 0; i < this.dimensions; i++) {
+                dot += this.data[offset + i] * vector[i];
+            }
+
+            const score = dot / magnitude;
+            if (score >= threshold) {
+                results.push({ id: this.ids[row], score });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    static magnitude(vector) {
+        let sum = 0;
+        for (let i = 0; i < vector.length; i++) {
+            sum += vector[i] * vector[i];
+        }
+        return Math.sqrt(sum);
+    }
+
+    static cosineSimilarity(vectorA, vectorB) {
+        if (!vectorA || !vectorB || vectorA.length !== vectorB.length) {
+            return 0;
+        }
+
+        let dotProduct = 0;
+        let magnitudeA = 0;
+        let magnitudeB = 0;
+        for (let i = 0; i < vectorA.length; i++) {
+            dotProduct += vectorA[i] * vectorB[i];
+            magnitudeA += vectorA[i] * vectorA[i];
+            magnitudeB += vectorB[i] * vectorB[i];
+        }
+
+        if (magnitudeA === 0 || magnitudeB === 0) {
+            return 0;
+        }
+        return dotProduct / (Math.sqrt(magnitudeA) * Math.sqrt(magnitudeB));
+    }
+}
+
+/**
+ * 向量服务请求处理器
+ *
+ * 请求和返回值都是可结构化克隆的普通对象，向量用Float32Array传递。
+ */
+export class VectorServiceHandler {
+    constructor() {
+        this.collections = new Map();   // collection -> VectorIndex
+    }
+
+    /**
+     * 分发请求
+     * @param {string} type - 请求类型
+     * @param {Object} payload - 请求参数
+     */
+    handle(type, payload = {}) {
+        switch (type) {
+            case 'embed':
+                return payload.texts.map(text => this.embedText(text, payload.dimensions));
+
+            case 'upsert': {
+                const index = this.getCollection(payload.collection, true);
+                let written = 0;
+                payload.items.forEach(item => {
+                    if (index.upsert(item.id, item.vector)) written++;
+                });
+                return { written, size: index.size };
+            }
+
+            case 'remove': {
+                const index = this.getCollection(payload.collection);
+                let removed = 0;
+                (payload.ids || []).forEach(id => {
+                    if (index?.remove(id)) removed++;
+                });
+                return { removed, size: index?.size || 0 };
+            }
+
+            case 'clear':
+                if (payload.collection) {
+                    this.collections.delete(payload.collection);
+                } else {
+                    this.collections.clear();
+                }
+                return { cleared: true };
+
+            case 'query': {
+                const index = this.getCollection(payload.collection);
+                const topK = payload.topK ?? 10;
+                const threshold = payload.threshold ?? 0;
+                if (payload.vectors) {
+                    return payload.vectors.map(vector => index ? index.query(vector, topK, threshold) : []);
+                }
+                return index ? index.query(payload.vector, topK, threshold) : [];
+            }
+
+            case 'cluster':
+                return this.clusterVectors(payload.vectors, payload.threshold ?? 0);
+
+            case 'centroid':
+                return this.meanVector(payload.vectors);
+
+            case 'stats':
+                return Object.fromEntries(Array.from(this.collections.entries()).map(([name, index]) => [
+                    name,
+                    { size: index.size, dimensions: index.dimensions }
+                ]));
+
+            default:
+                throw new Error(`未知的向量服务请求: ${type}`);
+        }
+    }
+
+    getCollection(name, create = false) {
+        if (!name) {
+            throw new Error('缺少集合名称');
+        }
+        if (!this.collections.has(name) && create) {
+            this.collections.set(name, new VectorIndex());
+        }
+        return this.collections.get(name) || null;
+    }
+
+    /**
+     * 贪心聚类：依次把向量归入相似度最高且达到阈值的聚类，否则以该向量为中心新建聚类
+     * @returns {{assignments: Array<number>, centroids: Array<Float32Array>}}
+     */
+    clusterVectors(vectors, threshold) {
+        const centroids = [];
+        const assignments = [];
+
+        for (const vector of vectors) {
+            let bestCluster = -1;
+            let bestSimilarity = 0;
+
+            for (let c = 0; c < centroids.length; c++) {
+                const similarity = VectorIndex.cosineSimilarity(vector, centroids[c]);
+                if (similarity > bestSimilarity && similarity >= threshold) {
+                    bestSimilarity = similarity;
+                    bestCluster = c;
+                }
+            }
+
+            if (bestCluster === -1) {
+                bestCluster = centroids.length;
+                centroids.push(Float32Array.from(vector));
+            }
+            assignments.push(bestCluster);
+        }
+
+        return { assignments, centroids };
+    }
+
+    /**
+     * 平均向量
+     */
+    meanVector(vectors) {
+        if (!vectors || vectors.length === 0) return new Float32Array(0);
+
+        const dimensions = vectors[0].length;
+        const mean = new Float32Array(dimensions);
+        for (const vector of vectors) {
+            for (let i = 0; i < dimensions; i++) {
+                mean[i] += vector[i] || 0;
+            }
+        }
+        for (let i = 0; i < dimensions; i++) {
+            mean[i] /= vectors.length;
+        }
+        return mean;
+    }
+
+    /**
+     * 降级向量化（基于文本特征）
+     * 词级特征 + 字符级2-gram/3-gram + 单字符特征，每个特征用5个哈希位置累加权重后归一化
+     */
+    embedText(text, dimensions) {
+        const vector = new Float32Array(dimensions);
+
+        // 清理文本
+        const cleanText = String(text || '').toLowerCase().replace(/[^\u4e00-\u9fa5a-z0-9\s]/g, '');
+        if (cleanText.length === 0) {
+            return vector;
+        }
+
+        const features = new Map(); // 存储所有特征及其频率
+        const addFeature = (feature) => features.set(feature, (features.get(feature) || 0) + 1);
+
+        // 词级特征（适用于英文和有空格的文本）
+        cleanText.split(/\s+/).filter(w => w.length > 1).forEach(word => addFeature(`word:${word}`));
+
+        // 字符级2-gram特征（适用于中文），跳过包含空格的gram
+        for (let i = 0; i < cleanText.length - 1; i++) {
+            const bigram = cleanText.substring(i, i + 2);
+            if (bigram.trim().length === 2) addFeature(`2gram:${bigram}`);
+        }
+
+        // 字符级3-gram特征
+        for (let i = 0; i < cleanText.length - 2; i++) {
+            const trigram = cleanText.substring(i, i + 3);
+            if (trigram.trim().length === 3) addFeature(`3gram:${trigram}`);
+        }
+
+        // 单字符特征（作为补充）
+        for (let i = 0; i < cleanText.length; i++) {
+            const char = cleanText[i];
+            if (char.trim().length > 0) addFeature(`char:${char}`);
+        }
+
+        let totalFeatures = 0;
+        features.forEach(freq => { totalFeatures += freq; });
+
+        let featureIndex = 0;
+        for (const [feature, freq] of features) {
+            const tfWeight = freq / totalFeatures;
+            const positionWeight = 1 / Math.log(featureIndex + 2);   // 早期特征更重要
+
+            let typeWeight = 1.0;
+            if (feature.startsWith('word:')) typeWeight = 1.5;
+            else if (feature.startsWith('3gram:')) typeWeight = 1.3;
+            else if (feature.startsWith('2gram:')) typeWeight = 1.2;
+            else if (feature.startsWith('char:')) typeWeight = 0.8;
+
+            for (let hashSeed = 0; hashSeed < 5; hashSeed++) {
+                const pos = this.improvedHash(feature, hashSeed) % dimensions;
+                vector[pos] += positionWeight * tfWeight * typeWeight;
+            }
+
+            featureIndex++;
+        }
+
+        // 归一化（全为0时返回均匀分布的向量）
+        const magnitude = VectorIndex.magnitude(vector);
+        if (magnitude > 0) {
+            for (let i = 0; i < dimensions; i++) {
+                vector[i] /= magnitude;
+            }
+        } else {
+            vector.fill(1 / Math.sqrt(dimensions));
+        }
+
+        return vector;
+    }
+
+    /**
+     * 多种子哈希
+     */
+    improvedHash(str, seed = 0) {
+        let hash = seed * 0x9e3779b9; // 使用黄金比例常数
+
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32bit integer
+            hash = hash ^ (hash >>> 16); // 混合高位和低位
+        }
+
+        return Math.abs(hash);
+    }
+}
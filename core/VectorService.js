@@ -0,0 +1,237 @@
+/**
+ * 向量服务
+ *
+ * 把降级向量化、相似度搜索和聚类放到Web Worker中执行，主线程只收发消息：
+ * - embed：文本特征哈希向量化（降级向量化方案）
+ * - upsert / remove / clear：维护按集合划分的Float32Array向量索引
+ * - query：单个或批量查询top-k相似向量
+ * - cluster / centroid：贪心聚类和聚类中心计算
+ *
+ * Worker无法启动或运行中崩溃时切换到主线程执行同一套代码（VectorServiceHandler），
+ * 此时Worker中的索引丢失，epoch递增，调用方据此重新写入自己的集合。
+ *
+ * @class VectorService
+ */
+
+import { VectorServiceHandler } from './VectorIndex.js';
+
+export class VectorService {
+    constructor() {
+        console.log('[VectorService] 🔧 向量服务初始化开始');
+
+        this.BASE_PATH = 'scripts/extensions/third-party/Information bar integration tool/core/';
+
+        this.settings = {
+            useWorker: true,                // 优先在Worker中执行
+            requestTimeout: 30000           // 单次请求超时
+        };
+
+        this.worker = null;
+        this.inline = null;                 // 主线程降级执行器
+        this.pending = new Map();           // id -> { type, payload, resolve, reject, timer }
+        this.nextId = 1;
+
+        // 后端切换（Worker -> 主线程）时递增，调用方用它判断集合是否需要重新写入
+        this.epoch = 0;
+
+        this.errorCount = 0;
+        this.stats = {
+            workerRequests: 0,
+            inlineRequests: 0
+        };
+
+        console.log('[VectorService] 🏗️ 构造函数完成');
+    }
+
+    /**
+     * 文本向量化（降级方案）
+     * @returns {Promise<Array<Array<number>>>}
+     */
+    async embed(texts, dimensions) {
+        const vectors = await this.request('embed', { texts, dimensions });
+        return vectors.map(vector => Array.from(vector));
+    }
+
+    /**
+     * 写入向量
+     * @param {string} collection
+     * @param {Array<{id: string, vector: Array<number>}>} items
+     */
+    async upsert(collection, items) {
+        return this.request('upsert', { collection, items });
+    }
+
+    async remove(collection, ids) {
+        return this.request('remove', { collection, ids });
+    }
+
+    /**
+     * 清空集合（不传集合名时清空全部）
+     */
+    async clear(collection = null) {
+        return this.request('clear', { collection });
+    }
+
+    /**
+     * 查询top-k
+     * @returns {Promise<Array<{id: string, score: number}>>}
+     */
+    async query(collection, vector, { topK = 10, threshold = 0 } = {}) {
+        return this.request('query', { collection, vector, topK, threshold });
+    }
+
+    /**
+     * 批量查询，每个查询向量返回一组结果
+     * @returns {Promise<Array<Array<{id: string, score: number}>>>}
+     */
+    async queryBatch(collection, vectors, { topK = 10, threshold = 0 } = {}) {
+        return this.request('query', { collection, vectors, topK, threshold });
+    }
+
+    /**
+     * 贪心聚类
+     * @returns {Promise<{assignments: Array<number>, centroids: Array<Array<number>>}>}
+     */
+    async cluster(vectors, threshold) {
+        const result = await this.request('cluster', { vectors, threshold });
+        return {
+            assignments: result.assignments,
+            centroids: result.centroids.map(centroid => Array.from(centroid))
+        };
+    }
+
+    /**
+     * 平均向量
+     */
+    async centroid(vectors) {
+        return Array.from(await this.request('centroid', { vectors }));
+    }
+
+    async getCollectionStats() {
+        return this.request('stats', {});
+    }
+
+    /**
+     * 发送请求（Worker不可用时在主线程执行）
+     */
+    request(type, payload) {
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.runInline(type, payload);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                this.errorCount++;
+                reject(new Error(`向量服务请求超时: ${type}`));
+            }, this.settings.requestTimeout);
+
+            this.pending.set(id, { type, payload, resolve, reject, timer });
+            this.stats.workerRequests++;
+            worker.postMessage({ id, type, payload });
+        });
+    }
+
+    async runInline(type, payload) {
+        if (!this.inline) {
+            this.inline = new VectorServiceHandler();
+        }
+        this.stats.inlineRequests++;
+        return this.inline.handle(type, payload);
+    }
+
+    /**
+     * 按需启动Worker
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (!this.settings.useWorker || this.inline) return null;
+
+        try {
+            if (typeof Worker === 'undefined') {
+                throw new Error('当前环境不支持Web Worker');
+            }
+
+            this.worker = new Worker(`${this.BASE_PATH}VectorServiceWorker.js`, { type: 'module' });
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                this.fallbackToInline(new Error(event.message || 'Worker运行出错'));
+            };
+            console.log('[VectorService] ✅ 向量服务Worker已启动');
+            return this.worker;
+
+        } catch (error) {
+            console.warn('[VectorService] ⚠️ 无法启动Worker，在主线程执行:', error.message);
+            this.inline = new VectorServiceHandler();
+            return null;
+        }
+    }
+
+    /**
+     * 处理Worker返回的消息
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message?.id);
+        if (!request) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.type === 'error') {
+            this.errorCount++;
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Worker出错后切换到主线程，并在主线程重新执行未完成的请求
+     */
+    fallbackToInline(error) {
+        console.error('[VectorService] ❌ 向量服务Worker出错，切换到主线程执行:', error);
+        this.errorCount++;
+
+        this.worker?.terminate();
+        this.worker = null;
+        this.inline = new VectorServiceHandler();
+        this.epoch++;
+
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+        pending.forEach(request => {
+            clearTimeout(request.timer);
+            this.runInline(request.type, request.payload).then(request.resolve, request.reject);
+        });
+    }
+
+    /**
+     * 停止Worker
+     */
+    terminate() {
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(new Error('向量服务已停止'));
+        });
+        this.pending.clear();
+        this.worker?.terminate();
+        this.worker = null;
+        this.epoch++;
+    }
+
+    /**
+     * 获取状态信息
+     */
+    getStatus() {
+        return {
+            backend: this.worker ? 'worker' : (this.inline ? 'inline' : 'idle'),
+            epoch: this.epoch,
+            pendingRequests: this.pending.size,
+            stats: { ...this.stats },
+            errorCount: this.errorCount
+        };
+    }
+}
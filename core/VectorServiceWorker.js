@@ -0,0 +1,41 @@
+/**
+ * 向量服务Worker
+ *
+ * 以模块Worker方式加载（new Worker(url, { type: 'module' })），在后台线程执行
+ * VectorServiceHandler 的请求，避免生成开始时的向量计算阻塞界面。
+ *
+ * 消息格式：{ id, type, payload } -> { id, type: 'result' | 'error', result | error }
+ */
+
+import { VectorServiceHandler } from './VectorIndex.js';
+
+const handler = new VectorServiceHandler();
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data || {};
+
+    try {
+        const result = handler.handle(type, payload);
+        self.postMessage({ id, type: 'result', result }, collectTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message || String(error) });
+    }
+};
+
+/**
+ * 收集返回值中的Float32Array缓冲区，转移所有权而不是复制
+ */
+function collectTransferables(result) {
+    const buffers = [];
+    const visit = (value) => {
+        if (value instanceof Float32Array) {
+            buffers.push(value.buffer);
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(result);
+    return buffers;
+}
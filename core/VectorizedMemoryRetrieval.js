@@ -13,6 +13,8 @@
 
 import { VectorAPIAdapter } from './VectorAPIAdapter.js';
 import { CustomVectorAPIAdapter } from './CustomVectorAPIAdapter.js';
+import { OnnxEmbeddingEngine } from './OnnxEmbeddingEngine.js';
+import { VectorService } from './VectorService.js';
 
 export class VectorizedMemoryRetrieval {
     constructor(unifiedDataCore, eventSystem, aiMemorySummarizer) {
@@ -27,9 +29,16 @@ export class VectorizedMemoryRetrieval {
             enabled: false,                    // 🔧 修复：默认禁用向量化检索
             
             // 🔧 重构：向量化引擎（用于计算向量）
-            vectorEngine: 'custom',            // 向量化引擎：'custom'（自定义API）| 'local'（本地Transformers.js）
+            vectorEngine: 'custom',            // 向量化引擎：'custom'（自定义API）| 'local'（本地Transformers.js）| 'onnx'（本地ONNX模型）| 'auto'（自动选择）
             embeddingModel: 'Supabase/gte-small', // 嵌入模型（本地引擎使用）
             vectorDimensions: 384,             // 向量维度
+
+            // 🆕 本地ONNX嵌入模型（文件放在 libs/onnx-embedding 下，在Web Worker中运行）
+            onnxEmbedding: {
+                model: 'paraphrase-multilingual-MiniLM-L12-v2', // 模型目录名（models/<model>/）
+                modelFile: 'model_quantized.onnx',              // 模型文件名
+                maxLength: 256                                  // 最大token数
+            },
             
             // 🚀 自定义向量化API配置（从信息栏设置读取）
             customVectorAPI: {                 
@@ -72,8 +81,10 @@ export class VectorizedMemoryRetrieval {
         this.vectorEngines = {
             transformers: null,                // Transformers.js引擎
             openai: null,                      // OpenAI引擎
-            custom: null                       // 自定义引擎
+            custom: null,                      // 自定义引擎
+            onnx: null                         // 本地ONNX引擎（OnnxEmbeddingEngine）
         };
+        this.onnxInitError = null;             // 本地ONNX引擎最近一次加载失败的原因（设置界面据此提示缺失文件）
 
         // 🚀 原生向量API适配器
         this.vectorAPI = new VectorAPIAdapter({
@@ -90,6 +101,12 @@ export class VectorizedMemoryRetrieval {
         this.vectorIndex = [];                // 向量索引数组
         this.isIndexing = false;              // 是否正在索引
 
+        // 🆕 向量服务（Worker中执行降级向量化、相似度搜索和聚类）
+        // vectorIndex 的向量同步写入服务的 SERVICE_COLLECTION 集合，搜索时不在主线程遍历向量
+        this.vectorService = new VectorService();
+        this.SERVICE_COLLECTION = 'memory_index';
+        this.serviceIndexState = { epoch: 0, size: 0 };
+
         // 性能统计
         this.stats = {
             totalVectorized: 0,                // 总向量化数量
@@ -182,6 +199,12 @@ export class VectorizedMemoryRetrieval {
                     if (memoryEnhancement.vector.vectorEngine !== undefined) {
                         this.settings.vectorEngine = memoryEnhancement.vector.vectorEngine;
                     }
+                    if (memoryEnhancement.vector.onnxEmbedding) {
+                        this.settings.onnxEmbedding = {
+                            ...this.settings.onnxEmbedding,
+                            ...memoryEnhancement.vector.onnxEmbedding
+                        };
+                    }
                     if (memoryEnhancement.vector.similarityThreshold !== undefined) {
                         this.settings.similarityThreshold = memoryEnhancement.vector.similarityThreshold;
                     }
@@ -214,6 +237,8 @@ export class VectorizedMemoryRetrieval {
     async updateSettings(newSettings) {
         try {
             console.log('[VectorizedMemoryRetrieval] 🔄 更新向量化设置:', newSettings);
+            const previousEngine = this.settings.vectorEngine;
+            const previousOnnx = JSON.stringify(this.settings.onnxEmbedding);
             this.settings = { ...this.settings, ...newSettings };
 
             // 🚀 新增：更新自定义向量API配置
@@ -253,8 +278,15 @@ export class VectorizedMemoryRetrieval {
                 console.warn('[VectorizedMemoryRetrieval] ⚠️ 同步到扩展设置失败:', extensionError);
             }
 
-            // 如果引擎类型改变，重新初始化
-            if (newSettings.vectorEngine && newSettings.vectorEngine !== this.settings.vectorEngine) {
+            // 🔧 修复：与合并前的引擎比较（合并后两者总是相同），引擎或ONNX模型改变时重新初始化
+            const onnxChanged = newSettings.onnxEmbedding && JSON.stringify(this.settings.onnxEmbedding) !== previousOnnx;
+            if ((newSettings.vectorEngine && newSettings.vectorEngine !== previousEngine) || onnxChanged) {
+                if (onnxChanged && this.vectorEngines.onnx) {
+                    this.vectorEngines.onnx.terminate();
+                    this.vectorEngines.onnx = null;
+                }
+                // 不同引擎的向量空间不兼容，清空向量缓存
+                this.vectorCache.clear();
                 await this.initializeVectorEngines();
             }
 
@@ -291,6 +323,16 @@ export class VectorizedMemoryRetrieval {
                     console.log('[VectorizedMemoryRetrieval] 💻 使用本地Transformers.js引擎');
                     await this.initializeTransformersEngine();
                     break;
+
+                case 'onnx':
+                    // 使用本地ONNX模型
+                    console.log('[VectorizedMemoryRetrieval] 🧠 使用本地ONNX嵌入模型');
+                    await this.initializeOnnxEngine();
+                    break;
+
+                case 'auto':
+                    await this.autoSelectVectorEngine();
+                    break;
                     
                 default:
                     console.warn('[VectorizedMemoryRetrieval] ⚠️ 未知的向量化引擎:', this.settings.vectorEngine);
@@ -377,17 +419,29 @@ export class VectorizedMemoryRetrieval {
         try {
             console.log('[VectorizedMemoryRetrieval] 🤖 自动选择向量化引擎...');
 
-            // 优先级1: 尝试自定义向量化API
+            // 优先级1: 已配置的自定义向量化API
+            if (this.hasCustomVectorAPIConfig()) {
+                try {
+                    await this.initializeCustomVectorAPI();
+                    this.settings.vectorEngine = 'custom';
+                    console.log('[VectorizedMemoryRetrieval] ✅ 已选择: 自定义向量化API');
+                    return;
+                } catch (error) {
+                    console.log('[VectorizedMemoryRetrieval] ⏭️ 自定义向量化API不可用，尝试下一个...');
+                }
+            }
+
+            // 优先级2: 本地ONNX多语言嵌入模型
             try {
-                await this.initializeCustomVectorAPI();
-                this.settings.vectorEngine = 'custom';
-                console.log('[VectorizedMemoryRetrieval] ✅ 已选择: 自定义向量化API');
+                await this.initializeOnnxEngine({ fallback: false });
+                this.settings.vectorEngine = 'onnx';
+                console.log('[VectorizedMemoryRetrieval] ✅ 已选择: 本地ONNX嵌入模型');
                 return;
             } catch (error) {
-                console.log('[VectorizedMemoryRetrieval] ⏭️ 自定义向量化API不可用，尝试下一个...');
+                console.log('[VectorizedMemoryRetrieval] ⏭️ 本地ONNX模型不可用，尝试下一个...');
             }
 
-            // 优先级2: 使用本地Transformers.js
+            // 优先级3: 使用本地Transformers.js
             try {
                 await this.initializeTransformersEngine();
                 this.settings.vectorEngine = 'local';
@@ -407,6 +461,55 @@ export class VectorizedMemoryRetrieval {
         }
     }
 
+    /**
+     * 🆕 检查是否配置了自定义向量API（不发起网络请求）
+     */
+    hasCustomVectorAPIConfig() {
+        const context = window.SillyTavern?.getContext?.();
+        const vectorAPIConfig = context?.extensionSettings?.['Information bar integration tool']?.vectorAPIConfig;
+        return !!(vectorAPIConfig?.baseUrl && vectorAPIConfig?.apiKey) || this.customVectorAPI.isConfigValid();
+    }
+
+    /**
+     * 🆕 初始化本地ONNX嵌入引擎
+     * @param {Object} options
+     * @param {boolean} options.fallback - 加载失败时是否降级到Transformers.js（自动选择时由调用方处理）
+     */
+    async initializeOnnxEngine({ fallback = true } = {}) {
+        try {
+            console.log('[VectorizedMemoryRetrieval] 🧠 初始化本地ONNX嵌入引擎...');
+
+            if (!this.vectorEngines.onnx) {
+                this.vectorEngines.onnx = new OnnxEmbeddingEngine(this.settings.onnxEmbedding);
+            }
+
+            const { dimensions } = await this.vectorEngines.onnx.init();
+
+            // 降级向量与模型向量维度保持一致
+            if (dimensions && dimensions !== this.settings.vectorDimensions) {
+                console.log('[VectorizedMemoryRetrieval] 📐 向量维度更新为:', dimensions);
+                this.settings.vectorDimensions = dimensions;
+            }
+
+            this.onnxInitError = null;
+            console.log('[VectorizedMemoryRetrieval] ✅ 本地ONNX嵌入引擎初始化成功');
+            return true;
+
+        } catch (error) {
+            console.error('[VectorizedMemoryRetrieval] ❌ 本地ONNX嵌入引擎初始化失败:', error);
+            this.onnxInitError = error?.message || String(error);
+            this.vectorEngines.onnx = null;
+
+            if (fallback && this.settings.fallbackMode) {
+                console.log('[VectorizedMemoryRetrieval] 🔄 降级到本地Transformers.js引擎');
+                this.settings.vectorEngine = 'local';
+                await this.initializeTransformersEngine();
+                return false;
+            }
+            throw error;
+        }
+    }
+
     /**
      * 初始化Transformers.js引擎
      */
@@ -899,6 +1002,12 @@ export class VectorizedMemoryRetrieval {
                     console.log('[VectorizedMemoryRetrieval] 💻 使用本地Transformers.js计算向量');
                     vector = await this.vectorizeWithTransformers(text);
                     break;
+
+                case 'onnx':
+                    // 使用本地ONNX模型
+                    console.log('[VectorizedMemoryRetrieval] 🧠 使用本地ONNX模型计算向量');
+                    vector = await this.vectorizeWithOnnx(text);
+                    break;
                     
                 default:
                     // 降级模式
@@ -1046,6 +1155,32 @@ export class VectorizedMemoryRetrieval {
         }
     }
 
+    /**
+     * 🆕 使用本地ONNX模型向量化
+     */
+    async vectorizeWithOnnx(text) {
+        try {
+            if (!this.vectorEngines.onnx) {
+                const ready = await this.initializeOnnxEngine();
+                if (!ready) {
+                    return await this.vectorizeWithTransformers(text);
+                }
+            }
+
+            const [vector] = await this.vectorEngines.onnx.embed([text]);
+
+            if (!vector || vector.length === 0) {
+                throw new Error('ONNX模型返回的向量无效');
+            }
+
+            return vector;
+
+        } catch (error) {
+            console.error('[VectorizedMemoryRetrieval] ❌ ONNX向量化失败:', error);
+            return await this.vectorizeWithFallback(text);
+        }
+    }
+
     /**
      * 使用Transformers.js向量化
      * 🔧 优化：增强引擎状态验证和错误处理
@@ -1218,97 +1353,13 @@ export class VectorizedMemoryRetrieval {
      * 🔧 优化：增强TF-IDF算法和语义特征提取
      * 🚀 紧急修复：使用多哈希位置提升向量质量
      * 🎯 最终修复：添加字符级n-gram特征解决中文分词问题
+     * 🆕 特征提取在向量服务Worker中执行（VectorServiceHandler.embedText）
      */
     async vectorizeWithFallback(text) {
         try {
             console.log('[VectorizedMemoryRetrieval] 🔄 使用降级向量化方法（字符级n-gram）');
 
-            // 清理文本
-            const cleanText = text.toLowerCase().replace(/[^\u4e00-\u9fa5a-z0-9\s]/g, '');
-
-            if (cleanText.length === 0) {
-                return new Array(this.settings.vectorDimensions).fill(0);
-            }
-
-            const vector = new Array(this.settings.vectorDimensions).fill(0);
-            const features = new Map(); // 存储所有特征及其频率
-
-            // 🎯 方法1：词级特征（适用于英文和有空格的文本）
-            const words = cleanText.split(/\s+/).filter(w => w.length > 1);
-            words.forEach(word => {
-                features.set(`word:${word}`, (features.get(`word:${word}`) || 0) + 1);
-            });
-
-            // 🎯 方法2：字符级2-gram特征（适用于中文）
-            for (let i = 0; i < cleanText.length - 1; i++) {
-                const bigram = cleanText.substring(i, i + 2);
-                if (bigram.trim().length === 2) { // 跳过包含空格的bigram
-                    features.set(`2gram:${bigram}`, (features.get(`2gram:${bigram}`) || 0) + 1);
-                }
-            }
-
-            // 🎯 方法3：字符级3-gram特征（增强语义理解）
-            for (let i = 0; i < cleanText.length - 2; i++) {
-                const trigram = cleanText.substring(i, i + 3);
-                if (trigram.trim().length === 3) { // 跳过包含空格的trigram
-                    features.set(`3gram:${trigram}`, (features.get(`3gram:${trigram}`) || 0) + 1);
-                }
-            }
-
-            // 🎯 方法4：单字符特征（作为补充）
-            for (let i = 0; i < cleanText.length; i++) {
-                const char = cleanText[i];
-                if (char.trim().length > 0) { // 跳过空格
-                    features.set(`char:${char}`, (features.get(`char:${char}`) || 0) + 1);
-                }
-            }
-
-            // 计算总特征数
-            const totalFeatures = Array.from(features.values()).reduce((sum, freq) => sum + freq, 0);
-
-            // 🚀 向量化所有特征
-            let featureIndex = 0;
-            for (const [feature, freq] of features) {
-                // TF权重
-                const tfWeight = freq / totalFeatures;
-
-                // 位置权重（早期特征更重要）
-                const positionWeight = 1 / Math.log(featureIndex + 2);
-
-                // 特征类型权重
-                let typeWeight = 1.0;
-                if (feature.startsWith('word:')) typeWeight = 1.5; // 词级特征最重要
-                else if (feature.startsWith('3gram:')) typeWeight = 1.3; // 3-gram次之
-                else if (feature.startsWith('2gram:')) typeWeight = 1.2; // 2-gram再次
-                else if (feature.startsWith('char:')) typeWeight = 0.8; // 单字符权重较低
-
-                // 使用5个哈希位置（减少以平衡性能）
-                for (let hashSeed = 0; hashSeed < 5; hashSeed++) {
-                    const hash = this.improvedHash(feature, hashSeed);
-                    const pos = hash % this.settings.vectorDimensions;
-
-                    // 累加权重到向量
-                    vector[pos] += positionWeight * tfWeight * typeWeight;
-                }
-
-                featureIndex++;
-            }
-
-            // 归一化
-            const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-            if (magnitude > 0) {
-                for (let i = 0; i < vector.length; i++) {
-                    vector[i] /= magnitude;
-                }
-            } else {
-                // 如果向量全为0，返回均匀分布的向量
-                const uniformValue = 1 / Math.sqrt(this.settings.vectorDimensions);
-                for (let i = 0; i < this.settings.vectorDimensions; i++) {
-                    vector[i] = uniformValue;
-                }
-            }
-
-            console.log(`[VectorizedMemoryRetrieval] ✅ 提取了 ${features.size} 个特征`);
+            const [vector] = await this.vectorService.embed([text], this.settings.vectorDimensions);
             return vector;
 
         } catch (error) {
@@ -1317,22 +1368,6 @@ export class VectorizedMemoryRetrieval {
         }
     }
 
-    /**
-     * 🚀 新增：改进的哈希函数（支持多种子）
-     */
-    improvedHash(str, seed = 0) {
-        let hash = seed * 0x9e3779b9; // 使用黄金比例常数
-
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-            hash = hash ^ (hash >>> 16); // 混合高位和低位
-        }
-
-        return Math.abs(hash);
-    }
-
     /**
      * 🔧 新增：计算词的语义权重
      */
@@ -1671,6 +1706,89 @@ export class VectorizedMemoryRetrieval {
         }
     }
 
+    /**
+     * 🆕 添加索引条目（同时写入向量服务）
+     */
+    async addToIndex(indexEntry) {
+        try {
+            await this.ensureServiceIndex();
+            await this.vectorService.upsert(this.SERVICE_COLLECTION, [{ id: indexEntry.id, vector: indexEntry.vector }]);
+            this.serviceIndexState.size = this.vectorIndex.length + 1;
+        } catch (error) {
+            console.warn('[VectorizedMemoryRetrieval] ⚠️ 写入向量服务失败:', error.message);
+        }
+
+        this.vectorIndex.push(indexEntry);
+        this.memoryIndex.set(indexEntry.id, indexEntry);
+    }
+
+    /**
+     * 🆕 清空索引（同时清空向量服务中的集合）
+     */
+    async resetIndex() {
+        this.vectorIndex = [];
+        this.memoryIndex.clear();
+
+        try {
+            await this.vectorService.clear(this.SERVICE_COLLECTION);
+            this.serviceIndexState = { epoch: this.vectorService.epoch, size: 0 };
+        } catch (error) {
+            console.warn('[VectorizedMemoryRetrieval] ⚠️ 清空向量服务集合失败:', error.message);
+        }
+    }
+
+    /**
+     * 🆕 从索引中移除指定记忆（同时删除向量服务中的条目）
+     * @param {Array<string>} memoryIds - 记忆ID列表
+     * @returns {Promise<number>} 实际移除的条目数
+     */
+    async removeFromIndex(memoryIds) {
+        const ids = new Set(memoryIds || []);
+        const removedEntries = this.vectorIndex.filter(entry => ids.has(entry.id));
+        if (removedEntries.length === 0) return 0;
+
+        this.vectorIndex = this.vectorIndex.filter(entry => !ids.has(entry.id));
+        removedEntries.forEach(entry => {
+            this.vectorCache.delete(`${entry.type}_${entry.id}`);
+            this.memoryIndex.delete(entry.id);
+        });
+
+        try {
+            await this.vectorService.remove(this.SERVICE_COLLECTION, removedEntries.map(entry => entry.id));
+            this.serviceIndexState.size = this.vectorIndex.length;
+        } catch (error) {
+            console.warn('[VectorizedMemoryRetrieval] ⚠️ 删除向量服务条目失败:', error.message);
+        }
+
+        if (this.settings.useLocalStorage) {
+            await this.saveIndexToStorage();
+        }
+
+        console.log(`[VectorizedMemoryRetrieval] 🗑️ 已从索引移除 ${removedEntries.length} 个条目`);
+        return removedEntries.length;
+    }
+
+    /**
+     * 🆕 确保向量服务中的集合与 vectorIndex 一致
+     * Worker崩溃重启（epoch变化）或 vectorIndex 被外部直接替换时整体重新写入
+     */
+    async ensureServiceIndex() {
+        const { epoch, size } = this.serviceIndexState;
+        if (epoch === this.vectorService.epoch && size === this.vectorIndex.length) {
+            return;
+        }
+
+        console.log('[VectorizedMemoryRetrieval] 🔄 重新同步向量服务索引:', this.vectorIndex.length);
+        await this.vectorService.clear(this.SERVICE_COLLECTION);
+        const items = this.vectorIndex
+            .filter(entry => entry.vector)
+            .map(entry => ({ id: entry.id, vector: entry.vector }));
+        if (items.length > 0) {
+            await this.vectorService.upsert(this.SERVICE_COLLECTION, items);
+        }
+        this.serviceIndexState = { epoch: this.vectorService.epoch, size: this.vectorIndex.length };
+    }
+
     /**
      * 构建记忆索引
      */
@@ -1685,8 +1803,7 @@ export class VectorizedMemoryRetrieval {
             console.log('[VectorizedMemoryRetrieval] 🏗️ 开始构建记忆索引...');
 
             // 清空现有索引
-            this.vectorIndex = [];
-            this.memoryIndex.clear();
+            await this.resetIndex();
 
             // 🔧 修复：从DeepMemoryManager获取记忆
             const deepMemories = await this.getDeepMemories();
@@ -1815,8 +1932,7 @@ export class VectorizedMemoryRetrieval {
                     };
 
                     // 添加到索引
-                    this.vectorIndex.push(indexEntry);
-                    this.memoryIndex.set(indexEntry.id, indexEntry);
+                    await this.addToIndex(indexEntry);
 
                 } catch (error) {
                     console.warn('[VectorizedMemoryRetrieval] ⚠️ 索引单个记忆失败:', error);
@@ -1929,8 +2045,7 @@ export class VectorizedMemoryRetrieval {
                     };
 
                     // 添加到索引
-                    this.vectorIndex.push(indexEntry);
-                    this.memoryIndex.set(indexEntry.id, indexEntry);
+                    await this.addToIndex(indexEntry);
 
                 } catch (error) {
                     console.warn('[VectorizedMemoryRetrieval] ⚠️ 索引单个消息失败:', error);
@@ -2052,8 +2167,7 @@ export class VectorizedMemoryRetrieval {
             console.log('[VectorizedMemoryRetrieval] 🔄 处理聊天切换事件');
 
             // 清空当前索引
-            this.vectorIndex = [];
-            this.memoryIndex.clear();
+            await this.resetIndex();
 
             // 重新构建索引
             await this.buildMemoryIndex();
@@ -2108,8 +2222,7 @@ export class VectorizedMemoryRetrieval {
                 };
 
                 // 添加到索引
-                this.vectorIndex.push(indexEntry);
-                this.memoryIndex.set(indexEntry.id, indexEntry);
+                await this.addToIndex(indexEntry);
 
                 console.log(`[VectorizedMemoryRetrieval] ✅ 增量索引完成: ${memory.id}`);
                 console.log(`[VectorizedMemoryRetrieval] 📊 当前索引大小: ${this.vectorIndex.length}`);
@@ -2222,8 +2335,13 @@ export class VectorizedMemoryRetrieval {
                 deletedEntries.forEach(entry => {
                     const cacheKey = `${entry.type}_${entry.id}`;
                     this.vectorCache.delete(cacheKey);
+                    this.memoryIndex.delete(entry.id);
                 });
 
+                // 同步删除向量服务中的条目
+                await this.vectorService.remove(this.SERVICE_COLLECTION, deletedEntries.map(entry => entry.id));
+                this.serviceIndexState.size = this.vectorIndex.length;
+
                 console.log(`[VectorizedMemoryRetrieval] ✅ 已清理 ${deleteCount} 条旧数据`);
 
                 // 重新计算大小
@@ -2313,6 +2431,9 @@ export class VectorizedMemoryRetrieval {
             initialized: this.initialized,
             settings: this.settings,
             vectorEngine: this.settings.vectorEngine,
+            onnxEngine: this.vectorEngines.onnx?.getStatus() || null,
+            onnxInitError: this.onnxInitError,
+            vectorService: this.vectorService.getStatus(),
             cacheSize: this.vectorCache.size,
             indexSize: this.vectorIndex.length,
             stats: this.stats,
@@ -2484,32 +2605,26 @@ export class VectorizedMemoryRetrieval {
                 return [];
             }
 
-            // 计算与所有索引条目的相似度
-            const results = [];
-            for (const entry of this.vectorIndex) {
-                if (!entry.vector) continue;
-
-                const similarity = this.calculateCosineSimilarity(queryVector, entry.vector);
-
-                // 只保留相似度高于阈值的结果
-                if (similarity > 0.1) { // 降低阈值以获得更多结果
-                    results.push({
-                        memory: {
-                            id: entry.id,
-                            content: entry.content,
-                            type: entry.type,
-                            timestamp: entry.timestamp,
-                            metadata: entry.metadata
-                        },
-                        similarity: similarity
-                    });
-                }
-            }
+            // 🆕 在向量服务中计算相似度并取top-k（降低阈值以获得更多结果）
+            await this.ensureServiceIndex();
+            const matches = await this.vectorService.query(this.SERVICE_COLLECTION, queryVector, {
+                topK: maxResults,
+                threshold: 0.1
+            });
 
-            // 按相似度排序并限制结果数量
-            const sortedResults = results
-                .sort((a, b) => b.similarity - a.similarity)
-                .slice(0, maxResults);
+            const sortedResults = matches
+                .map(match => ({ entry: this.memoryIndex.get(match.id), similarity: match.score }))
+                .filter(result => result.entry)
+                .map(({ entry, similarity }) => ({
+                    memory: {
+                        id: entry.id,
+                        content: entry.content,
+                        type: entry.type,
+                        timestamp: entry.timestamp,
+                        metadata: entry.metadata
+                    },
+                    similarity: similarity
+                }));
 
             console.log(`[VectorizedMemoryRetrieval] ✅ 向量搜索完成，找到 ${sortedResults.length} 个结果`);
 
@@ -6,10 +6,14 @@
  * - 解析XML注释格式的面板数据
  * - 转换为结构化的JavaScript对象
  * - 验证数据完整性和格式正确性
+ * - 丢弃用户锁定的面板和字段
+ * - 按字段类型定义转换字段值
  *
  * @class XMLDataParser
  */
 
+import { FieldSchemaManager } from './FieldSchemaManager.js';
+
 export class XMLDataParser {
     constructor(eventSystem = null) {
         console.log('[XMLDataParser] 🔧 XML数据解析器初始化开始');
@@ -117,7 +121,8 @@ export class XMLDataParser {
                 const cacheKey = this.generateCacheKey(messageContent, messageId);
                 if (this.parsedMessageCache.has(cacheKey)) {
                     console.log('[XMLDataParser] 📋 使用缓存的解析结果:', messageId);
-                    return this.parsedMessageCache.get(cacheKey);
+                    // 缓存保存原始结果，锁定状态可能已变化，每次返回前重新过滤
+                    return this.dropLockedFields(this.parsedMessageCache.get(cacheKey));
                 }
             }
 
@@ -169,17 +174,20 @@ export class XMLDataParser {
                     this.cacheParseResult(cacheKey, parsedData);
                 }
 
+                // 🔒 丢弃锁定面板/字段的操作
+                const unlockedData = this.dropLockedFields(parsedData);
+
                 // 触发操作指令解析完成事件
                 if (this.eventSystem) {
                     this.eventSystem.emit('xml:operation:parsed', {
-                        operations: parsedData.__operations,
-                        metadata: parsedData.__metadata,
+                        operations: unlockedData.__operations,
+                        metadata: unlockedData.__metadata,
                         timestamp: Date.now(),
-                        operationCount: parsedData.__operations?.length || 0
+                        operationCount: unlockedData.__operations?.length || 0
                     });
                 }
 
-                return parsedData;
+                return unlockedData;
             }
 
             // 验证和清理数据（传统面板格式）
@@ -200,16 +208,19 @@ export class XMLDataParser {
                 this.cacheParseResult(cacheKey, fixedData);
             }
 
+            // 🔒 丢弃锁定的面板/字段
+            const unlockedData = this.dropLockedFields(fixedData);
+
             // 触发解析完成事件
             if (this.eventSystem) {
                 this.eventSystem.emit('xml:data:parsed', {
-                    data: fixedData,
+                    data: unlockedData,
                     timestamp: Date.now(),
-                    panelCount: Object.keys(fixedData).length
+                    panelCount: Object.keys(unlockedData).length
                 });
             }
 
-            return fixedData;
+            return unlockedData;
 
         } catch (error) {
             console.error('[XMLDataParser] ❌ 解析infobar_data失败:', error);
@@ -563,7 +574,7 @@ export class XMLDataParser {
                     }
 
                     // 解析面板字段
-                    const panelData = this.parseFieldData(panelDataStr);
+                    const panelData = this.parseFieldData(panelDataStr, panelName);
                     if (panelData && Object.keys(panelData).length > 0) {
                         result[panelName] = panelData;
                         console.log('[XMLDataParser] ✅ 解析面板:', panelName, '包含', Object.keys(panelData).length, '个字段');
@@ -698,7 +709,7 @@ export class XMLDataParser {
 
             // 解析数据参数（如果存在）
             if (dataParams && dataParams.trim()) {
-                operationData.data = this.parseOperationDataParameters(dataParams);
+                operationData.data = this.parseOperationDataParameters(dataParams, panelName);
 
                 // 🚨 新增：验证字段是否在允许的字段列表中
                 // 🔧 修复：validatePanelFields是异步方法，必须使用await
@@ -724,9 +735,10 @@ export class XMLDataParser {
     /**
      * 🚀 解析操作指令数据参数
      * @param {string} dataParams - 数据参数字符串
+     * @param {string} panelId - 面板ID（用于按列的类型定义转换值）
      * @returns {Object} 解析后的数据对象
      */
-    parseOperationDataParameters(dataParams) {
+    parseOperationDataParameters(dataParams, panelId = null) {
         try {
             const data = {};
 
@@ -748,7 +760,7 @@ export class XMLDataParser {
 
                     if (!isNaN(columnNumber) && valueStr !== undefined) {
                         // 🚨 修复：直接使用列号作为key，不添加前缀
-                        data[columnNumber.toString()] = valueStr;
+                        data[columnNumber.toString()] = this.coerceFieldValue(panelId, columnNumber.toString(), valueStr);
                         console.log(`[XMLDataParser] 📊 解析操作参数: 列${columnNumber} = "${valueStr}"`);
                     } else {
                         console.warn(`[XMLDataParser] ⚠️ 无效操作参数: "${parts[i]}" -> "${parts[i + 1]}"`);
@@ -827,9 +839,10 @@ export class XMLDataParser {
     /**
      * 解析字段数据
      * @param {string} fieldDataStr - 字段数据字符串
+     * @param {string} panelId - 面板ID（用于按字段类型定义转换值）
      * @returns {Object} 字段数据对象
      */
-    parseFieldData(fieldDataStr) {
+    parseFieldData(fieldDataStr, panelId = null) {
         try {
             const result = {};
 
@@ -839,14 +852,14 @@ export class XMLDataParser {
             console.log(`[XMLDataParser] 🔍 开始解析字段数据: ${fieldDataStr.substring(0, 100)}...`);
 
             // 使用状态机方式解析，处理嵌套引号
-            const fields = this.parseComplexFieldData(fieldDataStr);
+            const fields = this.parseComplexFieldData(fieldDataStr, panelId);
 
             // 处理解析结果
             Object.keys(fields).forEach(fieldName => {
                 const fieldValue = fields[fieldName];
                 if (fieldName && fieldValue !== undefined) {
                     result[fieldName] = fieldValue;
-                    console.log(`[XMLDataParser] 🔍 解析字段: ${fieldName} = "${fieldValue.substring(0, 50)}${fieldValue.length > 50 ? '...' : ''}"`);
+                    console.log(`[XMLDataParser] 🔍 解析字段: ${fieldName} = "${String(fieldValue).substring(0, 50)}${String(fieldValue).length > 50 ? '...' : ''}"`);
                 }
             });
 
@@ -862,9 +875,10 @@ export class XMLDataParser {
     /**
      * 解析复杂字段数据（处理嵌套引号）
      * @param {string} fieldDataStr - 字段数据字符串
+     * @param {string} panelId - 面板ID（用于按字段类型定义转换值）
      * @returns {Object} 解析结果
      */
-    parseComplexFieldData(fieldDataStr) {
+    parseComplexFieldData(fieldDataStr, panelId = null) {
         const result = {};
 
         console.log(`[XMLDataParser] 🔍 开始解析复杂字段数据: ${fieldDataStr.substring(0, 100)}...`);
@@ -905,14 +919,15 @@ export class XMLDataParser {
             }
 
             // 解析字段值（处理复杂嵌套）
-            const valueResult = this.parseFieldValue(fieldDataStr, i);
+            const fieldSchema = panelId ? FieldSchemaManager.getFieldSchema(panelId, fieldName) : null;
+            const valueResult = this.parseFieldValue(fieldDataStr, i, fieldSchema);
             const fieldValue = valueResult.value;
             i = valueResult.nextIndex;
 
             // 存储解析结果
             if (fieldName && fieldValue !== undefined) {
                 result[fieldName] = fieldValue;
-                console.log(`[XMLDataParser] 🔍 解析字段: ${fieldName} = "${fieldValue.substring(0, 50)}${fieldValue.length > 50 ? '...' : ''}"`);
+                console.log(`[XMLDataParser] 🔍 解析字段: ${fieldName} = "${String(fieldValue).substring(0, 50)}${String(fieldValue).length > 50 ? '...' : ''}"`);
             }
         }
 
@@ -924,9 +939,10 @@ export class XMLDataParser {
      * 解析字段值（处理复杂嵌套引号）
      * @param {string} str - 完整字符串
      * @param {number} startIndex - 开始位置（应该是引号位置）
-     * @returns {Object} {value: string, nextIndex: number}
+     * @param {Object} fieldSchema - 字段类型定义（可选，提供时按类型转换值）
+     * @returns {Object} {value: *, nextIndex: number}
      */
-    parseFieldValue(str, startIndex) {
+    parseFieldValue(str, startIndex, fieldSchema = null) {
         let i = startIndex;
 
         if (str[i] !== '"') {
@@ -962,9 +978,37 @@ export class XMLDataParser {
             }
         }
 
+        if (FieldSchemaManager.isTyped(fieldSchema)) {
+            const coerced = FieldSchemaManager.coerceValue(value, fieldSchema);
+            if (!coerced.valid) {
+                console.warn(`[XMLDataParser] ⚠️ 字段值与类型定义不符，保留原值: ${coerced.message}`);
+            }
+            return { value: coerced.value, nextIndex: i };
+        }
+
         return { value: value, nextIndex: i };
     }
 
+    /**
+     * 🆕 按面板字段的类型定义转换单个值
+     * @param {string} panelId - 面板ID
+     * @param {string} fieldKey - 字段键（列号、键名或显示名）
+     * @param {*} value - 原始值
+     * @returns {*} 转换后的值（无类型定义或无法转换时返回原值）
+     */
+    coerceFieldValue(panelId, fieldKey, value) {
+        if (!panelId) return value;
+
+        const fieldSchema = FieldSchemaManager.getFieldSchema(panelId, fieldKey);
+        if (!FieldSchemaManager.isTyped(fieldSchema)) return value;
+
+        const coerced = FieldSchemaManager.coerceValue(value, fieldSchema);
+        if (!coerced.valid) {
+            console.warn(`[XMLDataParser] ⚠️ ${panelId}.${fieldKey} 与类型定义不符，保留原值: ${coerced.message}`);
+        }
+        return coerced.value;
+    }
+
     /**
      * 处理嵌套引号
      * @param {string} value - 包含嵌套引号的值
@@ -1191,6 +1235,56 @@ export class XMLDataParser {
         }
     }
 
+    /**
+     * 🔒 丢弃用户锁定的面板和字段（锁定状态由数据核心根据面板配置解析）
+     * @param {Object} parsedData - 解析结果（面板格式或操作指令格式）
+     * @returns {Object} 过滤后的解析结果
+     */
+    dropLockedFields(parsedData) {
+        try {
+            const dataCore = window.SillyTavernInfobar?.modules?.dataCore;
+            if (!parsedData || typeof dataCore?.filterLockedFields !== 'function') {
+                return parsedData;
+            }
+
+            if (parsedData.__format === 'operation_commands') {
+                const operations = (parsedData.__operations || [])
+                    .filter(operation => {
+                        if (dataCore.getPanelLockState(operation.panel).panelLocked) {
+                            console.log(`[XMLDataParser] 🔒 面板已锁定，丢弃操作: ${operation.type} ${operation.panel}(${operation.row})`);
+                            return false;
+                        }
+                        return true;
+                    })
+                    .map(operation => operation.type === 'delete' ? operation : {
+                        ...operation,
+                        data: dataCore.filterLockedFields(operation.panel, operation.data || {}, { source: 'xml_parser' })
+                    })
+                    .filter(operation => operation.type === 'delete' || Object.keys(operation.data).length > 0);
+
+                return {
+                    ...parsedData,
+                    __operations: operations,
+                    __metadata: { ...parsedData.__metadata, operationCount: operations.length }
+                };
+            }
+
+            const result = {};
+            Object.entries(parsedData).forEach(([panelId, panelData]) => {
+                const filtered = dataCore.filterLockedFields(panelId, panelData, { source: 'xml_parser' });
+                if (filtered && typeof filtered === 'object' && Object.keys(filtered).length === 0) {
+                    return;
+                }
+                result[panelId] = filtered;
+            });
+            return result;
+
+        } catch (error) {
+            console.warn('[XMLDataParser] ⚠️ 锁定字段过滤失败，返回原数据:', error?.message);
+            return parsedData;
+        }
+    }
+
     /**
      * 验证和清理数据
      * @param {Object} data - 原始数据
@@ -1418,12 +1512,12 @@ export class XMLDataParser {
                         });
                         existingKeys.add(key);
                     } else {
-                        console.log(`[XMLDataParser] ⚠️ 跳过重复的自定义子项: ${key} (基础面板 ${englishPanelId} 已存在该键)`);
+                        console.log(`[XMLDataParser] ⚠️ 跳过重复的自定义子项: ${key} (面板 ${panelName} 已存在该键)`);
                     }
                 });
             }
 
-            console.log(`[XMLDataParser] 📊 面板 "${englishPanelId}" 启用字段统计: 基础设置=${enabledSubItems.length}, 自定义子项=${enabledCustomSubItems.length}, 总计=${allSubItems.length}`);
+            console.log(`[XMLDataParser] 📊 面板 "${panelName}" 启用字段统计: 基础设置=${enabledSubItems.length}, 自定义子项=${enabledCustomSubItems.length}, 总计=${allSubItems.length}`);
 
             return allSubItems;
 
@@ -1933,7 +2027,7 @@ export class XMLDataParser {
 
                     // 将字段名映射到英文（如果需要）
                     const mappedFieldName = this.mapChineseFieldToEnglish(fieldName);
-                    currentPanelData[mappedFieldName] = fieldValue;
+                    currentPanelData[mappedFieldName] = this.coerceFieldValue(currentPanel, fieldName, fieldValue);
                     console.log(`[XMLDataParser] 📝 解析字段: ${fieldName} (${mappedFieldName}) = ${fieldValue}`);
                 }
             }
@@ -34,6 +34,7 @@ import { AIMemoryDatabaseInjector } from './core/AIMemoryDatabaseInjector.js';
 import { ContentFilterManager } from './core/ContentFilterManager.js';
 import { MessageFilterHook } from './core/MessageFilterHook.js';
 import { PresetPanelsManager } from './core/PresetPanelsManager.js';
+import { FieldSchemaManager } from './core/FieldSchemaManager.js';
 import { DataMigrationTool } from './core/DataMigrationTool.js'; // 🆕 数据迁移工具
 
 // 导入UI组件
@@ -44,6 +45,12 @@ import { SummaryManager } from './core/SummaryManager.js';
 import { AIMemorySummarizer } from './core/AIMemorySummarizer.js';
 import { VectorizedMemoryRetrieval } from './core/VectorizedMemoryRetrieval.js';
 import { DeepMemoryManager } from './core/DeepMemoryManager.js';
+import { MemoryKeywordIndex } from './core/MemoryKeywordIndex.js';
+import { DeepMemoryStore } from './core/DeepMemoryStore.js';
+import { MemoryRetrievalLog } from './core/MemoryRetrievalLog.js';
+import { RetrievalTraceRecorder } from './core/RetrievalTraceRecorder.js';
+import { PromptBudgetManager } from './core/PromptBudgetManager.js';
+import { RetrievalEvaluationHarness } from './core/RetrievalEvaluationHarness.js';
 import { AIMemoryDatabase } from './core/AIMemoryDatabase.js';
 import { IntelligentMemoryClassifier } from './core/IntelligentMemoryClassifier.js';
 import { MemoryMaintenanceSystem } from './core/MemoryMaintenanceSystem.js';
@@ -57,6 +64,9 @@ import { SillyTavernIntegration } from './core/SillyTavernIntegration.js';
 import { FrontendDisplayManager } from './ui/FrontendDisplayManager.js';
 import { RegexScriptManager } from './core/RegexScriptManager.js';
 import { RegexScriptPanel } from './ui/RegexScriptPanel.js';
+import { MemoryInspectorPanel } from './ui/MemoryInspectorPanel.js';
+import { RetrievalTracePanel } from './ui/RetrievalTracePanel.js';
+import { RelationshipGraphPanel } from './ui/RelationshipGraphPanel.js';
 import { PlotOptimizationSystem } from './core/PlotOptimizationSystem.js';
 import { NovelAnalyzer } from './core/NovelAnalyzer.js';
 import { AuthorStyleManager } from './core/AuthorStyleManager.js'; // 🆕 作家文风管理器
@@ -64,6 +74,8 @@ import { CorpusRetrieval } from './core/CorpusRetrieval.js';
 import { VectorizedSummaryManager } from './core/VectorizedSummaryManager.js';
 import { UnifiedVectorRetrieval } from './core/UnifiedVectorRetrieval.js';
 import { MultiRecallReranker } from './core/MultiRecallReranker.js'; // 🆕 多路召回+重排序
+import { SlashCommandManager } from './core/SlashCommandManager.js'; // 🆕 斜杠命令
+import { PromptMacroManager } from './core/PromptMacroManager.js'; // 🆕 提示词宏
 
 // 🔧 修复：初始化控制台门禁，默认禁用日志收集，避免在配置加载前收集日志
 (function bootstrapInfobarConsoleGate() {
@@ -157,6 +169,8 @@ class InformationBarIntegrationTool {
         this.contentFilterManager = null;
         this.messageFilterHook = null;
         this.plotOptimizationSystem = null;
+        this.slashCommandManager = null;
+        this.promptMacroManager = null;
 
         // UI组件
         this.infoBarSettings = null;
@@ -481,12 +495,73 @@ class InformationBarIntegrationTool {
         // 🔍 设置向量化记忆检索系统到总结管理器
         this.summaryManager.setVectorizedMemoryRetrieval(this.vectorizedMemoryRetrieval);
 
+        // 🆕 新增：注册斜杠命令（/ib-get、/ib-set、/ib-summary等）
+        this.slashCommandManager = new SlashCommandManager({
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem,
+            dataSnapshotManager: this.dataSnapshotManager,
+            summaryManager: this.summaryManager,
+            npcDatabaseManager: this.npcDatabaseManager
+        });
+        await this.slashCommandManager.init();
+
+        // 🆕 新增：注册提示词宏（{{ib::panel.field}}、{{ib_panel::x}}、{{ib_npc::Name.field}}）
+        this.promptMacroManager = new PromptMacroManager({
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem,
+            htmlTemplateParser: this.htmlTemplateParser,
+            npcDatabaseManager: this.npcDatabaseManager
+        });
+        await this.promptMacroManager.init();
+
+        // 🔍 新增：初始化共享的记忆关键词索引（BM25，深度记忆/AI记忆数据库/多路召回共用）
+        this.memoryKeywordIndex = new MemoryKeywordIndex({
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem
+        });
+        await this.memoryKeywordIndex.init();
+
+        // 💾 新增：初始化深度记忆IndexedDB存储（按聊天存储，替代settings中的整层数据）
+        this.deepMemoryStore = new DeepMemoryStore({
+            eventSystem: this.eventSystem
+        });
+        await this.deepMemoryStore.init();
+
+        // 🔍 新增：初始化记忆检索日志（记录最近检索使用了哪些记忆）
+        this.memoryRetrievalLog = new MemoryRetrievalLog({
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem
+        });
+        await this.memoryRetrievalLog.init();
+
+        // 🧭 新增：初始化检索追踪记录器（检索解释模式）
+        this.retrievalTraceRecorder = new RetrievalTraceRecorder({
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem
+        });
+        await this.retrievalTraceRecorder.init();
+
+        // 🧮 新增：初始化提示词Token预算管理器（各注入模块共享的提示词预算）
+        this.promptBudgetManager = new PromptBudgetManager({
+            eventSystem: this.eventSystem
+        });
+        await this.promptBudgetManager.init();
+
+        // 🧪 新增：初始化离线检索评测工具
+        this.retrievalEvaluationHarness = new RetrievalEvaluationHarness({
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem
+        });
+        await this.retrievalEvaluationHarness.init();
+
         // 🧠 新增：初始化深度记忆管理器
         this.deepMemoryManager = new DeepMemoryManager(
             this.dataCore,
             this.eventSystem,
             this.aiMemorySummarizer,
-            this.vectorizedMemoryRetrieval
+            this.vectorizedMemoryRetrieval,
+            this.memoryKeywordIndex,
+            this.deepMemoryStore
         );
         await this.deepMemoryManager.init();
 
@@ -499,7 +574,8 @@ class InformationBarIntegrationTool {
             unifiedDataCore: this.dataCore,
             eventSystem: this.eventSystem,
             deepMemoryManager: this.deepMemoryManager,
-            aiMemorySummarizer: this.aiMemorySummarizer
+            aiMemorySummarizer: this.aiMemorySummarizer,
+            keywordIndex: this.memoryKeywordIndex
         });
         await this.aiMemoryDatabase.init();
         console.log('[InfoBarTool] ✅✅✅ AI记忆数据库初始化完成 ✅✅✅');
@@ -578,6 +654,29 @@ class InformationBarIntegrationTool {
         );
         await this.timeAwareMemoryManager.init();
 
+        // 🔬 新增：初始化记忆检查器
+        this.memoryInspectorPanel = new MemoryInspectorPanel({
+            deepMemoryManager: this.deepMemoryManager,
+            aiMemoryDatabase: this.aiMemoryDatabase,
+            knowledgeGraphManager: this.knowledgeGraphManager,
+            timeAwareMemoryManager: this.timeAwareMemoryManager,
+            memoryRetrievalLog: this.memoryRetrievalLog,
+            eventSystem: this.eventSystem
+        });
+
+        // 🧭 新增：初始化检索解释面板
+        this.retrievalTracePanel = new RetrievalTracePanel({
+            retrievalTraceRecorder: this.retrievalTraceRecorder,
+            eventSystem: this.eventSystem
+        });
+
+        // 🕸️ 新增：初始化人物关系图谱面板
+        this.relationshipGraphPanel = new RelationshipGraphPanel({
+            knowledgeGraphManager: this.knowledgeGraphManager,
+            npcDatabaseManager: this.npcDatabaseManager,
+            eventSystem: this.eventSystem
+        });
+
         // 🔗 新增：初始化SillyTavern深度集成
         this.sillyTavernIntegration = new SillyTavernIntegration({
             unifiedDataCore: this.dataCore,
@@ -655,7 +754,9 @@ class InformationBarIntegrationTool {
             corpusRetrieval: this.corpusRetrieval,
             vectorizedMemoryRetrieval: this.vectorizedMemoryRetrieval,
             aiMemoryDatabase: this.aiMemoryDatabase,
-            unifiedDataCore: this.dataCore
+            unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem,
+            keywordIndex: this.memoryKeywordIndex
         });
         console.log('[InfoBarTool] ✅ 多路召回+重排序系统初始化完成');
 
@@ -665,6 +766,7 @@ class InformationBarIntegrationTool {
             vectorizedMemoryRetrieval: this.vectorizedMemoryRetrieval,
             aiMemoryDatabase: this.aiMemoryDatabase,
             unifiedDataCore: this.dataCore,
+            eventSystem: this.eventSystem,
             multiRecallReranker: this.multiRecallReranker // 🆕 注入多路召回系统
         });
         console.log('[InfoBarTool] ✅ 统一向量检索管理器初始化完成');
@@ -707,6 +809,16 @@ class InformationBarIntegrationTool {
             aiMemorySummarizer: this.aiMemorySummarizer,
             vectorizedMemoryRetrieval: this.vectorizedMemoryRetrieval,
             deepMemoryManager: this.deepMemoryManager,
+            deepMemoryStore: this.deepMemoryStore, // 💾 深度记忆IndexedDB存储
+            memoryKeywordIndex: this.memoryKeywordIndex, // 🔍 共享BM25关键词索引
+            memoryRetrievalLog: this.memoryRetrievalLog, // 🔍 记忆检索日志
+            memoryInspectorPanel: this.memoryInspectorPanel, // 🔬 记忆检查器
+            retrievalTraceRecorder: this.retrievalTraceRecorder, // 🧭 检索追踪记录器
+            retrievalTracePanel: this.retrievalTracePanel, // 🧭 检索解释面板
+            relationshipGraphPanel: this.relationshipGraphPanel, // 🕸️ 人物关系图谱面板
+            promptBudgetManager: this.promptBudgetManager, // 🧮 提示词Token预算管理器
+            retrievalEvaluationHarness: this.retrievalEvaluationHarness, // 🧪 离线检索评测工具
+            vectorService: this.vectorizedMemoryRetrieval?.vectorService, // 🧮 向量服务（Worker）
             aiMemoryDatabase: this.aiMemoryDatabase, // 🗄️ AI记忆数据库
             vectorAPI: this.vectorizedMemoryRetrieval?.vectorAPI, // 🔧 修复：暴露VectorAPIAdapter
             customVectorAPI: this.vectorizedMemoryRetrieval?.customVectorAPI, // 🔧 修复：暴露CustomVectorAPIAdapter
@@ -717,11 +829,14 @@ class InformationBarIntegrationTool {
             multiRecallReranker: this.multiRecallReranker, // 🎯 多路召回+重排序
             fieldRuleManager: this.fieldRuleManager,
             presetPanelsManager: PresetPanelsManager, // 🔧 新增：预设面板管理器（静态类）
+            fieldSchemaManager: FieldSchemaManager, // 🆕 字段类型定义管理器（静态类）
             panelRuleManager: this.panelRuleManager,
             htmlTemplateParser: this.htmlTemplateParser,
             aiTemplateAssistant: this.aiTemplateAssistant,
             templateManager: this.templateManager,
             npcDatabaseManager: this.npcDatabaseManager,
+            slashCommandManager: this.slashCommandManager, // 🆕 斜杠命令
+            promptMacroManager: this.promptMacroManager, // 🆕 提示词宏
             dataMigrationTool: this.dataMigrationTool, // 🆕 数据迁移工具
             plotOptimizationSystem: this.plotOptimizationSystem, // 📖 剧情优化系统
             novelAnalyzer: this.novelAnalyzer, // 📚 小说分析器
@@ -1108,6 +1223,16 @@ class InformationBarIntegrationTool {
                 aiMemorySummarizer: this.aiMemorySummarizer,
                 vectorizedMemoryRetrieval: this.vectorizedMemoryRetrieval,
                 deepMemoryManager: this.deepMemoryManager,
+                deepMemoryStore: this.deepMemoryStore, // 💾 深度记忆IndexedDB存储
+                memoryKeywordIndex: this.memoryKeywordIndex, // 🔍 共享BM25关键词索引
+                memoryRetrievalLog: this.memoryRetrievalLog, // 🔍 记忆检索日志
+                memoryInspectorPanel: this.memoryInspectorPanel, // 🔬 记忆检查器
+                retrievalTraceRecorder: this.retrievalTraceRecorder, // 🧭 检索追踪记录器
+                retrievalTracePanel: this.retrievalTracePanel, // 🧭 检索解释面板
+                relationshipGraphPanel: this.relationshipGraphPanel, // 🕸️ 人物关系图谱面板
+                promptBudgetManager: this.promptBudgetManager, // 🧮 提示词Token预算管理器
+                retrievalEvaluationHarness: this.retrievalEvaluationHarness, // 🧪 离线检索评测工具
+                vectorService: this.vectorizedMemoryRetrieval?.vectorService, // 🧮 向量服务（Worker）
                 aiMemoryDatabase: this.aiMemoryDatabase, // 🗄️ 新增：AI记忆数据库
                 intelligentMemoryClassifier: this.intelligentMemoryClassifier,
                 memoryMaintenanceSystem: this.memoryMaintenanceSystem, // 🔧 新增：记忆自动维护系统
@@ -1125,6 +1250,8 @@ class InformationBarIntegrationTool {
                 templateManager: this.templateManager,
                 variableSystemPrompt: this.variableSystemPrompt,
                 npcDatabaseManager: this.npcDatabaseManager,
+                slashCommandManager: this.slashCommandManager, // 🆕 新增：斜杠命令管理器
+                promptMacroManager: this.promptMacroManager, // 🆕 新增：提示词宏管理器
                 worldBookManager: this.worldBookManager,
                 worldBookConfigPanel: this.worldBookConfigPanel,
                 regexScriptManager: this.regexScriptManager, // 🆕 新增：正则表达式脚本管理器
@@ -1209,6 +1336,8 @@ Object.assign(window.SillyTavernInfobar, {
     eventSource: informationBarTool.eventSystem,
     // 🔧 新增：暴露PresetPanelsManager供UI使用
     PresetPanelsManager: PresetPanelsManager,
+    // 🆕 暴露FieldSchemaManager供UI和模板使用
+    FieldSchemaManager: FieldSchemaManager,
     // 🔧 保留 runtimeLogs 数组
     runtimeLogs: existingRuntimeLogs || window.SillyTavernInfobar.runtimeLogs || []
 });
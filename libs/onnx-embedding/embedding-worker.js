@@ -0,0 +1,365 @@
+/**
+ * 本地ONNX句向量模型 Web Worker
+ *
+ * 在Worker线程中加载本地扩展目录里的句向量模型并计算嵌入，不阻塞页面：
+ * - 推理使用 onnxruntime-web（runtime/ort.min.js 及其 wasm 文件）
+ * - 分词器读取模型目录下的 tokenizer.json（HuggingFace tokenizers 格式），支持 WordPiece 和 Unigram 两种模型
+ * - 输出做注意力掩码加权的平均池化并L2归一化；模型已输出句向量时直接归一化
+ *
+ * 消息协议：
+ * - { id, type: 'init', payload: { modelDir, modelFile, runtimeDir, maxLength } } → { id, type: 'ready', result: { dimensions, maxLength } }
+ * - { id, type: 'embed', payload: { texts } } → { id, type: 'result', result: [Float32Array] }
+ * - 出错时 → { id, type: 'error', error }
+ */
+
+/* global ort, importScripts */
+
+let session = null;
+let tokenizer = null;
+const BATCH_SIZE = 16;
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data || {};
+
+    try {
+        if (type === 'init') {
+            const result = await initialize(payload || {});
+            self.postMessage({ id, type: 'ready', result });
+        } else if (type === 'embed') {
+            const vectors = await embed(payload?.texts || []);
+            self.postMessage({ id, type: 'result', result: vectors }, vectors.map(vector => vector.buffer));
+        } else {
+            throw new Error(`未知的消息类型: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error?.message || String(error) });
+    }
+};
+
+/**
+ * 加载运行时、分词器和模型
+ */
+async function initialize({ modelDir, modelFile, runtimeDir, maxLength = 256 }) {
+    const modelBase = new URL(modelDir, self.location.href).href;
+    const runtimeBase = new URL(runtimeDir, self.location.href).href;
+
+    if (typeof ort === 'undefined') {
+        try {
+            importScripts(`${runtimeBase}ort.min.js`);
+        } catch (error) {
+            throw new Error(`缺少运行时文件: ${runtimeBase}ort.min.js`);
+        }
+    }
+    ort.env.wasm.wasmPaths = runtimeBase;
+    ort.env.wasm.numThreads = self.crossOriginIsolated ? Math.min(4, navigator.hardwareConcurrency || 1) : 1;
+
+    const tokenizerResponse = await fetch(`${modelBase}tokenizer.json`);
+    if (!tokenizerResponse.ok) {
+        throw new Error(`缺少分词器文件: ${modelBase}tokenizer.json (${tokenizerResponse.status})`);
+    }
+    tokenizer = new Tokenizer(await tokenizerResponse.json(), maxLength);
+
+    const modelResponse = await fetch(`${modelBase}${modelFile}`);
+    if (!modelResponse.ok) {
+        throw new Error(`缺少模型文件: ${modelBase}${modelFile} (${modelResponse.status})`);
+    }
+    session = await ort.InferenceSession.create(new Uint8Array(await modelResponse.arrayBuffer()), {
+        executionProviders: ['wasm'],
+        graphOptimizationLevel: 'all'
+    });
+
+    // 试算一次得到向量维度
+    const [probe] = await embed(['test']);
+
+    return {
+        dimensions: probe.length,
+        maxLength: tokenizer.maxLength
+    };
+}
+
+/**
+ * 批量计算嵌入
+ * @param {Array<string>} texts
+ * @returns {Promise<Array<Float32Array>>}
+ */
+async function embed(texts) {
+    if (!session || !tokenizer) {
+        throw new Error('模型尚未加载');
+    }
+
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+        vectors.push(...await embedBatch(texts.slice(start, start + BATCH_SIZE)));
+    }
+    return vectors;
+}
+
+async function embedBatch(texts) {
+    const encoded = texts.map(text => tokenizer.encode(String(text || '')));
+    const batchSize = encoded.length;
+    const sequenceLength = Math.max(...encoded.map(ids => ids.length));
+
+    const inputIds = new BigInt64Array(batchSize * sequenceLength).fill(BigInt(tokenizer.padId));
+    const attentionMask = new BigInt64Array(batchSize * sequenceLength);
+    encoded.forEach((ids, row) => {
+        ids.forEach((tokenId, column) => {
+            inputIds[row * sequenceLength + column] = BigInt(tokenId);
+            attentionMask[row * sequenceLength + column] = 1n;
+        });
+    });
+
+    const dims = [batchSize, sequenceLength];
+    const available = {
+        input_ids: new ort.Tensor('int64', inputIds, dims),
+        attention_mask: new ort.Tensor('int64', attentionMask, dims),
+        token_type_ids: new ort.Tensor('int64', new BigInt64Array(batchSize * sequenceLength), dims)
+    };
+    const feeds = {};
+    session.inputNames.forEach(name => {
+        if (available[name]) feeds[name] = available[name];
+    });
+
+    const outputs = await session.run(feeds);
+    const output = outputs.sentence_embedding || outputs.last_hidden_state || outputs.token_embeddings || outputs[session.outputNames[0]];
+    const data = output.data;
+
+    // 模型直接输出句向量 [batch, hidden]
+    if (output.dims.length === 2) {
+        const hidden = output.dims[1];
+        return encoded.map((ids, row) => normalize(Float32Array.from(data.subarray(row * hidden, (row + 1) * hidden))));
+    }
+
+    // 平均池化 [batch, sequence, hidden]
+    const hidden = output.dims[2];
+    return encoded.map((ids, row) => {
+        const vector = new Float32Array(hidden);
+        for (let position = 0; position < ids.length; position++) {
+            const offset = (row * sequenceLength + position) * hidden;
+            for (let i = 0; i < hidden; i++) {
+                vector[i] += data[offset + i];
+            }
+        }
+        for (let i = 0; i < hidden; i++) {
+            vector[i] /= ids.length;
+        }
+        return normalize(vector);
+    });
+}
+
+function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) {
+        vector[i] /= norm;
+    }
+    return vector;
+}
+
+/**
+ * tokenizer.json 分词器（WordPiece / Unigram）
+ */
+class Tokenizer {
+    constructor(json, maxLength) {
+        this.type = json.model?.type;
+        this.normalizer = json.normalizer || null;
+        this.maxLength = Math.min(maxLength, json.truncation?.max_length || maxLength);
+
+        const addedTokens = new Map((json.added_tokens || []).map(token => [token.content, token.id]));
+
+        if (this.type === 'WordPiece') {
+            this.vocab = new Map(Object.entries(json.model.vocab));
+            this.unkId = this.vocab.get(json.model.unk_token) ?? 0;
+            this.subwordPrefix = json.model.continuing_subword_prefix ?? '##';
+            this.maxInputChars = json.model.max_input_chars_per_word || 100;
+        } else if (this.type === 'Unigram') {
+            this.pieces = new Map();
+            this.maxPieceLength = 1;
+            let minScore = 0;
+            json.model.vocab.forEach(([piece, score], index) => {
+                this.pieces.set(piece, { id: index, score });
+                this.maxPieceLength = Math.max(this.maxPieceLength, Array.from(piece).length);
+                minScore = Math.min(minScore, score);
+            });
+            this.unkId = json.model.unk_id ?? 0;
+            this.unkScore = minScore - 10;
+        } else {
+            throw new Error(`不支持的分词模型: ${this.type}`);
+        }
+
+        this.padId = json.padding?.pad_id ?? addedTokens.get('[PAD]') ?? addedTokens.get('<pad>') ?? 0;
+
+        const { prefix, suffix } = this.resolveSpecialTokens(json.post_processor);
+        this.prefix = prefix;
+        this.suffix = suffix;
+    }
+
+    /**
+     * 从后处理器读取句首/句尾特殊token
+     */
+    resolveSpecialTokens(processor) {
+        if (!processor) return { prefix: [], suffix: [] };
+
+        if (processor.type === 'Sequence') {
+            for (const inner of processor.processors || []) {
+                const resolved = this.resolveSpecialTokens(inner);
+                if (resolved.prefix.length > 0 || resolved.suffix.length > 0) return resolved;
+            }
+            return { prefix: [], suffix: [] };
+        }
+
+        if (processor.type === 'BertProcessing' || processor.type === 'RobertaProcessing') {
+            return { prefix: [processor.cls[1]], suffix: [processor.sep[1]] };
+        }
+
+        if (processor.type === 'TemplateProcessing') {
+            const prefix = [];
+            const suffix = [];
+            let afterSequence = false;
+            for (const item of processor.single || []) {
+                if (item.Sequence) {
+                    afterSequence = true;
+                } else if (item.SpecialToken) {
+                    const ids = processor.special_tokens?.[item.SpecialToken.id]?.ids || [];
+                    (afterSequence ? suffix : prefix).push(...ids);
+                }
+            }
+            return { prefix, suffix };
+        }
+
+        return { prefix: [], suffix: [] };
+    }
+
+    encode(text) {
+        const normalized = this.applyNormalizer(text, this.normalizer);
+        const ids = this.type === 'WordPiece' ? this.encodeWordPiece(normalized) : this.encodeUnigram(normalized);
+        const room = Math.max(0, this.maxLength - this.prefix.length - this.suffix.length);
+        return [...this.prefix, ...ids.slice(0, room), ...this.suffix];
+    }
+
+    applyNormalizer(text, normalizer) {
+        if (!normalizer) return text;
+
+        switch (normalizer.type) {
+            case 'Sequence':
+                return (normalizer.normalizers || []).reduce((result, inner) => this.applyNormalizer(result, inner), text);
+            case 'BertNormalizer': {
+                let result = text;
+                if (normalizer.clean_text !== false) {
+                    result = result.replace(/[\u0000\uFFFD]|[\u0001-\u001F\u007F]/g, char => /\s/.test(char) ? ' ' : '');
+                }
+                if (normalizer.handle_chinese_chars !== false) {
+                    result = result.replace(/[㐀-䶿一-鿿豈-﫿]/g, char => ` ${char} `);
+                }
+                const lowercase = normalizer.lowercase !== false;
+                if (normalizer.strip_accents ?? lowercase) {
+                    result = result.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                }
+                return lowercase ? result.toLowerCase() : result;
+            }
+            case 'Lowercase':
+                return text.toLowerCase();
+            case 'StripAccents':
+                return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            case 'NFC':
+            case 'NFD':
+            case 'NFKC':
+            case 'NFKD':
+                return text.normalize(normalizer.type);
+            case 'Precompiled':
+                // SentencePiece的预编译规则近似为NFKC
+                return text.normalize('NFKC');
+            case 'Replace':
+                return normalizer.pattern?.String !== undefined
+                    ? text.split(normalizer.pattern.String).join(normalizer.content)
+                    : text;
+            default:
+                return text;
+        }
+    }
+
+    encodeWordPiece(text) {
+        const words = text.split(/\s+/)
+            .flatMap(word => word.split(/([\p{P}\p{S}])/u))
+            .filter(Boolean);
+
+        const ids = [];
+        for (const word of words) {
+            const chars = Array.from(word);
+            if (chars.length > this.maxInputChars) {
+                ids.push(this.unkId);
+                continue;
+            }
+
+            const wordIds = [];
+            let start = 0;
+            while (start < chars.length) {
+                let end = chars.length;
+                let matched = null;
+                while (start < end) {
+                    const piece = (start > 0 ? this.subwordPrefix : '') + chars.slice(start, end).join('');
+                    if (this.vocab.has(piece)) {
+                        matched = this.vocab.get(piece);
+                        break;
+                    }
+                    end--;
+                }
+                if (matched === null) {
+                    wordIds.length = 0;
+                    wordIds.push(this.unkId);
+                    break;
+                }
+                wordIds.push(matched);
+                start = end;
+            }
+            ids.push(...wordIds);
+        }
+        return ids;
+    }
+
+    encodeUnigram(text) {
+        const ids = [];
+        const words = text.trim().split(/\s+/).filter(Boolean);
+
+        for (const word of words) {
+            const chars = Array.from(`▁${word}`);
+            const best = Array.from({ length: chars.length + 1 }, () => ({ score: -Infinity, start: -1, id: -1 }));
+            best[0].score = 0;
+
+            for (let start = 0; start < chars.length; start++) {
+                if (best[start].score === -Infinity) continue;
+
+                let hasSingle = false;
+                const limit = Math.min(this.maxPieceLength, chars.length - start);
+                for (let length = 1; length <= limit; length++) {
+                    const piece = this.pieces.get(chars.slice(start, start + length).join(''));
+                    if (!piece) continue;
+                    if (length === 1) hasSingle = true;
+
+                    const score = best[start].score + piece.score;
+                    if (score > best[start + length].score) {
+                        best[start + length] = { score, start, id: piece.id };
+                    }
+                }
+
+                if (!hasSingle) {
+                    const score = best[start].score + this.unkScore;
+                    if (score > best[start + 1].score) {
+                        best[start + 1] = { score, start, id: this.unkId };
+                    }
+                }
+            }
+
+            const wordIds = [];
+            for (let end = chars.length; end > 0; end = best[end].start) {
+                // 连续的未知字符合并为一个unk
+                if (best[end].id === this.unkId && wordIds[0] === this.unkId) continue;
+                wordIds.unshift(best[end].id);
+            }
+            ids.push(...wordIds);
+        }
+        return ids;
+    }
+}
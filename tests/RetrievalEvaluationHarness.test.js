@@ -0,0 +1,51 @@
+/**
+ * RetrievalEvaluationHarness 离线评测可复现性测试
+ *
+ * 运行：node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+globalThis.window = globalThis;
+
+// 轻量版Transformers是普通脚本，加载后挂到 window.Transformers
+createRequire(import.meta.url)('../libs/transformers/transformers-lite.js');
+
+const { RetrievalEvaluationHarness } = await import('../core/RetrievalEvaluationHarness.js');
+
+const fixtureDir = new URL('./fixtures/retrieval-evaluation/', import.meta.url);
+const dump = readFileSync(new URL('memory-dump.json', fixtureDir), 'utf8');
+const queries = readFileSync(new URL('queries.json', fixtureDir), 'utf8');
+
+async function evaluate() {
+    const harness = new RetrievalEvaluationHarness({ transformers: window.Transformers });
+    return await harness.run({ dump, queries });
+}
+
+test('同一快照和查询集多次评测的召回率一致', async () => {
+    const first = await evaluate();
+    const second = await evaluate();
+
+    assert.equal(first.queries, 6);
+    assert.equal(first.runs.length, 3);
+    assert.deepEqual(
+        second.runs.map(run => ({ pipeline: run.pipeline, metrics: run.metrics })),
+        first.runs.map(run => ({ pipeline: run.pipeline, metrics: run.metrics }))
+    );
+    assert.deepEqual(
+        second.runs.map(run => run.queries.map(result => result.ranking)),
+        first.runs.map(run => run.queries.map(result => result.ranking))
+    );
+});
+
+test('各管线在标注查询集上都能召回相关记忆且没有失败的查询', async () => {
+    const report = await evaluate();
+
+    for (const run of report.runs) {
+        assert.equal(run.failed, 0, `${run.pipeline} 有失败的查询`);
+        assert.ok(run.metrics.recall[10] > 0, `${run.pipeline} 的 R@10 为 0`);
+    }
+});
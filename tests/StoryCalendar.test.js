@@ -0,0 +1,89 @@
+/**
+ * StoryCalendar 解析测试
+ *
+ * 运行：node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StoryCalendar } from '../core/StoryCalendar.js';
+
+const calendar = new StoryCalendar();
+const DAY_MS = 86400000;
+
+const dateOf = ({ components }) => [components.year, components.month, components.day];
+
+test('绝对日期与时刻', () => {
+    const result = calendar.parse('1024年3月17日 下午3点');
+
+    assert.deepEqual(dateOf(result), [1024, 3, 17]);
+    assert.equal(result.components.hour, 15);
+});
+
+test('"三日后" 从参照日期顺延而不是读作当月3日', () => {
+    const reference = calendar.parse('1024年3月17日 下午3点');
+    const result = calendar.parse('三日后', reference);
+
+    assert.deepEqual(dateOf(result), [1024, 3, 20]);
+    assert.equal(result.components.hour, 15);
+    assert.equal(result.timestamp - reference.timestamp, 3 * DAY_MS);
+});
+
+test('"2天之后 傍晚" 顺延并使用给出的时段', () => {
+    const reference = calendar.parse('1024-03-17 09:00');
+    const result = calendar.parse('2天之后 傍晚', reference);
+
+    assert.deepEqual(dateOf(result), [1024, 3, 19]);
+    assert.equal(result.components.hour, 18);
+});
+
+test('"N日前" 不被读作日期，时钟不倒退', () => {
+    const reference = calendar.parse('1024年3月17日 下午3点');
+    const result = calendar.parse('三日前 上午', reference);
+
+    assert.ok(result.timestamp >= reference.timestamp);
+});
+
+test('带日期的参照之后出现 "第N天" 不重置到公元1年', () => {
+    const reference = calendar.parse('1024年3月17日 下午3点');
+    const result = calendar.parse('第12天 傍晚', reference);
+
+    assert.deepEqual(dateOf(result), [1024, 3, 17]);
+    assert.equal(result.components.dayNumber, 12);
+    assert.ok(result.timestamp >= reference.timestamp);
+
+    const next = calendar.parse('第13天 上午', result);
+    assert.deepEqual(dateOf(next), [1024, 3, 18]);
+    assert.equal(next.components.dayNumber, 13);
+});
+
+test('"第N天" 同一天内更早的时段不会让时钟倒退', () => {
+    const reference = calendar.parse('第3天 傍晚');
+    const result = calendar.parse('第3天 上午', reference);
+
+    assert.equal(result.timestamp, reference.timestamp);
+});
+
+test('只给出更早的时刻视为第二天', () => {
+    const reference = calendar.parse('1024年3月17日 22:00');
+    const result = calendar.parse('早上', reference);
+
+    assert.deepEqual(dateOf(result), [1024, 3, 18]);
+    assert.equal(result.components.hour, 8);
+});
+
+test('明确的更早日期仍然生效', () => {
+    const reference = calendar.parse('1024年3月17日');
+    const result = calendar.parse('1024年3月3日', reference);
+
+    assert.deepEqual(dateOf(result), [1024, 3, 3]);
+});
+
+test('无参照时 "第N天" 从故事纪元起算', () => {
+    const first = calendar.parse('第1天');
+    const third = calendar.parse('第3天');
+
+    assert.deepEqual(dateOf(first), [1, 1, 1]);
+    assert.equal(third.timestamp - first.timestamp, 2 * DAY_MS);
+});
@@ -0,0 +1,86 @@
+/**
+ * TimeAwareMemoryManager 故事时钟测试
+ *
+ * 运行：node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = globalThis;
+
+const { XMLDataParser } = await import('../core/XMLDataParser.js');
+const { TimeAwareMemoryManager } = await import('../core/TimeAwareMemoryManager.js');
+
+// 世界状态面板：启用字段顺序为 世界名称(1)、时间设定(2)、地理环境(3)
+window.SillyTavern = {
+    getContext: () => ({
+        extensionSettings: {
+            'Information bar integration tool': {
+                customPanels: {
+                    world: {
+                        enabled: true,
+                        subItems: [
+                            { name: '世界名称', key: '世界名称', enabled: true },
+                            { name: '主题设定', key: '主题设定', enabled: false },
+                            { name: '时间设定', key: 'time', enabled: true },
+                            { name: '地理环境', key: '地理环境', enabled: true }
+                        ]
+                    }
+                }
+            }
+        }
+    })
+};
+window.SillyTavernInfobar = { modules: { xmlDataParser: new XMLDataParser() } };
+
+function createManager() {
+    const manager = new TimeAwareMemoryManager(null, null, null);
+    manager.settings.enabled = true;
+    manager.currentChatId = 'chat-1';
+    manager.timelines.set('chat-1', { storyClock: null });
+    manager.saveTimeline = async () => {};
+    return manager;
+}
+
+test('操作指令写入的世界状态行按列号解析故事时间', () => {
+    const manager = createManager();
+    const storyTime = manager.resolveStoryTime([{ 1: '艾泽拉斯', 2: '1024年3月15日 下午3点', 3: '暴风城' }], 'chat-1');
+
+    assert.ok(storyTime);
+    assert.equal(storyTime.components.year, 1024);
+    assert.equal(storyTime.components.month, 3);
+    assert.equal(storyTime.components.day, 15);
+    assert.equal(storyTime.components.hour, 15);
+});
+
+test('col_N 列号同样映射到字段', () => {
+    const manager = createManager();
+    const storyTime = manager.resolveStoryTime([{ col_2: '1024-03-16 08:00' }], 'chat-1');
+
+    assert.equal(storyTime?.components.day, 16);
+});
+
+test('data:updated 的操作指令世界状态更新推进故事时钟', async () => {
+    const manager = createManager();
+
+    await manager.handleWorldDataUpdated({
+        dataEntry: { chatId: 'chat-1', messageId: 7, data: { world: [{ 1: '艾泽拉斯', 2: '1024年3月15日 下午3点' }] } }
+    });
+    const first = manager.getCurrentStoryTime('chat-1');
+    assert.ok(first);
+
+    await manager.handleWorldDataUpdated({
+        dataEntry: { chatId: 'chat-1', messageId: 8, data: { world: [{ 1: '艾泽拉斯', 2: '1024年3月17日 上午9点' }] } }
+    });
+    const second = manager.getCurrentStoryTime('chat-1');
+    assert.ok(second.timestamp > first.timestamp);
+    assert.equal(manager.timelines.get('chat-1').storyClock.messageId, 8);
+});
+
+test('按字段名存储的世界状态仍可解析', () => {
+    const manager = createManager();
+    const storyTime = manager.resolveStoryTime({ 时间设定: '第12天 傍晚' }, 'chat-1');
+
+    assert.ok(storyTime);
+});
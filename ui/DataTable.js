@@ -11,6 +11,8 @@
  * @class DataTable
  */
 
+import { FieldSchemaManager } from '../core/FieldSchemaManager.js';
+
 export class DataTable {
     constructor(dataCore, configManager, eventSystem) {
         console.log('[DataTable] 🔧 数据表格界面初始化开始');
@@ -360,6 +362,21 @@ export class DataTable {
                     return null;
                 }).filter(Boolean);
 
+                // 🧮 计算字段作为只读列追加在普通字段之后
+                const computedFields = this.dataCore?.getComputedFieldDefinitions?.(panelKey) || [];
+                computedFields.forEach(definition => {
+                    processedSubItems.push({
+                        name: definition.name,
+                        key: definition.name,
+                        enabled: true,
+                        value: '',
+                        description: definition.expression,
+                        type: 'text',
+                        computed: true,
+                        expression: definition.expression
+                    });
+                });
+
                 if (processedSubItems.length > 0) {
                     enabledPanels.push({
                         id: panelKey,
@@ -460,6 +477,7 @@ export class DataTable {
      * 创建单个面板组
      */
     createPanelGroup(panel) {
+        const panelLocked = this.dataCore.getPanelLockState?.(panel.id).panelLocked === true;
         return `
             <div class="table-group" data-panel="${panel.id}">
                 <div class="group-header">
@@ -481,15 +499,48 @@ export class DataTable {
                         <button class="btn-group-action" data-action="edit-group" data-group="${panel.id}">
                             面板规则
                         </button>
+                        <button class="btn-group-action" data-action="toggle-panel-lock" data-panel="${panel.id}" title="${panelLocked ? '解锁面板，允许AI更新' : '锁定面板，AI更新将被忽略'}">
+                            ${panelLocked ? '🔒' : '🔓'}
+                        </button>
                     </div>
                 </div>
                 <div class="group-content expanded">
-                    ${this.createDynamicTable(panel)}
+                    ${this.markComputedColumns(panel, this.createDynamicTable(panel))}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * 🧮 为计算字段的表头和单元格加上只读样式和公式提示
+     */
+    markComputedColumns(panel, tableHtml) {
+        const computedItems = panel.subItems.filter(item => item.computed);
+        if (computedItems.length === 0) return tableHtml;
+
+        const template = document.createElement('template');
+        template.innerHTML = tableHtml;
+        computedItems.forEach(item => {
+            template.content.querySelectorAll('[data-property]').forEach(element => {
+                if (element.dataset.property !== item.name) return;
+                element.classList.add('computed-cell');
+                element.setAttribute('title', `计算字段（只读）：${item.expression}`);
+            });
+        });
+        return template.innerHTML;
+    }
+
+    /**
+     * 🧮 获取单元格/表头对应的计算字段定义
+     * @returns {Object|null} { name, expression }
+     */
+    getComputedFieldInfo(cellInfo) {
+        const fieldName = String(cellInfo?.property || cellInfo?.fieldName || '').replace(/^(npc|org)\d+\./, '');
+        if (!cellInfo?.panelId || !fieldName) return null;
+        return (this.dataCore?.getComputedFieldDefinitions?.(cellInfo.panelId) || [])
+            .find(definition => definition.name === fieldName) || null;
+    }
+
     /**
      * 🗑️ 已废弃：获取面板配置（现在从customPanels统一获取）
      * 保留此方法以兼容可能的旧代码调用
@@ -1196,6 +1247,12 @@ export class DataTable {
                 // 查找对应面板的数据项
                 const panelDataItems = this.data.filter(dataItem => dataItem.panel === panel.id);
 
+                // 🧮 计算字段按名称直接存储在行数据中
+                if (item.computed) {
+                    const value = panelDataItems[0]?.rowData?.[item.key];
+                    return value === undefined || value === null ? '' : this.formatFieldValue(value);
+                }
+
                 if (panelDataItems.length > 0) {
                     // 对于交互对象面板，返回第一个NPC的对应字段值
                     if (panel.id === 'interaction') {
@@ -1804,10 +1861,17 @@ export class DataTable {
      */
     formatCellValue(value) {
         try {
-            if (!value || value === '') {
+            if (value === undefined || value === null || value === '') {
                 return '';
             }
 
+            // 🆕 类型字段：布尔值和对象转为可读文本
+            if (typeof value === 'boolean') {
+                value = value ? '是' : '否';
+            } else if (typeof value === 'object' && !Array.isArray(value)) {
+                value = FieldSchemaManager.formatValue(value);
+            }
+
             // 🆕 检查是否为多行数据数组格式
             if (Array.isArray(value)) {
                 return this.formatMultiRowArray(value);
@@ -2615,6 +2679,8 @@ export class DataTable {
             const menuInfo = isHeaderClick ? 
                 `字段: ${cellInfo.fieldName || cellInfo.property}` : 
                 cellInfo.property;
+            const lockButtonText = this.isFieldLockedInConfig(cellInfo) ? '解锁字段' : '锁定字段';
+            const computedField = this.getComputedFieldInfo(cellInfo);
 
             // 创建操作菜单
             const menu = document.createElement('div');
@@ -2627,7 +2693,16 @@ export class DataTable {
                         <span class="menu-info">${menuInfo}</span>
                     </div>
                     <div class="menu-actions">
-                        ${isHeaderClick ? `
+                        ${computedField ? `
+                        <!-- 计算字段：只读，在面板设置中修改公式 -->
+                        <div class="menu-section-title">计算字段（只读）</div>
+                        <div class="computed-field-formula">${this.escapeHtml(computedField.expression)}</div>
+                        ${isHeaderClick ? '' : `
+                        <button class="menu-btn timeline-btn" data-action="view-timeline">
+                            <span class="btn-text">字段时间线</span>
+                        </button>
+                        `}
+                        ` : isHeaderClick ? `
                         <!-- 字段操作：不包含表格编辑/记录，仅规则/重命名/结构 -->
                         <button class="menu-btn rule-btn" data-action="edit-field-rule">
                             <span class="btn-text">字段规则</span>
@@ -2635,6 +2710,9 @@ export class DataTable {
                         <button class="menu-btn rename-field-btn" data-action="rename-field">
                             <span class="btn-text">名称修改</span>
                         </button>
+                        <button class="menu-btn lock-field-btn" data-action="toggle-field-lock">
+                            <span class="btn-text">${lockButtonText}</span>
+                        </button>
                         <div class="menu-separator"></div>
                         <div class="menu-section-title">字段结构</div>
                         <button class="menu-btn add-field-before-btn" data-action="add-field-before">
@@ -2657,6 +2735,12 @@ export class DataTable {
                         <button class="menu-btn history-btn" data-action="view-history">
                             <span class="btn-text">表格记录</span>
                         </button>
+                        <button class="menu-btn timeline-btn" data-action="view-timeline">
+                            <span class="btn-text">字段时间线</span>
+                        </button>
+                        <button class="menu-btn lock-field-btn" data-action="toggle-field-lock">
+                            <span class="btn-text">${lockButtonText}</span>
+                        </button>
                         <div class="menu-separator"></div>
                         <button class="menu-btn delete-data-btn" data-action="delete-data">
                             <span class="btn-text">删除数据</span>
@@ -2772,6 +2856,16 @@ export class DataTable {
                 document.removeEventListener('click', handleClickOutside, true);
                 this.hideCellActionMenu();
                 this.showCellHistoryDialog(cellInfo);
+            } else if (action === 'view-timeline') {
+                console.log('[DataTable] 🕰️ 查看字段时间线');
+                document.removeEventListener('click', handleClickOutside, true);
+                this.hideCellActionMenu();
+                this.showFieldTimelineDialog(cellInfo);
+            } else if (action === 'toggle-field-lock') {
+                console.log('[DataTable] 🔒 切换字段锁定');
+                document.removeEventListener('click', handleClickOutside, true);
+                this.hideCellActionMenu();
+                this.toggleFieldLock(cellInfo);
             } else if (action === 'add-field-before') {
                 console.log('[DataTable] ➕ 向前添加字段');
                 document.removeEventListener('click', handleClickOutside, true);
@@ -2812,6 +2906,66 @@ export class DataTable {
         document.addEventListener('keydown', handleKeyDown);
     }
 
+    /**
+     * 🔒 字段是否在面板配置中被单独锁定
+     */
+    isFieldLockedInConfig(cellInfo) {
+        const lockState = this.dataCore.getPanelLockState?.(cellInfo.panelId);
+        if (!lockState) return false;
+
+        const resolvedKey = this.resolveDataKeyForPanel(cellInfo.panelId, cellInfo.property);
+        return [cellInfo.property, cellInfo.fieldName, resolvedKey].some(key => key && lockState.lockedFields.has(key));
+    }
+
+    /**
+     * 🔒 切换字段锁定（锁定后AI输出的该字段会被忽略，用户仍可手动编辑）
+     */
+    toggleFieldLock(cellInfo) {
+        try {
+            const locked = !this.isFieldLockedInConfig(cellInfo);
+            const resolvedKey = this.resolveDataKeyForPanel(cellInfo.panelId, cellInfo.property);
+
+            try {
+                this.dataCore.setFieldLock(cellInfo.panelId, cellInfo.property, locked);
+            } catch (error) {
+                // 显示名无法匹配时按存储键（列号）再试一次
+                if (resolvedKey === cellInfo.property) throw error;
+                this.dataCore.setFieldLock(cellInfo.panelId, resolvedKey, locked);
+            }
+
+            this.showSuccessMessage(locked
+                ? `字段 "${cellInfo.fieldName || cellInfo.property}" 已锁定，AI更新将被忽略`
+                : `字段 "${cellInfo.fieldName || cellInfo.property}" 已解锁`);
+
+        } catch (error) {
+            console.error('[DataTable] ❌ 切换字段锁定失败:', error);
+            this.showErrorMessage('切换锁定失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 🔒 切换面板锁定
+     */
+    togglePanelLock(panelId, buttonElement = null) {
+        try {
+            const locked = !this.dataCore.getPanelLockState(panelId).panelLocked;
+            this.dataCore.setPanelLock(panelId, locked);
+
+            if (buttonElement) {
+                buttonElement.textContent = locked ? '🔒' : '🔓';
+                buttonElement.title = locked ? '解锁面板，允许AI更新' : '锁定面板，AI更新将被忽略';
+            }
+
+            this.showSuccessMessage(locked
+                ? `面板 "${this.getPanelDisplayName(panelId)}" 已锁定，AI更新将被忽略`
+                : `面板 "${this.getPanelDisplayName(panelId)}" 已解锁`);
+
+        } catch (error) {
+            console.error('[DataTable] ❌ 切换面板锁定失败:', error);
+            this.showErrorMessage('切换锁定失败: ' + error.message);
+        }
+    }
+
     /**
      * 处理NPC选择器变更
      */
@@ -2877,6 +3031,14 @@ export class DataTable {
                     this.movePanelUp(upPanelId);
                 }
                 break;
+            case 'toggle-panel-lock':
+                event.preventDefault();
+                event.stopPropagation();
+                const lockPanelId = event.target.closest('[data-panel]')?.getAttribute('data-panel');
+                if (lockPanelId) {
+                    this.togglePanelLock(lockPanelId, event.target.closest('[data-panel]'));
+                }
+                break;
             case 'move-panel-down':
                 event.preventDefault();
                 event.stopPropagation();
@@ -6731,10 +6893,20 @@ export class DataTable {
         try {
             console.log('[DataTable] ✏️ 显示编辑对话框:', cellInfo);
 
+            // 🧮 计算字段由公式自动生成，不允许手动编辑
+            const computedField = this.getComputedFieldInfo(cellInfo);
+            if (computedField) {
+                this.showErrorMessage(`「${computedField.name}」是计算字段，请在面板设置中修改公式`);
+                return;
+            }
+
             // 获取当前值
             const currentValue = await this.getCurrentCellValue(cellInfo);
             console.log('[DataTable] 📊 编辑对话框 - 获取到的当前值:', currentValue);
 
+            // 🆕 按字段类型定义选择编辑器
+            const schema = this.getCellSchema(cellInfo);
+
             // 创建编辑对话框
             const dialog = document.createElement('div');
             dialog.className = 'cell-edit-dialog';
@@ -6765,10 +6937,10 @@ export class DataTable {
                         </div>
                         <div class="edit-form">
                             <label class="form-label">当前值:</label>
-                            <div class="current-value">${this.escapeHtml(currentValue)}</div>
+                            <div class="current-value">${this.escapeHtml(FieldSchemaManager.formatValue(currentValue))}</div>
 
-                            <label class="form-label">新值:</label>
-                            <textarea class="form-input" placeholder="请输入新的值...">${this.escapeHtml(currentValue)}</textarea>
+                            <label class="form-label">新值${FieldSchemaManager.isTyped(schema) ? `（${FieldSchemaManager.getTypes()[schema.type]}）` : ''}:</label>
+                            ${this.createTypedEditorHtml(schema, currentValue)}
 
                             <div class="form-note">
                                 💡 提示: 修改后的数据将同步到数据核心，并记录修改历史
@@ -6798,7 +6970,7 @@ export class DataTable {
                 // 聚焦到输入框并选中文本
                 const input = dialog.querySelector('.form-input');
                 input.focus();
-                input.select();
+                input.select?.();
             }, 10);
 
             console.log('[DataTable] ✅ 编辑对话框已显示');
@@ -6829,9 +7001,30 @@ export class DataTable {
                 closeDialog();
             } else if (action === 'save') {
                 this.saveCellEdit(dialog, cellInfo, closeDialog);
+            } else if (action === 'remove-chip') {
+                e.target.closest('.chip')?.remove();
+            } else if (action === 'add-chip') {
+                this.addEditorChip(dialog, e.target.getAttribute('data-value'));
+            }
+        });
+
+        // 🆕 标签编辑器：回车添加标签
+        const chipInput = dialog.querySelector('.chip-input');
+        chipInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.ctrlKey) {
+                e.preventDefault();
+                this.addEditorChip(dialog, chipInput.value);
+                chipInput.value = '';
             }
         });
 
+        // 🆕 开关编辑器：同步状态文字
+        const toggleInput = dialog.querySelector('.toggle-input');
+        toggleInput?.addEventListener('change', () => {
+            const label = dialog.querySelector('.toggle-label');
+            if (label) label.textContent = toggleInput.checked ? '是' : '否';
+        });
+
         // ESC键关闭
         const handleKeyDown = (e) => {
             if (e.key === 'Escape') {
@@ -6855,12 +7048,25 @@ export class DataTable {
      */
     async saveCellEdit(dialog, cellInfo, closeCallback) {
         try {
-            const input = dialog.querySelector('.form-input');
-            const newValue = input.value.trim();
+            const schema = this.getCellSchema(cellInfo);
+            let newValue;
+
+            if (FieldSchemaManager.isTyped(schema)) {
+                // 🆕 按字段类型定义转换并校验
+                const coerced = FieldSchemaManager.coerceValue(this.readTypedEditorValue(dialog, schema), schema);
+                if (!coerced.valid) {
+                    this.showErrorMessage('输入不符合字段类型: ' + coerced.message);
+                    return;
+                }
+                newValue = coerced.value;
+            } else {
+                newValue = dialog.querySelector('.form-input').value.trim();
+            }
+
             const oldValue = await this.getCurrentCellValue(cellInfo);
 
             // 验证输入
-            if (newValue === oldValue) {
+            if (newValue === oldValue || (FieldSchemaManager.isTyped(schema) && FieldSchemaManager.formatValue(newValue) === FieldSchemaManager.formatValue(oldValue))) {
                 console.log('[DataTable] ℹ️ 值未发生变化，无需保存');
                 closeCallback();
                 return;
@@ -6892,6 +7098,116 @@ export class DataTable {
         }
     }
 
+    /**
+     * 🆕 获取单元格字段的类型定义
+     */
+    getCellSchema(cellInfo) {
+        const keys = [
+            cellInfo.property,
+            cellInfo.fieldName,
+            this.resolveDataKeyForPanel(cellInfo.panelId, cellInfo.property)
+        ].filter(Boolean);
+
+        for (const key of keys) {
+            const subItem = FieldSchemaManager.findSubItem(cellInfo.panelId, key);
+            if (subItem) return FieldSchemaManager.getSchema(subItem);
+        }
+        return { type: 'text' };
+    }
+
+    /**
+     * 🆕 按字段类型生成编辑器：枚举下拉框、数字输入框、布尔开关、标签列表
+     */
+    createTypedEditorHtml(schema, currentValue) {
+        const current = FieldSchemaManager.isTyped(schema)
+            ? FieldSchemaManager.coerceValue(currentValue, schema).value
+            : currentValue;
+
+        switch (schema.type) {
+            case 'enum':
+                return `
+                    <select class="form-input typed-input">
+                        <option value="">（空）</option>
+                        ${(schema.options || []).map(option => `
+                            <option value="${this.escapeHtml(option)}" ${option === current ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+                        `).join('')}
+                    </select>`;
+            case 'number':
+                return `
+                    <input type="number" class="form-input typed-input"
+                        ${schema.min !== undefined ? `min="${schema.min}"` : ''}
+                        ${schema.max !== undefined ? `max="${schema.max}"` : ''}
+                        step="${schema.step || 'any'}"
+                        value="${typeof current === 'number' ? current : ''}" />`;
+            case 'boolean':
+                return `
+                    <label class="typed-toggle">
+                        <input type="checkbox" class="form-input toggle-input" ${current === true ? 'checked' : ''} />
+                        <span class="toggle-label">${current === true ? '是' : '否'}</span>
+                    </label>`;
+            case 'list': {
+                const items = Array.isArray(current) ? current : [];
+                const suggestions = (schema.options || []).map(option => `
+                    <button type="button" class="chip-suggestion" data-action="add-chip" data-value="${this.escapeHtml(option)}">${this.escapeHtml(option)}</button>
+                `).join('');
+                return `
+                    <div class="chips-editor">
+                        <div class="chips-list">${items.map(item => this.createEditorChipHtml(item)).join('')}</div>
+                        <input type="text" class="form-input typed-input chip-input" placeholder="输入标签后按回车添加..." />
+                        ${suggestions ? `<div class="chip-suggestions">${suggestions}</div>` : ''}
+                    </div>`;
+            }
+            case 'object': {
+                const lines = current && typeof current === 'object' && !Array.isArray(current)
+                    ? Object.entries(current).map(([key, value]) => `${key}: ${FieldSchemaManager.formatValue(value)}`).join('\n')
+                    : FieldSchemaManager.formatValue(currentValue);
+                const hint = (schema.fields || []).map(field => field.key).join(': \n');
+                return `<textarea class="form-input" placeholder="${this.escapeHtml(hint ? `${hint}: ` : '每行一个 键: 值')}">${this.escapeHtml(lines)}</textarea>`;
+            }
+            default:
+                return `<textarea class="form-input" placeholder="请输入新的值...">${this.escapeHtml(FieldSchemaManager.formatValue(currentValue))}</textarea>`;
+        }
+    }
+
+    /**
+     * 🆕 生成单个标签
+     */
+    createEditorChipHtml(item) {
+        return `<span class="chip" data-value="${this.escapeHtml(item)}">${this.escapeHtml(item)}<button type="button" class="chip-remove" data-action="remove-chip">×</button></span>`;
+    }
+
+    /**
+     * 🆕 向标签编辑器添加标签（忽略空值和重复值）
+     */
+    addEditorChip(dialog, value) {
+        const list = dialog.querySelector('.chips-list');
+        FieldSchemaManager.splitItems(value || '').forEach(item => {
+            const exists = Array.from(list.querySelectorAll('.chip')).some(chip => chip.dataset.value === item);
+            if (!exists) {
+                list.insertAdjacentHTML('beforeend', this.createEditorChipHtml(item));
+            }
+        });
+    }
+
+    /**
+     * 🆕 读取类型编辑器中的原始值
+     */
+    readTypedEditorValue(dialog, schema) {
+        const input = dialog.querySelector('.form-input');
+
+        switch (schema.type) {
+            case 'boolean':
+                return input.checked;
+            case 'list': {
+                const items = Array.from(dialog.querySelectorAll('.chips-list .chip')).map(chip => chip.dataset.value);
+                // 输入框中未按回车的内容也一并保存
+                return [...items, ...FieldSchemaManager.splitItems(dialog.querySelector('.chip-input')?.value || '')];
+            }
+            default:
+                return input.value.trim();
+        }
+    }
+
     /**
      * 🆕 显示历史记录对话框
      */
@@ -7055,6 +7371,11 @@ export class DataTable {
                     icon: '👤',
                     text: '用户编辑'
                 };
+            case 'SNAPSHOT_REVERT':
+                return {
+                    icon: '🕰️',
+                    text: '快照还原'
+                };
             default:
                 return {
                     icon: '📝',
@@ -7063,6 +7384,336 @@ export class DataTable {
         }
     }
 
+    /**
+     * 🕰️ 显示字段时间线对话框（字段演变 + 快照对比 + 单字段还原）
+     */
+    async showFieldTimelineDialog(cellInfo) {
+        try {
+            const snapshotManager = window.SillyTavernInfobar?.modules?.dataSnapshotManager;
+            if (!snapshotManager) {
+                this.showErrorMessage('快照管理器不可用');
+                return;
+            }
+
+            const chatId = this.dataCore.getCurrentChatId();
+            const isEntityCell = this.isEntityCell(cellInfo);
+            const timeline = snapshotManager.getFieldTimeline(
+                chatId,
+                cellInfo.panelId,
+                this.getSnapshotFieldKeys(cellInfo),
+                { rowIndex: isEntityCell ? undefined : cellInfo.rowIndex }
+            );
+            const snapshots = snapshotManager.getSnapshotList(chatId);
+            const currentValue = await this.getCurrentCellValue(cellInfo);
+
+            console.log('[DataTable] 🕰️ 字段时间线条目数量:', timeline.length);
+
+            const snapshotOptions = snapshots.map(snapshot => `
+                <option value="${this.escapeHtml(snapshot.id)}">第 ${snapshot.messageFloor} 楼 · ${this.formatTimelineTime(snapshot.timestamp)}</option>
+            `).join('');
+
+            const dialog = document.createElement('div');
+            dialog.className = 'cell-history-dialog field-timeline-dialog';
+            dialog.style.cssText = 'z-index: 1000000; position: fixed;';
+            dialog.innerHTML = `
+                <div class="dialog-overlay"></div>
+                <div class="dialog-content">
+                    <div class="dialog-header">
+                        <h3>字段时间线</h3>
+                        <button class="dialog-close" data-action="close">×</button>
+                    </div>
+                    <div class="dialog-body">
+                        <div class="field-info">
+                            <div class="info-row">
+                                <span class="info-label">面板:</span>
+                                <span class="info-value">${this.escapeHtml(this.getPanelDisplayName(cellInfo.panelId))}</span>
+                            </div>
+                            <div class="info-row">
+                                <span class="info-label">字段:</span>
+                                <span class="info-value">${this.escapeHtml(cellInfo.property)}</span>
+                            </div>
+                            <div class="info-row">
+                                <span class="info-label">当前值:</span>
+                                <span class="info-value">${this.escapeHtml(this.formatSnapshotValue(currentValue))}</span>
+                            </div>
+                        </div>
+                        <div class="timeline-tabs">
+                            <button class="timeline-tab active" data-tab="timeline">字段演变</button>
+                            <button class="timeline-tab" data-tab="diff">快照对比</button>
+                        </div>
+                        <div class="timeline-pane active" data-pane="timeline">
+                            <div class="history-list">
+                                ${this.renderFieldTimeline(timeline, currentValue)}
+                            </div>
+                        </div>
+                        <div class="timeline-pane" data-pane="diff">
+                            ${snapshots.length > 0 ? `
+                            <div class="diff-controls">
+                                <select class="diff-from">${snapshotOptions}</select>
+                                <span>→</span>
+                                <select class="diff-to">
+                                    <option value="current" selected>当前数据</option>
+                                    ${snapshotOptions}
+                                </select>
+                                <button class="btn btn-primary" data-action="run-diff">对比</button>
+                            </div>
+                            <div class="diff-result"></div>
+                            ` : `
+                            <div class="history-empty">
+                                <div class="empty-icon">📸</div>
+                                <div class="empty-text">当前聊天暂无快照</div>
+                            </div>
+                            `}
+                        </div>
+                    </div>
+                    <div class="dialog-footer">
+                        <button class="btn btn-primary" data-action="close">关闭</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(dialog);
+
+            this.bindFieldTimelineDialogEvents(dialog, cellInfo, timeline, snapshotManager, chatId);
+
+            setTimeout(() => {
+                dialog.classList.add('show');
+                this.applyMobileStyles(dialog);
+            }, 10);
+
+        } catch (error) {
+            console.error('[DataTable] ❌ 显示字段时间线对话框失败:', error);
+            this.showErrorMessage('无法打开字段时间线: ' + error.message);
+        }
+    }
+
+    /**
+     * 🕰️ 绑定字段时间线对话框事件
+     */
+    bindFieldTimelineDialogEvents(dialog, cellInfo, timeline, snapshotManager, chatId) {
+        const closeDialog = () => {
+            dialog.classList.remove('show');
+            document.removeEventListener('keydown', handleKeyDown);
+            setTimeout(() => dialog.remove(), 300);
+        };
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                closeDialog();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+
+        dialog.querySelector('.dialog-overlay').addEventListener('click', closeDialog);
+
+        dialog.addEventListener('click', async (e) => {
+            const tab = e.target.closest('[data-tab]')?.getAttribute('data-tab');
+            if (tab) {
+                dialog.querySelectorAll('.timeline-tab').forEach(el => el.classList.toggle('active', el.getAttribute('data-tab') === tab));
+                dialog.querySelectorAll('.timeline-pane').forEach(el => el.classList.toggle('active', el.getAttribute('data-pane') === tab));
+                return;
+            }
+
+            const actionElement = e.target.closest('[data-action]');
+            const action = actionElement?.getAttribute('data-action');
+
+            if (action === 'close') {
+                closeDialog();
+            } else if (action === 'revert-field') {
+                const entry = timeline[parseInt(actionElement.getAttribute('data-index'))];
+                if (entry && await this.revertFieldFromSnapshot(cellInfo, entry)) {
+                    closeDialog();
+                }
+            } else if (action === 'run-diff') {
+                const fromId = dialog.querySelector('.diff-from').value;
+                const toId = dialog.querySelector('.diff-to').value;
+                const diff = await snapshotManager.diffSnapshots(chatId, fromId, toId);
+                dialog.querySelector('.diff-result').innerHTML = this.renderSnapshotDiff(diff);
+            }
+        });
+    }
+
+    /**
+     * 🕰️ 渲染字段演变时间线（最新在前）
+     */
+    renderFieldTimeline(timeline, currentValue) {
+        if (!timeline || timeline.length === 0) {
+            return `
+                <div class="history-empty">
+                    <div class="empty-icon">🕰️</div>
+                    <div class="empty-text">快照中暂无此字段的记录</div>
+                    <div class="empty-note">AI更新数据时会为每个楼层保存快照，字段的变化将显示在这里</div>
+                </div>
+            `;
+        }
+
+        const currentSerialized = JSON.stringify(currentValue ?? null);
+
+        return timeline.map((entry, index) => {
+            const isCurrent = JSON.stringify(entry.value ?? null) === currentSerialized;
+            const message = entry.message
+                ? `<div class="timeline-message">${this.escapeHtml(entry.message.name)}: ${this.escapeHtml(entry.message.text)}</div>`
+                : '';
+
+            return `
+                <div class="history-item ${isCurrent ? 'current' : ''}">
+                    <div class="history-header">
+                        <div class="history-time">第 ${entry.floor} 楼 · ${this.formatTimelineTime(entry.timestamp)}</div>
+                        <div class="history-source">
+                            <span class="source-text">${this.escapeHtml(entry.source)}</span>
+                        </div>
+                    </div>
+                    <div class="timeline-value">${this.escapeHtml(this.formatSnapshotValue(entry.value))}</div>
+                    ${message}
+                    <div class="timeline-actions">
+                        ${isCurrent
+                            ? '<span class="history-note">当前值</span>'
+                            : `<button class="btn btn-secondary" data-action="revert-field" data-index="${index}">还原此值</button>`}
+                    </div>
+                </div>
+            `;
+        }).reverse().join('');
+    }
+
+    /**
+     * 🕰️ 渲染快照对比结果（按面板分组）
+     */
+    renderSnapshotDiff(diff) {
+        if (!diff) {
+            return '<div class="history-empty"><div class="empty-text">对比失败</div></div>';
+        }
+        if (diff.changes.length === 0) {
+            return '<div class="history-empty"><div class="empty-text">两个快照之间没有差异</div></div>';
+        }
+
+        const groups = new Map();
+        diff.changes.forEach(change => {
+            if (!groups.has(change.panelId)) groups.set(change.panelId, []);
+            groups.get(change.panelId).push(change);
+        });
+
+        return Array.from(groups.entries()).map(([panelId, changes]) => `
+            <div class="diff-panel">
+                <div class="diff-panel-title">${this.escapeHtml(this.getPanelDisplayName(panelId))}（${changes.length}）</div>
+                ${changes.map(change => {
+                    const fieldLabel = this.getDiffFieldLabel(panelId, change.field);
+                    const rowLabel = change.multiRow ? `#${change.rowIndex + 1} ` : '';
+                    const values = change.type === 'added'
+                        ? `<span class="new-value">${this.escapeHtml(this.formatSnapshotValue(change.after))}</span>`
+                        : change.type === 'removed'
+                            ? `<span class="old-value">${this.escapeHtml(this.formatSnapshotValue(change.before))}</span>`
+                            : `<span class="old-value">${this.escapeHtml(this.formatSnapshotValue(change.before))}</span> → <span class="new-value">${this.escapeHtml(this.formatSnapshotValue(change.after))}</span>`;
+                    return `
+                        <div class="diff-row ${change.type}">
+                            <div class="diff-field">${this.escapeHtml(rowLabel + fieldLabel)}</div>
+                            <div class="diff-values">${values}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 🕰️ 获取对比结果中字段的显示名称（列号键按启用子项顺序映射）
+     */
+    getDiffFieldLabel(panelId, field) {
+        if (/^\d+$/.test(field)) {
+            const subItem = this.getPanelConfig(panelId)[parseInt(field) - 1];
+            if (subItem) {
+                return subItem.displayName || subItem.name || field;
+            }
+        }
+        return this.getSubItemDisplayName(panelId, field) || field;
+    }
+
+    /**
+     * 🕰️ 将字段还原为快照中的旧值（不回溯整个聊天）
+     * @returns {Promise<boolean>} 是否还原成功
+     */
+    async revertFieldFromSnapshot(cellInfo, entry) {
+        try {
+            const oldValue = await this.getCurrentCellValue(cellInfo);
+            const newValue = entry.value ?? '';
+
+            console.log('[DataTable] 🕰️ 还原字段到快照值:', {
+                panelId: cellInfo.panelId,
+                property: cellInfo.property,
+                floor: entry.floor,
+                oldValue,
+                newValue
+            });
+
+            await this.updateCellValueInCore(cellInfo, newValue, oldValue, {
+                source: 'SNAPSHOT_REVERT',
+                note: `从第 ${entry.floor} 楼快照还原`
+            });
+
+            await this.refreshTableData();
+
+            this.eventSystem?.emit('datatable:field:reverted', {
+                panelId: cellInfo.panelId,
+                property: cellInfo.property,
+                rowIndex: cellInfo.rowIndex,
+                npcId: cellInfo.npcId,
+                snapshotId: entry.snapshotId,
+                floor: entry.floor,
+                timestamp: Date.now()
+            });
+
+            this.showSuccessMessage(`字段 "${cellInfo.property}" 已还原为第 ${entry.floor} 楼的值`);
+            return true;
+
+        } catch (error) {
+            console.error('[DataTable] ❌ 还原字段失败:', error);
+            this.showErrorMessage('还原失败: ' + error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 🕰️ 获取单元格在快照数据中可能使用的键名
+     */
+    getSnapshotFieldKeys(cellInfo) {
+        const property = cellInfo.property;
+        const keys = [
+            this.resolveDataKeyForPanel(cellInfo.panelId, property),
+            property,
+            this.dataCore.getEnglishFieldName?.(property, cellInfo.panelId)
+        ].filter(Boolean);
+
+        const entityId = this.isEntityCell(cellInfo) ? (cellInfo.npcId || cellInfo.orgId) : null;
+        const uniqueKeys = [...new Set(keys)];
+        return entityId ? uniqueKeys.map(key => `${entityId}.${key}`) : uniqueKeys;
+    }
+
+    /**
+     * 🕰️ 是否为NPC/组织表格的单元格（数据以 npcX.field / orgX.field 存储）
+     */
+    isEntityCell(cellInfo) {
+        return [cellInfo.npcId, cellInfo.orgId].some(id => id && id !== 'null');
+    }
+
+    /**
+     * 🕰️ 格式化快照中的值
+     */
+    formatSnapshotValue(value) {
+        if (value === undefined || value === null || value === '') return '（空）';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * 🕰️ 格式化时间线时间
+     */
+    formatTimelineTime(timestamp) {
+        return new Date(timestamp).toLocaleString('zh-CN', {
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
     /**
      * 🆕 获取当前单元格值
      */
@@ -7308,10 +7959,10 @@ export class DataTable {
     /**
      * 🆕 更新单元格值到数据核心
      */
-    async updateCellValueInCore(cellInfo, newValue, oldValue) {
+    async updateCellValueInCore(cellInfo, newValue, oldValue, historyOptions = {}) {
         try {
             // 记录修改历史
-            await this.recordFieldChange(cellInfo, oldValue, newValue);
+            await this.recordFieldChange(cellInfo, oldValue, newValue, historyOptions);
 
             if (cellInfo.npcId && cellInfo.npcId !== 'null' && cellInfo.npcId !== null) {
                 // 更新NPC数据 - 需要将中文字段名映射为英文字段名
@@ -7411,7 +8062,7 @@ export class DataTable {
     /**
      * 🆕 记录字段修改历史
      */
-    async recordFieldChange(cellInfo, oldValue, newValue) {
+    async recordFieldChange(cellInfo, oldValue, newValue, historyOptions = {}) {
         try {
             const historyKey = this.buildHistoryKey(cellInfo);
             const record = {
@@ -7421,8 +8072,8 @@ export class DataTable {
                 property: cellInfo.property,
                 panelId: cellInfo.panelId,
                 npcId: cellInfo.npcId,
-                source: 'USER_EDIT',  // 🆕 添加source字段
-                note: '用户手动编辑'
+                source: historyOptions.source || 'USER_EDIT',  // 🆕 添加source字段
+                note: historyOptions.note || '用户手动编辑'
             };
 
             console.log('[DataTable] 🔑 历史记录键:', historyKey);
@@ -7653,6 +8304,39 @@ export class DataTable {
                                         </div>
                                     </div>
                                 </div>
+                                <div class="form-section">
+                                    <h4>数值约束</h4>
+                                    <div class="form-group">
+                                        <label>数值范围:</label>
+                                        <input type="text" class="form-control" id="field-rule-range" placeholder="例如：0-100" value="${this.escapeHtml(this.formatRuleRange(existingRule?.range))}">
+                                    </div>
+                                    <div class="form-group">
+                                        <label>单次最大变化:</label>
+                                        <input type="text" class="form-control" id="field-rule-change-rate" placeholder="例如：±5" value="${this.escapeHtml(existingRule?.changeRate ? String(existingRule.changeRate) : '')}">
+                                    </div>
+                                    <div class="form-group">
+                                        <label>单位:</label>
+                                        <input type="text" class="form-control" id="field-rule-unit" placeholder="例如：cm" value="${this.escapeHtml(existingRule?.preferredUnit || existingRule?.unit || '')}">
+                                    </div>
+                                    <div class="form-group">
+                                        <label>单位换算:</label>
+                                        <input type="text" class="form-control" id="field-rule-units" placeholder="例如：cm=1, m=100, ft=30.48" value="${this.escapeHtml(fieldRuleManager.formatUnitTable?.(existingRule?.units) || '')}">
+                                        <div class="form-help">
+                                            <small>各单位换算到同一基准单位的倍率。留空时使用内置的长度、重量、时间换算。</small>
+                                        </div>
+                                    </div>
+                                    <div class="form-group">
+                                        <label>超出限制时:</label>
+                                        <select class="form-control" id="field-rule-violation-mode">
+                                            <option value="clamp" ${existingRule?.validation?.onViolation !== 'reject' ? 'selected' : ''}>截断到允许范围</option>
+                                            <option value="reject" ${existingRule?.validation?.onViolation === 'reject' ? 'selected' : ''}>拒绝新值，保留原值</option>
+                                        </select>
+                                    </div>
+                                    <div class="form-help">
+                                        <small>AI输出的数值会在写入表格前按以上约束校验，所有修正都会记录在当前聊天的审计记录中。</small>
+                                    </div>
+                                </div>
+                                ${this.renderFieldRuleAuditList(fieldRuleManager, cellInfo)}
                             </div>
                         </div>
                     </div>
@@ -7773,6 +8457,50 @@ export class DataTable {
         console.warn('[DataTable] ⚠️ 无法提取规则内容，规则格式:', existingRule);
         return '';
     }
+    /**
+     * 🛡️ 将范围规则格式化为输入框文本
+     */
+    formatRuleRange(range) {
+        if (!range) return '';
+        if (Array.isArray(range)) return range.join('-');
+        if (typeof range === 'object') return `${range.min ?? ''}-${range.max ?? ''}`;
+        return String(range);
+    }
+
+    /**
+     * 🛡️ 渲染字段最近的规则修正记录
+     */
+    renderFieldRuleAuditList(fieldRuleManager, cellInfo) {
+        try {
+            if (typeof fieldRuleManager.getAuditTrail !== 'function') return '';
+
+            const entries = fieldRuleManager.getAuditTrail({
+                panelId: cellInfo.panelId,
+                fieldKey: cellInfo.property,
+                limit: 10
+            });
+            if (entries.length === 0) return '';
+
+            const items = entries.map(entry => `
+                <li>
+                    <span class="audit-time">${new Date(entry.timestamp).toLocaleString()}</span>
+                    <span class="audit-value">${this.escapeHtml(String(entry.originalValue))} → ${entry.rejected ? '(已拒绝)' : this.escapeHtml(String(entry.finalValue))}</span>
+                    <span class="audit-reason">${this.escapeHtml(entry.corrections.map(c => c.reason).join('；'))}</span>
+                </li>
+            `).join('');
+
+            return `
+                <div class="form-section">
+                    <h4>最近修正记录</h4>
+                    <ul class="field-rule-audit-list">${items}</ul>
+                </div>
+            `;
+        } catch (error) {
+            console.error('[DataTable] ❌ 渲染规则修正记录失败:', error);
+            return '';
+        }
+    }
+
     /**
      * 🆕 保存字段规则
      */
@@ -7794,6 +8522,18 @@ export class DataTable {
                 updatedAt: Date.now()
             };
 
+            // 🛡️ 数值约束（可选）
+            const range = dialog.querySelector('#field-rule-range')?.value.trim();
+            const changeRate = dialog.querySelector('#field-rule-change-rate')?.value.trim();
+            const unit = dialog.querySelector('#field-rule-unit')?.value.trim();
+            const units = fieldRuleManager.parseUnitTable?.(dialog.querySelector('#field-rule-units')?.value.trim());
+            const violationMode = dialog.querySelector('#field-rule-violation-mode')?.value || 'clamp';
+            if (range) rule.range = range;
+            if (changeRate) rule.changeRate = changeRate;
+            if (unit) rule.preferredUnit = unit;
+            if (units) rule.units = units;
+            if (range || changeRate) rule.validation = { onViolation: violationMode };
+
             // 保存规则
             const success = await fieldRuleManager.setFieldRule(cellInfo.panelId, cellInfo.property, rule);
 
@@ -169,6 +169,11 @@ export class InfoBarSettings {
                     await this.refreshNPCList();
                 });
 
+                // 📚 角色NPC库自动同步出现冲突时提示
+                this.eventSystem.on('npc:library:conflicts', (data) => {
+                    this.showNotification(`角色NPC库有 ${data.conflicts.length} 处冲突，请在NPC管理中点击“同步并处理冲突”`, 'warning');
+                });
+
                 // 🎯 新增：监听消息接收事件（楼层检测）
                 this.eventSystem.on('message:received', (data) => {
                     this.handleNpcAiMessageReceived(data);
@@ -818,6 +823,66 @@ ${'='.repeat(80)}
         }
     }
 
+    /**
+     * 🔬 打开记忆检查器
+     */
+    async openMemoryInspector() {
+        try {
+            console.log('[InfoBarSettings] 🔬 打开记忆检查器...');
+
+            const memoryInspectorPanel = window.SillyTavernInfobar?.modules?.memoryInspectorPanel;
+            if (!memoryInspectorPanel) {
+                throw new Error('记忆检查器未初始化');
+            }
+
+            await memoryInspectorPanel.show();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 打开记忆检查器失败:', error);
+            this.showNotification('打开记忆检查器失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🧭 打开检索解释面板
+     */
+    async openRetrievalTracePanel() {
+        try {
+            console.log('[InfoBarSettings] 🧭 打开检索解释面板...');
+
+            const retrievalTracePanel = window.SillyTavernInfobar?.modules?.retrievalTracePanel;
+            if (!retrievalTracePanel) {
+                throw new Error('检索解释面板未初始化');
+            }
+
+            await retrievalTracePanel.show();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 打开检索解释面板失败:', error);
+            this.showNotification('打开检索解释面板失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🕸️ 打开人物关系图谱面板
+     */
+    async openRelationshipGraphPanel() {
+        try {
+            console.log('[InfoBarSettings] 🕸️ 打开人物关系图谱面板...');
+
+            const relationshipGraphPanel = window.SillyTavernInfobar?.modules?.relationshipGraphPanel;
+            if (!relationshipGraphPanel) {
+                throw new Error('人物关系图谱面板未初始化');
+            }
+
+            await relationshipGraphPanel.show();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 打开人物关系图谱面板失败:', error);
+            this.showNotification('打开人物关系图谱面板失败: ' + error.message, 'error');
+        }
+    }
+
     /**
      * 🔧 新增：初始化自定义API任务队列
      */
@@ -1780,6 +1845,18 @@ ${'='.repeat(80)}
                 if (e.target.id === 'npc-refresh-btn') {
                     this.refreshNPCList();
                 }
+                if (e.target.id === 'npc-relationship-graph-btn') {
+                    this.openRelationshipGraphPanel();
+                }
+                if (e.target.id === 'npc-library-promote-btn') {
+                    this.handleNPCLibraryPromote();
+                }
+                if (e.target.id === 'npc-library-import-btn') {
+                    this.handleNPCLibraryImport();
+                }
+                if (e.target.id === 'npc-library-sync-btn') {
+                    this.handleNPCLibrarySync();
+                }
                 // 🆕 新增NPC按钮
                 if (e.target.id === 'npc-add-new-btn') {
                     this.showAddNPCDialog();
@@ -1866,6 +1943,9 @@ ${'='.repeat(80)}
                 if (e.target.id === 'npc-worldbook-sync-enabled') {
                     this.handleNPCWorldBookSyncChange(e.target.checked);
                 }
+                if (e.target.id === 'npc-library-enabled') {
+                    this.handleNPCLibraryEnabledChange(e.target.checked);
+                }
 
                 // API启用开关变更
                 if (e.target.id === 'api-enabled') {
@@ -3417,6 +3497,7 @@ ${'='.repeat(80)}
                 }
 
                 // 更新基础面板配置
+                const previousComputedFields = extensionSettings['Information bar integration tool'][id].computedFields || [];
                 Object.assign(extensionSettings['Information bar integration tool'][id], formData);
 
                 // 🔧 修复：基础面板现在允许保存用户添加的子项数据
@@ -3432,6 +3513,8 @@ ${'='.repeat(80)}
                 console.log('[InfoBarSettings] ✅ 基础面板属性保存成功:', id);
                 this.showMessage('基础面板保存成功', 'success');
 
+                this.refreshComputedFields(id, previousComputedFields, formData.computedFields);
+
                 return;
             }
 
@@ -3450,9 +3533,13 @@ ${'='.repeat(80)}
             const panel = customPanels[id];
 
             if (panel) {
+                const previousComputedFields = panel.computedFields || [];
                 Object.assign(panel, formData, { updatedAt: Date.now() });
                 await this.saveCustomPanel(panel);
 
+                // 🧮 按新公式重算当前聊天中的计算字段
+                this.refreshComputedFields(id, previousComputedFields, formData.computedFields);
+
                 // 刷新面板列表
                 this.refreshPanelList();
 
@@ -5773,6 +5860,9 @@ ${'='.repeat(80)}
             // 🔧 修复：基础面板也需要保存用户添加的子项数据
             formData.subItems = this.collectSubItemsData();
 
+            // 🧮 计算字段与查找表
+            Object.assign(formData, this.collectComputedFieldConfig(form));
+
             console.log('[InfoBarSettings] 📊 基础面板表单数据（含子项）:', formData);
             return formData;
 
@@ -5813,6 +5903,9 @@ ${'='.repeat(80)}
             // 子项配置（从子项容器收集）
             formData.subItems = this.collectSubItemsData();
 
+            // 🧮 计算字段与查找表
+            Object.assign(formData, this.collectComputedFieldConfig(form));
+
             return formData;
 
         } catch (error) {
@@ -5821,6 +5914,90 @@ ${'='.repeat(80)}
         }
     }
 
+    /**
+     * 🧮 收集计算字段配置
+     * @returns {{computedFields: Array, lookupTables: Object}}
+     */
+    collectComputedFieldConfig(form) {
+        const parser = window.SillyTavernInfobar?.modules?.htmlTemplateParser;
+        const computedFields = [];
+        const invalidLines = [];
+
+        (form?.querySelector('#panel-computed-fields')?.value || '').split('\n').forEach(line => {
+            const text = line.trim();
+            if (!text) return;
+
+            const separator = text.indexOf('=');
+            const name = separator > 0 ? text.slice(0, separator).trim() : '';
+            const expression = separator > 0 ? text.slice(separator + 1).trim() : '';
+            if (!name || !expression) {
+                invalidLines.push(text);
+                return;
+            }
+
+            try {
+                parser?.parseExpression?.(expression);
+                computedFields.push({ name, expression, enabled: true });
+            } catch (error) {
+                invalidLines.push(`${text}（${error.message}）`);
+            }
+        });
+
+        const lookupTables = {};
+        (form?.querySelector('#panel-lookup-tables')?.value || '').split('\n').forEach(line => {
+            const match = line.trim().match(/^([^:：]+)[:：](.*)$/);
+            if (!match) return;
+
+            const table = {};
+            match[2].split(/[,，]/).forEach(entry => {
+                const separator = entry.indexOf('=');
+                if (separator > 0) {
+                    table[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+                }
+            });
+            lookupTables[match[1].trim()] = table;
+        });
+
+        if (invalidLines.length > 0) {
+            this.showMessage(`以下计算字段无效，已忽略：${invalidLines.join('；')}`, 'warning');
+        }
+
+        return { computedFields, lookupTables };
+    }
+
+    /**
+     * 🧮 计算字段配置转为表单文本
+     */
+    formatComputedFieldConfig(panelData) {
+        const computedFields = (panelData?.computedFields || [])
+            .filter(definition => definition?.name)
+            .map(definition => `${definition.name} = ${definition.expression || ''}`)
+            .join('\n');
+
+        const lookupTables = Object.entries(panelData?.lookupTables || {})
+            .map(([name, table]) => `${name}: ${Object.entries(table || {}).map(([key, value]) => `${key}=${value}`).join(', ')}`)
+            .join('\n');
+
+        return { computedFields, lookupTables };
+    }
+
+    /**
+     * 🧮 面板保存后按新的计算字段定义重算当前聊天数据
+     * @param {string} panelId - 面板ID
+     * @param {Array} previousFields - 保存前的计算字段定义
+     * @param {Array} currentFields - 保存后的计算字段定义
+     */
+    refreshComputedFields(panelId, previousFields = [], currentFields = []) {
+        const currentNames = new Set((currentFields || []).map(definition => definition.name));
+        const removed = (previousFields || [])
+            .map(definition => definition?.name)
+            .filter(name => name && !currentNames.has(name));
+
+        if (removed.length === 0 && (currentFields || []).length === 0) return;
+
+        window.SillyTavernInfobar?.modules?.dataCore?.recalculateComputedFields?.(panelId, { removed });
+    }
+
     /**
      * 收集子项数据（增强版：支持多行数据配置）
      */
@@ -5835,6 +6012,10 @@ ${'='.repeat(80)}
                 return [];
             }
 
+            // 已保存的面板配置：基础面板在 configs[panelId]，自定义面板在 configs.customPanels[panelId]
+            const configs = SillyTavern.getContext().extensionSettings['Information bar integration tool'] || {};
+            const savedPanelConfig = configs[currentPanelId] || configs.customPanels?.[currentPanelId];
+
             const subItemElements = this.modal.querySelectorAll('.sub-item-form');
 
             subItemElements.forEach(element => {
@@ -5858,6 +6039,13 @@ ${'='.repeat(80)}
                         panelId: currentPanelId // 🔧 修复：添加面板归属标记
                     };
 
+                    // 🆕 保留原有的锁定和描述，并写入字段类型定义
+                    const existingConfig = (savedPanelConfig?.subItems || [])
+                        .find(item => item && (item.id === subItemId || item.name === subItemName));
+                    if (existingConfig?.locked) subItem.locked = true;
+                    if (existingConfig?.description) subItem.description = existingConfig.description;
+                    Object.assign(subItem, this.collectSubItemSchema(element));
+
                     console.log(`[InfoBarSettings] 📊 收集子项: ${subItemName} enabled=${isEnabled} panelId=${currentPanelId}`);
                     subItems.push(subItem);
                 }
@@ -5917,6 +6105,18 @@ ${'='.repeat(80)}
         }
     }
 
+    /**
+     * 🆕 从子项表单读取字段类型定义（type/options/min/max/step/fields）
+     */
+    collectSubItemSchema(element) {
+        const FieldSchemaManager = window.SillyTavernInfobar?.FieldSchemaManager;
+        const typeSelect = element.querySelector('.sub-item-schema-type');
+        if (!FieldSchemaManager || !typeSelect) return {};
+
+        const constraint = element.querySelector('.sub-item-schema-constraint')?.value || '';
+        return FieldSchemaManager.parseConstraintText(typeSelect.value, constraint);
+    }
+
     /**
      * 获取子项默认值
      */
@@ -6017,6 +6217,13 @@ ${'='.repeat(80)}
         form.querySelector('#panel-required').checked = !!panelData.required;
         form.querySelector('#panel-memory-inject').checked = !!panelData.memoryInject;
 
+        // 🧮 计算字段与查找表
+        const computedConfig = this.formatComputedFieldConfig(panelData);
+        const computedFieldsInput = form.querySelector('#panel-computed-fields');
+        const lookupTablesInput = form.querySelector('#panel-lookup-tables');
+        if (computedFieldsInput) computedFieldsInput.value = computedConfig.computedFields;
+        if (lookupTablesInput) lookupTablesInput.value = computedConfig.lookupTables;
+
         // 🔧 新架构：所有面板完全一样，全部可编辑，无任何限制
         form.querySelector('#panel-name').readOnly = false;
         form.querySelector('#panel-key').readOnly = false;
@@ -6125,11 +6332,25 @@ ${'='.repeat(80)}
         formElement.className = 'sub-item-form simplified';
         formElement.dataset.subItemId = subItem.id;
 
+        // 🆕 字段类型选择与约束
+        const FieldSchemaManager = window.SillyTavernInfobar?.FieldSchemaManager;
+        const schemaHtml = FieldSchemaManager ? `
+                <select class="sub-item-schema-type" title="字段类型">
+                    ${Object.entries(FieldSchemaManager.getTypes()).map(([type, label]) => `
+                        <option value="${type}" ${FieldSchemaManager.getSchema(subItem).type === type ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="sub-item-schema-constraint"
+                    value="${this.escapeHtml(FieldSchemaManager.formatConstraintText(subItem))}"
+                    placeholder="约束（可选）"
+                    title="枚举/标签列表：选项1|选项2；数字：最小~最大/步长，如 0~100/5；对象：子字段1|子字段2" />` : '';
+
         formElement.innerHTML = `
             <div class="sub-item-simple">
                 <div class="sub-item-input-group">
                     <input type="text" class="sub-item-name" value="${subItem.name || ''}" placeholder="子项名称" />
                 </div>
+                ${schemaHtml}
                 <div class="sub-item-actions-inline">
                     <button type="button" class="btn-icon-tiny" data-action="edit-sub-item" title="修改">
                         ✏️
@@ -7611,6 +7832,10 @@ ${'='.repeat(80)}
                                     <span class="stat-label">压缩:</span>
                                     <span class="stat-value" id="memory-maintenance-compressions">-</span>
                                 </div>
+                                <div class="stat-item">
+                                    <span class="stat-label">待审核冲突:</span>
+                                    <span class="stat-value" id="memory-maintenance-conflicts">-</span>
+                                </div>
                             </div>
                         </div>
 
@@ -7779,6 +8004,138 @@ ${'='.repeat(80)}
                     </div>
                 </div>
 
+                <!-- 🔬 记忆检查器 -->
+                <div class="setting-row memory-inspector-section">
+                    <h5 style="color: #2196F3; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🔬 记忆检查器</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">浏览、搜索和编辑各层记忆，固定或遗忘记忆，手动迁移层级，并查看最近哪些检索使用了某条记忆</div>
+                    <button type="button" class="btn btn-small" id="memory-inspector-open">🔬 打开记忆检查器</button>
+                </div>
+
+                <!-- 🧭 检索解释 -->
+                <div class="setting-row retrieval-trace-section">
+                    <h5 style="color: #2196F3; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🧭 检索解释</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">记录最近几次生成中每条记忆为什么被注入：查询与增强查询、各来源分数、融合权重、多样性过滤决定和最终token成本</div>
+                    <button type="button" class="btn btn-small" id="retrieval-trace-open">🧭 打开检索解释</button>
+                </div>
+
+                <!-- 🧮 提示词Token预算 -->
+                <div class="setting-row prompt-budget-section">
+                    <h5 style="color: #2196F3; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🧮 提示词Token预算</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">各注入模块按优先级和份额共享总预算，用SillyTavern的分词器计数；超出预算时低优先级内容被截断、压缩为摘要或丢弃</div>
+                    <div class="setting-group">
+                        <label class="setting-label">
+                            <input type="checkbox" id="prompt-budget-enabled" />
+                            <span class="checkbox-text">启用提示词Token预算</span>
+                        </label>
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">总预算（token，0表示按上下文比例）</label>
+                        <input type="number" id="prompt-budget-tokens" min="0" step="100" />
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">上下文比例（总预算为0时使用）</label>
+                        <input type="number" id="prompt-budget-context-share" min="0.05" max="1" step="0.05" />
+                    </div>
+                    <div id="prompt-budget-sources"></div>
+                    <div class="prompt-budget-report" id="prompt-budget-report">尚未分配预算</div>
+                </div>
+
+                <!-- 🔀 检索结果融合 -->
+                <div class="setting-row retrieval-fusion-section">
+                    <h5 style="color: #2196F3; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🔀 检索结果融合</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">上下文感知检索合并向量、关键词和图检索三路结果的方式。三路分数尺度不同，RRF只看排名，归一化策略先把每路分数缩放到0~1</div>
+                    <div class="setting-group">
+                        <label class="setting-label">融合策略</label>
+                        <select id="fusion-strategy">
+                            <option value="weighted">原始分数加权</option>
+                            <option value="rrf">倒数排名融合（RRF）</option>
+                            <option value="minmax">最小-最大归一化加权</option>
+                            <option value="combmnz">CombMNZ</option>
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">RRF平滑常数k</label>
+                        <input type="number" id="fusion-rrf-k" min="1" max="1000" step="1" />
+                    </div>
+                    <div class="setting-group retrieval-fusion-weights">
+                        <label class="setting-label">基础权重（向量 / 关键词 / 图）</label>
+                        <input type="number" id="fusion-vector-weight" min="0" max="1" step="0.05" />
+                        <input type="number" id="fusion-keyword-weight" min="0" max="1" step="0.05" />
+                        <input type="number" id="fusion-graph-weight" min="0" max="1" step="0.05" />
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">
+                            <input type="checkbox" id="fusion-adaptive-weights" />
+                            <span class="checkbox-text">按回复反馈自适应调整每个聊天的权重</span>
+                        </label>
+                        <div class="setting-hint">AI回复引用了注入的记忆时，上调检索到这些记忆的那一路的权重</div>
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">学习率</label>
+                        <input type="number" id="fusion-learning-rate" min="0" max="1" step="0.05" />
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">引用判定阈值（回复覆盖记忆词元的比例）</label>
+                        <input type="number" id="fusion-reference-threshold" min="0.05" max="1" step="0.05" />
+                    </div>
+                    <div class="retrieval-fusion-learned" id="fusion-learned-weights">当前聊天尚未学习权重</div>
+                    <div class="retrieval-fusion-actions">
+                        <button type="button" class="btn btn-small" id="fusion-reset-weights">↺ 重置当前聊天权重</button>
+                        <button type="button" class="btn btn-small" id="fusion-export">📤 导出融合配置</button>
+                    </div>
+                </div>
+
+                <!-- 🧠 向量化引擎 -->
+                <div class="setting-row vector-engine-section">
+                    <h5 style="color: #2196F3; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🧠 向量化引擎</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">语义搜索计算记忆向量所用的引擎；切换引擎后已缓存的向量会被清空</div>
+                    <div class="setting-group">
+                        <label class="setting-label">引擎</label>
+                        <select id="memory-vector-engine">
+                            <option value="auto">自动选择</option>
+                            <option value="custom">自定义向量化API</option>
+                            <option value="onnx">本地ONNX多语言模型</option>
+                            <option value="local">Transformers.js (本地)</option>
+                        </select>
+                    </div>
+                    <div class="setting-hint" id="vector-engine-hint" style="display: none;">
+                        <span id="vector-engine-hint-text"></span>
+                    </div>
+                </div>
+
+                <!-- 🕸️ 知识图谱抽取 -->
+                <div class="setting-row knowledge-graph-extraction-section">
+                    <h5 style="color: #2196F3; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🕸️ 知识图谱抽取</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">LLM模式把最近的消息批量发送到自定义API，抽取角色、地点、物品、势力之间的关系，实体名与NPC数据库对齐，每条关系记录来源楼层</div>
+                    <div class="setting-group">
+                        <label class="setting-label">抽取模式</label>
+                        <select id="knowledge-graph-extraction-mode">
+                            <option value="rules">规则匹配</option>
+                            <option value="llm">LLM抽取（自定义API）</option>
+                        </select>
+                    </div>
+                    <div class="setting-group">
+                        <label class="setting-label">每批消息数</label>
+                        <input type="number" id="knowledge-graph-llm-batch-size" min="1" max="30" step="1" />
+                    </div>
+                    <div class="setting-group">
+                        <button type="button" class="btn btn-small" id="knowledge-graph-extract-now">🕸️ 立即抽取</button>
+                    </div>
+                </div>
+
+                <!-- 🧩 记忆冲突审核 -->
+                <div class="setting-row memory-conflict-review-section">
+                    <h5 style="color: #FF9800; margin: 15px 0 10px 0; font-size: 14px; font-weight: 600;">🧩 记忆冲突审核</h5>
+                    <div class="setting-hint" style="margin-bottom: 10px;">按向量相似度找出相近的记忆，由自定义API判定是否矛盾；处理过的记忆对不会再次提示</div>
+                    <div style="display: flex; gap: 8px; margin-bottom: 10px;">
+                        <button type="button" class="btn btn-small" id="memory-conflict-detect">🔍 立即检测冲突</button>
+                        <button type="button" class="btn btn-small" id="memory-conflict-refresh">🔄 刷新</button>
+                    </div>
+                    <div class="memory-conflict-queue" id="memory-conflict-queue">
+                        <div class="setting-hint">暂无待审核的冲突</div>
+                    </div>
+                </div>
+
                 <!-- 🚀 AI记忆总结设置 -->
                 <div class="setting-row ai-memory-section">
                     <h5 style="color: #4CAF50; margin: 0 0 10px 0; font-size: 14px; font-weight: 600;">🧠 AI记忆总结</h5>
@@ -9833,6 +10190,21 @@ ${'='.repeat(80)}
 
                 </div>
 
+                <!-- 🧮 计算字段 -->
+                <div class="form-section">
+                    <h5>计算字段</h5>
+                    <div class="form-group">
+                        <label for="panel-computed-fields">计算字段（每行一个：名称 = 表达式）</label>
+                        <textarea id="panel-computed-fields" name="panel.computedFields" rows="3" placeholder="体力百分比 = 体力 / 最大体力 * 100&#10;等级称号 = lookup(等级, 称号)"></textarea>
+                        <div class="form-hint">由输入字段自动计算，只读显示在数据表格中，不会要求AI输出；可用函数：lookup、min、max、clamp、abs、round、floor、ceil</div>
+                    </div>
+                    <div class="form-group">
+                        <label for="panel-lookup-tables">查找表（每行一个：表名: 键=值, 键=值）</label>
+                        <textarea id="panel-lookup-tables" name="panel.lookupTables" rows="2" placeholder="称号: 0=新手, 10=熟练, 30=大师"></textarea>
+                        <div class="form-hint">数字键按"不超过该值的最大阈值"匹配，其他键按原文匹配</div>
+                    </div>
+                </div>
+
 
 
                 <!-- 子项配置 -->
@@ -14544,6 +14916,26 @@ ${'='.repeat(80)}
                 </div>
             </div>
 
+            <div class="settings-group">
+                <h4>📚 角色NPC库</h4>
+                <div class="form-group">
+                    <div class="checkbox-wrapper">
+                        <input type="checkbox" id="npc-library-enabled" ${this.getNPCLibraryEnabled() ? 'checked' : ''}>
+                        <label for="npc-library-enabled" class="checkbox-label">启用角色NPC库（同一角色卡的聊天共享NPC）</label>
+                    </div>
+                    <small>按角色卡保存NPC：新聊天自动导入NPC的最后已知状态，关联的NPC在聊天与库之间双向同步，双方修改同一字段时提示选择（不支持群聊）</small>
+                </div>
+                <div class="form-group">
+                    <div id="npc-library-status" style="font-size: 12px; color: var(--theme-text-secondary, #888); margin-bottom: 8px;"></div>
+                    <div class="button-group" style="display: flex; gap: 10px; flex-wrap: wrap;">
+                        <button type="button" id="npc-library-promote-btn" class="btn btn-sm" style="flex: 1;">⬆️ 提升到角色库</button>
+                        <button type="button" id="npc-library-import-btn" class="btn btn-sm" style="flex: 1;">⬇️ 从角色库导入</button>
+                        <button type="button" id="npc-library-sync-btn" class="btn btn-sm" style="flex: 1;">🔁 同步并处理冲突</button>
+                    </div>
+                    <small>提升：把列表中选中的NPC（未选中时为全部NPC）加入当前角色的NPC库</small>
+                </div>
+            </div>
+
             <div class="settings-group npc-panel-mode-settings">
                 <h4>手动操作</h4>
                 <div class="form-group">
@@ -14606,6 +14998,17 @@ ${'='.repeat(80)}
                         " onmouseover="this.style.background='var(--theme-bg-hover, var(--SmartThemeQuoteColor, #333))'" onmouseout="this.style.background='var(--theme-bg-secondary, var(--SmartThemeSurfaceColor, #2a2a2a))'">
                             🔄 刷新
                         </button>
+                        <button type="button" id="npc-relationship-graph-btn" class="btn" style="
+                            background: var(--theme-bg-secondary, var(--SmartThemeSurfaceColor, #2a2a2a));
+                            color: var(--theme-text-primary, var(--SmartThemeTextColor, #ddd));
+                            border: 1px solid var(--theme-border-color, var(--SmartThemeBorderColor, #444));
+                            padding: 8px 12px;
+                            border-radius: 4px;
+                            cursor: pointer;
+                            transition: all 0.2s ease;
+                        " onmouseover="this.style.background='var(--theme-bg-hover, var(--SmartThemeQuoteColor, #333))'" onmouseout="this.style.background='var(--theme-bg-secondary, var(--SmartThemeSurfaceColor, #2a2a2a))'">
+                            🕸️ 关系图
+                        </button>
                     </div>
                     
                     <!-- 🆕 批量操作工具栏 -->
@@ -14645,6 +15048,24 @@ ${'='.repeat(80)}
                         ">
                             已选中 <span class="npc-count-number">0</span> 个
                         </div>
+                        <button
+                            type="button"
+                            id="npc-find-duplicates-btn"
+                            class="btn btn-sm"
+                            title="检测名称相似、字段相同的可能重复角色"
+                            style="
+                                padding: 4px 8px;
+                                font-size: 12px;
+                                background: var(--theme-bg-primary, var(--SmartThemeBodyColor, #2a2a2a));
+                                color: var(--theme-text-primary, var(--SmartThemeTextColor, #ddd));
+                                border: 1px solid var(--theme-border-color, var(--SmartThemeBorderColor, #444));
+                                border-radius: 4px;
+                                cursor: pointer;
+                                transition: all 0.2s ease;
+                            "
+                        >
+                            🧬 查找重复
+                        </button>
                         <button
                             type="button"
                             id="npc-merge-btn"
@@ -15282,6 +15703,18 @@ ${'='.repeat(80)}
         }
     }
 
+    /**
+     * 获取角色NPC库启用状态
+     */
+    getNPCLibraryEnabled() {
+        try {
+            return localStorage.getItem('npcPanel_libraryEnabled') === 'true';
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 获取角色NPC库状态失败:', error);
+            return false;
+        }
+    }
+
     /**
      * 获取NPC世界书同步启用状态
      */
@@ -33085,6 +33518,17 @@ add tasks(1 {"1","新任务创建","2","任务编辑中","3","进行中"})
                                     ">
                                         <i class="fas fa-text-width"></i>
                                     </button>
+                                    <button class="editor-tool-btn" data-action="show-partial-library" title="局部模板库" style="
+                                        padding: 4px 8px;
+                                        background: transparent;
+                                        border: 1px solid ${themeColors.border};
+                                        color: ${themeColors.textSecondary};
+                                        border-radius: 3px;
+                                        cursor: pointer;
+                                        font-size: 11px;
+                                    ">
+                                        <i class="fas fa-puzzle-piece"></i>
+                                    </button>
                                 </div>
                             </div>
 
@@ -33649,6 +34093,11 @@ add tasks(1 {"1","新任务创建","2","任务编辑中","3","进行中"})
                 this.toggleWordWrap();
             });
 
+            // 🧩 局部模板库
+            modal.querySelector('[data-action="show-partial-library"]')?.addEventListener('click', () => {
+                this.showPartialLibraryPanel();
+            });
+
             // 实时预览和语法检查
             const textarea = modal.querySelector('.html-template-textarea');
             if (textarea) {
@@ -34149,7 +34598,7 @@ add tasks(1 {"1","新任务创建","2","任务编辑中","3","进行中"})
                 <div class="syntax-section">
                     <h5 style="color: var(--SmartThemeBodyColor, #fff); margin: 15px 0 5px 0;">计算字段</h5>
                     <code style="background: var(--SmartThemeBodyColor, #333); padding: 2px 5px; border-radius: 3px;">{{computed.fieldName}}</code>
-                    <p style="margin: 5px 0; font-size: 12px;">使用计算字段，如 {{computed.healthPercentage}}</p>
+                    <p style="margin: 5px 0; font-size: 12px;">使用计算字段，如 {{computed.healthPercentage}}；面板设置中定义的计算字段也可按名称引用，如 {{computed.体力百分比}}</p>
                 </div>
 
                 <div class="syntax-section">
@@ -35104,6 +35553,23 @@ ${userTemplate}
 - \`{{#if data.field}}\`内容\`{{/if}}\` - 条件渲染
 - \`{{#each data.array}}\`项目内容\`{{/each}}\` - 循环渲染
 - \`{{#unless data.field}}\`备用内容\`{{/unless}}\` - 反向条件
+- \`{{#if data.field}}\`内容\`{{else}}\`备用内容\`{{/if}}\` - 条件分支（\`{{#each}}\` 中的 \`{{else}}\` 在列表为空时渲染）
+
+### 表达式与过滤器：
+- \`{{#if data.stats.health > 0 && (data.stats.alive || data.stats.revivable)}}\` - 支持 \`&& || !\`、比较和括号
+- \`{{data.stats.health / data.stats.maxHealth | percent}}\` - 四则运算，过滤器用 \`|\` 连接
+- \`{{data.character.title | default:"-"}}\`、\`{{data.story.summary | truncate:20}}\`、\`{{data.world.timestamp | date:"YYYY-MM-DD"}}\`
+- 循环内用 \`{{this.name}}\` 或直接 \`{{name}}\` 访问当前项，\`{{@index}}\` 为索引，支持嵌套 \`{{#each}}\`
+- \`{{max(data.stats.health, 0)}}\`、\`{{lookup(data.stats.level, data.titles)}}\` - 内置函数：lookup、min、max、clamp、abs、round、floor、ceil
+
+### 计算字段：
+- 在面板设置中按 \`名称 = 表达式\` 定义，如 \`体力百分比 = 体力 / 最大体力 * 100\`，输入字段变化时自动重算
+- \`{{computed.体力百分比}}\` - 在模板中引用；宏 \`{{ib::面板.体力百分比}}\` 同样可用
+
+### 局部模板：
+- \`{{> hp-bar label="生命值" value=data.stats.health max=data.stats.maxHealth}}\` - 引用可复用组件，\`参数=表达式\` 传参
+- \`{{#each data.inventory.items}}{{> item-card this}}{{/each}}\` - 以当前项作为组件上下文
+- 内置组件：hp-bar、stat-item、item-card，可在编辑器工具栏的「局部模板库」中新增、导入、导出，并组合为仪表板
 
 ### 面板访问：
 - \`{{data.character.name}}\` - 角色面板的name字段
@@ -36031,6 +36497,326 @@ ${userTemplate}
         }
     }
 
+    /**
+     * 🧩 显示局部模板库面板（新增、导入、导出局部模板，并组合仪表板）
+     */
+    showPartialLibraryPanel() {
+        try {
+            const templateManager = window.SillyTavernInfobar?.modules?.templateManager;
+            if (!templateManager) {
+                this.showNotification('模板管理器未初始化，无法打开局部模板库', 'error');
+                return;
+            }
+
+            document.querySelector('.partial-library-popup')?.remove();
+            document.body.insertAdjacentHTML('beforeend', this.createPartialLibraryPopup(templateManager.getAllPartials()));
+
+            const popup = document.querySelector('.partial-library-popup');
+            if (!popup) return;
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') closePopup();
+            };
+            const closePopup = () => {
+                popup.remove();
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+            document.addEventListener('keydown', handleKeyDown);
+
+            popup.addEventListener('click', async (e) => {
+                if (e.target === popup) {
+                    closePopup();
+                    return;
+                }
+
+                const button = e.target.closest('[data-partial-action]');
+                if (!button) return;
+
+                const name = button.dataset.partialName;
+                switch (button.dataset.partialAction) {
+                    case 'close':
+                        closePopup();
+                        break;
+                    case 'insert':
+                        this.insertTemplateText(this.buildPartialReference(templateManager.getPartial(name)));
+                        closePopup();
+                        break;
+                    case 'edit':
+                        this.fillPartialForm(popup, templateManager.getPartial(name));
+                        break;
+                    case 'delete':
+                        if (confirm(`确定要删除局部模板「${name}」吗？`)) {
+                            await this.deletePartialFromLibrary(templateManager, name, closePopup);
+                        }
+                        break;
+                    case 'save':
+                        await this.savePartialFromForm(templateManager, popup, closePopup);
+                        break;
+                    case 'export':
+                        this.exportPartialLibrary(templateManager);
+                        break;
+                    case 'import':
+                        this.importPartialLibrary(templateManager, closePopup);
+                        break;
+                    case 'compose-dashboard':
+                        if (this.insertPartialDashboard(templateManager, popup)) {
+                            closePopup();
+                        }
+                        break;
+                }
+            });
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 显示局部模板库失败:', error);
+        }
+    }
+
+    /**
+     * 🧩 创建局部模板库弹窗
+     */
+    createPartialLibraryPopup(partials) {
+        const themeColors = {
+            background: this.getInfoBarThemeColor('background'),
+            surface: this.getInfoBarThemeColor('surface'),
+            border: this.getInfoBarThemeColor('border'),
+            text: this.getInfoBarThemeColor('text'),
+            textSecondary: this.getInfoBarThemeColor('textSecondary'),
+            accent: this.getInfoBarThemeColor('accent')
+        };
+        const buttonStyle = `padding: 4px 8px; font-size: 11px; border: 1px solid ${themeColors.border}; background: transparent; color: ${themeColors.text}; border-radius: 4px; cursor: pointer;`;
+        const inputStyle = `width: 100%; box-sizing: border-box; padding: 6px 8px; background: ${themeColors.surface}; color: ${themeColors.text}; border: 1px solid ${themeColors.border}; border-radius: 4px; font-size: 12px;`;
+
+        const partialsHTML = partials.map(partial => {
+            const name = this.escapeHtml(partial.name);
+            return `
+                <div class="partial-library-item" style="display: flex; align-items: center; gap: 10px; padding: 8px 12px; background: ${themeColors.surface}; border: 1px solid ${themeColors.border}; border-radius: 6px; margin-bottom: 6px;">
+                    <input type="checkbox" class="partial-dashboard-check" value="${name}" title="加入仪表板">
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="color: ${themeColors.text}; font-weight: 500;">
+                            ${name}
+                            <span style="font-size: 10px; color: ${themeColors.textSecondary}; margin-left: 6px;">${partial.builtIn ? '内置' : '自定义'}</span>
+                        </div>
+                        <div style="color: ${themeColors.textSecondary}; font-size: 11px; margin-top: 2px;">
+                            ${this.escapeHtml(partial.description || '')}
+                            ${partial.params?.length ? `<span style="font-family: 'Consolas', 'Monaco', monospace;">（${partial.params.map(param => this.escapeHtml(param)).join(', ')}）</span>` : ''}
+                        </div>
+                    </div>
+                    <button data-partial-action="insert" data-partial-name="${name}" style="${buttonStyle}">插入</button>
+                    <button data-partial-action="edit" data-partial-name="${name}" style="${buttonStyle}">${partial.builtIn ? '复制' : '编辑'}</button>
+                    ${partial.builtIn ? '' : `<button data-partial-action="delete" data-partial-name="${name}" style="${buttonStyle}">删除</button>`}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="partial-library-popup" style="
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100vw;
+                height: 100vh;
+                background: rgba(0, 0, 0, 0.8);
+                backdrop-filter: blur(5px);
+                z-index: 10001;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+                box-sizing: border-box;
+            ">
+                <div class="popup-container" style="
+                    width: 100%;
+                    max-width: 800px;
+                    max-height: 85vh;
+                    background: ${themeColors.background};
+                    border-radius: 12px;
+                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                    border: 1px solid ${themeColors.border};
+                    display: flex;
+                    flex-direction: column;
+                    overflow: hidden;
+                ">
+                    <div class="popup-header" style="
+                        padding: 16px 24px;
+                        background: ${themeColors.surface};
+                        border-bottom: 1px solid ${themeColors.border};
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                    ">
+                        <h3 style="margin: 0; color: ${themeColors.text}; font-size: 18px; font-weight: 600; margin-right: auto;">
+                            <i class="fas fa-puzzle-piece" style="margin-right: 8px; color: ${themeColors.accent};"></i>
+                            局部模板库
+                        </h3>
+                        <button data-partial-action="import" style="${buttonStyle}"><i class="fas fa-file-import"></i> 导入</button>
+                        <button data-partial-action="export" style="${buttonStyle}"><i class="fas fa-file-export"></i> 导出</button>
+                        <button data-partial-action="close" style="${buttonStyle}"><i class="fas fa-times"></i></button>
+                    </div>
+                    <div class="popup-body" style="flex: 1; padding: 16px 24px; overflow-y: auto;">
+                        ${partialsHTML}
+
+                        <div style="display: flex; align-items: center; gap: 8px; margin: 12px 0 20px; color: ${themeColors.textSecondary}; font-size: 12px;">
+                            勾选局部模板后组合为仪表板，列数
+                            <input type="number" class="partial-dashboard-columns" min="1" max="6" value="2" style="${inputStyle} width: 60px;">
+                            <button data-partial-action="compose-dashboard" style="${buttonStyle} margin-left: auto;"><i class="fas fa-th-large"></i> 插入仪表板</button>
+                        </div>
+
+                        <div class="partial-form" style="border-top: 1px solid ${themeColors.border}; padding-top: 16px; display: grid; gap: 8px;">
+                            <div style="color: ${themeColors.text}; font-weight: 600;">新建 / 编辑局部模板</div>
+                            <input type="text" class="partial-form-name" placeholder="名称（字母开头，如 mana-bar）" style="${inputStyle}">
+                            <input type="text" class="partial-form-description" placeholder="描述" style="${inputStyle}">
+                            <input type="text" class="partial-form-params" placeholder="参数，逗号分隔（如 label, value, max）" style="${inputStyle}">
+                            <textarea class="partial-form-template" rows="6" placeholder="局部模板内容，如 <span>{{label}}: {{value}}</span>" style="${inputStyle} font-family: 'Consolas', 'Monaco', monospace; resize: vertical;"></textarea>
+                            <div style="text-align: right;">
+                                <button data-partial-action="save" style="${buttonStyle}"><i class="fas fa-save"></i> 保存局部模板</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 🧩 生成局部模板引用语法，参数留空待填写
+     */
+    buildPartialReference(partial) {
+        if (!partial) return '';
+        const args = (partial.params || []).map(param => `${param}=""`).join(' ');
+        return `{{> ${partial.name}${args ? ' ' + args : ''}}}`;
+    }
+
+    /**
+     * 🧩 将局部模板填入编辑表单（内置模板作为副本的起点）
+     */
+    fillPartialForm(popup, partial) {
+        if (!partial) return;
+        popup.querySelector('.partial-form-name').value = partial.builtIn ? `${partial.name}-copy` : partial.name;
+        popup.querySelector('.partial-form-description').value = partial.description || '';
+        popup.querySelector('.partial-form-params').value = (partial.params || []).join(', ');
+        popup.querySelector('.partial-form-template').value = (partial.template || '').trim();
+        popup.querySelector('.partial-form-name').focus();
+    }
+
+    /**
+     * 🧩 保存表单中的局部模板
+     */
+    async savePartialFromForm(templateManager, popup, closePopup) {
+        try {
+            const name = await templateManager.savePartial({
+                name: popup.querySelector('.partial-form-name').value.trim(),
+                description: popup.querySelector('.partial-form-description').value.trim(),
+                params: popup.querySelector('.partial-form-params').value.split(',').map(param => param.trim()).filter(Boolean),
+                template: popup.querySelector('.partial-form-template').value
+            });
+
+            this.showNotification(`局部模板「${name}」已保存`, 'success');
+            closePopup();
+            this.showPartialLibraryPanel();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 保存局部模板失败:', error);
+            this.showNotification('保存局部模板失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🧩 删除用户局部模板
+     */
+    async deletePartialFromLibrary(templateManager, name, closePopup) {
+        try {
+            await templateManager.deletePartial(name);
+            this.showNotification(`局部模板「${name}」已删除`, 'success');
+            closePopup();
+            this.showPartialLibraryPanel();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 删除局部模板失败:', error);
+            this.showNotification('删除局部模板失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🧩 导出用户局部模板库
+     */
+    exportPartialLibrary(templateManager) {
+        try {
+            const blob = new Blob([templateManager.exportPartials()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `partials_${new Date().toISOString().slice(0, 10)}.json`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+
+            this.showNotification('局部模板库导出成功', 'success');
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 导出局部模板库失败:', error);
+            this.showNotification('导出局部模板库失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🧩 导入局部模板库
+     */
+    importPartialLibrary(templateManager, closePopup) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = async (e) => {
+            try {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const overwrite = confirm('是否覆盖同名局部模板？点击"确定"覆盖，"取消"跳过。');
+                const { imported, skipped } = await templateManager.importPartials(await file.text(), { overwrite });
+
+                this.showNotification(`已导入 ${imported.length} 个局部模板${skipped.length ? `，跳过 ${skipped.length} 个` : ''}`, 'success');
+                closePopup();
+                this.showPartialLibraryPanel();
+
+            } catch (error) {
+                console.error('[InfoBarSettings] ❌ 导入局部模板库失败:', error);
+                this.showNotification('导入局部模板库失败: ' + error.message, 'error');
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * 🧩 将勾选的局部模板组合为仪表板并插入编辑器
+     * @returns {boolean} 是否已插入
+     */
+    insertPartialDashboard(templateManager, popup) {
+        const renderer = window.SillyTavernInfobar?.modules?.messageInfoBarRenderer;
+        const names = Array.from(popup.querySelectorAll('.partial-dashboard-check:checked')).map(input => input.value);
+
+        if (names.length === 0) {
+            this.showNotification('请先勾选要组合的局部模板', 'info');
+            return false;
+        }
+        if (!renderer) {
+            this.showNotification('信息栏渲染器未初始化，无法组合仪表板', 'error');
+            return false;
+        }
+
+        const template = renderer.composeDashboardTemplate({
+            columns: popup.querySelector('.partial-dashboard-columns').value,
+            partials: names.map(name => ({
+                name,
+                args: Object.fromEntries((templateManager.getPartial(name)?.params || []).map(param => [param, '']))
+            }))
+        });
+
+        this.insertTemplateText(template.trim());
+        return true;
+    }
+
     /**
      * 🚀 新增：处理编辑器键盘事件
      */
@@ -37824,6 +38610,29 @@ ${dataExamples}
             console.log('[InfoBarSettings] 🚀 记忆增强面板 - 向量化引擎变化:', engine);
 
             // 显示/隐藏对应的提示信息
+            this.updateVectorEngineHint(engine);
+
+            // 更新向量化记忆检索系统设置
+            const infoBarTool = window.SillyTavernInfobar;
+            const vectorizedMemoryRetrieval = infoBarTool?.modules?.vectorizedMemoryRetrieval;
+            if (vectorizedMemoryRetrieval) {
+                // 引擎初始化完成后按实际加载结果刷新提示（如ONNX缺少文件）
+                vectorizedMemoryRetrieval.updateSettings({
+                    vectorEngine: engine
+                }).then(() => this.updateVectorEngineHint(engine));
+                console.log('[InfoBarSettings] ✅ 已同步向量化引擎设置到模块');
+            }
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 处理向量化引擎变化失败:', error);
+        }
+    }
+
+    /**
+     * 🧠 显示当前向量化引擎的说明
+     */
+    updateVectorEngineHint(engine) {
+        try {
             const hintElement = this.modal.querySelector('#vector-engine-hint');
             const hintTextElement = this.modal.querySelector('#vector-engine-hint-text');
             
@@ -37842,26 +38651,55 @@ ${dataExamples}
                         hintTextElement.innerHTML = `
                             💡 <strong>Transformers.js (本地)：</strong>使用浏览器内的本地引擎计算向量<br>
                             <span style="color: #666;">无需额外配置，完全离线可用，但首次加载需要下载模型文件</span>
+                            ${this.getOnnxEngineStatusHtml({ onlyErrors: true })}
+                        `;
+                    }
+                } else if (engine === 'onnx') {
+                    hintElement.style.display = 'block';
+                    if (hintTextElement) {
+                        hintTextElement.innerHTML = `
+                            💡 <strong>本地ONNX多语言模型：</strong>在后台Worker中运行真正的句向量模型，中英文语义检索效果明显优于Transformers.js轻量版<br>
+                            <span style="color: #666;">需要把模型和运行时文件放到扩展的 libs/onnx-embedding 目录（见该目录下的 config.json），加载失败时自动降级到Transformers.js</span>
+                            ${this.getOnnxEngineStatusHtml()}
+                        `;
+                    }
+                } else if (engine === 'auto') {
+                    hintElement.style.display = 'block';
+                    if (hintTextElement) {
+                        hintTextElement.innerHTML = `
+                            💡 <strong>自动选择：</strong>已配置向量化API时使用自定义API，否则优先使用本地ONNX模型，最后使用Transformers.js
+                            ${this.getOnnxEngineStatusHtml({ onlyErrors: true })}
                         `;
                     }
                 } else {
                     hintElement.style.display = 'none';
                 }
             }
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 更新向量化引擎提示失败:', error);
+        }
+    }
 
-            // 更新向量化记忆检索系统设置
-            const infoBarTool = window.SillyTavernInfobar;
-            const vectorizedMemoryRetrieval = infoBarTool?.modules?.vectorizedMemoryRetrieval;
-            if (vectorizedMemoryRetrieval) {
-                vectorizedMemoryRetrieval.updateSettings({
-                    vectorEngine: engine
-                });
-                console.log('[InfoBarSettings] ✅ 已同步向量化引擎设置到模块');
-            }
+    /**
+     * 🧠 本地ONNX引擎的加载状态（取自最近一次 init() 的结果）
+     * @param {Object} options
+     * @param {boolean} options.onlyErrors - 只在加载失败时输出（用于降级后的其他引擎提示）
+     */
+    getOnnxEngineStatusHtml({ onlyErrors = false } = {}) {
+        const vectorizedMemoryRetrieval = window.SillyTavernInfobar?.modules?.vectorizedMemoryRetrieval;
+        if (!vectorizedMemoryRetrieval) return '';
 
-        } catch (error) {
-            console.error('[InfoBarSettings] ❌ 处理向量化引擎变化失败:', error);
+        const initError = vectorizedMemoryRetrieval.onnxInitError;
+        if (initError) {
+            return `<br><span style="color: #dc3545;">⚠️ 本地ONNX模型加载失败：${this.escapeHtml(initError)}${vectorizedMemoryRetrieval.settings?.vectorEngine !== 'onnx' ? '（已降级到其他引擎）' : ''}</span>`;
+        }
+        if (onlyErrors) return '';
+
+        const onnxStatus = vectorizedMemoryRetrieval.vectorEngines?.onnx?.getStatus?.();
+        if (onnxStatus?.ready) {
+            return `<br><span style="color: #28a745;">✅ 已加载 ${this.escapeHtml(onnxStatus.model)}（${onnxStatus.dimensions}维）</span>`;
         }
+        return '<br><span style="color: #666;">⏳ 模型尚未加载，首次使用时检查文件</span>';
     }
 
     /**
@@ -38967,6 +39805,125 @@ ${dataExamples}
                 });
             }
 
+            // 🔬 记忆检查器
+            const memoryInspectorBtn = this.modal.querySelector('#memory-inspector-open');
+            if (memoryInspectorBtn) {
+                memoryInspectorBtn.addEventListener('click', () => {
+                    this.openMemoryInspector();
+                });
+            }
+
+            // 🧭 检索解释
+            const retrievalTraceBtn = this.modal.querySelector('#retrieval-trace-open');
+            if (retrievalTraceBtn) {
+                retrievalTraceBtn.addEventListener('click', () => {
+                    this.openRetrievalTracePanel();
+                });
+            }
+
+            // 🧮 提示词Token预算
+            ['#prompt-budget-enabled', '#prompt-budget-tokens', '#prompt-budget-context-share'].forEach(selector => {
+                this.modal.querySelector(selector)?.addEventListener('change', () => {
+                    this.handlePromptBudgetChange();
+                });
+            });
+
+            const promptBudgetSources = this.modal.querySelector('#prompt-budget-sources');
+            if (promptBudgetSources) {
+                promptBudgetSources.addEventListener('change', () => {
+                    this.handlePromptBudgetChange();
+                });
+            }
+
+            if (this.eventSystem) {
+                this.eventSystem.on('promptBudget:applied', () => {
+                    this.renderPromptBudgetReport();
+                });
+            }
+
+            // 🔀 检索结果融合
+            [
+                '#fusion-strategy', '#fusion-rrf-k', '#fusion-vector-weight', '#fusion-keyword-weight',
+                '#fusion-graph-weight', '#fusion-adaptive-weights', '#fusion-learning-rate', '#fusion-reference-threshold'
+            ].forEach(selector => {
+                this.modal.querySelector(selector)?.addEventListener('change', () => {
+                    this.handleFusionSettingsChange();
+                });
+            });
+
+            this.modal.querySelector('#fusion-reset-weights')?.addEventListener('click', () => {
+                this.handleResetFusionWeights();
+            });
+            this.modal.querySelector('#fusion-export')?.addEventListener('click', () => {
+                this.handleExportFusionConfig();
+            });
+
+            if (this.eventSystem) {
+                this.eventSystem.on('contextual-retrieval:weights-updated', () => {
+                    this.renderLearnedFusionWeights();
+                });
+            }
+
+            // 🧠 向量化引擎
+            const vectorEngineSelect = this.modal.querySelector('#memory-vector-engine');
+            if (vectorEngineSelect) {
+                vectorEngineSelect.addEventListener('change', (e) => {
+                    this.handleMemoryVectorEngineChange(e.target.value);
+                });
+            }
+
+            // 🕸️ 知识图谱抽取
+            const kgExtractionMode = this.modal.querySelector('#knowledge-graph-extraction-mode');
+            if (kgExtractionMode) {
+                kgExtractionMode.addEventListener('change', (e) => {
+                    window.SillyTavernInfobar?.modules?.knowledgeGraphManager?.updateExtractionSettings({ mode: e.target.value });
+                });
+            }
+            const kgBatchSize = this.modal.querySelector('#knowledge-graph-llm-batch-size');
+            if (kgBatchSize) {
+                kgBatchSize.addEventListener('change', (e) => {
+                    window.SillyTavernInfobar?.modules?.knowledgeGraphManager?.updateExtractionSettings({ batchSize: e.target.value });
+                });
+            }
+            const kgExtractNowBtn = this.modal.querySelector('#knowledge-graph-extract-now');
+            if (kgExtractNowBtn) {
+                kgExtractNowBtn.addEventListener('click', () => {
+                    this.handleKnowledgeGraphExtractNow(kgExtractNowBtn);
+                });
+            }
+
+            // 🧩 记忆冲突审核事件
+            const conflictDetectBtn = this.modal.querySelector('#memory-conflict-detect');
+            if (conflictDetectBtn) {
+                conflictDetectBtn.addEventListener('click', () => {
+                    this.handleDetectMemoryConflicts(conflictDetectBtn);
+                });
+            }
+
+            const conflictRefreshBtn = this.modal.querySelector('#memory-conflict-refresh');
+            if (conflictRefreshBtn) {
+                conflictRefreshBtn.addEventListener('click', () => {
+                    this.renderMemoryConflictQueue();
+                });
+            }
+
+            const conflictQueue = this.modal.querySelector('#memory-conflict-queue');
+            if (conflictQueue) {
+                conflictQueue.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-resolution]');
+                    const item = e.target.closest('.memory-conflict-item');
+                    if (button && item) {
+                        this.handleResolveMemoryConflict(item.dataset.conflictId, button.dataset.resolution);
+                    }
+                });
+            }
+
+            if (this.eventSystem) {
+                this.eventSystem.on('memory-maintenance:conflicts-updated', () => {
+                    this.renderMemoryConflictQueue();
+                });
+            }
+
             // 🔧 新增：监听AI记忆数据库的状态更新事件
             if (this.eventSystem) {
                 // 监听数据加载事件
@@ -39276,12 +40233,409 @@ ${dataExamples}
                 spOptions.style.display = (spa?.config?.enabled ?? spSettings.enabled) ? 'block' : 'none';
             }
 
+            // 🧮 提示词Token预算
+            this.renderPromptBudgetSettings();
+
+            // 🔀 检索结果融合
+            this.renderFusionSettings();
+
+            // 🧠 向量化引擎
+            const vectorEngineSelect = this.modal.querySelector('#memory-vector-engine');
+            const vectorizedMemoryRetrieval = window.SillyTavernInfobar?.modules?.vectorizedMemoryRetrieval;
+            if (vectorEngineSelect && vectorizedMemoryRetrieval) {
+                vectorEngineSelect.value = vectorizedMemoryRetrieval.settings.vectorEngine || 'custom';
+                this.updateVectorEngineHint(vectorEngineSelect.value);
+            }
+
+            // 🕸️ 知识图谱抽取
+            const knowledgeGraphManager = window.SillyTavernInfobar?.modules?.knowledgeGraphManager;
+            const kgExtractionMode = this.modal.querySelector('#knowledge-graph-extraction-mode');
+            const kgBatchSize = this.modal.querySelector('#knowledge-graph-llm-batch-size');
+            if (knowledgeGraphManager) {
+                if (kgExtractionMode) kgExtractionMode.value = knowledgeGraphManager.settings.extractionMode || 'rules';
+                if (kgBatchSize) kgBatchSize.value = knowledgeGraphManager.settings.llmBatchSize || 8;
+            }
+
+            // 🧩 记忆冲突审核队列
+            await this.renderMemoryConflictQueue();
+
             console.log('[InfoBarSettings] ✅ 记忆增强设置加载完成');
         } catch (error) {
             console.error('[InfoBarSettings] ❌ 加载记忆增强设置失败:', error);
         }
     }
 
+    /**
+     * 🧩 渲染记忆冲突审核队列
+     */
+    async renderMemoryConflictQueue() {
+        try {
+            const container = this.modal?.querySelector('#memory-conflict-queue');
+            if (!container) return;
+
+            const mms = window.SillyTavernInfobar?.modules?.memoryMaintenanceSystem;
+            const conflicts = mms ? await mms.getPendingConflicts() : [];
+
+            this.updateElement('#memory-maintenance-conflicts', conflicts.length);
+
+            if (conflicts.length === 0) {
+                container.innerHTML = '<div class="setting-hint">暂无待审核的冲突</div>';
+                return;
+            }
+
+            const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '-';
+            container.innerHTML = conflicts.map(conflict => `
+                <div class="memory-conflict-item" data-conflict-id="${this.escapeHtml(conflict.id)}">
+                    <div class="memory-conflict-pair">
+                        <div class="memory-conflict-memory">
+                            <span class="memory-conflict-label">A · ${formatTime(conflict.timestamps?.[0])}</span>
+                            <div class="memory-conflict-content">${this.escapeHtml(conflict.contents?.[0] || '')}</div>
+                        </div>
+                        <div class="memory-conflict-memory">
+                            <span class="memory-conflict-label">B · ${formatTime(conflict.timestamps?.[1])}</span>
+                            <div class="memory-conflict-content">${this.escapeHtml(conflict.contents?.[1] || '')}</div>
+                        </div>
+                    </div>
+                    <div class="memory-conflict-reason">🤖 ${this.escapeHtml(conflict.reason || '')}（相似度 ${Math.round((conflict.similarity || 0) * 100)}%）</div>
+                    ${conflict.merged ? `<div class="memory-conflict-merged">合并建议：${this.escapeHtml(conflict.merged)}</div>` : ''}
+                    <div class="memory-conflict-actions">
+                        <button type="button" class="btn btn-small" data-resolution="keep_first">保留A</button>
+                        <button type="button" class="btn btn-small" data-resolution="keep_second">保留B</button>
+                        <button type="button" class="btn btn-small" data-resolution="merge">合并</button>
+                        <button type="button" class="btn btn-small" data-resolution="changed_over_time">随时间变化</button>
+                        <button type="button" class="btn btn-small" data-resolution="not_contradictory">不矛盾</button>
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 渲染记忆冲突审核队列失败:', error);
+        }
+    }
+
+    /**
+     * 🧮 渲染提示词Token预算设置
+     */
+    renderPromptBudgetSettings() {
+        try {
+            const pbm = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            const container = this.modal?.querySelector('#prompt-budget-sources');
+            if (!pbm || !container) return;
+
+            const settings = pbm.settings;
+            const enabledEl = this.modal.querySelector('#prompt-budget-enabled');
+            if (enabledEl) enabledEl.checked = !!settings.enabled;
+            const tokensEl = this.modal.querySelector('#prompt-budget-tokens');
+            if (tokensEl) tokensEl.value = settings.budgetTokens;
+            const shareEl = this.modal.querySelector('#prompt-budget-context-share');
+            if (shareEl) shareEl.value = settings.contextShare;
+
+            const sourceLabels = {
+                smartPromptRules: '智能提示词输出规则',
+                smartPrompt: '智能提示词',
+                variablePrompt: '变量系统读取指令',
+                smartPromptMemory: '智能提示词记忆增强',
+                memoryEnhancement: '深度集成记忆注入',
+                aiMemoryDatabase: 'AI记忆数据库',
+                plotOptimization: '剧情优化建议',
+                vectorRetrieval: '统一向量检索',
+                corpusRetrieval: '语料库检索'
+            };
+            const overflowLabels = { trim: '截断', summarize: '摘要', drop: '丢弃' };
+
+            container.innerHTML = `
+                <table class="prompt-budget-table">
+                    <thead>
+                        <tr><th>注入模块</th><th>优先级</th><th>最低份额</th><th>最高份额</th><th>超出时</th></tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(settings.sources).map(([source, policy]) => `
+                            <tr data-source="${this.escapeHtml(source)}">
+                                <td>${this.escapeHtml(sourceLabels[source] || source)}</td>
+                                <td><input type="number" data-field="priority" min="0" max="1000" value="${policy.priority}" /></td>
+                                <td><input type="number" data-field="minShare" min="0" max="1" step="0.05" value="${policy.minShare}" /></td>
+                                <td><input type="number" data-field="maxShare" min="0" max="1" step="0.05" value="${policy.maxShare}" /></td>
+                                <td>
+                                    <select data-field="overflow">
+                                        ${Object.entries(overflowLabels).map(([value, label]) => `<option value="${value}" ${policy.overflow === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+            this.renderPromptBudgetReport();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 渲染提示词Token预算设置失败:', error);
+        }
+    }
+
+    /**
+     * 🧮 渲染最近一次预算分配结果
+     */
+    renderPromptBudgetReport() {
+        const container = this.modal?.querySelector('#prompt-budget-report');
+        const report = window.SillyTavernInfobar?.modules?.promptBudgetManager?.lastReport;
+        if (!container) return;
+
+        if (!report) {
+            container.textContent = '尚未分配预算';
+            return;
+        }
+
+        const actionLabels = { kept: '完整', trimmed: '截断', summarized: '摘要', dropped: '丢弃' };
+        container.innerHTML = `
+            <div>最近一次：预算 ${report.budget} tokens，注入内容 ${report.totalTokens} → ${report.usedTokens} tokens</div>
+            ${report.blocks.map(block => `
+                <div>· ${this.escapeHtml(block.key)}：${block.tokens} → ${block.appliedTokens} tokens（${actionLabels[block.action] || block.action}）</div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * 🧮 保存提示词Token预算设置
+     */
+    async handlePromptBudgetChange() {
+        try {
+            const pbm = window.SillyTavernInfobar?.modules?.promptBudgetManager;
+            if (!pbm) {
+                this.showNotification('❌ 提示词Token预算管理器未初始化', 'error');
+                return;
+            }
+
+            const sources = {};
+            this.modal.querySelectorAll('#prompt-budget-sources tr[data-source]').forEach(row => {
+                const getNumber = (field) => parseFloat(row.querySelector(`[data-field="${field}"]`)?.value) || 0;
+                sources[row.dataset.source] = {
+                    priority: getNumber('priority'),
+                    minShare: getNumber('minShare'),
+                    maxShare: getNumber('maxShare'),
+                    overflow: row.querySelector('[data-field="overflow"]')?.value || 'trim'
+                };
+            });
+
+            await pbm.updateSettings({
+                enabled: !!this.modal.querySelector('#prompt-budget-enabled')?.checked,
+                budgetTokens: Math.max(0, parseInt(this.modal.querySelector('#prompt-budget-tokens')?.value) || 0),
+                contextShare: parseFloat(this.modal.querySelector('#prompt-budget-context-share')?.value) || 0.3,
+                sources
+            });
+
+            this.renderPromptBudgetReport();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 保存提示词Token预算设置失败:', error);
+            this.showNotification('❌ 保存提示词Token预算设置失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🔀 渲染检索结果融合设置
+     */
+    renderFusionSettings() {
+        try {
+            const cr = window.SillyTavernInfobar?.modules?.contextualRetrieval;
+            if (!cr || !this.modal) return;
+
+            const settings = cr.getFusionSettings();
+            const setValue = (selector, value) => {
+                const el = this.modal.querySelector(selector);
+                if (el) el.value = value;
+            };
+
+            setValue('#fusion-strategy', settings.fusionStrategy);
+            setValue('#fusion-rrf-k', settings.rrfK);
+            setValue('#fusion-vector-weight', settings.vectorWeight);
+            setValue('#fusion-keyword-weight', settings.keywordWeight);
+            setValue('#fusion-graph-weight', settings.graphWeight);
+            setValue('#fusion-learning-rate', settings.feedbackLearningRate);
+            setValue('#fusion-reference-threshold', settings.referenceThreshold);
+
+            const adaptiveEl = this.modal.querySelector('#fusion-adaptive-weights');
+            if (adaptiveEl) adaptiveEl.checked = !!settings.adaptiveWeights;
+
+            this.renderLearnedFusionWeights();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 渲染检索结果融合设置失败:', error);
+        }
+    }
+
+    /**
+     * 🔀 渲染当前聊天学习到的融合权重
+     */
+    async renderLearnedFusionWeights() {
+        const container = this.modal?.querySelector('#fusion-learned-weights');
+        const cr = window.SillyTavernInfobar?.modules?.contextualRetrieval;
+        if (!container || !cr) return;
+
+        if (!cr.settings.adaptiveWeights) {
+            container.textContent = '自适应权重未启用，使用基础权重';
+            return;
+        }
+
+        const learned = await cr.loadLearnedWeights();
+        if (!learned || learned.updates === 0) {
+            container.textContent = '当前聊天尚未学习权重';
+            return;
+        }
+
+        const labels = { vector: '向量', keyword: '关键词', graph: '图' };
+        container.innerHTML = `
+            <div>当前聊天权重（已调整 ${learned.updates} 次）：${cr.FUSION_SOURCES.map(source => `${labels[source]} ${learned.weights[source].toFixed(3)}`).join(' / ')}</div>
+            ${cr.FUSION_SOURCES.filter(source => learned.feedback[source]).map(source => `
+                <div>· ${labels[source]}：注入 ${learned.feedback[source].injected} 条，被回复引用 ${learned.feedback[source].referenced} 条</div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * 🔀 保存检索结果融合设置
+     */
+    handleFusionSettingsChange() {
+        try {
+            const cr = window.SillyTavernInfobar?.modules?.contextualRetrieval;
+            if (!cr) {
+                this.showNotification('❌ 上下文感知检索未初始化', 'error');
+                return;
+            }
+
+            const getNumber = (selector) => parseFloat(this.modal.querySelector(selector)?.value);
+            cr.updateFusionSettings({
+                fusionStrategy: this.modal.querySelector('#fusion-strategy')?.value,
+                rrfK: getNumber('#fusion-rrf-k'),
+                vectorWeight: getNumber('#fusion-vector-weight'),
+                keywordWeight: getNumber('#fusion-keyword-weight'),
+                graphWeight: getNumber('#fusion-graph-weight'),
+                adaptiveWeights: !!this.modal.querySelector('#fusion-adaptive-weights')?.checked,
+                feedbackLearningRate: getNumber('#fusion-learning-rate'),
+                referenceThreshold: getNumber('#fusion-reference-threshold')
+            });
+
+            this.renderLearnedFusionWeights();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 保存检索结果融合设置失败:', error);
+            this.showNotification('❌ 保存检索结果融合设置失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🔀 重置当前聊天学习到的融合权重
+     */
+    async handleResetFusionWeights() {
+        const cr = window.SillyTavernInfobar?.modules?.contextualRetrieval;
+        if (!cr) {
+            this.showNotification('❌ 上下文感知检索未初始化', 'error');
+            return;
+        }
+
+        await cr.resetLearnedWeights();
+        this.renderLearnedFusionWeights();
+        this.showNotification('✅ 已重置当前聊天的融合权重', 'success');
+    }
+
+    /**
+     * 🔀 导出融合配置（策略、基础权重和当前聊天学习到的权重）
+     */
+    async handleExportFusionConfig() {
+        try {
+            const cr = window.SillyTavernInfobar?.modules?.contextualRetrieval;
+            if (!cr) {
+                this.showNotification('❌ 上下文感知检索未初始化', 'error');
+                return;
+            }
+
+            const exportData = await cr.exportFusionConfig();
+            const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+                type: 'application/json'
+            });
+
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `retrieval-fusion-${Date.now()}.json`;
+            a.click();
+
+            URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 导出融合配置失败:', error);
+            this.showNotification('❌ 导出融合配置失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 🧩 立即检测记忆冲突
+     */
+    async handleDetectMemoryConflicts(button) {
+        const mms = window.SillyTavernInfobar?.modules?.memoryMaintenanceSystem;
+        if (!mms) {
+            this.showNotification('❌ 记忆维护系统未初始化', 'error');
+            return;
+        }
+
+        try {
+            if (button) button.disabled = true;
+            this.showNotification('🔍 正在检测记忆冲突...', 'info');
+
+            const { checked, found } = await mms.detectContradictions();
+            this.showNotification(`✅ 已判定 ${checked} 对记忆，发现 ${found} 个冲突`, 'success');
+            await this.renderMemoryConflictQueue();
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 检测记忆冲突失败:', error);
+            this.showNotification('❌ 检测记忆冲突失败: ' + error.message, 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * 🕸️ 立即对最近未抽取的消息执行LLM三元组抽取
+     */
+    async handleKnowledgeGraphExtractNow(button) {
+        const kgm = window.SillyTavernInfobar?.modules?.knowledgeGraphManager;
+        if (!kgm) {
+            this.showNotification('❌ 知识图谱管理器未初始化', 'error');
+            return;
+        }
+
+        try {
+            if (button) button.disabled = true;
+            this.showNotification('🕸️ 正在抽取知识图谱...', 'info');
+
+            const chatId = kgm.currentChatId || kgm.unifiedDataCore?.getCurrentChatId?.();
+            const result = await kgm.extractTriplesWithLLM(chatId);
+            if (result) {
+                this.showNotification(`✅ 已处理 ${result.floors.length} 条消息，抽取 ${result.extracted} 个关系，新增 ${result.added} 个`, 'success');
+            } else {
+                this.showNotification('⚠️ 没有新的消息可抽取，或自定义API不可用', 'warning');
+            }
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 知识图谱抽取失败:', error);
+            this.showNotification('❌ 知识图谱抽取失败: ' + error.message, 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * 🧩 处理审核队列中的冲突
+     */
+    async handleResolveMemoryConflict(conflictId, resolution) {
+        const mms = window.SillyTavernInfobar?.modules?.memoryMaintenanceSystem;
+        if (!mms) return;
+
+        const resolved = await mms.resolveMemoryConflict(conflictId, resolution);
+        this.showNotification(resolved ? '✅ 冲突已处理' : '⚠️ 冲突已失效或处理失败', resolved ? 'success' : 'warning');
+        await this.renderMemoryConflictQueue();
+    }
+
     /**
      * 🧠 初始化记忆增强面板内容
      */
@@ -39834,6 +41188,7 @@ ${dataExamples}
                 case 'memoryMaintenance':
                     this.updateElement('#memory-maintenance-cleanups', status.stats?.totalCleanups || 0);
                     this.updateElement('#memory-maintenance-compressions', status.stats?.totalCompressions || 0);
+                    this.updateElement('#memory-maintenance-conflicts', status.pendingConflicts || 0);
                     break;
                 case 'contextualRetrieval':
                     this.updateElement('#contextual-retrieval-queries', status.stats?.totalQueries || 0);
@@ -42020,6 +43375,200 @@ ${dataExamples}
         }
     }
 
+    /**
+     * 处理角色NPC库开关变更
+     */
+    async handleNPCLibraryEnabledChange(enabled) {
+        try {
+            localStorage.setItem('npcPanel_libraryEnabled', enabled.toString());
+            console.log('[InfoBarSettings] 📚 角色NPC库设置已更新:', enabled ? '开启' : '关闭');
+            await this.updateNPCLibraryStatus();
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 更新角色NPC库设置失败:', error);
+        }
+    }
+
+    /**
+     * 更新角色NPC库状态显示
+     */
+    async updateNPCLibraryStatus() {
+        try {
+            const statusElement = this.modal?.querySelector('#npc-library-status');
+            const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+            if (!statusElement || !npcDB?.getLibraryStatus) return;
+
+            const status = await npcDB.getLibraryStatus();
+            if (!status.characterKey) {
+                statusElement.textContent = '当前不是单角色聊天，角色NPC库不可用';
+                return;
+            }
+
+            statusElement.textContent = `角色：${status.characterName || status.characterKey} | 库中 ${status.libraryCount} 个NPC | 当前聊天已关联 ${status.linkedCount} 个` +
+                (status.conflictCount > 0 ? ` | ⚠️ ${status.conflictCount} 处冲突待处理` : '');
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 更新角色NPC库状态失败:', error);
+        }
+    }
+
+    /**
+     * 把选中的NPC（未选中时为全部）提升到角色NPC库
+     */
+    async handleNPCLibraryPromote() {
+        try {
+            const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+            if (!npcDB) {
+                this.showNotification('NPC数据库模块未找到', 'error');
+                return;
+            }
+
+            const npcIds = this.selectedNpcIds?.size > 0 ? Array.from(this.selectedNpcIds) : Object.keys(npcDB.db.npcs);
+            if (npcIds.length === 0) {
+                this.showNotification('当前聊天中暂无NPC', 'warning');
+                return;
+            }
+
+            const result = await npcDB.promoteToLibrary(npcIds);
+            if (!result) {
+                this.showNotification('当前不是单角色聊天，无法使用角色NPC库', 'warning');
+                return;
+            }
+
+            this.showNotification(`已提升 ${result.promoted} 个NPC，关联库中已有 ${result.linked} 个`, 'success');
+            await this.refreshNPCList();
+            if (result.conflicts.length > 0) {
+                this.showNPCLibraryConflictDialog(result.conflicts);
+            }
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 提升NPC到角色库失败:', error);
+            this.showNotification('提升NPC到角色库失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 从角色NPC库导入当前聊天中还没有的NPC
+     */
+    async handleNPCLibraryImport() {
+        try {
+            const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+            if (!npcDB) {
+                this.showNotification('NPC数据库模块未找到', 'error');
+                return;
+            }
+
+            const result = await npcDB.importFromLibrary();
+            if (!result) {
+                this.showNotification('当前不是单角色聊天，无法使用角色NPC库', 'warning');
+                return;
+            }
+
+            this.showNotification(`已从角色库导入 ${result.imported} 个NPC，关联同名NPC ${result.linked} 个`, 'success');
+            await this.refreshNPCList();
+            if (npcDB.libraryConflicts.length > 0) {
+                this.showNPCLibraryConflictDialog(npcDB.libraryConflicts);
+            }
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 从角色库导入NPC失败:', error);
+            this.showNotification('从角色库导入NPC失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 与角色NPC库同步，有冲突时提示选择
+     */
+    async handleNPCLibrarySync() {
+        try {
+            const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+            if (!npcDB) {
+                this.showNotification('NPC数据库模块未找到', 'error');
+                return;
+            }
+
+            const result = await npcDB.syncWithLibrary();
+            await this.refreshNPCList();
+
+            if (result.conflicts.length > 0) {
+                this.showNPCLibraryConflictDialog(result.conflicts);
+            } else {
+                this.showNotification(`同步完成：推送 ${result.pushed} 个NPC，拉取 ${result.pulled} 个字段`, 'success');
+            }
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 角色NPC库同步失败:', error);
+            this.showNotification('角色NPC库同步失败: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * 显示角色NPC库同步冲突对话框：逐个字段选择保留当前聊天的值或库中的值
+     */
+    showNPCLibraryConflictDialog(conflicts) {
+        document.getElementById('npc-library-conflict-overlay')?.remove();
+
+        const rows = conflicts.map((conflict, index) => `
+            <div class="regex-form-group" style="padding: 10px 0; border-bottom: 1px solid var(--theme-border-color, #333);">
+                <label class="regex-form-label">${this.escapeHtml(conflict.name)} · ${this.escapeHtml(conflict.field)}</label>
+                <label style="display: block; margin: 4px 0; cursor: pointer;">
+                    <input type="radio" name="npc-library-conflict-${index}" value="chat" checked>
+                    当前聊天：${conflict.chatValue !== '' ? this.escapeHtml(String(conflict.chatValue)) : '<em>（空）</em>'}
+                </label>
+                <label style="display: block; margin: 4px 0; cursor: pointer;">
+                    <input type="radio" name="npc-library-conflict-${index}" value="library">
+                    角色库：${conflict.libraryValue !== '' ? this.escapeHtml(String(conflict.libraryValue)) : '<em>（空）</em>'}
+                </label>
+            </div>
+        `).join('');
+
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <div class="regex-script-overlay" id="npc-library-conflict-overlay" style="z-index: 10000;">
+                <div class="regex-script-modal" style="width: 600px; max-width: 95vw; height: auto; max-height: 90vh;">
+                    <div class="regex-script-header">
+                        <h3>📚 角色NPC库同步冲突（${conflicts.length}）</h3>
+                        <button class="regex-btn regex-btn-small" data-action="close-library-conflicts">稍后处理</button>
+                    </div>
+                    <div class="regex-script-body">
+                        <small>以下字段在当前聊天和角色库中都被修改过，请选择要保留的值，选中的值会同时写入两边</small>
+                        ${rows}
+                    </div>
+                    <div class="regex-script-footer" style="display: flex; gap: 10px; justify-content: flex-end; padding: 16px 20px;">
+                        <button type="button" class="regex-btn regex-btn-primary" data-action="resolve-library-conflicts">✅ 应用选择</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(container.firstElementChild);
+
+        const overlay = document.getElementById('npc-library-conflict-overlay');
+        const closeDialog = () => overlay?.remove();
+
+        overlay.querySelector('[data-action="close-library-conflicts"]').addEventListener('click', async () => {
+            closeDialog();
+            await this.updateNPCLibraryStatus();
+        });
+        overlay.querySelector('[data-action="resolve-library-conflicts"]').addEventListener('click', async () => {
+            try {
+                const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+                const resolutions = conflicts.map((conflict, index) => ({
+                    npcId: conflict.npcId,
+                    field: conflict.field,
+                    choice: overlay.querySelector(`input[name="npc-library-conflict-${index}"]:checked`)?.value || 'chat'
+                }));
+
+                const result = await npcDB.resolveLibraryConflicts(resolutions);
+                closeDialog();
+                await this.refreshNPCList();
+
+                if (result?.conflicts?.length > 0) {
+                    this.showNPCLibraryConflictDialog(result.conflicts);
+                } else {
+                    this.showNotification('冲突已处理，角色NPC库已同步', 'success');
+                }
+            } catch (error) {
+                console.error('[InfoBarSettings] ❌ 处理角色NPC库冲突失败:', error);
+                this.showNotification('处理冲突失败: ' + error.message, 'error');
+            }
+        });
+    }
+
     /**
      * 处理NPC世界书同步开关变更
      */
@@ -43666,9 +45215,10 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
         const entryName = npc.name;
         const keywords = [npc.name];
         
-        if (npc.alias && npc.alias.length > 0) {
-            keywords.push(...npc.alias);
-        }
+        // 手动填写的别名和合并NPC时学习到的别名
+        [...(Array.isArray(npc.alias) ? npc.alias : [npc.alias]), ...(npc.aliases || [])].forEach(alias => {
+            if (alias && !keywords.includes(alias)) keywords.push(alias);
+        });
         
         let content = `# ${npc.name}\n\n`;
         
@@ -43762,6 +45312,7 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
             // 🔧 修复：强制重新加载NPC数据库，确保获取当前聊天的数据
             console.log('[InfoBarSettings] 🔄 强制重新加载NPC数据库...');
             await npcDB.load(); // 强制重新加载
+            await this.updateNPCLibraryStatus();
 
             // 获取当前聊天的NPC数据
             const currentChatId = npcDB.getCurrentChatId();
@@ -43826,6 +45377,8 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
                     <div class="npc-info">
                         <span class="npc-field-count">📋 ${fieldCount} 个字段</span>
                         <span class="npc-last-seen">🕒 ${lastSeenTime}</span>
+                        ${npc.aliases?.length ? `<span class="npc-aliases" title="别名">🏷️ ${this.escapeHtml(npc.aliases.join('、'))}</span>` : ''}
+                        ${npc.libraryId ? '<span class="npc-library-linked" title="已关联角色NPC库">📚 角色库</span>' : ''}
                     </div>
                 </div>
                 <div class="npc-card-footer">
@@ -43901,6 +45454,11 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
                 console.log('[InfoBarSettings] 🔗 已绑定合并角色按钮事件');
             }
 
+            const findDuplicatesBtn = this.modal.querySelector('#npc-find-duplicates-btn');
+            if (findDuplicatesBtn) {
+                findDuplicatesBtn.addEventListener('click', () => this.showDuplicateNPCDialog());
+            }
+
             const batchDeleteBtn = this.modal.querySelector('#npc-batch-delete-btn');
             if (batchDeleteBtn) {
                 batchDeleteBtn.addEventListener('click', () => this.batchDeleteNpcs());
@@ -44281,6 +45839,15 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
                         
                         <div class="regex-script-body">
                             <form id="edit-npc-form">
+                                <!-- 别名（合并NPC时自动学习，用于世界书关键词和NPC匹配） -->
+                                <div class="regex-form-group">
+                                    <label class="regex-form-label">别名</label>
+                                    <input type="text" class="regex-form-input" id="edit-npc-aliases"
+                                           placeholder="多个别名用逗号或顿号分隔"
+                                           value="${this.escapeHtml((npc.aliases || []).join('、'))}"
+                                           ${!isEditMode ? 'readonly' : ''}>
+                                </div>
+
                                 <!-- 动态字段容器 -->
                                 <div id="edit-npc-dynamic-fields">
                                     ${Object.entries(npcFields).map(([key, value], index) => `
@@ -44434,6 +46001,17 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
                             // 更新NPC数据
                             const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
                             if (npcDB) {
+                                // 同步别名（addNPC会保存数据库）
+                                const aliases = overlay.querySelector('#edit-npc-aliases').value
+                                    .split(/[,，、]/).map(alias => alias.trim()).filter(Boolean);
+                                [...(npc.aliases || [])]
+                                    .filter(alias => !aliases.includes(alias))
+                                    .forEach(alias => npcDB.removeAlias(npc.id, alias));
+                                const rejected = aliases.filter(alias => !(npc.aliases || []).includes(alias) && !npcDB.addAlias(npc.id, alias) && alias !== npc.name);
+                                if (rejected.length > 0) {
+                                    this.showToast(`以下别名已属于其他NPC，未添加：${rejected.join('、')}`, 'warning');
+                                }
+
                                 await npcDB.addNPC(updatedData);
                                 console.log('[InfoBarSettings] ✅ NPC更新成功:', updatedData.name);
                                 alert(`✅ NPC "${updatedData.name}" 更新成功！`);
@@ -44722,8 +46300,9 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
 
             // 清空存储
             const chatId = window.SillyTavern?.getContext?.()?.chatId;
-            if (chatId && deepMemory.unifiedDataCore) {
-                await deepMemory.unifiedDataCore.deleteData('deep_memory', chatId);
+            if (chatId && deepMemory.deleteChatMemories) {
+                // 💾 同时删除IndexedDB中尚未加载的归档记忆
+                await deepMemory.deleteChatMemories(chatId);
                 console.log('[InfoBarSettings] ✅ 深度记忆数据已清空');
             }
 
@@ -44859,6 +46438,7 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
                     dm.memoryLayers.longTerm.clear();
                     dm.memoryLayers.deepArchive.clear();
                     dm.chatMemories?.clear();
+                    await dm.deleteChatMemories?.();
                     successCount++;
                     console.log('[InfoBarSettings] ✅ 深度记忆数据已清空');
                 }
@@ -47527,12 +49107,99 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
         }
     }
 
+    /**
+     * 🆕 显示重复NPC候选对话框
+     */
+    showDuplicateNPCDialog() {
+        try {
+            const npcDB = window.SillyTavernInfobar?.modules?.npcDatabaseManager;
+            if (!npcDB?.findDuplicateCandidates) {
+                this.showToast('NPC数据库模块未找到', 'error');
+                return;
+            }
+
+            document.getElementById('duplicate-npc-overlay')?.remove();
+
+            const candidates = npcDB.findDuplicateCandidates();
+            const rows = candidates.map(candidate => {
+                const npc1 = npcDB.db.npcs[candidate.npcId1];
+                const npc2 = npcDB.db.npcs[candidate.npcId2];
+                return `
+                    <div class="regex-form-group" data-npc-id1="${this.escapeHtml(candidate.npcId1)}" data-npc-id2="${this.escapeHtml(candidate.npcId2)}" style="
+                        padding: 12px;
+                        border: 1px solid var(--theme-border-color, var(--SmartThemeBorderColor, #333));
+                        border-radius: 6px;
+                        margin-bottom: 10px;
+                    ">
+                        <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
+                            <strong style="flex: 1;">${this.escapeHtml(npc1.name)} ⇄ ${this.escapeHtml(npc2.name)}</strong>
+                            <span style="font-size: 12px; opacity: 0.8;">可能性 ${Math.round(candidate.score * 100)}%</span>
+                        </div>
+                        <div style="font-size: 12px; color: var(--theme-text-secondary, #999); line-height: 1.6; margin-bottom: 8px;">
+                            ${candidate.reasons.map(reason => `• ${this.escapeHtml(reason)}`).join('<br>')}
+                        </div>
+                        <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                            <button type="button" class="regex-btn regex-btn-small" data-action="dismiss-duplicate">不是同一角色</button>
+                            <button type="button" class="regex-btn regex-btn-small regex-btn-primary" data-action="merge-duplicate">🔀 合并</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            const container = document.createElement('div');
+            container.innerHTML = `
+                <div class="regex-script-overlay" id="duplicate-npc-overlay" style="z-index: 10000;">
+                    <div class="regex-script-modal" style="width: 640px; max-width: 95vw; height: auto; max-height: 90vh;">
+                        <div class="regex-script-header">
+                            <h3>🧬 可能重复的角色</h3>
+                            <button class="regex-btn regex-btn-small" data-action="close-duplicates">关闭</button>
+                        </div>
+                        <div class="regex-script-body">
+                            ${rows || '<div style="text-align: center; padding: 24px; opacity: 0.7;">没有发现可能重复的角色</div>'}
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(container.firstElementChild);
+
+            const overlay = document.getElementById('duplicate-npc-overlay');
+            const closeDialog = () => overlay?.remove();
+
+            overlay.querySelector('[data-action="close-duplicates"]').addEventListener('click', closeDialog);
+            overlay.addEventListener('click', async (e) => {
+                if (e.target === overlay) {
+                    closeDialog();
+                    return;
+                }
+
+                const button = e.target.closest('[data-action]');
+                const row = e.target.closest('[data-npc-id1]');
+                if (!button || !row) return;
+
+                const { npcId1, npcId2 } = row.dataset;
+                if (button.dataset.action === 'dismiss-duplicate') {
+                    await npcDB.dismissDuplicateCandidate(npcId1, npcId2);
+                    row.remove();
+                } else if (button.dataset.action === 'merge-duplicate') {
+                    closeDialog();
+                    await this.showMergeNPCDialog([npcId1, npcId2]);
+                }
+            });
+
+        } catch (error) {
+            console.error('[InfoBarSettings] ❌ 显示重复角色对话框失败:', error);
+            this.showToast('查找重复角色失败: ' + error.message, 'error');
+        }
+    }
+
     /**
      * 🆕 显示合并NPC对话框
+     * @param {Array<string>} npcIds - 要合并的两个NPC ID，默认使用列表中选中的NPC
      */
-    async showMergeNPCDialog() {
+    async showMergeNPCDialog(npcIds = null) {
         try {
-            if (this.selectedNpcIds.size !== 2) {
+            const selectedIds = npcIds || Array.from(this.selectedNpcIds);
+            if (selectedIds.length !== 2) {
                 this.showToast('请选择恰好2个NPC进行合并', 'warning');
                 return;
             }
@@ -47544,7 +49211,6 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
             }
 
             // 获取选中的两个NPC
-            const selectedIds = Array.from(this.selectedNpcIds);
             const npc1 = npcDB.db.npcs[selectedIds[0]];
             const npc2 = npcDB.db.npcs[selectedIds[1]];
 
@@ -47758,8 +49424,10 @@ update （"张三，状态"，"愤怒"）；//因为发生了冲突
                             </div>
                             <div style="color: var(--theme-text-secondary, #999); font-size: 13px; line-height: 1.6;">
                                 • 正在合并：<strong>${this.escapeHtml(npc1.name)}</strong> 和 <strong>${this.escapeHtml(npc2.name)}</strong><br>
-                                • 请为每个字段选择要保留的值<br>
+                                • 请为每个字段选择要保留的值，未选中的值会保留在字段历史中<br>
                                 • 合并后将保留第一个NPC，删除第二个NPC<br>
+                                • 未选用的名称将作为别名：${this.escapeHtml([npc1.name, npc2.name, ...(npc1.aliases || []), ...(npc2.aliases || [])].join('、'))}<br>
+                                • 出现次数合计 ${(npc1.appearCount || 0) + (npc2.appearCount || 0)} 次<br>
                                 • 此操作不可撤销，请谨慎选择
                             </div>
                         </div>
@@ -0,0 +1,901 @@
+/**
+ * MemoryInspectorPanel.js - 记忆检查器
+ *
+ * 功能特性:
+ * - 浏览深度记忆四层、AI记忆数据库、知识图谱三元组和时间线事件
+ * - 按来源/层级、类别、重要性和时间范围过滤，全文搜索
+ * - 按故事内时间窗口过滤，按故事时间排列时间线
+ * - 编辑记忆内容和重要性
+ * - 固定（不会被自动驱逐或清理）或遗忘记忆
+ * - 在深度记忆各层之间手动迁移
+ * - 查看最近哪些检索使用了某条记忆
+ *
+ * 知识图谱三元组和时间线事件只读显示。
+ *
+ * @version 1.0.0
+ * @author Information Bar Integration Tool Developer
+ */
+
+export class MemoryInspectorPanel {
+    constructor(dependencies = {}) {
+        console.log('[MemoryInspectorPanel] 🔧 记忆检查器初始化开始');
+
+        // 🔧 依赖注入
+        const modules = window.SillyTavernInfobar?.modules;
+        this.deepMemoryManager = dependencies.deepMemoryManager || modules?.deepMemoryManager;
+        this.aiMemoryDatabase = dependencies.aiMemoryDatabase || modules?.aiMemoryDatabase;
+        this.knowledgeGraphManager = dependencies.knowledgeGraphManager || modules?.knowledgeGraphManager;
+        this.timeAwareMemoryManager = dependencies.timeAwareMemoryManager || modules?.timeAwareMemoryManager;
+        this.memoryRetrievalLog = dependencies.memoryRetrievalLog || modules?.memoryRetrievalLog;
+        this.eventSystem = dependencies.eventSystem || window.SillyTavernInfobar?.eventSource;
+
+        // 深度记忆层
+        this.DEEP_LAYERS = {
+            sensory: '感知记忆',
+            shortTerm: '短期记忆',
+            longTerm: '长期记忆',
+            deepArchive: '深度归档'
+        };
+
+        // 其他来源
+        this.SOURCES = {
+            aiDatabase: 'AI记忆数据库',
+            knowledgeGraph: '知识图谱',
+            timeline: '时间线'
+        };
+
+        // 检索器名称
+        this.RETRIEVERS = {
+            contextual_retrieval: '上下文感知检索',
+            multi_recall: '多路召回'
+        };
+
+        // 故事时间窗口（由时间感知记忆管理器的故事日历计算范围）
+        this.STORY_WINDOWS = {
+            all: '全部故事时间',
+            story_day: '故事内今天',
+            last_story_day: '故事内昨天',
+            story_week: '故事内本周',
+            last_story_week: '故事内上周',
+            story_month: '故事内本月',
+            last_story_month: '故事内上月'
+        };
+
+        // 过滤条件
+        this.filters = {
+            source: 'all',
+            category: 'all',
+            minImportance: 0,
+            from: '',
+            to: '',
+            search: '',
+            storyWindow: 'all',
+            order: 'recorded'               // recorded: 按记录时间倒序 / story: 按故事时间顺序
+        };
+
+        // 每次最多渲染的条目数
+        this.pageSize = 100;
+        this.visibleCount = this.pageSize;
+
+        // UI元素引用
+        this.modal = null;
+        this.overlay = null;
+        this.memoryList = null;
+
+        // 当前条目（按 key 索引）
+        this.items = new Map();
+
+        // 初始化状态
+        this.initialized = false;
+        this.visible = false;
+
+        // 绑定方法
+        this.show = this.show.bind(this);
+        this.hide = this.hide.bind(this);
+        this.refreshMemoryList = this.refreshMemoryList.bind(this);
+
+        // 初始化样式
+        this.initStyles();
+
+        console.log('[MemoryInspectorPanel] ✅ 记忆检查器构造完成');
+    }
+
+    /**
+     * 初始化样式
+     */
+    initStyles() {
+        if (document.getElementById('memory-inspector-panel-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'memory-inspector-panel-styles';
+        style.textContent = `
+            /* 🎨 记忆检查器样式 */
+            .memory-inspector-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.7);
+                z-index: 19999;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            }
+
+            .memory-inspector-modal {
+                position: relative;
+                width: 1000px;
+                max-width: 95vw;
+                height: 90vh;
+                max-height: 90vh;
+                background: var(--theme-bg-primary, #1a1a1a);
+                border: 2px solid var(--theme-border-color, #333);
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+                display: flex;
+                flex-direction: column;
+                color: var(--theme-text-primary, #e0e0e0);
+            }
+
+            .memory-inspector-header {
+                padding: 20px;
+                border-bottom: 2px solid var(--theme-border-color, #333);
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                flex-shrink: 0;
+            }
+
+            .memory-inspector-header h3 {
+                margin: 0;
+                color: var(--theme-primary-color, #4CAF50);
+                font-size: 20px;
+                display: flex;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .memory-inspector-filters {
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--theme-border-color, #333);
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                align-items: center;
+                flex-shrink: 0;
+            }
+
+            .memory-inspector-filters label {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                font-size: 13px;
+                color: var(--theme-text-secondary, #888);
+            }
+
+            .memory-inspector-filters input,
+            .memory-inspector-filters select,
+            .memory-inspector-editor textarea,
+            .memory-inspector-editor input,
+            .memory-inspector-item select {
+                padding: 6px 8px;
+                background: var(--theme-bg-secondary, #2a2a2a);
+                border: 1px solid var(--theme-border-color, #333);
+                border-radius: 6px;
+                color: var(--theme-text-primary, #e0e0e0);
+                font-size: 13px;
+                font-family: inherit;
+            }
+
+            .memory-inspector-search {
+                flex: 1;
+                min-width: 180px;
+            }
+
+            .memory-inspector-body {
+                padding: 16px 20px;
+                overflow-y: auto;
+                flex: 1;
+                min-height: 0;
+            }
+
+            .memory-inspector-summary {
+                font-size: 13px;
+                color: var(--theme-text-secondary, #888);
+                margin-bottom: 12px;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .memory-inspector-list {
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+            }
+
+            .memory-inspector-item {
+                background: var(--theme-bg-secondary, #2a2a2a);
+                border: 1px solid var(--theme-border-color, #333);
+                border-radius: 8px;
+                padding: 12px 14px;
+            }
+
+            .memory-inspector-item.pinned {
+                border-color: var(--theme-primary-color, #4CAF50);
+            }
+
+            .memory-inspector-item-meta {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                font-size: 11px;
+                color: var(--theme-text-secondary, #888);
+                margin-bottom: 8px;
+            }
+
+            .memory-inspector-tag {
+                padding: 2px 6px;
+                border-radius: 3px;
+                background: rgba(33, 150, 243, 0.15);
+            }
+
+            .memory-inspector-tag.layer {
+                background: rgba(76, 175, 80, 0.15);
+            }
+
+            .memory-inspector-content {
+                font-size: 14px;
+                line-height: 1.5;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            .memory-inspector-item-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-top: 10px;
+                align-items: center;
+            }
+
+            .memory-inspector-editor,
+            .memory-inspector-usage {
+                margin-top: 10px;
+                padding-top: 10px;
+                border-top: 1px dashed var(--theme-border-color, #333);
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                font-size: 13px;
+            }
+
+            .memory-inspector-editor textarea {
+                min-height: 80px;
+                resize: vertical;
+            }
+
+            .memory-inspector-empty {
+                text-align: center;
+                padding: 60px 20px;
+                color: var(--theme-text-secondary, #888);
+            }
+
+            .memory-inspector-btn {
+                padding: 4px 10px;
+                background: var(--theme-bg-secondary, #333);
+                color: var(--theme-text-primary, #fff);
+                border: 1px solid var(--theme-border-color, #555);
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 13px;
+                transition: all 0.2s;
+            }
+
+            .memory-inspector-btn:hover {
+                background: var(--theme-bg-hover, #444);
+                border-color: var(--theme-primary-color, #4CAF50);
+            }
+
+            .memory-inspector-btn-primary {
+                background: var(--theme-primary-color, #4CAF50);
+                color: white;
+                border-color: var(--theme-primary-color, #4CAF50);
+            }
+
+            .memory-inspector-btn-danger {
+                background: #f44336;
+                color: white;
+                border-color: #f44336;
+            }
+
+            /* 🔧 移动端适配 */
+            @media (max-width: 768px) {
+                .memory-inspector-overlay {
+                    padding: 10px !important;
+                    align-items: flex-start !important;
+                    padding-top: 5vh !important;
+                }
+
+                .memory-inspector-modal {
+                    width: 100% !important;
+                    max-width: none !important;
+                }
+
+                .memory-inspector-header,
+                .memory-inspector-filters,
+                .memory-inspector-body {
+                    padding: 12px !important;
+                }
+
+                .memory-inspector-search {
+                    min-width: 100% !important;
+                }
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    /**
+     * 显示面板
+     */
+    async show() {
+        try {
+            console.log('[MemoryInspectorPanel] 📖 显示记忆检查器');
+
+            if (this.visible) {
+                this.hide();
+            }
+
+            // 创建UI
+            this.createUI();
+
+            // 刷新记忆列表
+            await this.refreshMemoryList();
+
+            this.visible = true;
+
+        } catch (error) {
+            console.error('[MemoryInspectorPanel] ❌ 显示面板失败:', error);
+            alert(`显示记忆检查器失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        console.log('[MemoryInspectorPanel] 👋 隐藏记忆检查器');
+
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+
+        this.overlay = null;
+        this.modal = null;
+        this.memoryList = null;
+        this.visible = false;
+    }
+
+    /**
+     * 创建UI
+     */
+    createUI() {
+        // 创建遮罩层
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'memory-inspector-overlay';
+
+        // 创建模态窗口
+        this.modal = document.createElement('div');
+        this.modal.className = 'memory-inspector-modal';
+
+        const sourceOptions = [
+            ['all', '全部来源'],
+            ...Object.entries(this.DEEP_LAYERS),
+            ...Object.entries(this.SOURCES)
+        ].map(([value, label]) => `<option value="${value}" ${this.filters.source === value ? 'selected' : ''}>${label}</option>`).join('');
+        const storyWindowOptions = Object.entries(this.STORY_WINDOWS)
+            .map(([value, label]) => `<option value="${value}" ${this.filters.storyWindow === value ? 'selected' : ''}>${label}</option>`).join('');
+        const orderOptions = [['recorded', '按记录时间'], ['story', '按故事时间']]
+            .map(([value, label]) => `<option value="${value}" ${this.filters.order === value ? 'selected' : ''}>${label}</option>`).join('');
+
+        this.modal.innerHTML = `
+            <div class="memory-inspector-header">
+                <h3>
+                    <span>🔬</span>
+                    <span>记忆检查器</span>
+                </h3>
+                <div style="display: flex; gap: 10px;">
+                    <button class="memory-inspector-btn" data-action="refresh">🔄 刷新</button>
+                    <button class="memory-inspector-btn" data-action="close">关闭</button>
+                </div>
+            </div>
+
+            <div class="memory-inspector-filters">
+                <input type="text" class="memory-inspector-search" data-filter="search" placeholder="全文搜索..." value="${this.escapeHtml(this.filters.search)}">
+                <select data-filter="source">${sourceOptions}</select>
+                <select data-filter="category"><option value="all">全部类别</option></select>
+                <label>重要性 ≥ <input type="number" data-filter="minImportance" min="0" max="1" step="0.1" value="${this.filters.minImportance}" style="width: 64px;"></label>
+                <label>从 <input type="date" data-filter="from" value="${this.filters.from}"></label>
+                <label>到 <input type="date" data-filter="to" value="${this.filters.to}"></label>
+                <select data-filter="storyWindow">${storyWindowOptions}</select>
+                <select data-filter="order">${orderOptions}</select>
+            </div>
+
+            <div class="memory-inspector-body">
+                <div class="memory-inspector-summary">
+                    <span id="memory-inspector-count"></span>
+                    <button class="memory-inspector-btn" data-action="load-archive" style="display: none;">📂 加载更多归档</button>
+                </div>
+                <div class="memory-inspector-list" id="memory-inspector-list"></div>
+            </div>
+        `;
+
+        this.overlay.appendChild(this.modal);
+        document.body.appendChild(this.overlay);
+
+        // 获取记忆列表容器
+        this.memoryList = this.modal.querySelector('#memory-inspector-list');
+
+        // 绑定事件
+        this.bindEvents();
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        // 关闭按钮
+        this.modal.querySelector('[data-action="close"]').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 点击遮罩层关闭
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.hide();
+            }
+        });
+
+        // 刷新
+        this.modal.querySelector('[data-action="refresh"]').addEventListener('click', async () => {
+            await this.refreshMemoryList();
+        });
+
+        // 加载更多深度归档
+        this.modal.querySelector('[data-action="load-archive"]').addEventListener('click', async () => {
+            await this.deepMemoryManager?.loadArchivePage();
+            await this.refreshMemoryList();
+        });
+
+        // 过滤条件
+        this.modal.querySelectorAll('[data-filter]').forEach(input => {
+            const eventName = input.dataset.filter === 'search' ? 'input' : 'change';
+            input.addEventListener(eventName, () => {
+                const value = input.value;
+                this.filters[input.dataset.filter] = input.dataset.filter === 'minImportance'
+                    ? (parseFloat(value) || 0)
+                    : value;
+                this.visibleCount = this.pageSize;
+                this.renderMemoryList();
+            });
+        });
+
+        // 条目操作（事件委托）
+        this.memoryList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            const itemElement = e.target.closest('.memory-inspector-item');
+            if (button?.dataset.action === 'show-more') {
+                this.visibleCount += this.pageSize;
+                this.renderMemoryList();
+                return;
+            }
+            if (!button || !itemElement) return;
+
+            await this.handleItemAction(button.dataset.action, itemElement);
+        });
+
+        this.memoryList.addEventListener('change', async (e) => {
+            if (e.target.dataset.action !== 'migrate' || !e.target.value) return;
+            const itemElement = e.target.closest('.memory-inspector-item');
+            await this.migrateItem(this.items.get(itemElement.dataset.key), e.target.value);
+        });
+    }
+
+    /**
+     * 收集所有来源的记忆并刷新列表
+     */
+    async refreshMemoryList() {
+        try {
+            this.items = new Map();
+            this.collectItems().forEach(item => this.items.set(item.key, item));
+
+            // 类别下拉框
+            const categorySelect = this.modal?.querySelector('[data-filter="category"]');
+            if (categorySelect) {
+                const categories = [...new Set(Array.from(this.items.values()).map(item => item.category).filter(Boolean))].sort();
+                if (this.filters.category !== 'all' && !categories.includes(this.filters.category)) {
+                    this.filters.category = 'all';
+                }
+                categorySelect.innerHTML = ['<option value="all">全部类别</option>',
+                    ...categories.map(category => `<option value="${this.escapeHtml(category)}" ${this.filters.category === category ? 'selected' : ''}>${this.escapeHtml(category)}</option>`)
+                ].join('');
+            }
+
+            // 深度归档尚有未加载的记忆时显示加载按钮
+            const loadArchiveButton = this.modal?.querySelector('[data-action="load-archive"]');
+            if (loadArchiveButton) {
+                const unloaded = this.deepMemoryManager?.archiveState?.unloaded || 0;
+                loadArchiveButton.style.display = unloaded > 0 ? '' : 'none';
+                loadArchiveButton.textContent = `📂 加载更多归档（剩余 ${unloaded}）`;
+            }
+
+            this.renderMemoryList();
+
+        } catch (error) {
+            console.error('[MemoryInspectorPanel] ❌ 刷新记忆列表失败:', error);
+        }
+    }
+
+    /**
+     * 将各来源的记忆统一为检查器条目
+     * @returns {Array<Object>}
+     */
+    collectItems() {
+        const items = [];
+        const usageCounts = this.memoryRetrievalLog?.getUsageCounts() || new Map();
+
+        // 深度记忆各层
+        for (const [layerName, layer] of Object.entries(this.deepMemoryManager?.memoryLayers || {})) {
+            for (const [id, memory] of layer) {
+                items.push({
+                    key: `deep:${id}`,
+                    id: id,
+                    source: layerName,
+                    content: memory.content || '',
+                    category: memory.category || memory.type || '',
+                    importance: memory.importance || 0,
+                    timestamp: memory.timestamp || 0,
+                    storyTime: memory.storyTime || null,
+                    pinned: this.deepMemoryManager.isMemoryPinned(memory),
+                    editable: true,
+                    usageCount: usageCounts.get(id) || 0
+                });
+            }
+        }
+
+        // AI记忆数据库
+        for (const [id, memory] of this.aiMemoryDatabase?.database?.memories || []) {
+            items.push({
+                key: `ai:${id}`,
+                id: id,
+                source: 'aiDatabase',
+                content: memory.content || '',
+                category: memory.category || '',
+                importance: memory.importance || 0,
+                timestamp: memory.timestamp || 0,
+                storyTime: memory.storyTime || null,
+                pinned: false,
+                editable: true,
+                usageCount: usageCounts.get(id) || 0
+            });
+        }
+
+        // 知识图谱三元组（当前聊天）
+        const graph = this.knowledgeGraphManager?.graphs?.get(this.knowledgeGraphManager.currentChatId);
+        for (const triple of graph?.triples || []) {
+            items.push({
+                key: `kg:${triple.id}`,
+                id: triple.id,
+                source: 'knowledgeGraph',
+                content: `${triple.subject} —[${triple.predicate}]→ ${triple.object}`,
+                category: triple.predicate || '',
+                importance: triple.confidence ?? 1,
+                timestamp: triple.timestamp || 0,
+                storyTime: null,
+                pinned: false,
+                editable: false,
+                usageCount: 0
+            });
+        }
+
+        // 时间线事件（当前聊天）
+        const timeline = this.timeAwareMemoryManager?.timelines?.get(this.timeAwareMemoryManager.currentChatId);
+        for (const event of timeline?.events || []) {
+            items.push({
+                key: `tl:${event.id}`,
+                id: event.memoryId || event.id,
+                source: 'timeline',
+                content: event.content || '',
+                category: '',
+                importance: event.decayedImportance ?? event.importance ?? 0,
+                timestamp: event.timestamp || 0,
+                storyTime: event.storyTime || null,
+                pinned: false,
+                editable: false,
+                usageCount: usageCounts.get(event.memoryId) || 0
+            });
+        }
+
+        return items.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * 按当前过滤条件筛选条目
+     */
+    getFilteredItems() {
+        const { source, category, minImportance, from, to, search, storyWindow, order } = this.filters;
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        const storyRange = storyWindow !== 'all' ? this.getStoryWindowRange(storyWindow) : null;
+
+        const filtered = Array.from(this.items.values()).filter(item => {
+            if (source !== 'all' && item.source !== source) return false;
+            if (category !== 'all' && item.category !== category) return false;
+            if (item.importance < minImportance) return false;
+            if (fromTime !== null && item.timestamp < fromTime) return false;
+            if (toTime !== null && item.timestamp > toTime) return false;
+            if (storyWindow !== 'all') {
+                const storyTimestamp = item.storyTime?.timestamp;
+                if (!storyRange || !Number.isFinite(storyTimestamp)) return false;
+                if (storyTimestamp < storyRange.start || storyTimestamp > storyRange.end) return false;
+            }
+            if (terms.length > 0) {
+                const text = `${item.content} ${item.category} ${item.id}`.toLowerCase();
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+            return true;
+        });
+
+        // 按故事时间顺序排列，没有故事时间的条目排在最后
+        if (order === 'story') {
+            const storyTimeOf = (item) => Number.isFinite(item.storyTime?.timestamp) ? item.storyTime.timestamp : Infinity;
+            filtered.sort((a, b) => {
+                const diff = storyTimeOf(a) - storyTimeOf(b);
+                return Number.isNaN(diff) || diff === 0 ? a.timestamp - b.timestamp : diff;
+            });
+        }
+
+        return filtered;
+    }
+
+    /**
+     * 当前故事时钟下的故事时间窗口范围
+     */
+    getStoryWindowRange(storyWindow) {
+        const manager = this.timeAwareMemoryManager;
+        const clock = manager?.timelines?.get(manager.currentChatId)?.storyClock;
+        if (!clock) return null;
+        return manager.storyCalendar?.getWindowRange(storyWindow, clock.timestamp) || null;
+    }
+
+    /**
+     * 渲染记忆列表
+     */
+    renderMemoryList() {
+        if (!this.memoryList) return;
+
+        const filtered = this.getFilteredItems();
+        const countElement = this.modal.querySelector('#memory-inspector-count');
+        if (countElement) {
+            const storyClock = this.timeAwareMemoryManager?.getCurrentStoryTime?.();
+            countElement.textContent = `共 ${this.items.size} 条记忆，符合条件 ${filtered.length} 条` +
+                (storyClock ? `　📖 当前故事时间：${storyClock.text}` : '');
+        }
+
+        if (filtered.length === 0) {
+            this.memoryList.innerHTML = `
+                <div class="memory-inspector-empty">
+                    <div style="font-size: 48px; margin-bottom: 16px;">🧠</div>
+                    <div>没有符合条件的记忆</div>
+                </div>
+            `;
+            return;
+        }
+
+        const visible = filtered.slice(0, this.visibleCount);
+        this.memoryList.innerHTML = visible.map(item => this.renderMemoryItem(item)).join('') +
+            (filtered.length > visible.length
+                ? `<button class="memory-inspector-btn" data-action="show-more">显示更多（剩余 ${filtered.length - visible.length} 条）</button>`
+                : '');
+    }
+
+    /**
+     * 渲染单条记忆
+     */
+    renderMemoryItem(item) {
+        const sourceLabel = this.DEEP_LAYERS[item.source] || this.SOURCES[item.source] || item.source;
+        const isDeep = !!this.DEEP_LAYERS[item.source];
+        const migrateOptions = isDeep
+            ? Object.entries(this.DEEP_LAYERS)
+                .filter(([layerName]) => layerName !== item.source)
+                .map(([layerName, label]) => `<option value="${layerName}">→ ${label}</option>`)
+                .join('')
+            : '';
+
+        return `
+            <div class="memory-inspector-item ${item.pinned ? 'pinned' : ''}" data-key="${this.escapeHtml(item.key)}">
+                <div class="memory-inspector-item-meta">
+                    <span class="memory-inspector-tag layer">${sourceLabel}</span>
+                    ${item.category ? `<span class="memory-inspector-tag">${this.escapeHtml(item.category)}</span>` : ''}
+                    <span>重要性 ${Number(item.importance).toFixed(2)}</span>
+                    <span>${item.timestamp ? new Date(item.timestamp).toLocaleString() : '未知时间'}</span>
+                    ${item.storyTime ? `<span>📖 ${this.escapeHtml(item.storyTime.text || '')}${this.describeStoryTime(item.storyTime)}</span>` : ''}
+                    ${item.pinned ? '<span>📌 已固定</span>' : ''}
+                    ${item.usageCount > 0 ? `<span>🔍 最近被检索 ${item.usageCount} 次</span>` : ''}
+                </div>
+                <div class="memory-inspector-content">${this.escapeHtml(item.content)}</div>
+                <div class="memory-inspector-item-actions">
+                    ${item.editable ? '<button class="memory-inspector-btn" data-action="edit">✏️ 编辑</button>' : ''}
+                    ${isDeep ? `<button class="memory-inspector-btn" data-action="pin">${item.pinned ? '📍 取消固定' : '📌 固定'}</button>` : ''}
+                    ${isDeep ? `<select data-action="migrate"><option value="">迁移到...</option>${migrateOptions}</select>` : ''}
+                    ${item.source !== 'knowledgeGraph' ? '<button class="memory-inspector-btn" data-action="usage">🔍 检索记录</button>' : ''}
+                    ${item.editable ? '<button class="memory-inspector-btn memory-inspector-btn-danger" data-action="forget">🗑️ 遗忘</button>' : ''}
+                </div>
+                <div class="memory-inspector-detail"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * 故事内相对时间后缀，如 " · 故事内3天前"
+     */
+    describeStoryTime(storyTime) {
+        const relative = this.timeAwareMemoryManager?.describeStoryTime?.(storyTime) || '';
+        return relative ? ` · ${relative}` : '';
+    }
+
+    /**
+     * 处理条目按钮操作
+     */
+    async handleItemAction(action, itemElement) {
+        const item = this.items.get(itemElement.dataset.key);
+        if (!item) return;
+
+        const detail = itemElement.querySelector('.memory-inspector-detail');
+
+        switch (action) {
+            case 'edit':
+                detail.innerHTML = this.renderEditor(item);
+                break;
+            case 'cancel-edit':
+                detail.innerHTML = '';
+                break;
+            case 'save-edit':
+                await this.saveItem(item, {
+                    content: detail.querySelector('[data-field="content"]').value,
+                    importance: detail.querySelector('[data-field="importance"]').value
+                });
+                break;
+            case 'pin':
+                await this.deepMemoryManager.setMemoryPinned(item.id, !item.pinned);
+                await this.refreshMemoryList();
+                break;
+            case 'forget':
+                await this.forgetItem(item);
+                break;
+            case 'usage':
+                detail.innerHTML = this.renderUsage(item);
+                break;
+        }
+    }
+
+    /**
+     * 渲染编辑器
+     */
+    renderEditor(item) {
+        return `
+            <div class="memory-inspector-editor">
+                <textarea data-field="content">${this.escapeHtml(item.content)}</textarea>
+                <label>重要性 <input type="number" data-field="importance" min="0" max="1" step="0.05" value="${Number(item.importance).toFixed(2)}" style="width: 80px;"></label>
+                <div style="display: flex; gap: 8px;">
+                    <button class="memory-inspector-btn memory-inspector-btn-primary" data-action="save-edit">保存</button>
+                    <button class="memory-inspector-btn" data-action="cancel-edit">取消</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染检索使用记录
+     */
+    renderUsage(item) {
+        const usage = this.memoryRetrievalLog?.getUsage(item.id) || [];
+        if (usage.length === 0) {
+            return '<div class="memory-inspector-usage">最近没有检索使用过这条记忆</div>';
+        }
+
+        return `
+            <div class="memory-inspector-usage">
+                ${usage.map(record => `
+                    <div>
+                        <strong>${this.RETRIEVERS[record.retriever] || this.escapeHtml(record.retriever)}</strong>
+                        · 第 ${record.rank} 名${record.score !== null ? ` · 分数 ${record.score}` : ''}
+                        · ${new Date(record.timestamp).toLocaleString()}
+                        <div style="color: var(--theme-text-secondary, #888);">查询：${this.escapeHtml(record.query)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 保存编辑
+     */
+    async saveItem(item, changes) {
+        try {
+            const updated = item.source === 'aiDatabase'
+                ? this.aiMemoryDatabase.updateMemory(item.id, changes)
+                : await this.deepMemoryManager.updateMemory(item.id, changes);
+
+            if (!updated) {
+                throw new Error('记忆不存在或已被删除');
+            }
+
+            await this.refreshMemoryList();
+
+        } catch (error) {
+            console.error('[MemoryInspectorPanel] ❌ 保存记忆失败:', error);
+            alert(`保存失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 遗忘记忆
+     */
+    async forgetItem(item) {
+        try {
+            const preview = item.content.length > 50 ? `${item.content.substring(0, 50)}...` : item.content;
+            if (!confirm(`确定要遗忘这条记忆吗？\n\n${preview}`)) {
+                return;
+            }
+
+            if (item.source === 'aiDatabase') {
+                await this.aiMemoryDatabase.deleteMemory(item.id);
+                this.aiMemoryDatabase.debouncedSave();
+            } else {
+                await this.deepMemoryManager.forgetMemory(item.id);
+            }
+
+            await this.refreshMemoryList();
+
+        } catch (error) {
+            console.error('[MemoryInspectorPanel] ❌ 遗忘记忆失败:', error);
+            alert(`遗忘失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 手动迁移记忆到其他层
+     */
+    async migrateItem(item, toLayer) {
+        try {
+            if (!item) return;
+
+            const migrated = await this.deepMemoryManager.forceMigrateMemory(item.id, toLayer);
+            if (!migrated) {
+                throw new Error('记忆不存在或目标层无效');
+            }
+
+            await this.refreshMemoryList();
+
+        } catch (error) {
+            console.error('[MemoryInspectorPanel] ❌ 迁移记忆失败:', error);
+            alert(`迁移失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
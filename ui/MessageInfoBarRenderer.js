@@ -265,6 +265,12 @@ export class MessageInfoBarRenderer {
                 this.handleMessageDeleted(data);
             });
 
+            // 🔀 监听swipe快照恢复：清理旧swipe的信息栏，随后的渲染请求按恢复的数据重绘
+            // 该swipe没有可恢复的数据时不会触发，信息栏保持当前内容
+            this.eventSystem.on('snapshot:swipe:restored', (data) => {
+                this.handleSwipeRestored(data);
+            });
+
             console.log('[MessageInfoBarRenderer] 🔗 事件监听器绑定完成');
 
         } catch (error) {
@@ -584,6 +590,29 @@ export class MessageInfoBarRenderer {
         }
     }
 
+    /**
+     * 🔀 处理swipe快照恢复事件
+     * DataSnapshotManager已把数据恢复为当前swipe（或上一楼层）的快照，旧信息栏先移除，
+     * 紧随其后的渲染请求会重新绘制；没有快照也没有降级快照时不会收到此事件，保持当前渲染
+     */
+    handleSwipeRestored(data) {
+        try {
+            const messageId = data?.floor?.toString();
+            if (!messageId) {
+                return;
+            }
+
+            console.log('[MessageInfoBarRenderer] 🔀 swipe数据已恢复，清理旧信息栏:', messageId);
+
+            this.cleanupInfoBarForMessage(messageId);
+            this.renderedMessages.delete(messageId);
+
+        } catch (error) {
+            console.error('[MessageInfoBarRenderer] ❌ 处理swipe快照恢复事件失败:', error);
+            this.handleError(error);
+        }
+    }
+
     /**
      * 获取消息ID
      */
@@ -1341,6 +1370,46 @@ export class MessageInfoBarRenderer {
         }
     }
 
+    /**
+     * 🧩 根据仪表板配置组合局部模板（由HTML模板编辑器的局部模板库调用，结果插入自定义模板）
+     * @param {Object} dashboard - { columns, partials: [{ name, args: { 参数名: 表达式 } }] }
+     * @returns {string} 模板字符串
+     */
+    composeDashboardTemplate(dashboard) {
+        const columns = Math.max(1, Math.min(6, parseInt(dashboard.columns) || 2));
+
+        const cells = dashboard.partials
+            .filter(entry => entry && /^[A-Za-z][\w-]*$/.test(entry.name || ''))
+            .map(entry => {
+                const args = Object.entries(entry.args || {})
+                    .filter(([key]) => /^[A-Za-z_$][\w$]*$/.test(key))
+                    .map(([key, value]) => `${key}=${this.formatPartialArgument(value)}`)
+                    .join(' ');
+                const span = entry.fullWidth ? ' style="grid-column: 1 / -1;"' : '';
+                return `<div class="ib-dashboard-cell"${span}>{{> ${entry.name}${args ? ' ' + args : ''}}}</div>`;
+            });
+
+        return `
+            <div class="ib-partial-dashboard" style="display: grid; grid-template-columns: repeat(${columns}, minmax(0, 1fr)); gap: 10px; padding: 12px; border-radius: 8px;">
+                ${cells.join('\n')}
+            </div>
+        `;
+    }
+
+    /**
+     * 🧩 格式化局部模板参数：字符串视为表达式（如 data.health），其余值转为字面量
+     */
+    formatPartialArgument(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        if (value && typeof value === 'object' && 'literal' in value) {
+            return JSON.stringify(String(value.literal));
+        }
+        const expression = String(value ?? '').trim();
+        return expression && !/[{}]/.test(expression) ? expression : '""';
+    }
+
     /**
      * 获取模板设置
      */
@@ -1771,10 +1771,10 @@ export class NPCManagementPanel {
         const entryName = npc.name;
         const keywords = [npc.name];
         
-        // 添加可能的别名作为关键词
-        if (npc.alias && npc.alias.length > 0) {
-            keywords.push(...npc.alias);
-        }
+        // 添加别名作为关键词（手动填写的别名和合并NPC时学习到的别名）
+        [...(Array.isArray(npc.alias) ? npc.alias : [npc.alias]), ...(npc.aliases || [])].forEach(alias => {
+            if (alias && !keywords.includes(alias)) keywords.push(alias);
+        });
         
         // 格式化NPC字段数据为内容
         let content = `# ${npc.name}\n\n`;
@@ -0,0 +1,1061 @@
+/**
+ * RelationshipGraphPanel.js - 人物关系图谱面板
+ *
+ * 功能特性:
+ * - 合并知识图谱三元组和NPC数据库（关系类型、好感度）生成关系图
+ * - Canvas力导向布局，支持拖拽节点、平移和缩放
+ * - 按实体类型着色，边上显示关系和好感度
+ * - 按时间范围筛选关系
+ * - 点击节点在侧栏查看关系，双击NPC节点打开NPC详情
+ * - 导出PNG图片或GraphML文件
+ *
+ * @version 1.0.0
+ * @author Information Bar Integration Tool Developer
+ */
+
+export class RelationshipGraphPanel {
+    constructor(dependencies = {}) {
+        console.log('[RelationshipGraphPanel] 🔧 人物关系图谱面板初始化开始');
+
+        // 🔧 依赖注入
+        const modules = window.SillyTavernInfobar?.modules;
+        this.knowledgeGraphManager = dependencies.knowledgeGraphManager || modules?.knowledgeGraphManager;
+        this.npcDatabaseManager = dependencies.npcDatabaseManager || modules?.npcDatabaseManager;
+        this.eventSystem = dependencies.eventSystem || window.SillyTavernInfobar?.eventSource;
+
+        // 节点类型（颜色和图例名称）
+        this.NODE_TYPES = {
+            user: { label: '用户', color: '#E91E63' },
+            character: { label: '角色', color: '#4CAF50' },
+            place: { label: '地点', color: '#2196F3' },
+            item: { label: '物品', color: '#FF9800' },
+            faction: { label: '势力', color: '#9C27B0' },
+            other: { label: '其他', color: '#9E9E9E' }
+        };
+
+        // 知识图谱关系名称
+        this.RELATION_LABELS = {
+            loves: '爱慕',
+            hates: '憎恨',
+            owns: '拥有',
+            located_in: '位于',
+            member_of: '隶属'
+        };
+
+        // NPC字段中的关系和好感度（面板字段名可能是中文或英文）
+        this.RELATIONSHIP_FIELDS = ['关系类型', '关系', 'relationship', 'relation'];
+        this.AFFECTION_FIELDS = ['好感度', '亲密度', 'affection', 'intimacy', 'favorability'];
+
+        // 力导向布局参数
+        this.LAYOUT = {
+            repulsion: 6000,        // 节点间斥力
+            springLength: 140,      // 边的理想长度
+            springStrength: 0.02,   // 弹簧系数
+            gravity: 0.01,          // 向中心的引力
+            damping: 0.85,          // 速度衰减
+            alphaDecay: 0.985,      // 每帧降温
+            alphaMin: 0.01          // 低于此温度停止
+        };
+
+        // 图数据
+        this.nodes = new Map();     // name -> node
+        this.edges = [];
+        this.visibleNodes = [];
+        this.visibleEdges = [];
+        this.timeRange = { from: null, to: null };
+
+        // 视图状态
+        this.view = { x: 0, y: 0, scale: 1 };
+        this.alpha = 1;
+        this.animationFrame = null;
+        this.pointer = null;        // 当前拖拽：{ node, startX, startY, moved }
+        this.selectedNode = null;
+
+        // UI元素引用
+        this.modal = null;
+        this.overlay = null;
+        this.canvas = null;
+        this.sidebar = null;
+
+        // 初始化状态
+        this.visible = false;
+
+        // 绑定方法
+        this.show = this.show.bind(this);
+        this.hide = this.hide.bind(this);
+        this.tick = this.tick.bind(this);
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+
+        // 初始化样式
+        this.initStyles();
+
+        // 图谱或NPC数据更新后自动刷新
+        const refresh = () => {
+            if (this.visible) {
+                this.refresh();
+            }
+        };
+        this.eventSystem?.on('knowledge-graph:triples-extracted', refresh);
+        this.eventSystem?.on('npc:db:saved', refresh);
+
+        console.log('[RelationshipGraphPanel] ✅ 人物关系图谱面板构造完成');
+    }
+
+    /**
+     * 初始化样式
+     */
+    initStyles() {
+        if (document.getElementById('relationship-graph-panel-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'relationship-graph-panel-styles';
+        style.textContent = `
+            /* 🎨 人物关系图谱面板样式 */
+            .relationship-graph-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.7);
+                z-index: 19999;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            }
+
+            .relationship-graph-modal {
+                position: relative;
+                width: 1100px;
+                max-width: 95vw;
+                height: 90vh;
+                max-height: 90vh;
+                background: var(--theme-bg-primary, #1a1a1a);
+                border: 2px solid var(--theme-border-color, #333);
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+                display: flex;
+                flex-direction: column;
+                color: var(--theme-text-primary, #e0e0e0);
+            }
+
+            .relationship-graph-header {
+                padding: 20px;
+                border-bottom: 2px solid var(--theme-border-color, #333);
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                flex-shrink: 0;
+            }
+
+            .relationship-graph-header h3 {
+                margin: 0;
+                color: var(--theme-primary-color, #4CAF50);
+                font-size: 20px;
+                display: flex;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .relationship-graph-toolbar {
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--theme-border-color, #333);
+                display: flex;
+                flex-wrap: wrap;
+                gap: 12px 16px;
+                align-items: center;
+                flex-shrink: 0;
+                font-size: 13px;
+            }
+
+            .relationship-graph-toolbar input[type="datetime-local"] {
+                padding: 4px 6px;
+                background: var(--theme-bg-secondary, #2a2a2a);
+                border: 1px solid var(--theme-border-color, #333);
+                border-radius: 6px;
+                color: var(--theme-text-primary, #e0e0e0);
+                font-size: 12px;
+            }
+
+            .relationship-graph-legend {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                color: var(--theme-text-secondary, #888);
+            }
+
+            .relationship-graph-legend span::before {
+                content: '';
+                display: inline-block;
+                width: 10px;
+                height: 10px;
+                border-radius: 50%;
+                margin-right: 4px;
+                background: var(--legend-color);
+            }
+
+            .relationship-graph-body {
+                flex: 1;
+                min-height: 0;
+                display: flex;
+            }
+
+            .relationship-graph-canvas-wrap {
+                flex: 1;
+                min-width: 0;
+                position: relative;
+            }
+
+            .relationship-graph-canvas-wrap canvas {
+                position: absolute;
+                inset: 0;
+                width: 100%;
+                height: 100%;
+                cursor: grab;
+                touch-action: none;
+            }
+
+            .relationship-graph-sidebar {
+                width: 260px;
+                flex-shrink: 0;
+                border-left: 1px solid var(--theme-border-color, #333);
+                padding: 12px 14px;
+                overflow-y: auto;
+                font-size: 13px;
+            }
+
+            .relationship-graph-sidebar ul {
+                margin: 6px 0;
+                padding-left: 18px;
+            }
+
+            .relationship-graph-empty {
+                color: var(--theme-text-secondary, #888);
+            }
+
+            .relationship-graph-btn {
+                padding: 4px 10px;
+                background: var(--theme-bg-secondary, #333);
+                color: var(--theme-text-primary, #fff);
+                border: 1px solid var(--theme-border-color, #555);
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 13px;
+                transition: all 0.2s;
+            }
+
+            .relationship-graph-btn:hover {
+                background: var(--theme-bg-hover, #444);
+                border-color: var(--theme-primary-color, #4CAF50);
+            }
+
+            /* 🔧 移动端适配 */
+            @media (max-width: 768px) {
+                .relationship-graph-overlay {
+                    padding: 10px !important;
+                }
+
+                .relationship-graph-modal {
+                    width: 100% !important;
+                    max-width: none !important;
+                }
+
+                .relationship-graph-body {
+                    flex-direction: column;
+                }
+
+                .relationship-graph-sidebar {
+                    width: auto;
+                    max-height: 30%;
+                    border-left: none;
+                    border-top: 1px solid var(--theme-border-color, #333);
+                }
+
+                .relationship-graph-header,
+                .relationship-graph-toolbar {
+                    padding: 12px !important;
+                }
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    /**
+     * 显示面板
+     */
+    async show() {
+        try {
+            console.log('[RelationshipGraphPanel] 📖 显示人物关系图谱面板');
+
+            if (this.visible) {
+                this.hide();
+            }
+
+            if (!this.knowledgeGraphManager && !this.npcDatabaseManager) {
+                throw new Error('知识图谱和NPC数据库均未初始化');
+            }
+
+            // 创建UI
+            this.createUI();
+            this.visible = true;
+
+            // 加载数据并开始布局
+            await this.refresh();
+
+        } catch (error) {
+            console.error('[RelationshipGraphPanel] ❌ 显示面板失败:', error);
+            alert(`显示人物关系图谱失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        console.log('[RelationshipGraphPanel] 👋 隐藏人物关系图谱面板');
+
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        window.removeEventListener('resize', this.resizeCanvas);
+
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+
+        this.overlay = null;
+        this.modal = null;
+        this.canvas = null;
+        this.sidebar = null;
+        this.pointer = null;
+        this.visible = false;
+    }
+
+    /**
+     * 创建UI
+     */
+    createUI() {
+        // 创建遮罩层
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'relationship-graph-overlay';
+
+        // 创建模态窗口
+        this.modal = document.createElement('div');
+        this.modal.className = 'relationship-graph-modal';
+
+        const legend = Object.values(this.NODE_TYPES)
+            .map(type => `<span style="--legend-color: ${type.color};">${type.label}</span>`)
+            .join('');
+
+        this.modal.innerHTML = `
+            <div class="relationship-graph-header">
+                <h3>
+                    <span>🕸️</span>
+                    <span>人物关系图谱</span>
+                </h3>
+                <div style="display: flex; gap: 10px;">
+                    <button class="relationship-graph-btn" data-action="relayout">🔄 重新布局</button>
+                    <button class="relationship-graph-btn" data-action="export-png">🖼️ 导出PNG</button>
+                    <button class="relationship-graph-btn" data-action="export-graphml">📤 导出GraphML</button>
+                    <button class="relationship-graph-btn" data-action="close">关闭</button>
+                </div>
+            </div>
+
+            <div class="relationship-graph-toolbar">
+                <label>从 <input type="datetime-local" data-filter="from"></label>
+                <label>到 <input type="datetime-local" data-filter="to"></label>
+                <button class="relationship-graph-btn" data-action="reset-filter">全部时间</button>
+                <span class="relationship-graph-count"></span>
+                <div class="relationship-graph-legend">${legend}</div>
+            </div>
+
+            <div class="relationship-graph-body">
+                <div class="relationship-graph-canvas-wrap">
+                    <canvas></canvas>
+                </div>
+                <div class="relationship-graph-sidebar">
+                    <div class="relationship-graph-empty">点击节点查看关系；双击NPC节点打开NPC详情。拖拽节点调整位置，拖拽空白处平移，滚轮缩放。</div>
+                </div>
+            </div>
+        `;
+
+        this.overlay.appendChild(this.modal);
+        document.body.appendChild(this.overlay);
+
+        this.canvas = this.modal.querySelector('canvas');
+        this.sidebar = this.modal.querySelector('.relationship-graph-sidebar');
+
+        // 绑定事件
+        this.bindEvents();
+        this.resizeCanvas();
+        this.centerView();
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        // 关闭按钮
+        this.modal.querySelector('[data-action="close"]').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 点击遮罩层关闭
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.hide();
+            }
+        });
+
+        this.modal.querySelector('[data-action="relayout"]').addEventListener('click', () => {
+            this.layoutInitialPositions(true);
+            this.startSimulation();
+        });
+
+        this.modal.querySelector('[data-action="export-png"]').addEventListener('click', () => {
+            this.exportPNG();
+        });
+
+        this.modal.querySelector('[data-action="export-graphml"]').addEventListener('click', () => {
+            this.exportGraphML();
+        });
+
+        // 时间范围筛选
+        this.modal.querySelectorAll('[data-filter]').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = input.value ? new Date(input.value).getTime() : null;
+                this.timeRange[input.dataset.filter] = Number.isFinite(value) ? value : null;
+                this.applyFilter();
+                this.startSimulation();
+            });
+        });
+
+        this.modal.querySelector('[data-action="reset-filter"]').addEventListener('click', () => {
+            this.modal.querySelectorAll('[data-filter]').forEach(input => { input.value = ''; });
+            this.timeRange = { from: null, to: null };
+            this.applyFilter();
+            this.startSimulation();
+        });
+
+        // 画布交互：拖拽节点 / 平移 / 缩放 / 点击
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const point = this.toWorld(e);
+            const node = this.findNodeAt(point.x, point.y);
+            this.pointer = {
+                node,
+                startX: e.clientX,
+                startY: e.clientY,
+                viewX: this.view.x,
+                viewY: this.view.y,
+                moved: false
+            };
+            if (node) {
+                node.fixed = true;
+            }
+            this.canvas.setPointerCapture?.(e.pointerId);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.pointer) return;
+
+            const dx = e.clientX - this.pointer.startX;
+            const dy = e.clientY - this.pointer.startY;
+            if (Math.abs(dx) + Math.abs(dy) > 3) {
+                this.pointer.moved = true;
+            }
+
+            if (this.pointer.node) {
+                const point = this.toWorld(e);
+                this.pointer.node.x = point.x;
+                this.pointer.node.y = point.y;
+                this.alpha = Math.max(this.alpha, 0.3);
+                this.startSimulation(false);
+            } else {
+                this.view.x = this.pointer.viewX + dx;
+                this.view.y = this.pointer.viewY + dy;
+                this.draw();
+            }
+        });
+
+        const endPointer = () => {
+            if (!this.pointer) return;
+            const { node, moved } = this.pointer;
+            if (node) {
+                node.fixed = false;
+            }
+            if (!moved) {
+                this.selectNode(node);
+            }
+            this.pointer = null;
+        };
+        this.canvas.addEventListener('pointerup', endPointer);
+        this.canvas.addEventListener('pointercancel', endPointer);
+
+        // 双击NPC节点打开NPC详情
+        this.canvas.addEventListener('dblclick', (e) => {
+            const point = this.toWorld(e);
+            const node = this.findNodeAt(point.x, point.y);
+            if (node?.npcId) {
+                this.openNpcDetails(node.npcId);
+            }
+        });
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            const mouseX = e.clientX - rect.left;
+            const mouseY = e.clientY - rect.top;
+            const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+            const scale = Math.max(0.2, Math.min(4, this.view.scale * factor));
+
+            // 以鼠标位置为中心缩放
+            this.view.x = mouseX - (mouseX - this.view.x) * (scale / this.view.scale);
+            this.view.y = mouseY - (mouseY - this.view.y) * (scale / this.view.scale);
+            this.view.scale = scale;
+            this.draw();
+        }, { passive: false });
+
+        window.addEventListener('resize', this.resizeCanvas);
+    }
+
+    /**
+     * 重新加载数据并布局
+     */
+    async refresh() {
+        await this.buildGraph();
+        this.layoutInitialPositions();
+        this.applyFilter();
+        this.startSimulation();
+    }
+
+    /**
+     * 合并知识图谱和NPC数据库生成节点和边
+     */
+    async buildGraph() {
+        const previous = this.nodes;
+        this.nodes = new Map();
+        this.edges = [];
+
+        const context = window.SillyTavern?.getContext?.();
+        const userName = context?.name1 || '用户';
+
+        // NPC数据库：用户 -> NPC 的关系类型和好感度
+        const npcs = await this.npcDatabaseManager?.getCurrentChatNpcs?.() || [];
+        for (const npc of npcs) {
+            if (!npc?.name) continue;
+
+            const node = this.ensureNode(npc.name, 'character');
+            node.npcId = npc.id;
+            node.timestamp = npc.lastSeen || npc.updatedAt || null;
+
+            const relation = this.getNpcField(npc, this.RELATIONSHIP_FIELDS);
+            const affection = this.getNpcField(npc, this.AFFECTION_FIELDS);
+            if (relation || affection) {
+                this.ensureNode(userName, 'user');
+                this.edges.push({
+                    source: userName,
+                    target: npc.name,
+                    relation: relation || '关系',
+                    affection: affection || null,
+                    timestamp: node.timestamp,
+                    floor: null,
+                    origin: 'npc_database'
+                });
+            }
+        }
+
+        // 知识图谱：当前聊天的三元组
+        const kgm = this.knowledgeGraphManager;
+        const chatId = kgm?.currentChatId || kgm?.unifiedDataCore?.getCurrentChatId?.();
+        const graph = chatId ? (kgm.graphs?.get(chatId) || await kgm.loadChatGraph?.(chatId)) : null;
+        if (graph) {
+            const entities = graph.entities || {};
+            for (const triple of graph.triples || []) {
+                const subjectType = entities[triple.subject]?.type || (triple.subject === userName ? 'user' : 'other');
+                const objectType = entities[triple.object]?.type || (triple.object === userName ? 'user' : 'other');
+                this.ensureNode(triple.subject, subjectType);
+                this.ensureNode(triple.object, objectType);
+
+                const floors = (triple.provenance || []).map(item => item.floor).filter(Number.isFinite);
+                this.edges.push({
+                    source: triple.subject,
+                    target: triple.object,
+                    relation: this.RELATION_LABELS[triple.predicate] || triple.predicate,
+                    affection: null,
+                    timestamp: triple.timestamp || null,
+                    floor: floors.length > 0 ? Math.min(...floors) : null,
+                    origin: 'knowledge_graph'
+                });
+            }
+        }
+
+        // 保留已有节点的位置，刷新时布局不跳动
+        this.nodes.forEach((node, name) => {
+            const old = previous.get(name);
+            if (old) {
+                node.x = old.x;
+                node.y = old.y;
+            }
+        });
+
+        console.log(`[RelationshipGraphPanel] 📊 关系图: ${this.nodes.size} 个节点, ${this.edges.length} 条边`);
+    }
+
+    /**
+     * 获取或创建节点（已知类型覆盖“其他”）
+     */
+    ensureNode(name, type) {
+        let node = this.nodes.get(name);
+        if (!node) {
+            node = { id: name, type, npcId: null, timestamp: null, x: NaN, y: NaN, vx: 0, vy: 0, fixed: false, degree: 0 };
+            this.nodes.set(name, node);
+        } else if (node.type === 'other' && type !== 'other') {
+            node.type = type;
+        }
+        return node;
+    }
+
+    /**
+     * 读取NPC字段（兼容中英文字段名和原始数据）
+     */
+    getNpcField(npc, keys) {
+        const fields = npc.fields || {};
+        const raw = fields._原始数据 || {};
+        for (const key of keys) {
+            const value = fields[key] ?? raw[key];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                return String(value).trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 按时间范围筛选可见的边和节点
+     * 没有时间信息的边始终显示；没有边的节点只在自身时间落在范围内时显示
+     */
+    applyFilter() {
+        const { from, to } = this.timeRange;
+        const inRange = (timestamp) => {
+            if (!timestamp) return true;
+            if (from !== null && timestamp < from) return false;
+            if (to !== null && timestamp > to) return false;
+            return true;
+        };
+
+        this.visibleEdges = this.edges.filter(edge => inRange(edge.timestamp));
+
+        const connected = new Set();
+        this.nodes.forEach(node => { node.degree = 0; });
+        this.visibleEdges.forEach(edge => {
+            connected.add(edge.source);
+            connected.add(edge.target);
+            this.nodes.get(edge.source).degree++;
+            this.nodes.get(edge.target).degree++;
+        });
+
+        this.visibleNodes = Array.from(this.nodes.values())
+            .filter(node => connected.has(node.id) || (node.npcId && inRange(node.timestamp)));
+
+        if (this.selectedNode && !this.visibleNodes.includes(this.selectedNode)) {
+            this.selectNode(null);
+        }
+
+        const count = this.modal?.querySelector('.relationship-graph-count');
+        if (count) {
+            count.textContent = `${this.visibleNodes.length} 个节点 · ${this.visibleEdges.length} 条关系`;
+        }
+    }
+
+    /**
+     * 新节点放在圆周上作为初始位置
+     */
+    layoutInitialPositions(reset = false) {
+        const nodes = Array.from(this.nodes.values());
+        const radius = Math.max(100, nodes.length * 12);
+        nodes.forEach((node, index) => {
+            if (reset || !Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+                const angle = (index / Math.max(1, nodes.length)) * Math.PI * 2;
+                node.x = Math.cos(angle) * radius;
+                node.y = Math.sin(angle) * radius;
+                node.vx = 0;
+                node.vy = 0;
+            }
+        });
+
+        if (reset) {
+            this.view.scale = 1;
+            this.centerView();
+        }
+    }
+
+    /**
+     * 开始（或继续）力导向模拟
+     */
+    startSimulation(reheat = true) {
+        if (reheat) {
+            this.alpha = 1;
+        }
+        if (!this.animationFrame && this.visible) {
+            this.animationFrame = requestAnimationFrame(this.tick);
+        }
+    }
+
+    /**
+     * 模拟一帧并重绘
+     */
+    tick() {
+        this.animationFrame = null;
+        if (!this.visible) return;
+
+        this.stepLayout();
+        this.draw();
+
+        if (this.alpha > this.LAYOUT.alphaMin || this.pointer?.node) {
+            this.animationFrame = requestAnimationFrame(this.tick);
+        }
+    }
+
+    /**
+     * 力导向一步：节点间斥力、边的弹簧力、向中心的引力
+     */
+    stepLayout() {
+        const nodes = this.visibleNodes;
+        const layout = this.LAYOUT;
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const a = nodes[i];
+                const b = nodes[j];
+                let dx = a.x - b.x;
+                let dy = a.y - b.y;
+                if (dx === 0 && dy === 0) {
+                    dx = Math.random() - 0.5;
+                    dy = Math.random() - 0.5;
+                }
+                const distanceSq = Math.max(dx * dx + dy * dy, 25);
+                const distance = Math.sqrt(distanceSq);
+                const force = layout.repulsion / distanceSq;
+                const fx = (dx / distance) * force;
+                const fy = (dy / distance) * force;
+                a.vx += fx;
+                a.vy += fy;
+                b.vx -= fx;
+                b.vy -= fy;
+            }
+        }
+
+        for (const edge of this.visibleEdges) {
+            const a = this.nodes.get(edge.source);
+            const b = this.nodes.get(edge.target);
+            if (a === b) continue;
+
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = (distance - layout.springLength) * layout.springStrength;
+            const fx = (dx / distance) * force;
+            const fy = (dy / distance) * force;
+            a.vx += fx;
+            a.vy += fy;
+            b.vx -= fx;
+            b.vy -= fy;
+        }
+
+        for (const node of nodes) {
+            node.vx -= node.x * layout.gravity;
+            node.vy -= node.y * layout.gravity;
+
+            if (node.fixed) {
+                node.vx = 0;
+                node.vy = 0;
+                continue;
+            }
+
+            node.vx *= layout.damping;
+            node.vy *= layout.damping;
+            node.x += node.vx * this.alpha;
+            node.y += node.vy * this.alpha;
+        }
+
+        this.alpha *= layout.alphaDecay;
+    }
+
+    /**
+     * 画布尺寸跟随容器（按设备像素比绘制）
+     */
+    resizeCanvas() {
+        if (!this.canvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+
+        this.canvas.width = Math.max(1, Math.round(width * ratio));
+        this.canvas.height = Math.max(1, Math.round(height * ratio));
+        this.draw();
+    }
+
+    centerView() {
+        if (!this.canvas) return;
+        this.view.x = this.canvas.clientWidth / 2;
+        this.view.y = this.canvas.clientHeight / 2;
+    }
+
+    /**
+     * 屏幕坐标 -> 图坐标
+     */
+    toWorld(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left - this.view.x) / this.view.scale,
+            y: (event.clientY - rect.top - this.view.y) / this.view.scale
+        };
+    }
+
+    getNodeRadius(node) {
+        return 8 + Math.min(12, node.degree * 2);
+    }
+
+    findNodeAt(x, y) {
+        for (let i = this.visibleNodes.length - 1; i >= 0; i--) {
+            const node = this.visibleNodes[i];
+            const radius = this.getNodeRadius(node) + 4;
+            if ((node.x - x) ** 2 + (node.y - y) ** 2 <= radius * radius) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 边的文字：关系 · 好感度
+     */
+    getEdgeLabel(edge) {
+        return edge.affection ? `${edge.relation} · ${edge.affection}` : edge.relation;
+    }
+
+    /**
+     * 绘制关系图
+     */
+    draw() {
+        if (!this.canvas) return;
+
+        const ctx = this.canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const styles = getComputedStyle(this.modal);
+        const background = styles.getPropertyValue('--theme-bg-primary').trim() || '#1a1a1a';
+        const textColor = styles.getPropertyValue('--theme-text-primary').trim() || '#e0e0e0';
+        const mutedColor = styles.getPropertyValue('--theme-text-secondary').trim() || '#888';
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(ratio * this.view.scale, 0, 0, ratio * this.view.scale, ratio * this.view.x, ratio * this.view.y);
+
+        // 同一对节点之间的多条边弯曲错开
+        const pairCounts = new Map();
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const edge of this.visibleEdges) {
+            const a = this.nodes.get(edge.source);
+            const b = this.nodes.get(edge.target);
+            const pairKey = [edge.source, edge.target].sort().join('\u0000');
+            const pairIndex = pairCounts.get(pairKey) || 0;
+            pairCounts.set(pairKey, pairIndex + 1);
+
+            const highlighted = this.selectedNode && (this.selectedNode === a || this.selectedNode === b);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const offset = pairIndex === 0 ? 0 : Math.ceil(pairIndex / 2) * 24 * (pairIndex % 2 ? 1 : -1);
+            const controlX = (a.x + b.x) / 2 - (dy / distance) * offset;
+            const controlY = (a.y + b.y) / 2 + (dx / distance) * offset;
+
+            ctx.strokeStyle = highlighted ? '#FFC107' : mutedColor;
+            ctx.globalAlpha = this.selectedNode && !highlighted ? 0.25 : 0.8;
+            ctx.lineWidth = highlighted ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.quadraticCurveTo(controlX, controlY, b.x, b.y);
+            ctx.stroke();
+
+            // 箭头（指向对象）
+            const targetRadius = this.getNodeRadius(b);
+            const angle = Math.atan2(b.y - controlY, b.x - controlX);
+            const tipX = b.x - Math.cos(angle) * targetRadius;
+            const tipY = b.y - Math.sin(angle) * targetRadius;
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - Math.cos(angle - 0.4) * 8, tipY - Math.sin(angle - 0.4) * 8);
+            ctx.lineTo(tipX - Math.cos(angle + 0.4) * 8, tipY - Math.sin(angle + 0.4) * 8);
+            ctx.closePath();
+            ctx.fill();
+
+            // 关系文字（曲线中点）
+            const labelX = (a.x + 2 * controlX + b.x) / 4;
+            const labelY = (a.y + 2 * controlY + b.y) / 4;
+            ctx.fillStyle = highlighted ? '#FFC107' : textColor;
+            ctx.fillText(this.getEdgeLabel(edge), labelX, labelY - 6);
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.font = '12px sans-serif';
+        for (const node of this.visibleNodes) {
+            const radius = this.getNodeRadius(node);
+            const type = this.NODE_TYPES[node.type] || this.NODE_TYPES.other;
+
+            ctx.globalAlpha = this.selectedNode && this.selectedNode !== node && !this.isNeighbor(this.selectedNode, node) ? 0.35 : 1;
+            ctx.fillStyle = type.color;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (node === this.selectedNode || node.npcId) {
+                ctx.strokeStyle = node === this.selectedNode ? '#FFC107' : textColor;
+                ctx.lineWidth = node === this.selectedNode ? 3 : 1;
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = textColor;
+            ctx.fillText(node.id, node.x, node.y + radius + 10);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    isNeighbor(a, b) {
+        return this.visibleEdges.some(edge =>
+            (edge.source === a.id && edge.target === b.id) || (edge.source === b.id && edge.target === a.id));
+    }
+
+    /**
+     * 选中节点：侧栏显示关系（NPC详情通过侧栏按钮或双击节点打开）
+     */
+    selectNode(node) {
+        this.selectedNode = node;
+        this.draw();
+
+        if (!this.sidebar) return;
+        if (!node) {
+            this.sidebar.innerHTML = '<div class="relationship-graph-empty">点击节点查看关系；双击NPC节点打开NPC详情。拖拽节点调整位置，拖拽空白处平移，滚轮缩放。</div>';
+            return;
+        }
+
+        const type = this.NODE_TYPES[node.type] || this.NODE_TYPES.other;
+        const describe = (edge) => {
+            const floor = edge.floor !== null ? ` <span class="relationship-graph-empty">#${edge.floor}</span>` : '';
+            return `${this.escapeHtml(this.getEdgeLabel(edge))}${floor}`;
+        };
+        const outgoing = this.visibleEdges.filter(edge => edge.source === node.id);
+        const incoming = this.visibleEdges.filter(edge => edge.target === node.id);
+
+        this.sidebar.innerHTML = `
+            <div style="font-weight: bold; font-size: 15px;">${this.escapeHtml(node.id)}</div>
+            <div class="relationship-graph-empty" style="margin: 4px 0 10px;">${type.label}${node.npcId ? ` · NPC ${this.escapeHtml(node.npcId)}` : ''}</div>
+            ${node.npcId ? '<button class="relationship-graph-btn" data-action="npc-details">👤 NPC详情</button>' : ''}
+            <div style="margin-top: 10px;">指向</div>
+            ${outgoing.length > 0
+                ? `<ul>${outgoing.map(edge => `<li>${describe(edge)} → ${this.escapeHtml(edge.target)}</li>`).join('')}</ul>`
+                : '<div class="relationship-graph-empty">无</div>'}
+            <div style="margin-top: 10px;">来自</div>
+            ${incoming.length > 0
+                ? `<ul>${incoming.map(edge => `<li>${this.escapeHtml(edge.source)} → ${describe(edge)}</li>`).join('')}</ul>`
+                : '<div class="relationship-graph-empty">无</div>'}
+        `;
+
+        this.sidebar.querySelector('[data-action="npc-details"]')?.addEventListener('click', () => {
+            this.openNpcDetails(node.npcId);
+        });
+    }
+
+    /**
+     * 打开设置界面的NPC详情对话框
+     */
+    openNpcDetails(npcId) {
+        const settings = window.SillyTavernInfobar?.modules?.settings;
+        if (typeof settings?.showNPCDetails !== 'function') {
+            console.warn('[RelationshipGraphPanel] ⚠️ NPC详情界面不可用');
+            return;
+        }
+        settings.showNPCDetails(npcId);
+    }
+
+    /**
+     * 导出当前视图为PNG
+     */
+    exportPNG() {
+        if (!this.canvas) return;
+
+        this.draw();
+        this.canvas.toBlob((blob) => {
+            if (!blob) {
+                alert('导出PNG失败');
+                return;
+            }
+            this.downloadBlob(blob, `relationship-graph-${Date.now()}.png`);
+        }, 'image/png');
+    }
+
+    /**
+     * 导出筛选后的关系图为GraphML
+     */
+    exportGraphML() {
+        const nodeIds = new Map(this.visibleNodes.map((node, index) => [node.id, `n${index}`]));
+        const data = (key, value) => value === null || value === undefined || value === ''
+            ? ''
+            : `\n      <data key="${key}">${this.escapeXml(String(value))}</data>`;
+
+        const nodes = this.visibleNodes.map(node =>
+            `    <node id="${nodeIds.get(node.id)}">${data('label', node.id)}${data('type', node.type)}${data('npcId', node.npcId)}\n    </node>`);
+        const edges = this.visibleEdges.map((edge, index) =>
+            `    <edge id="e${index}" source="${nodeIds.get(edge.source)}" target="${nodeIds.get(edge.target)}">${data('relation', edge.relation)}${data('affection', edge.affection)}${data('timestamp', edge.timestamp)}${data('floor', edge.floor)}${data('origin', edge.origin)}\n    </edge>`);
+
+        const graphml = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="label" for="node" attr.name="label" attr.type="string"/>
+  <key id="type" for="node" attr.name="type" attr.type="string"/>
+  <key id="npcId" for="node" attr.name="npcId" attr.type="string"/>
+  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>
+  <key id="affection" for="edge" attr.name="affection" attr.type="string"/>
+  <key id="timestamp" for="edge" attr.name="timestamp" attr.type="long"/>
+  <key id="floor" for="edge" attr.name="floor" attr.type="int"/>
+  <key id="origin" for="edge" attr.name="origin" attr.type="string"/>
+  <graph id="relationships" edgedefault="directed">
+${nodes.concat(edges).join('\n')}
+  </graph>
+</graphml>
+`;
+
+        this.downloadBlob(new Blob([graphml], { type: 'application/xml' }), `relationship-graph-${Date.now()}.graphml`);
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        console.log('[RelationshipGraphPanel] ✅ 已导出:', fileName);
+    }
+
+    escapeXml(text) {
+        return text.replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' }[c]));
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,492 @@
+/**
+ * RetrievalTracePanel.js - 检索解释面板
+ *
+ * 功能特性:
+ * - 开关检索解释模式，设置保留的生成次数
+ * - 按生成查看各注入路径的检索追踪
+ * - 显示查询与增强查询、融合权重、各来源分数（向量/关键词/图谱/重排序）
+ * - 显示多样性过滤、去重和截断的决定，以及最终注入的token数
+ *
+ * @version 1.0.0
+ * @author Information Bar Integration Tool Developer
+ */
+
+export class RetrievalTracePanel {
+    constructor(dependencies = {}) {
+        console.log('[RetrievalTracePanel] 🔧 检索解释面板初始化开始');
+
+        // 🔧 依赖注入
+        const modules = window.SillyTavernInfobar?.modules;
+        this.retrievalTraceRecorder = dependencies.retrievalTraceRecorder || modules?.retrievalTraceRecorder;
+        this.eventSystem = dependencies.eventSystem || window.SillyTavernInfobar?.eventSource;
+
+        // 注入路径名称
+        this.PATHS = {
+            contextual_retrieval: '上下文感知检索',
+            multi_recall: '多路召回',
+            unified_vector_retrieval: '统一向量检索',
+            'unified_vector_retrieval/multi_recall': '统一向量检索（多路召回）',
+            corpus_retrieval: '语料库检索',
+            ai_memory_database_injector: 'AI记忆数据库注入'
+        };
+
+        // 融合策略
+        this.FUSION_STRATEGIES = {
+            weighted: '原始分数加权',
+            rrf: '倒数排名融合（RRF）',
+            minmax: '最小-最大归一化加权',
+            combmnz: 'CombMNZ'
+        };
+
+        // 条目状态
+        this.STATUSES = {
+            injected: '✅ 已注入',
+            diversity_filtered: '🔀 多样性过滤',
+            duplicate: '♻️ 重复',
+            truncated: '✂️ 截断'
+        };
+
+        // UI元素引用
+        this.modal = null;
+        this.overlay = null;
+        this.traceList = null;
+
+        // 初始化状态
+        this.initialized = false;
+        this.visible = false;
+
+        // 绑定方法
+        this.show = this.show.bind(this);
+        this.hide = this.hide.bind(this);
+        this.renderTraces = this.renderTraces.bind(this);
+
+        // 初始化样式
+        this.initStyles();
+
+        // 新的追踪记录后自动刷新
+        this.eventSystem?.on('retrieval:trace:recorded', () => {
+            if (this.visible) {
+                this.renderTraces();
+            }
+        });
+
+        console.log('[RetrievalTracePanel] ✅ 检索解释面板构造完成');
+    }
+
+    /**
+     * 初始化样式
+     */
+    initStyles() {
+        if (document.getElementById('retrieval-trace-panel-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'retrieval-trace-panel-styles';
+        style.textContent = `
+            /* 🎨 检索解释面板样式 */
+            .retrieval-trace-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.7);
+                z-index: 19999;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            }
+
+            .retrieval-trace-modal {
+                position: relative;
+                width: 1000px;
+                max-width: 95vw;
+                height: 90vh;
+                max-height: 90vh;
+                background: var(--theme-bg-primary, #1a1a1a);
+                border: 2px solid var(--theme-border-color, #333);
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+                display: flex;
+                flex-direction: column;
+                color: var(--theme-text-primary, #e0e0e0);
+            }
+
+            .retrieval-trace-header {
+                padding: 20px;
+                border-bottom: 2px solid var(--theme-border-color, #333);
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                flex-shrink: 0;
+            }
+
+            .retrieval-trace-header h3 {
+                margin: 0;
+                color: var(--theme-primary-color, #4CAF50);
+                font-size: 20px;
+                display: flex;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .retrieval-trace-toolbar {
+                padding: 12px 20px;
+                border-bottom: 1px solid var(--theme-border-color, #333);
+                display: flex;
+                flex-wrap: wrap;
+                gap: 16px;
+                align-items: center;
+                flex-shrink: 0;
+                font-size: 13px;
+            }
+
+            .retrieval-trace-toolbar label {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                color: var(--theme-text-secondary, #888);
+            }
+
+            .retrieval-trace-toolbar input[type="number"] {
+                width: 64px;
+                padding: 6px 8px;
+                background: var(--theme-bg-secondary, #2a2a2a);
+                border: 1px solid var(--theme-border-color, #333);
+                border-radius: 6px;
+                color: var(--theme-text-primary, #e0e0e0);
+                font-size: 13px;
+            }
+
+            .retrieval-trace-body {
+                padding: 16px 20px;
+                overflow-y: auto;
+                flex: 1;
+                min-height: 0;
+                display: flex;
+                flex-direction: column;
+                gap: 16px;
+            }
+
+            .retrieval-trace-generation > summary {
+                cursor: pointer;
+                font-weight: bold;
+                padding: 6px 0;
+            }
+
+            .retrieval-trace-card {
+                background: var(--theme-bg-secondary, #2a2a2a);
+                border: 1px solid var(--theme-border-color, #333);
+                border-radius: 8px;
+                padding: 12px 14px;
+                margin-top: 10px;
+                font-size: 13px;
+            }
+
+            .retrieval-trace-meta {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px 14px;
+                color: var(--theme-text-secondary, #888);
+                margin: 6px 0;
+                word-break: break-word;
+            }
+
+            .retrieval-trace-card table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-top: 8px;
+                font-size: 12px;
+            }
+
+            .retrieval-trace-card th,
+            .retrieval-trace-card td {
+                text-align: left;
+                padding: 4px 6px;
+                border-bottom: 1px solid var(--theme-border-color, #333);
+                vertical-align: top;
+            }
+
+            .retrieval-trace-card tr.excluded td {
+                opacity: 0.55;
+            }
+
+            .retrieval-trace-empty {
+                text-align: center;
+                padding: 60px 20px;
+                color: var(--theme-text-secondary, #888);
+            }
+
+            .retrieval-trace-btn {
+                padding: 4px 10px;
+                background: var(--theme-bg-secondary, #333);
+                color: var(--theme-text-primary, #fff);
+                border: 1px solid var(--theme-border-color, #555);
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 13px;
+                transition: all 0.2s;
+            }
+
+            .retrieval-trace-btn:hover {
+                background: var(--theme-bg-hover, #444);
+                border-color: var(--theme-primary-color, #4CAF50);
+            }
+
+            /* 🔧 移动端适配 */
+            @media (max-width: 768px) {
+                .retrieval-trace-overlay {
+                    padding: 10px !important;
+                    align-items: flex-start !important;
+                    padding-top: 5vh !important;
+                }
+
+                .retrieval-trace-modal {
+                    width: 100% !important;
+                    max-width: none !important;
+                }
+
+                .retrieval-trace-header,
+                .retrieval-trace-toolbar,
+                .retrieval-trace-body {
+                    padding: 12px !important;
+                }
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    /**
+     * 显示面板
+     */
+    async show() {
+        try {
+            console.log('[RetrievalTracePanel] 📖 显示检索解释面板');
+
+            if (this.visible) {
+                this.hide();
+            }
+
+            if (!this.retrievalTraceRecorder) {
+                throw new Error('检索追踪记录器未初始化');
+            }
+
+            // 创建UI
+            this.createUI();
+
+            // 渲染追踪
+            this.renderTraces();
+
+            this.visible = true;
+
+        } catch (error) {
+            console.error('[RetrievalTracePanel] ❌ 显示面板失败:', error);
+            alert(`显示检索解释面板失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        console.log('[RetrievalTracePanel] 👋 隐藏检索解释面板');
+
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+
+        this.overlay = null;
+        this.modal = null;
+        this.traceList = null;
+        this.visible = false;
+    }
+
+    /**
+     * 创建UI
+     */
+    createUI() {
+        const settings = this.retrievalTraceRecorder.settings;
+
+        // 创建遮罩层
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'retrieval-trace-overlay';
+
+        // 创建模态窗口
+        this.modal = document.createElement('div');
+        this.modal.className = 'retrieval-trace-modal';
+
+        this.modal.innerHTML = `
+            <div class="retrieval-trace-header">
+                <h3>
+                    <span>🧭</span>
+                    <span>检索解释</span>
+                </h3>
+                <div style="display: flex; gap: 10px;">
+                    <button class="retrieval-trace-btn" data-action="clear">🗑️ 清空</button>
+                    <button class="retrieval-trace-btn" data-action="close">关闭</button>
+                </div>
+            </div>
+
+            <div class="retrieval-trace-toolbar">
+                <label><input type="checkbox" data-setting="enabled" ${settings.enabled ? 'checked' : ''}> 启用检索解释模式</label>
+                <label>保留最近 <input type="number" data-setting="maxGenerations" min="1" max="100" value="${settings.maxGenerations}"> 次生成</label>
+            </div>
+
+            <div class="retrieval-trace-body" id="retrieval-trace-list"></div>
+        `;
+
+        this.overlay.appendChild(this.modal);
+        document.body.appendChild(this.overlay);
+
+        // 获取追踪列表容器
+        this.traceList = this.modal.querySelector('#retrieval-trace-list');
+
+        // 绑定事件
+        this.bindEvents();
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        // 关闭按钮
+        this.modal.querySelector('[data-action="close"]').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 点击遮罩层关闭
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.hide();
+            }
+        });
+
+        // 清空追踪
+        this.modal.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            this.retrievalTraceRecorder.clear();
+            this.renderTraces();
+        });
+
+        // 设置
+        this.modal.querySelector('[data-setting="enabled"]').addEventListener('change', (e) => {
+            this.retrievalTraceRecorder.updateSettings({ enabled: e.target.checked });
+            this.renderTraces();
+        });
+
+        this.modal.querySelector('[data-setting="maxGenerations"]').addEventListener('change', (e) => {
+            const maxGenerations = Math.min(100, Math.max(1, parseInt(e.target.value) || 20));
+            e.target.value = maxGenerations;
+            this.retrievalTraceRecorder.updateSettings({ maxGenerations });
+            this.renderTraces();
+        });
+    }
+
+    /**
+     * 渲染追踪列表
+     */
+    renderTraces() {
+        if (!this.traceList) return;
+
+        const generations = this.retrievalTraceRecorder.getGenerations();
+        if (generations.length === 0) {
+            this.traceList.innerHTML = `
+                <div class="retrieval-trace-empty">
+                    <div style="font-size: 48px; margin-bottom: 16px;">🧭</div>
+                    <div>${this.retrievalTraceRecorder.settings.enabled
+                        ? '暂无追踪记录，发送消息后将显示每次注入的检索过程'
+                        : '检索解释模式未启用'}</div>
+                </div>
+            `;
+            return;
+        }
+
+        this.traceList.innerHTML = generations.map((generation, index) => {
+            const totalTokens = generation.traces.reduce((sum, trace) => sum + (trace.injection?.tokens || 0), 0);
+            return `
+                <details class="retrieval-trace-generation" ${index === 0 ? 'open' : ''}>
+                    <summary>
+                        ${new Date(generation.startedAt).toLocaleString()}
+                        · ${generation.traces.length} 个注入路径 · 共 ${totalTokens} tokens
+                    </summary>
+                    ${generation.traces.length > 0
+                        ? generation.traces.map(trace => this.renderTrace(trace)).join('')
+                        : '<div class="retrieval-trace-meta">本次生成没有注入检索内容</div>'}
+                </details>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 渲染单条注入追踪
+     */
+    renderTrace(trace) {
+        const pathLabel = this.PATHS[trace.path] || trace.path;
+        const weights = Object.entries(trace.weights || {})
+            .map(([name, weight]) => `${name} ${this.formatScore(weight)}`)
+            .join(' / ');
+        const scoreNames = [...new Set((trace.items || []).flatMap(item => Object.keys(item.scores || {})))];
+        const injectedCount = (trace.items || []).filter(item => item.status === 'injected').length;
+        const injection = trace.injection || {};
+
+        return `
+            <div class="retrieval-trace-card">
+                <div><strong>${this.escapeHtml(pathLabel)}</strong>${trace.cached ? '（缓存命中）' : ''}</div>
+                <div class="retrieval-trace-meta">
+                    <span>查询: ${this.escapeHtml(trace.query || '')}</span>
+                    ${trace.enhancedQuery && trace.enhancedQuery !== trace.query
+                        ? `<span>增强查询: ${this.escapeHtml(trace.enhancedQuery)}</span>` : ''}
+                </div>
+                <div class="retrieval-trace-meta">
+                    ${trace.fusionStrategy ? `<span>融合策略: ${this.escapeHtml(this.FUSION_STRATEGIES[trace.fusionStrategy] || trace.fusionStrategy)}</span>` : ''}
+                    ${weights ? `<span>融合权重: ${this.escapeHtml(weights)}</span>` : ''}
+                    <span>注入 ${injectedCount}/${(trace.items || []).length} 条</span>
+                    <span>token成本: ${injection.tokens || 0}${injection.estimated ? '（估算）' : ''} · ${injection.characters || 0} 字符</span>
+                </div>
+                ${(trace.items || []).length > 0 ? `
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>内容</th>
+                                <th>来源</th>
+                                ${scoreNames.map(name => `<th>${this.escapeHtml(name)}</th>`).join('')}
+                                <th>结果</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${trace.items.map((item, index) => `
+                                <tr class="${item.status === 'injected' ? '' : 'excluded'}">
+                                    <td>${index + 1}</td>
+                                    <td>${this.escapeHtml(item.content || '')}</td>
+                                    <td>${this.escapeHtml((item.sources || []).join(', '))}</td>
+                                    ${scoreNames.map(name => `<td>${this.formatScore(item.scores?.[name])}</td>`).join('')}
+                                    <td>
+                                        ${this.STATUSES[item.status] || this.escapeHtml(item.status || '')}
+                                        ${item.note ? `<div style="opacity: 0.8;">${this.escapeHtml(item.note)}</div>` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 格式化分数
+     */
+    formatScore(score) {
+        return typeof score === 'number' ? score.toFixed(3) : '-';
+    }
+
+    /**
+     * HTML转义
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}